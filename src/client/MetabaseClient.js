@@ -7,6 +7,7 @@
 import { ApiError, ValidationError } from '../shared/errors/MetabaseError.js';
 import { Validators } from '../shared/utils/validators.js';
 import { DashboardUrlDecoder } from '../shared/utils/urlDecoder.js';
+import { TemplateTags } from '../shared/utils/templateTags.js';
 import { logger } from '../shared/utils/logger.js';
 
 export class MetabaseClient {
@@ -151,17 +152,17 @@ export class MetabaseClient {
 
   /**
    * Execute a card query and return results
+   * @param {number} cardId - Card to run
+   * @param {Object} [parameters] - Template tag values by tag name
    */
   async executeCardQuery(cardId, parameters = {}) {
     Validators.validateCardId(cardId);
 
-    const queryParams = new URLSearchParams();
-    Object.entries(parameters).forEach(([key, value]) => {
-      queryParams.append(key, value);
+    const card = await this.makeRequest(`/api/card/${cardId}`);
+    return await this.makeRequest(`/api/card/${cardId}/query`, {
+      method: 'POST',
+      body: JSON.stringify({ parameters: TemplateTags.toParameters(card, parameters) }),
     });
-
-    const endpoint = `/api/card/${cardId}/query${queryParams.toString() ? `?${queryParams}` : ''}`;
-    return await this.makeRequest(endpoint, { method: 'POST' });
   }
 
   /**
@@ -646,27 +647,44 @@ export class MetabaseClient {
   // ========================================
 
   /**
-   * Search for cards by name or description
+   * Search for cards by name or description, using Metabase's search
    */
   async searchCards(searchTerm) {
-    const allCards = await this.listCards('all');
-    const searchLower = searchTerm.toLowerCase();
-    return allCards.filter(card => 
-      card.name.toLowerCase().includes(searchLower) ||
-      (card.description && card.description.toLowerCase().includes(searchLower))
-    );
+    const hits = await this.search(searchTerm, ['card']);
+    return hits.map(card => ({
+      id: card.id,
+      name: card.name,
+      description: card.description,
+      databaseId: card.database_id ?? card.dataset_query?.database,
+      queryType: card.dataset_query?.type,
+      createdAt: card.created_at,
+      updatedAt: card.updated_at,
+    }));
   }
 
   /**
-   * Search for dashboards by name or description
+   * Search for dashboards by name or description, using Metabase's search
    */
   async searchDashboards(searchTerm) {
-    const allDashboards = await this.listDashboards();
-    const searchLower = searchTerm.toLowerCase();
-    return allDashboards.filter(dashboard => 
-      dashboard.name.toLowerCase().includes(searchLower) ||
-      (dashboard.description && dashboard.description.toLowerCase().includes(searchLower))
-    );
+    const hits = await this.search(searchTerm, ['dashboard']);
+    return hits.map(d => ({
+      id: d.id,
+      name: d.name,
+      description: d.description,
+      createdAt: d.created_at,
+      updatedAt: d.updated_at,
+    }));
+  }
+
+  /**
+   * Raw hits of /api/search for the given item types
+   */
+  async search(searchTerm, models) {
+    const params = new URLSearchParams({ q: searchTerm });
+    models.forEach(model => params.append('models', model));
+    const response = await this.makeRequest(`/api/search?${params}`);
+    return (Array.isArray(response) ? response : response.data || [])
+      .filter(hit => models.includes(hit.model));
   }
 
   /**
@@ -2,20 +2,46 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { ApiClient } from './utils/apiClient.js';
+import { ResponseCache } from './utils/responseCache.js';
+import { CircuitBreaker } from './utils/circuitBreaker.js';
+import { createAuthProvider } from './utils/authProviders.js';
+import { ResultPresenter } from './utils/resultPresenter.js';
+import { ResultStore } from './utils/resultStore.js';
+import { QueryJobManager } from './utils/queryJobManager.js';
+import { SqlGuard } from './utils/sqlGuard.js';
+import { ContentIndex } from './utils/contentIndex.js';
+import { LineageAnalyzer } from './utils/lineageAnalyzer.js';
+import { ImpactAnalyzer } from './utils/impactAnalyzer.js';
 import { CardHandlers } from './handlers/cardHandlers.js';
 import { DashboardHandlers } from './handlers/dashboardHandlers.js';
 import { DatabaseHandlers } from './handlers/databaseHandlers.js';
 import { CollectionHandlers } from './handlers/collectionHandlers.js';
+import { SearchHandlers } from './handlers/searchHandlers.js';
+import { IndexHandlers } from './handlers/indexHandlers.js';
 import { QueryHandlers } from './handlers/queryHandlers.js';
+import { ExportHandlers } from './handlers/exportHandlers.js';
+import { JobHandlers } from './handlers/jobHandlers.js';
+import { CompareHandlers } from './handlers/compareHandlers.js';
 import { FieldHandlers } from './handlers/fieldHandlers.js';
+import { LineageHandlers } from './handlers/lineageHandlers.js';
 import { SegmentMetricHandlers } from './handlers/segmentMetricHandlers.js';
 import { UserHandlers } from './handlers/userHandlers.js';
-import { TOOL_DEFINITIONS } from './config/toolDefinitions.js';
-import { ConfigurationError, ToolExecutionError } from '../shared/errors/MetabaseError.js';
+import { CacheHandlers } from './handlers/cacheHandlers.js';
+import { InstanceHandlers } from './handlers/instanceHandlers.js';
+import { ResourceHandlers } from './handlers/resourceHandlers.js';
+import { PromptHandlers } from './handlers/promptHandlers.js';
+import { HttpTransportServer } from './transports/httpTransport.js';
+import { BUILTIN_TOOLS, ToolRegistry } from './tools/index.js';
+import { MetabaseError, ValidationError } from '../shared/errors/MetabaseError.js';
 import { logger } from '../shared/utils/logger.js';
 
 /**
@@ -25,26 +51,149 @@ export class MetabaseMCPServer {
   constructor(config) {
     this.config = config;
     this.logger = logger.child('MetabaseMCPServer');
+
+    // One response cache shared by every instance (keys include the instance name and URL)
+    this.cache = config.cache?.enabled === false ? null : new ResponseCache(config.cache);
+
+    // Query results too large for one response are kept here for fetch_result_page
+    this.resultPresenter = new ResultPresenter(new ResultStore(config.results), config.results);
+
+    // Background query jobs, shared by every instance
+    this.queryJobs = new QueryJobManager(config.queryJobs);
+
+    // Initialize one API client and handler set per Metabase instance
+    const instanceConfigs = config.instances || [{
+      name: 'default',
+      metabaseUrl: config.metabaseUrl,
+      auth: config.auth || { method: 'api_key', apiKey: config.apiKey },
+      requestTimeout: config.requestTimeout,
+    }];
+    this.defaultInstance = config.defaultInstance || instanceConfigs[0].name;
+    this.instances = new Map();
+    this.instanceHandlers = new InstanceHandlers(this.instances, this.defaultInstance);
+    instanceConfigs.forEach(instance => this.instances.set(instance.name, this.createInstance(instance)));
+
+    // The default instance also backs resources and prompts
+    const defaultInstance = this.getInstance(this.defaultInstance);
+    this.apiClient = defaultInstance.apiClient;
+    this.handlers = defaultInstance.handlers;
+    this.resourceHandlers = new ResourceHandlers(this.apiClient, this.handlers);
+    this.promptHandlers = new PromptHandlers(this.apiClient, this.handlers);
+
+    // Register tools. Every tool accepts an optional `instance` argument.
+    this.toolRegistry = new ToolRegistry({
+      commonArguments: {
+        instance: {
+          type: 'string',
+          enum: [...this.instances.keys()],
+          description: `Metabase instance to use (default: "${this.defaultInstance}"). See list_instances.`,
+        },
+      },
+    }).registerAll(BUILTIN_TOOLS);
     
-    // Initialize API client
-    this.apiClient = new ApiClient(
-      config.metabaseUrl,
-      config.apiKey,
-      config.requestTimeout
+    // Create MCP server (used by the stdio transport; HTTP sessions get their own)
+    this.server = this.createServer();
+    this.httpTransport = null;
+
+    this.setupErrorHandling();
+  }
+
+  /**
+   * Build the API client and handlers for one Metabase instance
+   * @param {Object} instance - Instance configuration (name, metabaseUrl, auth, requestTimeout)
+   * @returns {Object} The instance configuration plus its `apiClient` and `handlers`
+   */
+  createInstance(instance) {
+    const apiClient = new ApiClient(
+      instance.metabaseUrl,
+      createAuthProvider(instance.auth, {
+        metabaseUrl: instance.metabaseUrl,
+        timeout: instance.requestTimeout,
+      }),
+      instance.requestTimeout,
+      {
+        cache: this.cache,
+        cacheScope: instance.name,
+        retry: this.config.retry,
+        circuitBreaker: this.config.circuitBreaker?.threshold === 0 ? null : new CircuitBreaker(this.config.circuitBreaker),
+      }
     );
-    
-    // Initialize handlers
-    this.cardHandlers = new CardHandlers(this.apiClient);
-    this.dashboardHandlers = new DashboardHandlers(this.apiClient);
-    this.databaseHandlers = new DatabaseHandlers(this.apiClient);
-    this.collectionHandlers = new CollectionHandlers(this.apiClient);
-    this.queryHandlers = new QueryHandlers(this.apiClient);
-    this.fieldHandlers = new FieldHandlers(this.apiClient);
-    this.segmentMetricHandlers = new SegmentMetricHandlers(this.apiClient);
-    this.userHandlers = new UserHandlers(this.apiClient);
-    
-    // Create MCP server
-    this.server = new Server(
+
+    const sqlGuard = new SqlGuard(apiClient, this.config.sqlGuard);
+
+    const lineageAnalyzer = new LineageAnalyzer(apiClient);
+    const impactAnalyzer = new ImpactAnalyzer(apiClient, { lineageAnalyzer, concurrency: this.config.dashboards?.concurrency });
+
+    // This object is the context every tool handler receives
+    const handlers = {
+      apiClient,
+      cardHandlers: new CardHandlers(apiClient, { resultPresenter: this.resultPresenter }),
+      dashboardHandlers: new DashboardHandlers(apiClient, {
+        resultPresenter: this.resultPresenter,
+        concurrency: this.config.dashboards?.concurrency,
+      }),
+      databaseHandlers: new DatabaseHandlers(apiClient),
+      collectionHandlers: new CollectionHandlers(apiClient),
+      searchHandlers: new SearchHandlers(apiClient),
+      indexHandlers: new IndexHandlers(apiClient, {
+        contentIndex: new ContentIndex(apiClient, { ...this.config.searchIndex, instance: instance.name }),
+      }),
+      queryHandlers: new QueryHandlers(apiClient, {
+        resultPresenter: this.resultPresenter,
+        sqlGuard,
+        limits: this.config.queryLimits,
+      }),
+      fieldHandlers: new FieldHandlers(apiClient),
+      lineageHandlers: new LineageHandlers(apiClient, { lineageAnalyzer, impactAnalyzer }),
+      segmentMetricHandlers: new SegmentMetricHandlers(apiClient),
+      userHandlers: new UserHandlers(apiClient),
+      cacheHandlers: new CacheHandlers(apiClient),
+      instanceHandlers: this.instanceHandlers,
+    };
+    handlers.jobHandlers = new JobHandlers(apiClient, {
+      jobManager: this.queryJobs,
+      resultPresenter: this.resultPresenter,
+      queryHandlers: handlers.queryHandlers,
+      cardHandlers: handlers.cardHandlers,
+    });
+    handlers.exportHandlers = new ExportHandlers(apiClient, {
+      ...this.config.export,
+      sqlGuard,
+      cardHandlers: handlers.cardHandlers,
+    });
+    // Either side of a comparison may run on another instance
+    handlers.compareHandlers = new CompareHandlers(apiClient, {
+      resultPresenter: this.resultPresenter,
+      resolveHandlers: (name) => (name === undefined ? handlers : this.getInstance(name).handlers),
+    });
+
+    return { ...instance, apiClient, handlers };
+  }
+
+  /**
+   * Get a configured instance
+   * @param {string} [name] - Instance name, defaults to the default instance
+   * @throws {ValidationError} If no instance has that name
+   */
+  getInstance(name) {
+    const instance = this.instances.get(name ?? this.defaultInstance);
+    if (!instance) {
+      throw new ValidationError(
+        `Unknown Metabase instance "${name}". Available instances: ${[...this.instances.keys()].join(', ')}`,
+        'instance',
+        name
+      );
+    }
+    return instance;
+  }
+
+  /**
+   * Create a new MCP server instance with all request handlers registered.
+   * An MCP server can only be connected to one transport, so the HTTP
+   * transport calls this once per client session.
+   */
+  createServer() {
+    const server = new Server(
       {
         name: 'metabase-mcp-server',
         version: '2.0.0',
@@ -53,12 +202,20 @@ export class MetabaseMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+    server.onerror = (error) => {
+      this.logger.error('MCP Server error', error);
+    };
+
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
   /**
@@ -76,22 +233,33 @@ export class MetabaseMCPServer {
 
 ## 📊 Recommended Workflows
 
+The workflows below are also available as prompts pre-filled with live metadata: analyze_card(cardId), explore_database(databaseId) and explain_dashboard(dashboardId).
+
 ### When analyzing a card/question:
-1. Use list_cards or search to find relevant cards by name/description
+1. Use search (models: ["card"]) to find relevant cards by name/description
 2. Use get_card to see the SQL query and understand what it does
 3. Check if parameters are needed before executing
 4. Use execute_card_query to get actual data
+5. Use get_card_lineage to list the tables and columns it reads (through source cards too)
 
 ### When exploring a database:
 1. Use list_databases to see available data sources
 2. Use get_database_metadata for comprehensive schema information
 3. Use get_table_metadata to understand specific tables
+   - To find a column without knowing its table, use find_fields (e.g. "*customer_id*")
 4. Use execute_native_query for custom SQL (validate first!)
 
+### When validating a change:
+1. Use compare_results to run the original and the new card (or SQL) and diff them on key columns
+2. Give each side an "instance" to compare staging against production
+3. Before changing a table or column, use impact_analysis to list the cards, dashboards and filters that read it
+
 ### When finding content:
-1. Use list_collections to browse organizational structure
-2. Use get_collection_items to see what's in a specific folder
-3. Use list_cards with filters for targeted searches
+1. Use search with a few keywords; filter by models, collection or created_by
+   - To find content by the SQL, tables or columns it uses, use search_index (e.g. "sql:orders column:customer_id")
+2. Use list_collections to browse organizational structure
+3. Use get_collection_items to see what's in a specific folder
+4. Use list_cards with filters for targeted searches
 
 ## ⚠️ Important Notes
 
@@ -106,7 +274,9 @@ export class MetabaseMCPServer {
 - list_cards can return 15k+ items - results are limited to first 50 in display
 - get_database_metadata returns ALL tables and columns - can be very large
 - execute_card_query and execute_native_query may take time for complex queries
+- For queries that may outlast the request timeout, use start_query, poll get_query_status, then get_query_result (cancel_query stops them)
 - Use targeted searches instead of listing everything when possible
+- Query results are paged: when a result has more rows, use fetch_result_page with its resultId and nextOffset instead of re-running the query
 
 ### SQL Queries:
 - All queries returned are read-only - you cannot modify them through this interface
@@ -117,6 +287,8 @@ export class MetabaseMCPServer {
 - Card IDs are visible in Metabase URLs: /question/[ID]
 - Dashboard IDs are in URLs: /dashboard/[ID]
 - Use "root" as collectionId to access the root collection
+- Every tool accepts an optional "instance" argument when several Metabase instances are configured; use list_instances to see them
+- Cards, dashboards, tables, databases and collections are also available as resources (metabase://card/{id}, metabase://dashboard/{id}, metabase://table/{id}, metabase://database/{id}, metabase://database/{id}/metadata, metabase://collection/{id})
 - Admin-only tools will return 403 errors if you lack permissions
 - Empty arrays from list_metrics or get_activity indicate the feature isn't available in your Metabase version`;
   }
@@ -124,17 +296,17 @@ export class MetabaseMCPServer {
   /**
    * Setup tool handlers
    */
-  setupToolHandlers() {
+  setupToolHandlers(server) {
     // List tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       this.logger.debug('Listing tools');
       return {
-        tools: TOOL_DEFINITIONS,
+        tools: this.toolRegistry.list(),
       };
     });
 
     // Call tool
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
       
       this.logger.info('Tool called', { toolName: name, args });
@@ -146,12 +318,17 @@ export class MetabaseMCPServer {
       } catch (error) {
         this.logger.error('Tool execution failed', error, { toolName: name, args });
         
+        // Error details go in a JSON text block rather than structuredContent:
+        // clients validate structuredContent against the tool's outputSchema
         return {
           content: [
             {
               type: 'text',
               text: `Error executing ${name}: ${error.message}`,
             },
+            ...(error instanceof MetabaseError
+              ? [{ type: 'text', text: JSON.stringify({ error: error.toJSON() }) }]
+              : []),
           ],
           isError: true,
         };
@@ -160,109 +337,120 @@ export class MetabaseMCPServer {
   }
 
   /**
-   * Execute a tool by name
+   * Setup resource handlers (metabase:// URIs)
+   */
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      this.logger.debug('Listing resources', { cursor: request.params?.cursor });
+      return await this.resourceHandlers.listResources(request.params?.cursor);
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      this.logger.debug('Listing resource templates');
+      return this.resourceHandlers.listResourceTemplates();
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      this.logger.info('Resource read', { uri });
+
+      try {
+        return await this.resourceHandlers.readResource(uri);
+      } catch (error) {
+        this.logger.error('Resource read failed', error, { uri });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Setup prompt handlers
+   */
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      this.logger.debug('Listing prompts');
+      return this.promptHandlers.listPrompts();
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      this.logger.info('Prompt requested', { promptName: name, args });
+
+      try {
+        return await this.promptHandlers.getPrompt(name, args);
+      } catch (error) {
+        this.logger.error('Prompt generation failed', error, { promptName: name, args });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Execute a tool by name, against the instance named by its `instance` argument
    */
   async executeTool(name, args) {
-    switch (name) {
-      // Card tools
-      case 'get_card':
-        return await this.cardHandlers.getCard(args.cardId);
-      case 'list_cards':
-        return await this.cardHandlers.listCards(args.filter, args.modelId);
-      case 'execute_card_query':
-        return await this.cardHandlers.executeCardQuery(args.cardId, args.parameters);
-      case 'execute_query_builder_card':
-        return await this.cardHandlers.executeQueryBuilderCard(args.cardId, args.parameters);
-      case 'get_generated_sql':
-        return await this.cardHandlers.getGeneratedSQL(args.cardId, args.parameters);
-      
-      // Dashboard tools
-      case 'get_dashboard':
-        return await this.dashboardHandlers.getDashboard(args.dashboardId);
-      case 'list_dashboards':
-        return await this.dashboardHandlers.listDashboards();
-      case 'get_card_with_parameters':
-        return await this.dashboardHandlers.getCardWithParameters(args.url);
-      
-      // Database tools
-      case 'get_database':
-        return await this.databaseHandlers.getDatabase(args.databaseId);
-      case 'list_databases':
-        return await this.databaseHandlers.listDatabases();
-      case 'get_database_metadata':
-        return await this.databaseHandlers.getDatabaseMetadata(args.databaseId);
-      case 'list_database_tables':
-        return await this.databaseHandlers.listDatabaseTables(args.databaseId);
-      case 'get_table_metadata':
-        return await this.databaseHandlers.getTableMetadata(args.tableId);
-      
-      // Collection tools
-      case 'list_collections':
-        return await this.collectionHandlers.listCollections(args.namespace);
-      case 'get_collection_items':
-        return await this.collectionHandlers.getCollectionItems(args.collectionId, args.models);
-      
-      // Query execution
-      case 'execute_native_query':
-        return await this.queryHandlers.executeNativeQuery(args.databaseId, args.query);
-      
-      // Field tools
-      case 'get_field':
-        return await this.fieldHandlers.getField(args.fieldId);
-      case 'get_field_values':
-        return await this.fieldHandlers.getFieldValues(args.fieldId);
-      
-      // Segments & Metrics
-      case 'list_segments':
-        return await this.segmentMetricHandlers.listSegments();
-      case 'list_metrics':
-        return await this.segmentMetricHandlers.listMetrics();
-      
-      // Activity & Users
-      case 'get_activity':
-        return await this.userHandlers.getActivity(args.limit);
-      case 'get_current_user':
-        return await this.userHandlers.getCurrentUser();
-      case 'list_users':
-        return await this.userHandlers.listUsers();
-      
-      default:
-        throw new ToolExecutionError(
-          `Unknown tool: ${name}`,
-          name,
-          null
-        );
+    return await this.toolRegistry.execute(name, args, ({ instance }) => this.getInstance(instance).handlers);
+  }
+
+  /**
+   * Load custom tools from the configured plugin directory
+   */
+  async loadPlugins() {
+    if (!this.config.pluginDir) {
+      return;
     }
+
+    const registered = await this.toolRegistry.loadPlugins(this.config.pluginDir);
+    this.logger.info('Tool plugins loaded', { pluginDir: this.config.pluginDir, tools: registered });
   }
 
   /**
-   * Setup error handling and process signals
+   * Setup process signals for graceful shutdown
    */
   setupErrorHandling() {
-    this.server.onerror = (error) => {
-      this.logger.error('MCP Server error', error);
-    };
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+  }
 
-    process.on('SIGINT', async () => {
-      this.logger.info('Received SIGINT, shutting down gracefully');
-      await this.server.close();
-      process.exit(0);
-    });
+  /**
+   * Shut down the active transport, letting in-flight HTTP requests finish
+   * @param {string} signal - The signal that triggered the shutdown
+   */
+  async shutdown(signal) {
+    this.logger.info(`Received ${signal}, shutting down gracefully`);
+    this.queryJobs.cancelAll();
 
-    process.on('SIGTERM', async () => {
-      this.logger.info('Received SIGTERM, shutting down gracefully');
-      await this.server.close();
-      process.exit(0);
-    });
+    try {
+      if (this.httpTransport) {
+        await this.httpTransport.close(this.config.shutdownTimeout);
+      } else {
+        await this.server.close();
+      }
+    } catch (error) {
+      this.logger.error('Error during shutdown', error);
+    }
+
+    process.exit(0);
   }
 
   /**
-   * Run the server
+   * Run the server on the configured transport
    */
   async run() {
+    await this.loadPlugins();
+
+    if (this.config.transport === 'http') {
+      this.httpTransport = new HttpTransportServer(() => this.createServer(), this.config.http);
+      await this.httpTransport.start();
+      this.logger.info('Metabase MCP server running on HTTP', {
+        host: this.config.http.host,
+        port: this.config.http.port,
+      });
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     this.logger.info('Metabase MCP server running on stdio');
   }
 }
-
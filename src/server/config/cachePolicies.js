@@ -0,0 +1,29 @@
+/**
+ * Default TTLs for cached GET endpoints
+ * The first matching pattern wins. A TTL of 0 disables caching for that endpoint;
+ * endpoints that match no pattern (search, activity...) are not cached unless a
+ * default TTL is configured. Query execution (POST) is never cached, whatever
+ * the policy says.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+export const DEFAULT_CACHE_POLICIES = [
+  // Schema metadata: large and slow to change
+  { pattern: /^\/api\/database\/\d+\/metadata/, ttl: 10 * MINUTE },
+  { pattern: /^\/api\/table\/\d+\/query_metadata/, ttl: 10 * MINUTE },
+  { pattern: /^\/api\/database\/(\d+)?(\?.*)?$/, ttl: 10 * MINUTE },
+  { pattern: /^\/api\/field\/\d+(\/values)?$/, ttl: 10 * MINUTE },
+  { pattern: /^\/api\/table\/\d+$/, ttl: 10 * MINUTE },
+
+  // Content definitions: can be edited by users, keep them short-lived
+  { pattern: /^\/api\/card\/\d+$/, ttl: 2 * MINUTE },
+  { pattern: /^\/api\/card\/\?/, ttl: 2 * MINUTE },
+  { pattern: /^\/api\/dashboard(\/\d+)?$/, ttl: 2 * MINUTE },
+  { pattern: /^\/api\/collection\//, ttl: 5 * MINUTE },
+  { pattern: /^\/api\/(segment|metric)$/, ttl: 5 * MINUTE },
+  { pattern: /^\/api\/user\//, ttl: 5 * MINUTE },
+];
+
+export const DEFAULT_CACHE_TTL = 0;
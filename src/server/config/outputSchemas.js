@@ -0,0 +1,658 @@
+/**
+ * Output schemas for tool results (structuredContent)
+ * Shared object shapes are defined once and composed per tool.
+ */
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const id = { type: 'integer' };
+const timestamp = nullable('string');
+
+const objectSchema = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+});
+
+const listSchema = (key, itemSchema, extra = {}) => objectSchema({
+  ...extra,
+  [key]: { type: 'array', items: itemSchema },
+}, [key]);
+
+// ========== SHARED SHAPES ==========
+
+export const CARD_SUMMARY = objectSchema({
+  id,
+  name: { type: 'string' },
+  description: nullable('string'),
+  databaseId: nullable('integer'),
+  queryType: nullable('string'),
+  createdAt: timestamp,
+}, ['id', 'name']);
+
+export const TEMPLATE_TAG = objectSchema({
+  name: { type: 'string' },
+  displayName: nullable('string'),
+  type: nullable('string'),
+  widgetType: nullable('string'),
+  required: { type: 'boolean' },
+  default: {},
+}, ['name', 'required']);
+
+export const CARD = objectSchema({
+  ...CARD_SUMMARY.properties,
+  sqlQuery: nullable('string'),
+  queryBuilder: nullable('object'),
+  templateTags: { type: 'array', items: TEMPLATE_TAG },
+  updatedAt: timestamp,
+}, ['id', 'name']);
+
+export const COLUMN = objectSchema({
+  name: { type: 'string' },
+  displayName: nullable('string'),
+  baseType: nullable('string'),
+  semanticType: nullable('string'),
+}, ['name']);
+
+// One page of a query result; `rowCount` is the size of the whole result
+export const RESULT_SET = objectSchema({
+  status: nullable('string'),
+  rowCount: { type: 'integer' },
+  runningTimeMs: nullable('number'),
+  columns: { type: 'array', items: COLUMN },
+  rows: { type: 'array', items: { type: 'array' } },
+  rowsTruncated: nullable('integer'),
+  error: nullable('string'),
+  resultId: nullable('string'),
+  offset: { type: 'integer' },
+  returnedRows: { type: 'integer' },
+  hasMore: { type: 'boolean' },
+  nextOffset: nullable('integer'),
+  truncatedBy: { type: ['string', 'null'], enum: ['maxRows', 'maxChars', null] },
+}, ['rowCount', 'columns', 'rows', 'hasMore']);
+
+export const COLUMN_PROFILE = objectSchema({
+  name: { type: 'string' },
+  baseType: nullable('string'),
+  semanticType: nullable('string'),
+  kind: { type: 'string', enum: ['number', 'temporal', 'text', 'boolean', 'other'] },
+  count: { type: 'integer' },
+  nulls: { type: 'integer' },
+  distinct: { type: 'integer' },
+  min: {},
+  max: {},
+  mean: nullable('number'),
+  percentiles: {
+    type: ['object', 'null'],
+    additionalProperties: { type: 'number' },
+  },
+  top: {
+    type: ['array', 'null'],
+    items: objectSchema({ value: {}, count: { type: 'integer' } }, ['count']),
+  },
+}, ['name', 'kind', 'count', 'nulls', 'distinct']);
+
+// Per-column statistics of the returned rows; `rowsTruncated` is set when a row cap cut the result
+export const RESULT_PROFILE = objectSchema({
+  rowCount: { type: 'integer' },
+  rowsTruncated: nullable('integer'),
+  columns: { type: 'array', items: COLUMN_PROFILE },
+}, ['rowCount', 'columns']);
+
+export const ROW_LIMIT = objectSchema({
+  limit: nullable('integer'),
+  maxLimit: { type: 'integer' },
+  strategy: { type: ['string', 'null'], enum: ['inject', 'lower', 'wrap', 'top', 'existing', null] },
+  truncated: { type: 'boolean' },
+}, ['limit', 'truncated']);
+
+export const RESULT_SOURCE = objectSchema({
+  type: { type: 'string' },
+  cardId: id,
+  databaseId: id,
+  dashboardId: id,
+}, ['type']);
+
+export const QUERY_JOB = objectSchema({
+  jobId: { type: 'string' },
+  status: { type: 'string', enum: ['running', 'completed', 'failed', 'cancelled'] },
+  source: RESULT_SOURCE,
+  startedAt: { type: 'string' },
+  finishedAt: timestamp,
+  elapsedMs: { type: 'integer' },
+  error: {
+    type: ['object', 'null'],
+    properties: {
+      code: { type: 'string' },
+      message: { type: 'string' },
+    },
+  },
+}, ['jobId', 'status', 'source', 'elapsedMs']);
+
+export const DASHBOARD_FILTER = objectSchema({
+  id: { type: 'string' },
+  slug: nullable('string'),
+  type: nullable('string'),
+  value: {},
+  source: { type: 'string', enum: ['input', 'default'] },
+}, ['id', 'value', 'source']);
+
+export const DASHBOARD_CARD_RESULT = objectSchema({
+  dashcardId: id,
+  cardId: id,
+  cardName: nullable('string'),
+  appliedFilters: { type: 'array', items: { type: 'string' } },
+  series: {
+    type: 'array',
+    items: objectSchema({ cardId: id, cardName: nullable('string') }, ['cardId']),
+  },
+  result: { anyOf: [RESULT_SET, { type: 'null' }] },
+  error: {
+    type: ['object', 'null'],
+    properties: {
+      code: { type: 'string' },
+      message: { type: 'string' },
+    },
+  },
+}, ['dashcardId', 'cardId', 'result', 'error']);
+
+export const COMPARE_SIDE = objectSchema({
+  ...RESULT_SOURCE.properties,
+  instance: nullable('string'),
+  rowLimit: { anyOf: [ROW_LIMIT, { type: 'null' }] },
+}, ['type']);
+
+export const COMPARE_COLUMN = objectSchema({
+  column: { type: 'string' },
+  changedRows: { type: 'integer' },
+  withinTolerance: { type: 'integer' },
+  maxAbsDelta: nullable('number'),
+  sumDelta: nullable('number'),
+}, ['column', 'changedRows']);
+
+export const SEARCH_HIT = objectSchema({
+  rank: { type: 'integer' },
+  model: { type: 'string' },
+  id: { type: ['integer', 'string'] },
+  name: { type: 'string' },
+  description: nullable('string'),
+  collectionId: { type: ['integer', 'string', 'null'] },
+  collectionPath: nullable('string'),
+  databaseId: nullable('integer'),
+  tableId: nullable('integer'),
+  archived: { type: 'boolean' },
+  createdBy: nullable('string'),
+  updatedAt: timestamp,
+}, ['rank', 'model', 'id', 'name']);
+
+export const INDEX_HIT = objectSchema({
+  rank: { type: 'integer' },
+  score: { type: 'number' },
+  model: { type: 'string' },
+  id,
+  name: { type: 'string' },
+  description: nullable('string'),
+  collectionId: nullable('integer'),
+  collectionPath: nullable('string'),
+  databaseId: nullable('integer'),
+  updatedAt: timestamp,
+  matchedFields: { type: 'array', items: { type: 'string' } },
+  snippet: nullable('string'),
+}, ['rank', 'score', 'model', 'id', 'name', 'matchedFields']);
+
+export const LINEAGE_TABLE = objectSchema({
+  id,
+  schema: nullable('string'),
+  name: nullable('string'),
+  displayName: nullable('string'),
+  allColumns: { type: 'boolean' },
+  viaCardId: nullable('integer'),
+}, ['id', 'allColumns', 'viaCardId']);
+
+export const LINEAGE_FIELD = objectSchema({
+  id,
+  name: nullable('string'),
+  tableId: nullable('integer'),
+  table: nullable('string'),
+  viaCardId: nullable('integer'),
+}, ['id', 'viaCardId']);
+
+// Owner and usage of an affected card or dashboard (null where Metabase does not report them)
+const IMPACT_ACTIVITY = {
+  owner: {
+    type: ['object', 'null'],
+    properties: { id: nullable('integer'), name: nullable('string'), email: nullable('string') },
+  },
+  lastViewedAt: timestamp,
+  viewCount: nullable('integer'),
+};
+
+export const DASHBOARD_SUMMARY = objectSchema({
+  id,
+  name: { type: 'string' },
+  description: nullable('string'),
+  collectionId: { type: ['integer', 'string', 'null'] },
+}, ['id', 'name']);
+
+export const DASHBOARD_PARAMETER = objectSchema({
+  id: { type: 'string' },
+  name: nullable('string'),
+  slug: nullable('string'),
+  type: nullable('string'),
+  default: {},
+}, ['id']);
+
+export const DASHCARD = objectSchema({
+  dashcardId: nullable('integer'),
+  cardId: nullable('integer'),
+  cardName: nullable('string'),
+  row: nullable('integer'),
+  col: nullable('integer'),
+  sizeX: nullable('integer'),
+  sizeY: nullable('integer'),
+});
+
+export const DASHBOARD = objectSchema({
+  ...DASHBOARD_SUMMARY.properties,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  parameters: { type: 'array', items: DASHBOARD_PARAMETER },
+  cards: { type: 'array', items: DASHCARD },
+}, ['id', 'name', 'cards']);
+
+export const DATABASE = objectSchema({
+  id,
+  name: { type: 'string' },
+  engine: nullable('string'),
+  description: nullable('string'),
+  createdAt: timestamp,
+  updatedAt: timestamp,
+}, ['id', 'name']);
+
+export const TABLE_SUMMARY = objectSchema({
+  id,
+  name: { type: 'string' },
+  schema: nullable('string'),
+  fieldCount: { type: 'integer' },
+}, ['id', 'name']);
+
+export const FIELD = objectSchema({
+  id,
+  name: { type: 'string' },
+  displayName: nullable('string'),
+  baseType: nullable('string'),
+  semanticType: nullable('string'),
+  description: nullable('string'),
+  tableId: nullable('integer'),
+  tableName: nullable('string'),
+}, ['id', 'name']);
+
+export const TABLE = objectSchema({
+  id,
+  name: { type: 'string' },
+  schema: nullable('string'),
+  databaseId: nullable('integer'),
+  databaseName: nullable('string'),
+  fields: { type: 'array', items: FIELD },
+}, ['id', 'name', 'fields']);
+
+export const COLLECTION = objectSchema({
+  id: { type: ['integer', 'string'] },
+  name: { type: 'string' },
+  description: nullable('string'),
+}, ['id', 'name']);
+
+export const COLLECTION_ITEM = objectSchema({
+  id: { type: ['integer', 'string'] },
+  model: { type: 'string' },
+  name: { type: 'string' },
+  description: nullable('string'),
+}, ['id', 'model', 'name']);
+
+export const SEGMENT_OR_METRIC = objectSchema({
+  id,
+  name: { type: 'string' },
+  description: nullable('string'),
+  tableId: nullable('integer'),
+  tableName: nullable('string'),
+}, ['id', 'name']);
+
+export const USER = objectSchema({
+  id,
+  name: nullable('string'),
+  email: nullable('string'),
+  isAdmin: { type: 'boolean' },
+}, ['id']);
+
+export const ACTIVITY = objectSchema({
+  timestamp,
+  user: nullable('string'),
+  topic: nullable('string'),
+  details: {},
+});
+
+export const INSTANCE = objectSchema({
+  name: { type: 'string' },
+  url: { type: 'string' },
+  description: nullable('string'),
+  authMethod: { type: 'string' },
+  timeoutMs: { type: 'integer' },
+  isDefault: { type: 'boolean' },
+}, ['name', 'url', 'isDefault']);
+
+export const EXPORT_RESULT = objectSchema({
+  path: { type: 'string' },
+  format: { type: 'string' },
+  rowCount: nullable('integer'),
+  bytes: { type: 'integer' },
+  contentType: nullable('string'),
+  source: RESULT_SOURCE,
+}, ['path', 'format', 'bytes']);
+
+// ========== TOOL OUTPUT SCHEMAS ==========
+
+export const OUTPUT_SCHEMAS = {
+  get_card: objectSchema({ card: CARD }, ['card']),
+  list_cards: listSchema('cards', CARD_SUMMARY, {
+    filter: { type: 'string' },
+    total: { type: 'integer' },
+    truncated: { type: 'boolean' },
+  }),
+  execute_card_query: objectSchema({ cardId: id, profile: RESULT_PROFILE, result: RESULT_SET }, ['cardId', 'result']),
+  execute_query_builder_card: objectSchema({
+    cardId: id,
+    parameters: { type: 'object' },
+    result: RESULT_SET,
+  }, ['cardId', 'result']),
+  get_generated_sql: objectSchema({
+    cardId: id,
+    cardName: { type: 'string' },
+    parameters: { type: 'object' },
+    sql: nullable('string'),
+  }, ['cardId', 'sql']),
+
+  get_dashboard: objectSchema({ dashboard: DASHBOARD }, ['dashboard']),
+  list_dashboards: listSchema('dashboards', DASHBOARD_SUMMARY, {
+    total: { type: 'integer' },
+    truncated: { type: 'boolean' },
+  }),
+  execute_dashboard: objectSchema({
+    dashboardId: id,
+    name: { type: 'string' },
+    filters: { type: 'array', items: DASHBOARD_FILTER },
+    unusedFilters: { type: 'array', items: { type: 'string' } },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    cards: { type: 'array', items: DASHBOARD_CARD_RESULT },
+  }, ['dashboardId', 'filters', 'cards']),
+  get_card_with_parameters: objectSchema({
+    originalCardId: id,
+    cardName: { type: 'string' },
+    description: nullable('string'),
+    databaseId: nullable('integer'),
+    queryType: nullable('string'),
+    display: nullable('string'),
+    parameters: { type: 'object' },
+    datasetQuery: nullable('object'),
+    visualizationSettings: nullable('object'),
+  }, ['originalCardId']),
+
+  get_database: objectSchema({ database: DATABASE }, ['database']),
+  list_databases: listSchema('databases', DATABASE),
+  get_database_metadata: objectSchema({
+    database: DATABASE,
+    tables: { type: 'array', items: TABLE_SUMMARY },
+  }, ['database', 'tables']),
+  list_database_tables: listSchema('tables', TABLE_SUMMARY, { databaseId: id }),
+  get_table_metadata: objectSchema({ table: TABLE }, ['table']),
+
+  search: listSchema('hits', SEARCH_HIT, {
+    query: nullable('string'),
+    total: { type: 'integer' },
+    offset: { type: 'integer' },
+    limit: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextOffset: nullable('integer'),
+  }),
+
+  search_index: listSchema('hits', INDEX_HIT, {
+    query: { type: 'string' },
+    total: { type: 'integer' },
+    offset: { type: 'integer' },
+    limit: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextOffset: nullable('integer'),
+    index: objectSchema({
+      documents: { type: 'integer' },
+      refreshedAt: timestamp,
+      refreshed: { type: 'boolean' },
+    }, ['documents', 'refreshed']),
+  }),
+
+  reindex: objectSchema({
+    full: { type: 'boolean' },
+    added: { type: 'integer' },
+    updated: { type: 'integer' },
+    removed: { type: 'integer' },
+    unchanged: { type: 'integer' },
+    documents: { type: 'integer' },
+    durationMs: { type: 'integer' },
+    refreshedAt: timestamp,
+    counts: { type: 'object', additionalProperties: { type: 'integer' } },
+    file: { type: 'string' },
+  }, ['full', 'added', 'updated', 'removed', 'unchanged', 'documents']),
+
+  list_collections: listSchema('collections', COLLECTION),
+  get_collection_items: listSchema('items', COLLECTION_ITEM, {
+    collectionId: { type: ['integer', 'string'] },
+  }),
+
+  execute_native_query: objectSchema({
+    databaseId: id,
+    query: { type: 'string' },
+    rowLimit: ROW_LIMIT,
+    profile: RESULT_PROFILE,
+    result: RESULT_SET,
+  }, ['databaseId', 'result']),
+  fetch_result_page: objectSchema({
+    resultId: { type: 'string' },
+    source: RESULT_SOURCE,
+    result: RESULT_SET,
+  }, ['resultId', 'result']),
+  summarize_result: objectSchema({
+    resultId: { type: 'string' },
+    source: RESULT_SOURCE,
+    profile: RESULT_PROFILE,
+  }, ['resultId', 'profile']),
+  compare_results: objectSchema({
+    left: COMPARE_SIDE,
+    right: COMPARE_SIDE,
+    keys: { type: 'array', items: { type: 'string' } },
+    identical: { type: 'boolean' },
+    summary: objectSchema({
+      leftRows: { type: 'integer' },
+      rightRows: { type: 'integer' },
+      matched: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      changed: { type: 'integer' },
+      added: { type: 'integer' },
+      removed: { type: 'integer' },
+    }, ['leftRows', 'rightRows', 'changed', 'added', 'removed']),
+    schema: objectSchema({
+      leftOnly: { type: 'array', items: { type: 'string' } },
+      rightOnly: { type: 'array', items: { type: 'string' } },
+      typeChanges: {
+        type: 'array',
+        items: objectSchema({
+          column: { type: 'string' },
+          left: nullable('string'),
+          right: nullable('string'),
+        }, ['column']),
+      },
+    }, ['leftOnly', 'rightOnly', 'typeChanges']),
+    columns: { type: 'array', items: COMPARE_COLUMN },
+    warnings: { type: 'array', items: { type: 'string' } },
+    differences: RESULT_SET,
+  }, ['left', 'right', 'identical', 'summary', 'schema', 'differences']),
+
+  start_query: objectSchema({ job: QUERY_JOB }, ['job']),
+  get_query_status: objectSchema({ job: QUERY_JOB }, ['job']),
+  get_query_result: objectSchema({
+    job: QUERY_JOB,
+    rowLimit: ROW_LIMIT,
+    result: { anyOf: [RESULT_SET, { type: 'null' }] },
+  }, ['job', 'result']),
+  cancel_query: objectSchema({
+    job: QUERY_JOB,
+    cancelled: { type: 'boolean' },
+  }, ['job', 'cancelled']),
+
+  export_card_results: EXPORT_RESULT,
+  export_query_results: EXPORT_RESULT,
+
+  get_field: objectSchema({ field: FIELD }, ['field']),
+  get_field_values: objectSchema({
+    fieldId: id,
+    total: { type: 'integer' },
+    values: { type: 'array' },
+    truncated: { type: 'boolean' },
+  }, ['fieldId', 'values']),
+
+  find_fields: listSchema('fields', objectSchema({
+    databaseId: id,
+    databaseName: nullable('string'),
+    schema: nullable('string'),
+    tableId: id,
+    tableName: { type: 'string' },
+    fieldId: id,
+    name: { type: 'string' },
+    displayName: nullable('string'),
+    baseType: nullable('string'),
+    semanticType: nullable('string'),
+    description: nullable('string'),
+    matchedOn: { type: 'array', items: { type: 'string' } },
+    score: { type: 'number' },
+  }, ['databaseId', 'tableId', 'fieldId', 'name', 'matchedOn']), {
+    pattern: { type: 'string' },
+    mode: { type: 'string' },
+    total: { type: 'integer' },
+    offset: { type: 'integer' },
+    limit: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextOffset: nullable('integer'),
+    databases: objectSchema({
+      searched: { type: 'integer' },
+      failed: { type: 'array', items: objectSchema({ id, error: { type: 'string' } }, ['id']) },
+    }),
+  }),
+
+  get_card_lineage: objectSchema({
+    cardId: id,
+    cardName: { type: 'string' },
+    databaseId: nullable('integer'),
+    queryType: nullable('string'),
+    tables: { type: 'array', items: LINEAGE_TABLE },
+    fields: { type: 'array', items: LINEAGE_FIELD },
+    sourceCards: {
+      type: 'array',
+      items: objectSchema({ id, name: { type: 'string' }, viaCardId: nullable('integer') }, ['id']),
+    },
+    ctes: { type: 'array', items: { type: 'string' } },
+    unresolved: objectSchema({
+      tables: { type: 'array', items: { type: 'string' } },
+      columns: { type: 'array', items: { type: 'string' } },
+    }, ['tables', 'columns']),
+    warnings: { type: 'array', items: { type: 'string' } },
+  }, ['cardId', 'tables', 'fields', 'sourceCards', 'unresolved', 'warnings']),
+  find_cards_using: listSchema('cards', objectSchema({
+    id,
+    name: { type: 'string' },
+    type: { type: 'string' },
+    collectionId: nullable('integer'),
+    databaseId: nullable('integer'),
+    queryType: nullable('string'),
+    usage: { type: 'string', enum: ['table', 'column', 'all columns'] },
+    direct: { type: 'boolean' },
+    viaCardIds: { type: 'array', items: { type: 'integer' } },
+    columns: { type: 'array', items: nullable('string') },
+  }, ['id', 'name', 'usage', 'direct', 'viaCardIds']), {
+    target: objectSchema({
+      tableId: id,
+      fieldId: nullable('integer'),
+      databaseId: nullable('integer'),
+      name: { type: 'string' },
+    }, ['tableId', 'fieldId', 'name']),
+    scanned: { type: 'integer' },
+    incomplete: { type: 'array', items: { type: 'integer' } },
+  }),
+
+  impact_analysis: listSchema('collections', objectSchema({
+    id: nullable('integer'),
+    path: nullable('string'),
+    cards: {
+      type: 'array',
+      items: objectSchema({
+        id,
+        name: { type: 'string' },
+        type: { type: 'string' },
+        usage: { type: 'string', enum: ['table', 'column', 'all columns'] },
+        direct: { type: 'boolean' },
+        viaCardIds: { type: 'array', items: { type: 'integer' } },
+        columns: { type: 'array', items: nullable('string') },
+        collectionId: nullable('integer'),
+        ...IMPACT_ACTIVITY,
+      }, ['id', 'name', 'usage', 'direct']),
+    },
+    dashboards: {
+      type: 'array',
+      items: objectSchema({
+        id,
+        name: { type: 'string' },
+        collectionId: nullable('integer'),
+        cardIds: { type: 'array', items: { type: 'integer' } },
+        filters: {
+          type: 'array',
+          items: objectSchema({
+            id: { type: 'string' },
+            name: { type: 'string' },
+            reasons: { type: 'array', items: { type: 'string' } },
+          }, ['id', 'reasons']),
+        },
+        ...IMPACT_ACTIVITY,
+      }, ['id', 'name', 'cardIds', 'filters']),
+    },
+  }, ['id', 'path', 'cards', 'dashboards']), {
+    target: objectSchema({
+      databaseId: nullable('integer'),
+      tableId: nullable('integer'),
+      fieldId: nullable('integer'),
+      name: { type: 'string' },
+    }, ['name']),
+    scanned: objectSchema({ cards: { type: 'integer' }, dashboards: { type: 'integer' } }),
+    summary: objectSchema({
+      cards: { type: 'integer' },
+      models: { type: 'integer' },
+      dashboards: { type: 'integer' },
+      filters: { type: 'integer' },
+    }),
+    incomplete: objectSchema({
+      cards: { type: 'array', items: { type: 'integer' } },
+      dashboards: { type: 'array', items: { type: 'integer' } },
+    }),
+  }),
+
+  list_segments: listSchema('segments', SEGMENT_OR_METRIC),
+  list_metrics: listSchema('metrics', SEGMENT_OR_METRIC, { available: { type: 'boolean' } }),
+
+  get_activity: listSchema('activity', ACTIVITY, { available: { type: 'boolean' } }),
+  get_current_user: objectSchema({ user: USER }, ['user']),
+  list_users: listSchema('users', USER),
+
+  list_instances: listSchema('instances', INSTANCE, { defaultInstance: { type: 'string' } }),
+
+  clear_cache: objectSchema({
+    enabled: { type: 'boolean' },
+    cleared: { type: 'integer' },
+    pattern: nullable('string'),
+    stats: { type: 'object' },
+  }, ['enabled', 'cleared']),
+};
@@ -0,0 +1,44 @@
+/**
+ * Prompt definitions for the MCP server
+ * Each prompt turns one of the recommended workflows into a ready-to-use
+ * conversation starter, filled with live metadata from Metabase.
+ */
+
+export const PROMPT_DEFINITIONS = [
+  {
+    name: 'analyze_card',
+    title: 'Analyze a card',
+    description: 'Explain what a saved card/question computes, which data it reads and how to run it, starting from its live definition',
+    arguments: [
+      {
+        name: 'cardId',
+        description: 'The ID of the card/question to analyze (visible in /question/[ID] URLs)',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: 'explore_database',
+    title: 'Explore a database',
+    description: 'Give an overview of a database schema and suggest where to look for specific data, starting from its live table list',
+    arguments: [
+      {
+        name: 'databaseId',
+        description: 'The ID of the database to explore (see list_databases)',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: 'explain_dashboard',
+    title: 'Explain a dashboard',
+    description: 'Explain what a dashboard shows and how its cards are built, starting from its live layout and card definitions',
+    arguments: [
+      {
+        name: 'dashboardId',
+        description: 'The ID of the dashboard to explain (visible in /dashboard/[ID] URLs)',
+        required: true,
+      },
+    ],
+  },
+];
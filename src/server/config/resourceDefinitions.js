@@ -0,0 +1,61 @@
+/**
+ * Resource templates for the MCP server
+ * Each template maps a `metabase://` URI onto an existing read-only handler
+ */
+
+export const RESOURCE_URI_SCHEME = 'metabase';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'metabase://card/{id}',
+    name: 'card',
+    title: 'Metabase card',
+    description: 'A saved question/card with its metadata and SQL or query builder definition',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'metabase://dashboard/{id}',
+    name: 'dashboard',
+    title: 'Metabase dashboard',
+    description: 'A dashboard with the list of cards it contains',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'metabase://table/{id}',
+    name: 'table',
+    title: 'Metabase table schema',
+    description: 'A table with all of its fields, types and descriptions',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'metabase://database/{id}',
+    name: 'database',
+    title: 'Metabase database',
+    description: 'A database connection: name, engine and description',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'metabase://database/{id}/metadata',
+    name: 'database_metadata',
+    title: 'Metabase database schema',
+    description: 'Every table of a database with its schema and number of fields',
+    mimeType: 'text/plain',
+  },
+  {
+    uriTemplate: 'metabase://collection/{id}',
+    name: 'collection',
+    title: 'Metabase collection',
+    description: 'The items (cards, models, dashboards) in a collection. Use "root" for the root collection',
+    mimeType: 'text/plain',
+  },
+];
+
+/**
+ * Collection item models that are exposed as resources, mapped to their URI type
+ */
+export const RESOURCE_ITEM_MODELS = {
+  card: 'card',
+  dataset: 'card',
+  metric: 'card',
+  dashboard: 'dashboard',
+};
@@ -0,0 +1,24 @@
+/**
+ * Default retry policy for Metabase API requests
+ * Only idempotent methods are retried unless `retryNonIdempotent` is set:
+ * re-sending a POST to /api/dataset would run the query twice.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  // Retries after the first attempt (0 disables retrying)
+  retries: 3,
+  // Backoff before retry n is a random delay in [0, min(maxDelay, baseDelay * 2^n)]
+  baseDelay: 300,
+  maxDelay: 10000,
+  // Retry-After values above this are not waited for; the error is returned instead
+  maxRetryAfter: 60000,
+  retryNonIdempotent: false,
+};
+
+export const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Statuses worth retrying: the request was not processed or Metabase is overloaded
+export const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+// Statuses that count as Metabase being down for the circuit breaker
+export const UNAVAILABLE_STATUSES = new Set([502, 503, 504]);
@@ -0,0 +1,75 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Handlers for the API response cache
+ */
+export class CacheHandlers {
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this.logger = logger.child('CacheHandlers');
+  }
+
+  /**
+   * Clear this instance's cached API responses (the cache is shared by every instance)
+   * @param {string} [pattern] - Only clear endpoints containing this text (or matching it as a /regex/)
+   */
+  async clearCache(pattern = null) {
+    const cache = this.apiClient.cache;
+
+    if (!cache) {
+      return {
+        content: [{ type: 'text', text: 'Response cache is disabled, nothing to clear' }],
+        structuredContent: { enabled: false, cleared: 0, pattern: pattern ?? null },
+      };
+    }
+
+    this.logger.debug('Clearing cache', { pattern });
+    const matcher = this.toMatcher(pattern);
+    const cleared = await cache.clear((key) => {
+      const endpoint = this.apiClient.cacheEndpoint(key);
+      if (endpoint === null) return false;
+      if (!matcher) return true;
+      return matcher instanceof RegExp ? matcher.test(endpoint) : endpoint.includes(matcher);
+    });
+    const stats = cache.getStats();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Cleared ${cleared} cached response(s)${pattern ? ` matching ${pattern}` : ''}.
+Remaining entries (all instances): ${stats.entries} (${(stats.bytes / 1024).toFixed(1)} KB)
+Hits: ${stats.hits} | Misses: ${stats.misses} | Revalidated: ${stats.revalidated}`,
+        },
+      ],
+      structuredContent: {
+        enabled: true,
+        cleared,
+        pattern: pattern ?? null,
+        stats,
+      },
+    };
+  }
+
+  /**
+   * Turn the tool argument into a cache matcher.
+   * "/.../" is a regular expression, anything else a substring of the endpoint.
+   */
+  toMatcher(pattern) {
+    if (!pattern) {
+      return null;
+    }
+
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regex) {
+      return pattern;
+    }
+
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new ValidationError(`Invalid regular expression: ${error.message}`, 'pattern', pattern);
+    }
+  }
+}
@@ -1,12 +1,23 @@
 import { Validators } from '../../shared/utils/validators.js';
 import { logger } from '../../shared/utils/logger.js';
+import { TemplateTags } from '../../shared/utils/templateTags.js';
+import { Mappers } from '../utils/mappers.js';
+import { ResultPresenter } from '../utils/resultPresenter.js';
+import { ResultProfiler } from '../utils/resultProfiler.js';
+import { ResultStore } from '../utils/resultStore.js';
 
 /**
  * Handlers for card-related operations
  */
 export class CardHandlers {
-  constructor(apiClient) {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {ResultPresenter} [options.resultPresenter] - Pages query results (shared across handlers)
+   */
+  constructor(apiClient, options = {}) {
     this.apiClient = apiClient;
+    this.resultPresenter = options.resultPresenter || new ResultPresenter(new ResultStore());
     this.logger = logger.child('CardHandlers');
   }
 
@@ -33,9 +44,15 @@ export class CardHandlers {
       updatedAt: card.updated_at,
     };
 
+    const templateTags = TemplateTags.list(card);
     let queryDetails = '';
     if (card.dataset_query?.type === 'native') {
       queryDetails = `SQL Query:\n${sqlQuery}`;
+      if (templateTags.length > 0) {
+        queryDetails += `\n\nParameters (template tags):\n${templateTags.map(tag =>
+          `- ${tag.name} (${tag['widget-type'] || tag.type})${tag.required ? ' required' : ''}${tag.default !== undefined && tag.default !== null ? ` default: ${JSON.stringify(tag.default)}` : ''}`
+        ).join('\n')}`;
+      }
     } else if (card.dataset_query?.type === 'query' && queryBuilder) {
       queryDetails = `Query Builder Structure:\n${queryBuilder}`;
     } else {
@@ -58,6 +75,9 @@ Updated: ${cardInfo.updatedAt}
 ${queryDetails}`,
         },
       ],
+      structuredContent: {
+        card: Mappers.card(card),
+      },
     };
   }
 
@@ -75,14 +95,7 @@ ${queryDetails}`,
     const response = await this.apiClient.makeRequest(`/api/card/?${params}`);
     const cards = Array.isArray(response) ? response : response.data || [];
     
-    const cardList = cards.map(card => ({
-      id: card.id,
-      name: card.name,
-      description: card.description,
-      databaseId: card.dataset_query?.database,
-      queryType: card.dataset_query?.type,
-      createdAt: card.created_at,
-    }));
+    const cardList = cards.map(Mappers.cardSummary);
 
     return {
       content: [
@@ -94,41 +107,91 @@ ${cardList.slice(0, 50).map(card =>
 ).join('\n')}${cardList.length > 50 ? `\n... and ${cardList.length - 50} more cards` : ''}`,
         },
       ],
+      structuredContent: {
+        filter,
+        total: cardList.length,
+        truncated: cardList.length > 50,
+        cards: cardList.slice(0, 50),
+      },
     };
   }
 
   /**
    * Execute a card query
+   * @param {number} cardId - Card to run
+   * @param {Object} [parameters] - Template tag values by tag name (e.g. `{ start_date: "2024-01-01" }`)
+   * @param {Object} [page] - Page budgets (`maxRows`, `maxChars`) and text `format` for the first page of results,
+   *   and `summarize` to add per-column statistics of the returned rows
    */
-  async executeCardQuery(cardId, parameters = {}) {
-    Validators.validateCardId(cardId);
-    
-    this.logger.debug('Executing card query', { cardId, parameters });
-    
-    const queryParams = new URLSearchParams();
-    Object.entries(parameters).forEach(([key, value]) => {
-      queryParams.append(key, value);
-    });
-
-    const results = await this.apiClient.makeRequest(`/api/card/${cardId}/query?${queryParams}`, {
-      method: 'POST',
+  async executeCardQuery(cardId, parameters = {}, page = {}) {
+    const prepared = await this.prepareCardQuery(cardId, parameters);
+    const results = await this.runCardQuery(prepared);
+    const { summarize, format, ...budgets } = page;
+    const result = this.resultPresenter.present(results, {
+      ...budgets,
+      source: { type: 'card', cardId },
     });
+    const profile = summarize ? ResultProfiler.profile(Mappers.resultSet(results)) : null;
+    const applied = prepared.parameters.map(p => `${p.target[1][1]}=${JSON.stringify(p.value)}`).join(', ');
     
     return {
       content: [
         {
           type: 'text',
-          text: `Query Results for Card ${cardId}:
-${JSON.stringify(results, null, 2)}`,
+          text: `Query Results for Card ${cardId}:${applied ? `\nParameters: ${applied}` : ''}
+${profile ? `
+Summary:
+${ResultProfiler.formatText(profile)}
+
+Results:
+` : ''}${this.resultPresenter.formatText(result, { format })}`,
         },
       ],
+      structuredContent: {
+        cardId,
+        ...(profile ? { profile } : {}),
+        result,
+      },
     };
   }
 
+  /**
+   * Validate card parameters against the card's template tags
+   * @param {number} cardId - Card to run
+   * @param {Object} [parameters] - Template tag values by tag name
+   * @returns {Promise<{cardId: number, parameters: Object[]}>} Prepared query for runCardQuery
+   * @throws {ValidationError} For unknown tags, missing required tags or badly typed values
+   */
+  async prepareCardQuery(cardId, parameters = {}) {
+    Validators.validateCardId(cardId);
+
+    const card = await this.apiClient.makeRequest(`/api/card/${cardId}`);
+    return { cardId, parameters: TemplateTags.toParameters(card, parameters) };
+  }
+
+  /**
+   * Run a prepared card query and return the raw Metabase response
+   * @param {Object} prepared - Result of prepareCardQuery
+   * @param {Object} [options] - Request options (`signal`, `timeout`)
+   */
+  async runCardQuery({ cardId, parameters }, { signal, timeout } = {}) {
+    this.logger.debug('Executing card query', { cardId, parameters });
+
+    return this.apiClient.makeRequest(`/api/card/${cardId}/query`, {
+      method: 'POST',
+      body: JSON.stringify({ parameters }),
+      signal,
+      timeout,
+    });
+  }
+
   /**
    * Execute a query builder card with specific parameters
+   * @param {number} cardId - Query-builder card to run
+   * @param {Object} parameters - Filters, aggregations and breakouts merged into the card's query
+   * @param {Object} [page] - Page budgets (`maxRows`, `maxChars`) and text `format` for the first page of results
    */
-  async executeQueryBuilderCard(cardId, parameters) {
+  async executeQueryBuilderCard(cardId, parameters, page = {}) {
     Validators.validateCardId(cardId);
     
     this.logger.debug('Executing query builder card', { cardId, parameters });
@@ -160,6 +223,11 @@ ${JSON.stringify(results, null, 2)}`,
       method: 'POST',
       body: JSON.stringify(body),
     });
+    const { format, ...budgets } = page;
+    const result = this.resultPresenter.present(results, {
+      ...budgets,
+      source: { type: 'query', cardId },
+    });
     
     return {
       content: [
@@ -171,9 +239,14 @@ Parameters Applied:
 ${JSON.stringify(parameters, null, 2)}
 
 Results:
-${JSON.stringify(results, null, 2)}`,
+${this.resultPresenter.formatText(result, { format })}`,
         },
       ],
+      structuredContent: {
+        cardId,
+        parameters: parameters || {},
+        result,
+      },
     };
   }
 
@@ -214,7 +287,11 @@ ${JSON.stringify(results, null, 2)}`,
     });
     
     // Extract SQL if available
-    const sql = results.query || results.native?.query || 'SQL not available in response';
+    const generatedSql = results.data?.native_form?.query
+      || (typeof results.query === 'string' ? results.query : null)
+      || results.native?.query
+      || null;
+    const sql = generatedSql || 'SQL not available in response';
     
     return {
       content: [
@@ -234,6 +311,12 @@ Full Query Response:
 ${JSON.stringify(results, null, 2)}`,
         },
       ],
+      structuredContent: {
+        cardId,
+        cardName: baseCard.name,
+        parameters: parameters || {},
+        sql: generatedSql,
+      },
     };
   }
 }
@@ -1,5 +1,6 @@
 import { Validators } from '../../shared/utils/validators.js';
 import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
 
 /**
  * Handlers for collection-related operations
@@ -29,6 +30,9 @@ ${collections.map(c =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        collections: collections.map(Mappers.collection),
+      },
     };
   }
 
@@ -40,8 +44,7 @@ ${collections.map(c =>
     
     this.logger.debug('Getting collection items', { collectionId, models });
     
-    const params = models && models.length > 0 ? new URLSearchParams({ models: models.join(',') }) : '';
-    const items = await this.apiClient.makeRequest(`/api/collection/${collectionId}/items${params ? '?' + params : ''}`);
+    const items = await this.fetchCollectionItems(collectionId, models);
     
     return {
       content: [
@@ -55,7 +58,21 @@ ${(items.data || []).map(item =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        collectionId,
+        items: (items.data || []).map(Mappers.collectionItem),
+      },
     };
   }
-}
 
+  /**
+   * Fetch the raw items of a collection
+   * @param {string|number} collectionId - Collection ID or "root"
+   * @param {string[]|null} models - Optional item types to include
+   * @returns {Promise<Object>} Metabase response with a `data` array of items
+   */
+  async fetchCollectionItems(collectionId, models = null) {
+    const params = models && models.length > 0 ? new URLSearchParams({ models: models.join(',') }) : '';
+    return this.apiClient.makeRequest(`/api/collection/${collectionId}/items${params ? '?' + params : ''}`);
+  }
+}
@@ -0,0 +1,140 @@
+import { MetabaseError, ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
+import { ResultComparator } from '../utils/resultComparator.js';
+
+/**
+ * Handlers for comparing the results of two queries (cards or native SQL,
+ * possibly on different Metabase instances)
+ */
+export class CompareHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {ResultPresenter} options.resultPresenter - Stores and pages the full diff
+   * @param {Function} options.resolveHandlers - `(instanceName?) => handlers` of an instance; no name means this instance
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.resultPresenter = options.resultPresenter;
+    this.resolveHandlers = options.resolveHandlers;
+    this.logger = logger.child('CompareHandlers');
+  }
+
+  /**
+   * Run two queries and diff their results
+   * @param {Object} request - Comparison request
+   * @param {Object} request.left - `{ cardId, parameters }` or `{ databaseId, query, rowLimit }`, optionally with `instance`
+   * @param {Object} request.right - Same shape as `left`
+   * @param {string[]} [request.keys] - Columns that identify a row, unique on each side; rows are matched by position without them
+   * @param {Object} [request.tolerance] - `{ absolute, relative }` tolerance for numeric columns
+   * @param {Object} [request.columnTolerances] - Tolerances per column name
+   * @param {Object} [page] - Budgets (`maxRows`, `maxChars`) and text `format` for the differences included in the response
+   */
+  async compareResults({ left, right, keys = [], tolerance = {}, columnTolerances = {} } = {}, page = {}) {
+    this.validateSide(left, 'left');
+    this.validateSide(right, 'right');
+
+    this.logger.debug('Comparing results', { left: this.describeSide(left), right: this.describeSide(right), keys });
+    const [leftRun, rightRun] = await Promise.all([this.runSide(left, 'left'), this.runSide(right, 'right')]);
+
+    const comparison = new ResultComparator({ keys, tolerance, columnTolerances })
+      .compare(leftRun.resultSet, rightRun.resultSet);
+    const differences = this.resultPresenter.presentResultSet(comparison.diff, {
+      maxRows: page.maxRows ?? 20,
+      maxChars: page.maxChars,
+      source: { type: 'comparison' },
+    });
+
+    const warnings = [leftRun, rightRun]
+      .filter(run => run.rowLimit?.truncated)
+      .map(run => `The ${run.label} query was truncated at ${run.rowLimit.limit} rows; only those rows were compared. Pass rowLimit on that side to raise it.`);
+
+    const { summary, schema } = comparison;
+    const columns = comparison.columns.filter(c => c.changedRows > 0 || c.withinTolerance > 0);
+    const identical = summary.changed === 0 && summary.added === 0 && summary.removed === 0
+      && schema.leftOnly.length === 0 && schema.rightOnly.length === 0 && schema.typeChanges.length === 0;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Comparison: ${this.describeSide(left)} (left) vs ${this.describeSide(right)} (right)
+Aligned on: ${keys.length > 0 ? keys.join(', ') : 'row position'}
+Rows: left ${summary.leftRows}, right ${summary.rightRows} | matched ${summary.matched} (${summary.unchanged} unchanged, ${summary.changed} changed), added ${summary.added}, removed ${summary.removed}
+Schema: ${this.formatSchema(schema)}${columns.length > 0 ? `
+
+Changed columns:
+${columns.map(c => `- ${c.column}: ${c.changedRows} row(s) differ${c.maxAbsDelta !== null ? ` (max |delta| ${c.maxAbsDelta}, total delta ${c.sumDelta})` : ''}${c.withinTolerance > 0 ? `, ${c.withinTolerance} within tolerance` : ''}`).join('\n')}` : ''}${warnings.length > 0 ? `\n\n${warnings.map(w => `⚠️ ${w}`).join('\n')}` : ''}
+
+${identical ? 'The results match.' : `Differences (one row per changed cell, added row or removed row):
+${this.resultPresenter.formatText(differences, { format: page.format })}`}`,
+        },
+      ],
+      structuredContent: {
+        left: { ...leftRun.source, rowLimit: leftRun.rowLimit },
+        right: { ...rightRun.source, rowLimit: rightRun.rowLimit },
+        keys,
+        identical,
+        summary,
+        schema,
+        columns: comparison.columns,
+        warnings,
+        differences,
+      },
+    };
+  }
+
+  /**
+   * Run one side and return its mapped result set
+   * @throws {MetabaseError} QUERY_FAILED if Metabase reports the query as failed
+   */
+  async runSide(side, label) {
+    const handlers = this.resolveHandlers(side.instance);
+    const source = side.cardId !== undefined
+      ? { type: 'card', cardId: side.cardId, instance: side.instance ?? null }
+      : { type: 'native', databaseId: side.databaseId, instance: side.instance ?? null };
+
+    let results;
+    let rowLimit = null;
+    if (side.cardId !== undefined) {
+      const prepared = await handlers.cardHandlers.prepareCardQuery(side.cardId, side.parameters);
+      results = await handlers.cardHandlers.runCardQuery(prepared);
+    } else {
+      const prepared = await handlers.queryHandlers.prepareNativeQuery(side.databaseId, side.query, { rowLimit: side.rowLimit });
+      ({ results, rowLimit } = await handlers.queryHandlers.sendNativeQuery(prepared));
+    }
+
+    const resultSet = Mappers.resultSet(results);
+    if (resultSet.error || resultSet.status === 'failed') {
+      throw new MetabaseError(`The ${label} query failed: ${resultSet.error || 'unknown error'}`, 'QUERY_FAILED', { side: label });
+    }
+    return { label, source, rowLimit, resultSet };
+  }
+
+  /**
+   * @throws {ValidationError} Unless the side names exactly one of a card or a native query
+   */
+  validateSide(side, label) {
+    if (!side || typeof side !== 'object') {
+      throw new ValidationError(`${label} is required`, label, side);
+    }
+    if ((side.cardId !== undefined) === (side.query !== undefined)) {
+      throw new ValidationError(`${label} needs either cardId or databaseId and query`, label, side);
+    }
+  }
+
+  describeSide(side) {
+    const what = side.cardId !== undefined ? `card ${side.cardId}` : `native query on database ${side.databaseId}`;
+    return side.instance ? `${what} on instance "${side.instance}"` : what;
+  }
+
+  formatSchema(schema) {
+    const parts = [
+      schema.leftOnly.length > 0 ? `only in left: ${schema.leftOnly.join(', ')}` : null,
+      schema.rightOnly.length > 0 ? `only in right: ${schema.rightOnly.join(', ')}` : null,
+      ...schema.typeChanges.map(c => `${c.column} type ${c.left} -> ${c.right}`),
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join('; ') : 'same columns and types';
+  }
+}
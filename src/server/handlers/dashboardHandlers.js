@@ -1,13 +1,26 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
 import { Validators } from '../../shared/utils/validators.js';
 import { DashboardUrlDecoder } from '../../shared/utils/urlDecoder.js';
 import { logger } from '../../shared/utils/logger.js';
+import { mapWithConcurrency } from '../../shared/utils/concurrency.js';
+import { Mappers } from '../utils/mappers.js';
+import { ResultPresenter } from '../utils/resultPresenter.js';
+import { ResultStore } from '../utils/resultStore.js';
 
 /**
  * Handlers for dashboard-related operations
  */
 export class DashboardHandlers {
-  constructor(apiClient) {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {ResultPresenter} [options.resultPresenter] - Pages card results (shared across handlers)
+   * @param {number} [options.concurrency] - Cards run at once by executeDashboard
+   */
+  constructor(apiClient, options = {}) {
     this.apiClient = apiClient;
+    this.resultPresenter = options.resultPresenter || new ResultPresenter(new ResultStore());
+    this.concurrency = options.concurrency || 4;
     this.logger = logger.child('DashboardHandlers');
   }
 
@@ -43,6 +56,9 @@ Cards in Dashboard:
 ${cards.map(c => `- Card ${c.cardId}: ${c.cardName} (Row: ${c.row}, Col: ${c.col})`).join('\n')}`,
         },
       ],
+      structuredContent: {
+        dashboard: Mappers.dashboard(dashboard),
+      },
     };
   }
 
@@ -63,6 +79,11 @@ ${dashboards.slice(0, 50).map(d =>
 ).join('\n')}${dashboards.length > 50 ? `\n... and ${dashboards.length - 50} more dashboards` : ''}`,
         },
       ],
+      structuredContent: {
+        total: dashboards.length,
+        truncated: dashboards.length > 50,
+        dashboards: dashboards.slice(0, 50).map(Mappers.dashboardSummary),
+      },
     };
   }
 
@@ -99,7 +120,157 @@ Visualization Settings:
 ${JSON.stringify(decoded.visualizationSettings, null, 2)}`,
         },
       ],
+      structuredContent: {
+        originalCardId: decoded.originalCardId,
+        cardName: baseCard.name ?? '',
+        description: baseCard.description ?? null,
+        databaseId: baseCard.dataset_query?.database ?? null,
+        queryType: baseCard.dataset_query?.type ?? null,
+        display: decoded.display ?? null,
+        parameters: decoded.parameters,
+        datasetQuery: decoded.datasetQuery ?? null,
+        visualizationSettings: decoded.visualizationSettings ?? null,
+      },
     };
   }
-}
 
+  /**
+   * Run every card of a dashboard with dashboard filters applied
+   * @param {number} dashboardId - Dashboard to run
+   * @param {Object} [filters] - Filter values keyed by slug (name or ID also accepted)
+   * @param {Object} [page] - Budgets per card (`maxRows`, `maxChars`) and text `format`
+   */
+  async executeDashboard(dashboardId, filters = {}, page = {}) {
+    Validators.validateDashboardId(dashboardId);
+
+    this.logger.debug('Executing dashboard', { dashboardId, filters });
+    const dashboard = await this.apiClient.makeRequest(`/api/dashboard/${dashboardId}`);
+    const applied = this.resolveDashboardFilters(dashboard, filters);
+    const dashcards = (dashboard.dashcards || dashboard.ordered_cards || []).filter(dc => dc.card_id);
+
+    // Each card runs on its own: a failing card does not fail the dashboard
+    const cards = await mapWithConcurrency(dashcards, this.concurrency, async (dc) => {
+      const parameters = this.dashcardParameters(dc, applied);
+      const summary = {
+        dashcardId: dc.id,
+        cardId: dc.card_id,
+        cardName: dc.card?.name ?? null,
+        appliedFilters: [...new Set(parameters.map(p => applied.find(f => f.id === p.id).slug))],
+        // Cards combined into this one's visualization; they are not run
+        series: (dc.series || []).map(card => ({ cardId: card.id, cardName: card.name ?? null })),
+      };
+
+      try {
+        const results = await this.apiClient.makeRequest(
+          `/api/dashboard/${dashboardId}/dashcard/${dc.id}/card/${dc.card_id}/query`,
+          { method: 'POST', body: JSON.stringify({ parameters }) }
+        );
+        const result = this.resultPresenter.present(results, {
+          maxRows: page.maxRows ?? 20,
+          maxChars: page.maxChars ?? 4000,
+          source: { type: 'dashboard', dashboardId, cardId: dc.card_id },
+          // Only results with more pages are kept, so a large dashboard does not flush the store
+          keepComplete: false,
+        });
+        return { ...summary, result, error: null };
+      } catch (error) {
+        this.logger.warn('Dashboard card failed', { dashboardId, dashcardId: dc.id, error: error.message });
+        return { ...summary, result: null, error: { code: error.code ?? 'ERROR', message: error.message } };
+      }
+    });
+
+    // With more paged cards than the store holds, the first ones are already gone
+    for (const card of cards) {
+      if (card.result?.resultId && !this.resultPresenter.resultStore.get(card.result.resultId)) {
+        card.result.resultId = null;
+      }
+    }
+
+    const failed = cards.filter(card => card.error || card.result?.error).length;
+    const unusedFilters = applied
+      .filter(f => !cards.some(card => card.appliedFilters.includes(f.slug)))
+      .map(f => f.slug);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Dashboard ${dashboard.id}: ${dashboard.name}
+Filters: ${applied.length > 0 ? applied.map(f => `${f.slug}=${JSON.stringify(f.value)}${f.source === 'default' ? ' (default)' : ''}`).join(', ') : 'none'}${unusedFilters.length > 0 ? `\nNot connected to any card: ${unusedFilters.join(', ')}` : ''}
+Cards: ${cards.length} (${cards.length - failed} succeeded, ${failed} failed)
+
+${cards.map(card => `### Card ${card.cardId}: ${card.cardName ?? 'Untitled'}${card.appliedFilters.length > 0 ? ` [${card.appliedFilters.join(', ')}]` : ''}${card.series.length > 0 ? `\nAlso shows series (not run, use execute_card_query): ${card.series.map(c => `card ${c.cardId}${c.cardName ? ` (${c.cardName})` : ''}`).join(', ')}` : ''}
+${card.error ? `Error: ${card.error.message}` : this.resultPresenter.formatText(card.result, { format: page.format })}`).join('\n\n')}`,
+        },
+      ],
+      structuredContent: {
+        dashboardId: dashboard.id,
+        name: dashboard.name ?? '',
+        filters: applied,
+        unusedFilters,
+        succeeded: cards.length - failed,
+        failed,
+        cards,
+      },
+    };
+  }
+
+  /**
+   * Match filter input to dashboard parameters; parameters without input use their default
+   * @returns {Object[]} Applied filters: id, slug, type, value and whether it came from the input or the default
+   * @throws {ValidationError} For filters the dashboard does not have
+   */
+  resolveDashboardFilters(dashboard, filters = {}) {
+    const parameters = dashboard.parameters || [];
+    const byKey = (key) => {
+      const lower = key.toLowerCase();
+      return parameters.find(p => p.slug === key || p.id === key)
+        || parameters.find(p => p.slug?.toLowerCase() === lower || p.name?.toLowerCase() === lower);
+    };
+
+    const given = new Map();
+    const unknown = [];
+    for (const [key, value] of Object.entries(filters || {})) {
+      if (value === undefined || value === null) continue;
+      const parameter = byKey(key);
+      if (parameter) {
+        given.set(parameter.id, value);
+      } else {
+        unknown.push(key);
+      }
+    }
+
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown dashboard filter${unknown.length > 1 ? 's' : ''} ${unknown.map(k => `"${k}"`).join(', ')}. Available: ${parameters.map(p => p.slug).join(', ') || 'none'}`,
+        'filters',
+        filters
+      );
+    }
+
+    return parameters
+      .map(p => {
+        const fromInput = given.has(p.id);
+        const value = fromInput ? given.get(p.id) : p.default;
+        if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+          return null;
+        }
+        // Date filters take a single string ("past30days", "2024-01-01~2024-01-31"), others a list
+        const normalized = p.type?.startsWith('date/') || Array.isArray(value) ? value : [value];
+        return { id: p.id, slug: p.slug, type: p.type ?? null, value: normalized, source: fromInput ? 'input' : 'default' };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Parameters for one dashcard, following its parameter_mappings
+   */
+  dashcardParameters(dashcard, applied) {
+    return (dashcard.parameter_mappings || [])
+      .filter(mapping => mapping.card_id === undefined || mapping.card_id === dashcard.card_id)
+      .flatMap(mapping => {
+        const filter = applied.find(f => f.id === mapping.parameter_id);
+        return filter ? [{ id: filter.id, type: filter.type, value: filter.value, target: mapping.target }] : [];
+      });
+  }
+}
@@ -1,5 +1,6 @@
 import { Validators } from '../../shared/utils/validators.js';
 import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
 
 /**
  * Handlers for database-related operations
@@ -32,6 +33,9 @@ Created: ${database.created_at}
 Updated: ${database.updated_at}`,
         },
       ],
+      structuredContent: {
+        database: Mappers.database(database),
+      },
     };
   }
 
@@ -53,6 +57,9 @@ ${databases.map(db =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        databases: databases.map(Mappers.database),
+      },
     };
   }
 
@@ -65,12 +72,7 @@ ${databases.map(db =>
     this.logger.debug('Getting database metadata', { databaseId });
     const metadata = await this.apiClient.makeRequest(`/api/database/${databaseId}/metadata`);
     
-    const tables = metadata.tables?.map(t => ({
-      id: t.id,
-      name: t.name,
-      schema: t.schema,
-      fieldCount: t.fields?.length || 0,
-    })) || [];
+    const tables = metadata.tables?.map(Mappers.tableSummary) || [];
 
     return {
       content: [
@@ -87,6 +89,10 @@ ${tables.map(t =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        database: Mappers.database({ ...metadata, id: metadata.id ?? databaseId }),
+        tables,
+      },
     };
   }
 
@@ -111,6 +117,10 @@ ${tables.map(t =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        databaseId,
+        tables: tables.map(Mappers.tableSummary),
+      },
     };
   }
 
@@ -147,6 +157,9 @@ ${fields.map(f =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        table: Mappers.table(table),
+      },
     };
   }
 }
@@ -0,0 +1,180 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ApiError, ConfigurationError, ValidationError } from '../../shared/errors/MetabaseError.js';
+import { Validators } from '../../shared/utils/validators.js';
+import { logger } from '../../shared/utils/logger.js';
+import { EXPORT_FORMATS, buildExportFileName, countExportedRows } from '../utils/exportFiles.js';
+import { SqlGuard } from '../utils/sqlGuard.js';
+import { CardHandlers } from './cardHandlers.js';
+
+/**
+ * Handlers for exporting full query results to local files
+ */
+export class ExportHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {string} [options.exportDir] - Directory export files are written to
+   * @param {number} [options.timeout] - Timeout (ms) for an export, longer than regular requests
+   * @param {SqlGuard} [options.sqlGuard] - Rejects SQL that is not read-only
+   * @param {CardHandlers} [options.cardHandlers] - Checks card parameters against the card's template tags
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.exportDir = path.resolve(options.exportDir || path.join(os.tmpdir(), 'metabase-mcp-exports'));
+    this.timeout = options.timeout || 5 * 60 * 1000;
+    this.sqlGuard = options.sqlGuard || new SqlGuard(apiClient);
+    this.cardHandlers = options.cardHandlers || new CardHandlers(apiClient);
+    this.logger = logger.child('ExportHandlers');
+  }
+
+  /**
+   * Export the full results of a saved card
+   * @param {number} cardId - Card to export
+   * @param {string} format - csv, json or xlsx
+   * @param {Object} [parameters] - Template tag values by tag name, as for execute_card_query
+   * @param {string} [fileName] - File name inside the export directory
+   */
+  async exportCardResults(cardId, format = 'csv', parameters = {}, fileName = null) {
+    Validators.validateCardId(cardId);
+    this.validateFormat(format);
+    const prepared = await this.cardHandlers.prepareCardQuery(cardId, parameters);
+
+    this.logger.debug('Exporting card results', { cardId, format });
+
+    const body = new URLSearchParams({ parameters: JSON.stringify(prepared.parameters) });
+    return this.exportToFile(`/api/card/${cardId}/query/${format}`, body, format, {
+      fileName,
+      defaultName: `card-${cardId}`,
+      source: { type: 'card', cardId },
+    });
+  }
+
+  /**
+   * Export the full results of a native SQL query
+   * @param {number} databaseId - Database to query
+   * @param {string} query - SQL query
+   * @param {string} format - csv, json or xlsx
+   * @param {string} [fileName] - File name inside the export directory
+   */
+  async exportQueryResults(databaseId, query, format = 'csv', fileName = null) {
+    Validators.validateDatabaseId(databaseId);
+    Validators.validateQuery(query);
+    this.validateFormat(format);
+    await this.sqlGuard.assertReadOnly(databaseId, query);
+
+    this.logger.debug('Exporting query results', { databaseId, format, queryLength: query.length });
+
+    const body = new URLSearchParams({
+      query: JSON.stringify({ database: databaseId, type: 'native', native: { query } }),
+      visualization_settings: '{}',
+    });
+    return this.exportToFile(`/api/dataset/${format}`, body, format, {
+      fileName,
+      defaultName: `query-db${databaseId}`,
+      source: { type: 'native', databaseId },
+    });
+  }
+
+  /**
+   * Download an export endpoint into the export directory
+   */
+  async exportToFile(endpoint, body, format, { fileName, defaultName, source }) {
+    await this.prepareExportDir();
+    const filePath = path.join(
+      this.exportDir,
+      buildExportFileName(fileName || defaultName, format, !fileName)
+    );
+
+    // Export endpoints take form-encoded parameters, like Metabase's own download button
+    const download = await this.apiClient.download(endpoint, filePath, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+      timeout: this.timeout,
+    });
+
+    await this.assertNotErrorPayload(download, format, endpoint);
+    const rowCount = await countExportedRows(filePath, format);
+
+    this.logger.info('Results exported', { endpoint, path: filePath, bytes: download.bytes, rowCount });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Export complete:
+File: ${filePath}
+Format: ${format}
+Rows: ${rowCount ?? 'not counted for xlsx'}
+Size: ${(download.bytes / 1024).toFixed(1)} KB`,
+        },
+      ],
+      structuredContent: {
+        path: filePath,
+        format,
+        rowCount,
+        bytes: download.bytes,
+        contentType: download.contentType,
+        source,
+      },
+    };
+  }
+
+  /**
+   * Create the export directory, readable by the owner only. The default lives
+   * in the shared temp directory, so refuse one that another user created or
+   * replaced with a symlink.
+   * @throws {ConfigurationError} If the directory is not ours
+   */
+  async prepareExportDir() {
+    await fs.mkdir(this.exportDir, { recursive: true, mode: 0o700 });
+
+    const info = await fs.lstat(this.exportDir);
+    if (!info.isDirectory() || (process.getuid && info.uid !== process.getuid())) {
+      throw new ConfigurationError(
+        `Export directory ${this.exportDir} is not a directory owned by the current user`,
+        'EXPORT_DIR'
+      );
+    }
+  }
+
+  /**
+   * A failed export can still come back with a success status and a JSON error body.
+   * Detect it, remove the file and raise the error instead.
+   */
+  async assertNotErrorPayload(download, format, endpoint) {
+    const isJson = download.contentType?.includes('application/json');
+    if (!isJson || download.bytes > 1024 * 1024) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await fs.readFile(download.path, 'utf-8'));
+    } catch {
+      return;
+    }
+
+    const isError = format !== 'json' || (payload && !Array.isArray(payload) && (payload.error || payload.status === 'failed'));
+    if (!isError) {
+      return;
+    }
+
+    await fs.rm(download.path, { force: true });
+    const message = typeof payload?.error === 'string' ? payload.error : JSON.stringify(payload).substring(0, 500);
+    throw new ApiError(`Export failed: ${message}`, 200, endpoint, JSON.stringify(payload).substring(0, 500));
+  }
+
+  validateFormat(format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(
+        `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        'format',
+        format
+      );
+    }
+  }
+}
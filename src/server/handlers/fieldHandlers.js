@@ -1,12 +1,110 @@
+import vm from 'node:vm';
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
 import { Validators } from '../../shared/utils/validators.js';
 import { logger } from '../../shared/utils/logger.js';
+import { mapWithConcurrency } from '../../shared/utils/concurrency.js';
+import { Mappers } from '../utils/mappers.js';
+import { SearchIndex } from '../utils/searchIndex.js';
+
+// Field attributes find_fields can match, and the metadata key of each
+export const FIELD_ATTRIBUTES = {
+  name: 'name',
+  displayName: 'display_name',
+  description: 'description',
+  baseType: 'base_type',
+  semanticType: 'semantic_type',
+};
+
+export const FIELD_MATCH_MODES = ['glob', 'regex', 'fuzzy'];
+
+// Longest regular expression find_fields accepts
+export const MAX_REGEX_LENGTH = 200;
+
+// Characters of each value a regular expression is matched against
+export const MAX_MATCH_LENGTH = 1000;
+
+// Time one regular expression test may take before find_fields gives up
+const REGEX_TIMEOUT_MS = 100;
+
+const REGEX_TEST = new vm.Script('regex.test(text)');
+
+/**
+ * Whether a regular expression repeats a group holding a quantifier or an
+ * alternation, like `(a+)+`, `(a|aa)*` or `(a?){26}`: such groups can match
+ * the same text in many ways and backtrack for exponential time
+ */
+function repeatsAmbiguousGroup(pattern) {
+  const groups = [false];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // (?:, (?= and (?<name> open a group, they do not quantify anything
+      if (pattern[i + 1] === '?') {
+        i++;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      const ambiguous = groups.pop();
+      if (ambiguous && /[*+{]/.test(pattern[i + 1] ?? '')) {
+        return true;
+      }
+      groups[groups.length - 1] ||= ambiguous;
+    } else if ('*+?{|'.includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Case-insensitive whole-value glob match (* is any run of characters, ? any
+ * one character) in time proportional to the pattern times the text, where
+ * the equivalent regular expression can backtrack for much longer
+ */
+function globMatches(glob, text) {
+  let g = 0;
+  let t = 0;
+  let star = -1;
+  let resume = 0;
+  while (t < text.length) {
+    if (g < glob.length && (glob[g] === '?' || glob[g] === text[t])) {
+      g++;
+      t++;
+    } else if (g < glob.length && glob[g] === '*') {
+      star = g++;
+      resume = t;
+    } else if (star !== -1) {
+      g = star + 1;
+      t = ++resume;
+    } else {
+      return false;
+    }
+  }
+  while (glob[g] === '*') {
+    g++;
+  }
+  return g === glob.length;
+}
 
 /**
  * Handlers for field-related operations
  */
 export class FieldHandlers {
-  constructor(apiClient) {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} [options] - Handler options
+   * @param {number} [options.concurrency] - Database metadata fetched at once by findFields (default: 4)
+   */
+  constructor(apiClient, options = {}) {
     this.apiClient = apiClient;
+    this.concurrency = options.concurrency || 4;
     this.logger = logger.child('FieldHandlers');
   }
 
@@ -33,6 +131,9 @@ Description: ${field.description || 'No description'}
 Table: ${field.table?.name}`,
         },
       ],
+      structuredContent: {
+        field: Mappers.field(field),
+      },
     };
   }
 
@@ -57,7 +158,170 @@ Total Distinct Values: ${distinctValues.length}
 ${distinctValues.length > 0 ? `Values:\n${distinctValues.slice(0, 100).join(', ')}${distinctValues.length > 100 ? `\n... and ${distinctValues.length - 100} more values` : ''}` : 'No values found'}`,
         },
       ],
+      structuredContent: {
+        fieldId,
+        total: distinctValues.length,
+        truncated: distinctValues.length > 100,
+        values: distinctValues.slice(0, 100),
+      },
     };
   }
-}
 
+  /**
+   * Find fields across databases by name, display name, description or type
+   * @param {Object} request - Search request
+   * @param {string} request.pattern - Glob (`*customer_id*`), regular expression or fuzzy words
+   * @param {string} [request.mode] - glob, regex or fuzzy (default: glob)
+   * @param {string[]} [request.attributes] - Attributes to match (default: all of FIELD_ATTRIBUTES)
+   * @param {number[]} [request.databaseIds] - Only these databases (default: all)
+   * @param {number} [request.limit] - Fields per page (default: 50)
+   * @param {number} [request.offset] - Fields to skip
+   */
+  async findFields({ pattern, mode = 'glob', attributes = Object.keys(FIELD_ATTRIBUTES), databaseIds, limit = 50, offset = 0 } = {}) {
+    Validators.validateLimit(limit, 1, 200);
+    databaseIds?.forEach(id => Validators.validateDatabaseId(id));
+    const match = this.fieldMatcher(pattern, mode);
+
+    let databases;
+    if (databaseIds) {
+      databases = databaseIds.map(id => ({ id, name: null }));
+    } else {
+      const response = await this.apiClient.makeRequest('/api/database/');
+      databases = Array.isArray(response) ? response : response.data || [];
+    }
+
+    this.logger.debug('Finding fields', { pattern, mode, attributes, databases: databases.length });
+    const failed = [];
+    const perDatabase = await mapWithConcurrency(databases, this.concurrency, async (database) => {
+      let metadata;
+      try {
+        metadata = await this.apiClient.makeRequest(`/api/database/${database.id}/metadata`);
+      } catch (error) {
+        failed.push({ id: database.id, error: error.message });
+        return [];
+      }
+      return (metadata.tables || []).flatMap(table => (table.fields || []).flatMap(field => {
+        const scores = attributes
+          .map(attribute => ({ attribute, score: match(field[FIELD_ATTRIBUTES[attribute]]) }))
+          .filter(({ score }) => score !== null);
+        if (scores.length === 0) {
+          return [];
+        }
+        return [{
+          databaseId: database.id,
+          databaseName: metadata.name ?? database.name ?? null,
+          schema: table.schema ?? null,
+          tableId: table.id,
+          tableName: table.name,
+          fieldId: field.id,
+          name: field.name,
+          displayName: field.display_name ?? null,
+          baseType: field.base_type ?? null,
+          semanticType: field.semantic_type ?? null,
+          description: field.description ?? null,
+          matchedOn: scores.map(({ attribute }) => attribute),
+          score: Math.max(...scores.map(({ score }) => score)),
+        }];
+      }));
+    });
+
+    const byPath = (a, b) => a.databaseId - b.databaseId
+      || String(a.schema).localeCompare(String(b.schema))
+      || a.tableName.localeCompare(b.tableName)
+      || a.name.localeCompare(b.name);
+    const fields = perDatabase.flat().sort((a, b) => (mode === 'fuzzy' ? b.score - a.score : 0) || byPath(a, b));
+    const page = fields.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+    const hasMore = nextOffset < fields.length;
+    const searched = databases.length - failed.length;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Fields matching "${pattern}" (${mode} on ${attributes.join(', ')}): ${fields.length} in ${searched} database(s)${page.length > 0 ? `, showing ${offset + 1}-${nextOffset}` : ''}
+${page.map(f => `- ${f.databaseName ?? 'Database'} (ID: ${f.databaseId}) | ${f.schema ? `${f.schema}.` : ''}${f.tableName}.${f.name} (field ${f.fieldId}, table ${f.tableId}) | ${[f.baseType, f.semanticType].filter(Boolean).join(', ') || 'no type'} | matched: ${f.matchedOn.join(', ')}`).join('\n')}${hasMore ? `\n\nMore results: call find_fields again with offset ${nextOffset}.` : ''}${failed.length > 0 ? `\n\n⚠️ Metadata unavailable for database(s) ${failed.map(d => d.id).join(', ')}` : ''}`,
+        },
+      ],
+      structuredContent: {
+        pattern,
+        mode,
+        total: fields.length,
+        offset,
+        limit,
+        hasMore,
+        nextOffset: hasMore ? nextOffset : null,
+        databases: { searched, failed },
+        fields: page,
+      },
+    };
+  }
+
+  /**
+   * Function scoring a text against the pattern: 1 for a glob or regex match,
+   * the fuzzy closeness otherwise; null when it does not match
+   * @throws {ValidationError} For an invalid, too long, ambiguously repeated or too slow regular
+   *   expression, or a pattern without words
+   */
+  fieldMatcher(pattern, mode) {
+    if (mode === 'fuzzy') {
+      const terms = SearchIndex.tokenize(pattern);
+      if (terms.length === 0) {
+        throw new ValidationError('pattern has no words to match', 'pattern', pattern);
+      }
+      return (text) => {
+        const words = SearchIndex.tokenize(text, { parts: true });
+        const weights = terms.map(term => Math.max(0, ...words.map(word => this.termWeight(term, word))));
+        return weights.every(weight => weight > 0) ? weights.reduce((sum, weight) => sum + weight, 0) / weights.length : null;
+      };
+    }
+
+    if (mode !== 'regex') {
+      const glob = pattern.toLowerCase();
+      return (text) => (text !== null && text !== undefined && globMatches(glob, String(text).toLowerCase()) ? 1 : null);
+    }
+
+    if (pattern.length > MAX_REGEX_LENGTH) {
+      throw new ValidationError(`Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`, 'pattern', pattern);
+    }
+    if (repeatsAmbiguousGroup(pattern)) {
+      throw new ValidationError('Regular expressions may not repeat a group that contains a quantifier or an alternation, e.g. (a+)+ or (a|b)*; use a character class such as [ab]* instead', 'pattern', pattern);
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new ValidationError(error.message, 'pattern', pattern);
+    }
+
+    // Tested in a context so a pattern that still backtracks too long is stopped
+    const context = vm.createContext({ regex, text: '' });
+    return (text) => {
+      if (text === null || text === undefined) {
+        return null;
+      }
+      context.text = String(text).slice(0, MAX_MATCH_LENGTH);
+      try {
+        return REGEX_TEST.runInContext(context, { timeout: REGEX_TIMEOUT_MS }) ? 1 : null;
+      } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+          throw new ValidationError(`Regular expression took over ${REGEX_TIMEOUT_MS}ms on one value; simplify it`, 'pattern', pattern);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Closeness of a fuzzy term to a word, weighted as in the search index
+   */
+  termWeight(term, word) {
+    if (term === word) return 1;
+    if (term.length < 4) return 0;
+    if (word.startsWith(term)) return 0.6;
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const distance = SearchIndex.editDistance(term, word, maxDistance);
+    if (distance > maxDistance) return 0;
+    return distance === 1 ? 0.7 : 0.5;
+  }
+}
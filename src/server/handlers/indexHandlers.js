@@ -0,0 +1,138 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { Validators } from '../../shared/utils/validators.js';
+import { logger } from '../../shared/utils/logger.js';
+import { SearchIndex } from '../utils/searchIndex.js';
+
+/**
+ * Handlers for the local full-text index of Metabase content (see ContentIndex)
+ */
+export class IndexHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {ContentIndex} options.contentIndex - Index of this instance
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.contentIndex = options.contentIndex;
+    this.logger = logger.child('IndexHandlers');
+  }
+
+  /**
+   * Search the local index
+   * @param {Object} request - Search request
+   * @param {string} request.query - Free text and `field:value` filters
+   * @param {string[]} [request.models] - Only these types of content
+   * @param {boolean} [request.fuzzy] - Match prefixes and typos (default: true)
+   * @param {boolean} [request.refresh] - Refresh the index before searching
+   * @param {number} [request.limit] - Hits per page (default: 20)
+   * @param {number} [request.offset] - Hits to skip
+   */
+  async searchIndex({ query, models = [], fuzzy = true, refresh = false, limit = 20, offset = 0 } = {}) {
+    Validators.validateLimit(limit, 1, 100);
+    const parsed = SearchIndex.parseQuery(query);
+    if (parsed.terms.length === 0 && parsed.filters.length === 0 && parsed.types.length === 0 && parsed.databaseIds.length === 0) {
+      throw new ValidationError('query has no searchable terms', 'query', query);
+    }
+    if (parsed.databaseIds.some(id => !Number.isInteger(id))) {
+      throw new ValidationError('db: takes a database ID', 'query', query);
+    }
+
+    this.logger.debug('Searching the content index', { query, models, fuzzy, refresh });
+    const { hits, refresh: refreshed } = await this.contentIndex.search(query, { fuzzy, models, refresh });
+    const page = hits.slice(offset, offset + limit).map((hit, i) => this.formatHit(hit, offset + i + 1));
+    const nextOffset = offset + page.length;
+    const hasMore = nextOffset < hits.length;
+    const status = await this.contentIndex.status();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Index search for "${query}": ${hits.length} result(s)${page.length > 0 ? `, showing ${offset + 1}-${nextOffset}` : ''}${page.map(hit => `
+${hit.rank}. [${hit.model}] ${hit.name} (ID: ${hit.id}) score ${hit.score}${hit.collectionPath ? ` | ${hit.collectionPath}` : ''}
+   matched: ${hit.matchedFields.join(', ')}${hit.snippet ? ` | ${hit.snippet}` : ''}`).join('')}${hasMore ? `\n\nMore results: call search_index again with offset ${nextOffset}.` : ''}
+
+Index: ${status.documents} documents, refreshed ${status.refreshedAt}${refreshed ? ` (just now: ${refreshed.added} added, ${refreshed.updated} updated, ${refreshed.removed} removed)` : ''}`,
+        },
+      ],
+      structuredContent: {
+        query,
+        total: hits.length,
+        offset,
+        limit,
+        hasMore,
+        nextOffset: hasMore ? nextOffset : null,
+        index: { documents: status.documents, refreshedAt: status.refreshedAt, refreshed: Boolean(refreshed) },
+        hits: page,
+      },
+    };
+  }
+
+  /**
+   * Refresh the local index from Metabase
+   * @param {Object} [options] - `{ full }`: rebuild every document instead of changed ones only
+   */
+  async reindex({ full = false } = {}) {
+    this.logger.info('Reindexing content', { full });
+    const result = await this.contentIndex.refresh({ full });
+    const status = await this.contentIndex.status();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${full ? 'Full' : 'Incremental'} reindex done in ${result.durationMs} ms
+Added ${result.added}, updated ${result.updated}, removed ${result.removed}, unchanged ${result.unchanged}
+Index: ${status.documents} documents (${Object.entries(status.counts).map(([model, count]) => `${count} ${model}`).join(', ')})
+File: ${status.file}`,
+        },
+      ],
+      structuredContent: { ...result, counts: status.counts, file: status.file },
+    };
+  }
+
+  formatHit({ document, score, matchedFields, matchedTerms }, rank) {
+    return {
+      rank,
+      score,
+      model: document.model,
+      id: document.id,
+      name: document.name,
+      description: document.description,
+      collectionId: document.collectionId,
+      collectionPath: document.collectionPath,
+      databaseId: document.databaseId,
+      updatedAt: document.updatedAt,
+      matchedFields,
+      snippet: this.snippet(document, matchedFields, matchedTerms),
+    };
+  }
+
+  /**
+   * Where the match is, for hits that matched outside the name: the first
+   * matching SQL line, or the matching columns or tables
+   */
+  snippet(document, matchedFields, matchedTerms) {
+    const contains = (text) => {
+      const words = SearchIndex.tokenize(text, { parts: true });
+      return matchedTerms.some(term => words.includes(term));
+    };
+
+    if (matchedFields.includes('sql') && document.sql) {
+      const line = document.sql.split('\n').find(contains);
+      if (line) {
+        const trimmed = line.trim();
+        return `sql: ${trimmed.length > 120 ? `${trimmed.slice(0, 117)}...` : trimmed}`;
+      }
+    }
+    for (const field of ['column', 'table']) {
+      const values = (field === 'column' ? document.columns : document.tables) || [];
+      const matching = matchedFields.includes(field) ? values.filter(contains) : [];
+      if (matching.length > 0) {
+        return `${field}: ${matching.slice(0, 5).join(', ')}${matching.length > 5 ? ', ...' : ''}`;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,50 @@
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Handlers for the configured Metabase instances
+ */
+export class InstanceHandlers {
+  /**
+   * @param {Map<string, Object>} instances - Instances by name, as built by MetabaseMCPServer
+   * @param {string} defaultInstance - Name of the instance used when a tool call names none
+   */
+  constructor(instances, defaultInstance) {
+    this.instances = instances;
+    this.defaultInstance = defaultInstance;
+    this.logger = logger.child('InstanceHandlers');
+  }
+
+  /**
+   * List configured instances (credentials are never included)
+   */
+  async listInstances() {
+    this.logger.debug('Listing instances');
+
+    const instances = [...this.instances.values()].map(instance => ({
+      name: instance.name,
+      url: instance.metabaseUrl,
+      description: instance.description ?? null,
+      authMethod: instance.auth.method,
+      timeoutMs: instance.requestTimeout,
+      isDefault: instance.name === this.defaultInstance,
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Metabase Instances (${instances.length}):
+${instances.map(i =>
+  `- ${i.name}${i.isDefault ? ' (default)' : ''}: ${i.url} | auth: ${i.authMethod}${i.description ? ` | ${i.description}` : ''}`
+).join('\n')}
+
+Pass "instance" to any tool to target an instance other than the default.`,
+        },
+      ],
+      structuredContent: {
+        defaultInstance: this.defaultInstance,
+        instances,
+      },
+    };
+  }
+}
@@ -0,0 +1,170 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import { QueryJobManager } from '../utils/queryJobManager.js';
+
+/**
+ * Handlers for queries run in the background (start, poll, fetch, cancel)
+ */
+export class JobHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {QueryJobManager} [options.jobManager] - Tracks running jobs (shared across instances)
+   * @param {ResultPresenter} options.resultPresenter - Pages job results
+   * @param {QueryHandlers} options.queryHandlers - Prepares and sends native queries
+   * @param {CardHandlers} options.cardHandlers - Runs saved cards
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.jobManager = options.jobManager || new QueryJobManager();
+    this.resultPresenter = options.resultPresenter;
+    this.queryHandlers = options.queryHandlers;
+    this.cardHandlers = options.cardHandlers;
+    this.logger = logger.child('JobHandlers');
+  }
+
+  /**
+   * Start a card or native query in the background
+   * @param {Object} request - Either `cardId` (with optional `parameters`) or `databaseId` and `query`
+   * @param {number} [request.rowLimit] - Row cap for a native query
+   */
+  async startQuery({ cardId, parameters = {}, databaseId, query, rowLimit } = {}) {
+    const isCard = cardId !== undefined;
+    if (isCard === (query !== undefined)) {
+      throw new ValidationError('Provide either cardId or databaseId and query', isCard ? 'query' : 'cardId', undefined);
+    }
+
+    let job;
+    if (isCard) {
+      // Parameters are checked against the card's template tags before the job starts
+      const prepared = await this.cardHandlers.prepareCardQuery(cardId, parameters);
+      job = this.jobManager.start(
+        async (request) => ({ results: await this.cardHandlers.runCardQuery(prepared, request) }),
+        { type: 'card', cardId }
+      );
+    } else {
+      // Validation, the read-only check and the row cap happen before the job starts
+      const prepared = await this.queryHandlers.prepareNativeQuery(databaseId, query, { rowLimit });
+      job = this.jobManager.start(
+        (request) => this.queryHandlers.sendNativeQuery(prepared, request),
+        { type: 'native', databaseId }
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Query job started: ${job.jobId}
+Source: ${this.formatSource(job.source)}
+Timeout: ${Math.round(this.jobManager.timeout / 1000)}s
+
+Poll get_query_status with this jobId, then call get_query_result once it has completed. Use cancel_query to stop it.`,
+        },
+      ],
+      structuredContent: { job },
+    };
+  }
+
+  /**
+   * Status of a background query
+   * @param {string} jobId - ID returned by start_query
+   */
+  async getQueryStatus(jobId) {
+    const job = this.jobManager.describe(this.jobManager.get(jobId));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.formatStatus(job),
+        },
+      ],
+      structuredContent: { job },
+    };
+  }
+
+  /**
+   * Result of a completed background query
+   * @param {string} jobId - ID returned by start_query
+   * @param {Object} [page] - Page budgets (`maxRows`, `maxChars`) and text `format` for the first page of results
+   * @throws {MetabaseError} The job's error if it failed or was cancelled
+   */
+  async getQueryResult(jobId, page = {}) {
+    const entry = this.jobManager.get(jobId);
+    const job = this.jobManager.describe(entry);
+
+    if (entry.error) {
+      throw entry.error;
+    }
+
+    if (job.status === 'running') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${this.formatStatus(job)}
+
+The query has not finished yet. Call get_query_result again later.`,
+          },
+        ],
+        structuredContent: { job, result: null },
+      };
+    }
+
+    const { results, rowLimit } = entry.output;
+    const { format, ...budgets } = page;
+    // Fetching the result again pages the stored copy instead of storing another one
+    const result = this.resultPresenter.present(results, { ...budgets, source: job.source, resultId: entry.resultId });
+    entry.resultId = result.resultId;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.formatStatus(job)}
+
+Results:
+${this.resultPresenter.formatText(result, { format })}${this.queryHandlers.formatRowLimit(rowLimit)}`,
+        },
+      ],
+      structuredContent: {
+        job,
+        ...(rowLimit ? { rowLimit } : {}),
+        result,
+      },
+    };
+  }
+
+  /**
+   * Cancel a background query; the underlying request is aborted
+   * @param {string} jobId - ID returned by start_query
+   */
+  async cancelQuery(jobId) {
+    const wasRunning = this.jobManager.get(jobId).status === 'running';
+    const job = this.jobManager.cancel(jobId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: wasRunning
+            ? `Query job ${jobId} cancelled after ${job.elapsedMs} ms`
+            : `Query job ${jobId} had already finished (${job.status}); nothing to cancel`,
+        },
+      ],
+      structuredContent: { job, cancelled: wasRunning },
+    };
+  }
+
+  formatSource(source) {
+    return source.type === 'card' ? `card ${source.cardId}` : `native query on database ${source.databaseId}`;
+  }
+
+  formatStatus(job) {
+    return `Query job ${job.jobId}: ${job.status}
+Source: ${this.formatSource(job.source)}
+Started: ${job.startedAt}${job.finishedAt ? `\nFinished: ${job.finishedAt}` : ''}
+Elapsed: ${job.elapsedMs} ms${job.error ? `\nError: ${job.error.code} - ${job.error.message}` : ''}`;
+  }
+}
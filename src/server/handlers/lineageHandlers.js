@@ -0,0 +1,149 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { Validators } from '../../shared/utils/validators.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Handlers for card lineage: which tables and columns cards read
+ */
+export class LineageHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {LineageAnalyzer} options.lineageAnalyzer - Resolves card references to tables and fields
+   * @param {ImpactAnalyzer} options.impactAnalyzer - Finds the content affected by a change
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.lineageAnalyzer = options.lineageAnalyzer;
+    this.impactAnalyzer = options.impactAnalyzer;
+    this.logger = logger.child('LineageHandlers');
+  }
+
+  /**
+   * Tables and columns a card reads
+   * @param {number} cardId - Card to analyze
+   */
+  async getCardLineage(cardId) {
+    Validators.validateCardId(cardId);
+
+    this.logger.debug('Getting card lineage', { cardId });
+    const card = await this.apiClient.makeRequest(`/api/card/${cardId}`);
+    const lineage = await this.lineageAnalyzer.cardLineage(card);
+
+    const via = (entry) => (entry.viaCardId !== null ? ` (via card ${entry.viaCardId})` : '');
+    const sections = [
+      `Lineage of card ${lineage.cardId} "${lineage.cardName}" (${lineage.queryType === 'query' ? 'MBQL' : lineage.queryType || 'unknown'} query, database ${lineage.databaseId})`,
+      `Tables (${lineage.tables.length}):
+${lineage.tables.map(t => `- ${t.schema ? `${t.schema}.` : ''}${t.name ?? 'unknown'} (ID: ${t.id})${t.allColumns ? ' [all columns]' : ''}${via(t)}`).join('\n') || '- none found'}`,
+      `Columns (${lineage.fields.length}):
+${lineage.fields.map(f => `- ${f.table ? `${f.table}.` : ''}${f.name ?? 'unknown'} (ID: ${f.id})${via(f)}`).join('\n') || '- none found'}`,
+    ];
+    if (lineage.sourceCards.length > 0) {
+      sections.push(`Source cards: ${lineage.sourceCards.map(c => `${c.name} (ID: ${c.id})${via(c)}`).join(', ')}`);
+    }
+    if (lineage.ctes.length > 0) {
+      sections.push(`CTEs: ${lineage.ctes.join(', ')}`);
+    }
+    if (lineage.unresolved.tables.length > 0 || lineage.unresolved.columns.length > 0) {
+      sections.push(`Not found in Metabase metadata: ${[...lineage.unresolved.tables, ...lineage.unresolved.columns].join(', ')}`);
+    }
+    if (lineage.warnings.length > 0) {
+      sections.push(lineage.warnings.map(w => `⚠️ ${w}`).join('\n'));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: sections.join('\n\n'),
+        },
+      ],
+      structuredContent: lineage,
+    };
+  }
+
+  /**
+   * Cards that read a table or a column
+   * @param {Object} target - `{ tableId }` or `{ fieldId }`
+   */
+  async findCardsUsing({ tableId, fieldId } = {}) {
+    if (tableId !== undefined) Validators.validateTableId(tableId);
+    if (fieldId !== undefined) Validators.validateFieldId(fieldId);
+
+    this.logger.debug('Finding cards using', { tableId, fieldId });
+    const { target, scanned, cards, incomplete } = await this.lineageAnalyzer.findCardsUsing({ tableId, fieldId });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Cards using ${target.name} (${target.fieldId !== null ? `field ${target.fieldId}` : `table ${target.tableId}`}, database ${target.databaseId}): ${cards.length} of ${scanned} card(s) on that database
+${cards.map(c => `- [${c.type}] ${c.name} (ID: ${c.id}) | ${c.usage}${c.direct ? '' : ` via card ${c.viaCardIds.join(', ')}`}${c.usage === 'table' && c.columns.length > 0 ? ` | columns: ${c.columns.join(', ')}` : ''}`).join('\n')}${incomplete.length > 0 ? `
+
+⚠️ ${incomplete.length} card(s) could not be fully analyzed (unreadable SQL, missing source cards or metadata): ${incomplete.slice(0, 20).join(', ')}${incomplete.length > 20 ? ', ...' : ''}. Use get_card_lineage for details.` : ''}`,
+        },
+      ],
+      structuredContent: { target, scanned, cards, incomplete },
+    };
+  }
+
+  /**
+   * Cards, dashboards and dashboard filters affected by changing a schema, table or column
+   * @param {Object} target - `{ tableId }`, `{ fieldId }`, or `{ databaseId, schema, table, column }`
+   */
+  async impactAnalysis({ tableId, fieldId, databaseId, schema, table, column } = {}) {
+    const given = [tableId, fieldId, databaseId].filter(value => value !== undefined).length;
+    if (given !== 1) {
+      throw new ValidationError('Pass exactly one of tableId, fieldId or databaseId (with names)', 'databaseId', { tableId, fieldId, databaseId });
+    }
+    if (tableId !== undefined) Validators.validateTableId(tableId);
+    if (fieldId !== undefined) Validators.validateFieldId(fieldId);
+    if (databaseId !== undefined) {
+      Validators.validateDatabaseId(databaseId);
+      if (column !== undefined && table === undefined) {
+        throw new ValidationError('Pass table with column', 'table', table);
+      }
+      if (schema === undefined && table === undefined) {
+        throw new ValidationError('Pass schema or table with databaseId', 'table', table);
+      }
+    } else if (schema !== undefined || table !== undefined || column !== undefined) {
+      throw new ValidationError('schema, table and column are names within databaseId', 'databaseId', databaseId);
+    }
+
+    this.logger.debug('Analyzing impact', { tableId, fieldId, databaseId, schema, table, column });
+    const result = await this.impactAnalyzer.analyze({ tableId, fieldId, databaseId, schema, table, column });
+    const { target, scanned, summary, collections, incomplete } = result;
+
+    const seen = (entry) => [
+      entry.owner ? `owner ${entry.owner.name ?? entry.owner.email ?? `user ${entry.owner.id}`}` : null,
+      entry.lastViewedAt ? `last viewed ${entry.lastViewedAt}` : null,
+      entry.viewCount !== null ? `${entry.viewCount} views` : null,
+    ].filter(Boolean).map(part => ` | ${part}`).join('');
+    const cardLine = (c) => `- [${c.type}] ${c.name} (ID: ${c.id}) | ${c.usage}${c.direct ? '' : ` via card ${c.viaCardIds.join(', ')}`}${seen(c)}`;
+    const dashboardLine = (d) => `- [dashboard] ${d.name} (ID: ${d.id})${d.cardIds.length > 0 ? ` | cards ${d.cardIds.join(', ')}` : ''}${seen(d)}${d.filters.map(f => `
+    filter "${f.name}": ${f.reasons.join('; ')}`).join('')}`;
+
+    const warnings = [];
+    if (incomplete.cards.length > 0) {
+      warnings.push(`⚠️ ${incomplete.cards.length} card(s) could not be fully analyzed: ${incomplete.cards.slice(0, 20).join(', ')}${incomplete.cards.length > 20 ? ', ...' : ''}. Use get_card_lineage for details.`);
+    }
+    if (incomplete.dashboards.length > 0) {
+      warnings.push(`⚠️ ${incomplete.dashboards.length} dashboard(s) could not be read: ${incomplete.dashboards.slice(0, 20).join(', ')}${incomplete.dashboards.length > 20 ? ', ...' : ''}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Impact of changing ${target.name} (database ${target.databaseId})
+Affected: ${summary.cards} card(s) (${summary.models} model(s)), ${summary.dashboards} dashboard(s), ${summary.filters} dashboard filter(s)
+Scanned ${scanned.cards} card(s) on that database and ${scanned.dashboards} dashboard(s)${collections.map(group => `
+
+📁 ${group.path ?? 'Collection'}${group.id !== null ? ` (ID: ${group.id})` : ''}
+${[...group.cards.map(cardLine), ...group.dashboards.map(dashboardLine)].join('\n')}`).join('')}${warnings.length > 0 ? `\n\n${warnings.join('\n')}` : ''}`,
+        },
+      ],
+      structuredContent: result,
+    };
+  }
+}
@@ -0,0 +1,186 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import { PROMPT_DEFINITIONS } from '../config/promptDefinitions.js';
+
+const MAX_DASHBOARD_CARDS = 10;
+
+/**
+ * Handlers for MCP prompts
+ * Prompts embed the text output of the existing tool handlers so the model
+ * starts the workflow with real metadata instead of having to fetch it.
+ */
+export class PromptHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} handlers - Tool handler instances to delegate to
+   */
+  constructor(apiClient, { cardHandlers, dashboardHandlers, databaseHandlers }) {
+    this.apiClient = apiClient;
+    this.cardHandlers = cardHandlers;
+    this.dashboardHandlers = dashboardHandlers;
+    this.databaseHandlers = databaseHandlers;
+    this.logger = logger.child('PromptHandlers');
+  }
+
+  /**
+   * List available prompts
+   */
+  listPrompts() {
+    return {
+      prompts: PROMPT_DEFINITIONS,
+    };
+  }
+
+  /**
+   * Build a prompt by name
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments (MCP passes them as strings)
+   * @throws {ValidationError} If the prompt is unknown or an argument is invalid
+   */
+  async getPrompt(name, args = {}) {
+    this.logger.debug('Getting prompt', { name, args });
+
+    switch (name) {
+      case 'analyze_card':
+        return await this.analyzeCard(this.parseId(args, 'cardId'));
+      case 'explore_database':
+        return await this.exploreDatabase(this.parseId(args, 'databaseId'));
+      case 'explain_dashboard':
+        return await this.explainDashboard(this.parseId(args, 'dashboardId'));
+      default:
+        throw new ValidationError(
+          `Unknown prompt: ${name}. Available prompts: ${PROMPT_DEFINITIONS.map(p => p.name).join(', ')}`,
+          'name',
+          name
+        );
+    }
+  }
+
+  /**
+   * analyze_card: card definition plus the database it runs against
+   */
+  async analyzeCard(cardId) {
+    const card = await this.cardHandlers.getCard(cardId);
+    const rawCard = await this.apiClient.makeRequest(`/api/card/${cardId}`);
+    const databaseId = rawCard.dataset_query?.database;
+    const database = databaseId ? await this.databaseHandlers.getDatabase(databaseId) : null;
+
+    return this.buildPrompt(
+      `Analyze Metabase card ${cardId}`,
+      `Analyze the Metabase card/question ${cardId} ("${rawCard.name}"). Its live definition is attached below.
+
+1. Explain in plain language what the card computes and for whom it is likely intended.
+2. List the tables and columns it reads and any joins or filters it applies.
+3. Identify parameters or template tags that must be provided before execution.
+4. Point out anything that looks risky or expensive (missing filters, large scans, unusual logic).
+5. Only if actual data is needed, run it with execute_card_query (or execute_query_builder_card for query builder cards).`,
+      [
+        this.embed(`metabase://card/${cardId}`, card),
+        database && this.embed(`metabase://database/${databaseId}`, database),
+      ]
+    );
+  }
+
+  /**
+   * explore_database: database details plus its table list
+   */
+  async exploreDatabase(databaseId) {
+    const database = await this.databaseHandlers.getDatabase(databaseId);
+    const metadata = await this.databaseHandlers.getDatabaseMetadata(databaseId);
+
+    return this.buildPrompt(
+      `Explore Metabase database ${databaseId}`,
+      `Explore the Metabase database ${databaseId}. Its details and full table list are attached below.
+
+1. Summarize the engine and how the tables are organized across schemas.
+2. Group the tables by business domain and point out the likely fact and dimension tables.
+3. For the most important tables, use get_table_metadata to inspect columns and relationships.
+4. Suggest useful starting queries. Validate any SQL before running it with execute_native_query.`,
+      [
+        this.embed(`metabase://database/${databaseId}`, database),
+        this.embed(`metabase://database/${databaseId}/metadata`, metadata),
+      ]
+    );
+  }
+
+  /**
+   * explain_dashboard: dashboard layout plus the definitions of its cards
+   */
+  async explainDashboard(dashboardId) {
+    const dashboard = await this.dashboardHandlers.getDashboard(dashboardId);
+    const rawDashboard = await this.apiClient.makeRequest(`/api/dashboard/${dashboardId}`);
+
+    const cardIds = [...new Set((rawDashboard.dashcards || [])
+      .map(dc => dc.card_id)
+      .filter(Boolean))];
+
+    const cards = [];
+    for (const cardId of cardIds.slice(0, MAX_DASHBOARD_CARDS)) {
+      try {
+        cards.push(this.embed(`metabase://card/${cardId}`, await this.cardHandlers.getCard(cardId)));
+      } catch (error) {
+        this.logger.warn('Could not load dashboard card for prompt', { dashboardId, cardId, error: error.message });
+      }
+    }
+
+    const omitted = cardIds.length - Math.min(cardIds.length, MAX_DASHBOARD_CARDS);
+
+    return this.buildPrompt(
+      `Explain Metabase dashboard ${dashboardId}`,
+      `Explain the Metabase dashboard ${dashboardId} ("${rawDashboard.name}"). Its layout and the definitions of its cards are attached below.${omitted > 0 ? ` ${omitted} more card(s) are not attached; use get_card to inspect them if needed.` : ''}
+
+1. Describe the purpose of the dashboard and the story it tells, section by section.
+2. For each card, explain what it measures and which data it reads.
+3. Point out cards that overlap, contradict each other or look broken.
+4. Suggest which filters or cards a reader should look at first.`,
+      [
+        this.embed(`metabase://dashboard/${dashboardId}`, dashboard),
+        ...cards,
+      ]
+    );
+  }
+
+  /**
+   * Assemble a prompt result from instructions and embedded context
+   */
+  buildPrompt(description, instructions, resources) {
+    return {
+      description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text: instructions },
+        },
+        ...resources.filter(Boolean).map(resource => ({
+          role: 'user',
+          content: resource,
+        })),
+      ],
+    };
+  }
+
+  /**
+   * Wrap a handler result as an embedded resource
+   */
+  embed(uri, handlerResult) {
+    return {
+      type: 'resource',
+      resource: {
+        uri,
+        mimeType: 'text/plain',
+        text: handlerResult.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('\n\n'),
+      },
+    };
+  }
+
+  parseId(args, name) {
+    const value = args?.[name];
+    if (value === undefined || !/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+      throw new ValidationError(`${name} must be a positive integer`, name, value);
+    }
+    return parseInt(value, 10);
+  }
+}
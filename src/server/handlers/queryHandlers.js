@@ -1,50 +1,246 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
 import { Validators } from '../../shared/utils/validators.js';
+import { SqlLimiter } from '../../shared/utils/sqlLimiter.js';
+import { SqlTokenizer } from '../../shared/utils/sqlTokenizer.js';
 import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
+import { ResultPresenter } from '../utils/resultPresenter.js';
+import { ResultProfiler } from '../utils/resultProfiler.js';
+import { ResultStore } from '../utils/resultStore.js';
+import { SqlGuard } from '../utils/sqlGuard.js';
 
 /**
  * Handlers for query execution operations
  */
 export class QueryHandlers {
-  constructor(apiClient) {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Handler options
+   * @param {ResultPresenter} [options.resultPresenter] - Pages query results (shared across handlers)
+   * @param {SqlGuard} [options.sqlGuard] - Rejects SQL that is not read-only
+   * @param {Object} [options.limits] - Row cap and timeout for native queries:
+   *   `rowLimit` (default cap, 0 for none), `maxRowLimit`, `timeout` and `maxTimeout` (ms)
+   */
+  constructor(apiClient, options = {}) {
     this.apiClient = apiClient;
+    this.resultPresenter = options.resultPresenter || new ResultPresenter(new ResultStore());
+    this.sqlGuard = options.sqlGuard || new SqlGuard(apiClient);
+    this.rowLimit = options.limits?.rowLimit ?? 2000;
+    this.maxRowLimit = options.limits?.maxRowLimit ?? 10000;
+    this.timeout = options.limits?.timeout;
+    this.maxTimeout = options.limits?.maxTimeout ?? 5 * 60 * 1000;
     this.logger = logger.child('QueryHandlers');
   }
 
   /**
    * Execute a native SQL query
+   * @param {number} databaseId - Database to query
+   * @param {string} query - SQL query
+   * @param {Object} [page] - Page budgets (`maxRows`, `maxChars`) and text `format` for the first page of results,
+   *   and `summarize` to add per-column statistics of the returned rows
+   * @param {Object} [limits] - `rowLimit` (rows) and `timeoutMs` overriding the configured defaults
+   */
+  async executeNativeQuery(databaseId, query, page = {}, limits = {}) {
+    const prepared = await this.prepareNativeQuery(databaseId, query, limits);
+    const { results, rowLimit } = await this.sendNativeQuery(prepared);
+    const { summarize, format, ...budgets } = page;
+    const result = this.resultPresenter.present(results, {
+      ...budgets,
+      source: { type: 'native', databaseId },
+    });
+    const profile = summarize ? ResultProfiler.profile(Mappers.resultSet(results)) : null;
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Query Execution Results:
+Database: ${databaseId}
+Query: ${query}
+${profile ? `
+Summary:
+${ResultProfiler.formatText(profile)}
+` : ''}
+Results:
+${this.resultPresenter.formatText(result, { format })}${this.formatRowLimit(rowLimit)}`,
+        },
+      ],
+      structuredContent: {
+        databaseId,
+        query,
+        rowLimit,
+        ...(profile ? { profile } : {}),
+        result,
+      },
+    };
+  }
+
+  /**
+   * Validate a native query and build its /api/dataset request, row cap included
+   * @param {number} databaseId - Database to query
+   * @param {string} query - SQL query
+   * @param {Object} [limits] - `rowLimit` and `timeoutMs` overriding the configured defaults
+   * @returns {Promise<Object>} Prepared query for sendNativeQuery
+   * @throws {ValidationError|QueryRejectedError} If the query cannot be run
    */
-  async executeNativeQuery(databaseId, query) {
+  async prepareNativeQuery(databaseId, query, limits = {}) {
     Validators.validateDatabaseId(databaseId);
     Validators.validateQuery(query);
-    
-    this.logger.debug('Executing native query', { databaseId, queryLength: query.length });
-    
+    await this.sqlGuard.assertReadOnly(databaseId, query);
+    const { rowLimit, timeout } = this.resolveLimits(limits);
+
+    // One row past the cap tells a truncated result from one that fits exactly
+    const limited = rowLimit
+      ? await this.limitQuery(databaseId, query, rowLimit + 1)
+      : { sql: query, strategy: null };
     const body = {
       database: databaseId,
       type: 'native',
       native: {
-        query: query,
+        query: limited.sql,
       },
+      ...(rowLimit ? { constraints: { 'max-results': rowLimit + 1, 'max-results-bare-rows': rowLimit + 1 } } : {}),
     };
 
+    return { databaseId, query, body, rowLimit, strategy: limited.strategy, timeout };
+  }
+
+  /**
+   * Run a prepared native query
+   * @param {Object} prepared - Result of prepareNativeQuery
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the query
+   * @param {number} [options.timeout] - Timeout (ms), overriding the prepared one
+   * @returns {Promise<{results: Object, rowLimit: Object}>} Raw response (cut to the row cap) and row cap details
+   */
+  async sendNativeQuery(prepared, { signal, timeout } = {}) {
+    const { databaseId, query, body, rowLimit, strategy } = prepared;
+    this.logger.debug('Executing native query', { databaseId, queryLength: query.length, rowLimit, strategy });
+
     const results = await this.apiClient.makeRequest('/api/dataset', {
       method: 'POST',
       body: JSON.stringify(body),
+      timeout: timeout ?? prepared.timeout,
+      signal,
     });
-    
+    const truncated = this.truncateRows(results, rowLimit);
+
+    return {
+      results,
+      rowLimit: { limit: rowLimit, maxLimit: this.maxRowLimit, strategy, truncated },
+    };
+  }
+
+  /**
+   * Warning appended to the text output when the row cap truncated a result
+   * @param {Object} rowLimit - Row cap details from sendNativeQuery
+   */
+  formatRowLimit(rowLimit) {
+    if (!rowLimit?.truncated) {
+      return '';
+    }
+    return `
+
+⚠️ Results were truncated at the row limit of ${rowLimit.limit} rows. Pass rowLimit (up to ${rowLimit.maxLimit}) to raise it, or add filters or aggregation.`;
+  }
+
+  /**
+   * Row cap and timeout for one query, checked against the admin maximums
+   * @throws {ValidationError} If the caller asks for more than the maximum
+   */
+  resolveLimits({ rowLimit, timeoutMs } = {}) {
+    if (rowLimit !== undefined && rowLimit > this.maxRowLimit) {
+      throw new ValidationError(`rowLimit cannot exceed ${this.maxRowLimit}`, 'rowLimit', rowLimit);
+    }
+    if (timeoutMs !== undefined && timeoutMs > this.maxTimeout) {
+      throw new ValidationError(`timeoutMs cannot exceed ${this.maxTimeout}`, 'timeoutMs', timeoutMs);
+    }
+
+    return {
+      rowLimit: rowLimit ?? (this.rowLimit > 0 ? this.rowLimit : null),
+      timeout: timeoutMs ?? this.timeout,
+    };
+  }
+
+  /**
+   * Rewrite a query so the database itself stops after `limit` rows
+   */
+  async limitQuery(databaseId, query, limit) {
+    const engine = await this.sqlGuard.getEngine(databaseId);
+    return SqlLimiter.applyRowLimit(query, limit, {
+      style: SqlLimiter.styleForEngine(engine),
+      dialect: SqlTokenizer.dialectForEngine(engine),
+    });
+  }
+
+  /**
+   * Drop the extra row fetched past the cap
+   * @returns {boolean} Whether the result was truncated
+   */
+  truncateRows(results, rowLimit) {
+    const rows = results?.data?.rows;
+    if (!rowLimit || !Array.isArray(rows) || rows.length <= rowLimit) {
+      return false;
+    }
+    results.data.rows = rows.slice(0, rowLimit);
+    results.data.rows_truncated = rowLimit;
+    results.row_count = rowLimit;
+    return true;
+  }
+
+  /**
+   * Fetch a later page of a result that did not fit in one response
+   * @param {string} resultId - ID returned with the first page
+   * @param {number} offset - Index of the first row to return
+   * @param {number} [limit] - Maximum rows to return
+   * @param {number} [maxChars] - Maximum characters of row data to return
+   * @param {string} [format] - Text format of the rows (json, markdown, text or csv)
+   */
+  async fetchResultPage(resultId, offset = 0, limit, maxChars, format) {
+    this.logger.debug('Fetching result page', { resultId, offset, limit });
+
+    const { page, source } = this.resultPresenter.fetchPage(resultId, offset, limit, maxChars);
+
     return {
       content: [
         {
           type: 'text',
-          text: `Query Execution Results:
-Database: ${databaseId}
-Query: ${query}
+          text: `Result ${resultId}:
+${this.resultPresenter.formatText(page, { format })}`,
+        },
+      ],
+      structuredContent: {
+        resultId,
+        source,
+        result: page,
+      },
+    };
+  }
 
-Results:
-${JSON.stringify(results, null, 2)}`,
+  /**
+   * Per-column statistics of a stored result
+   * @param {string} resultId - ID returned with the first page of a query result
+   * @param {Object} [options] - `topK` most frequent values to list for text columns
+   */
+  async summarizeResult(resultId, { topK } = {}) {
+    this.logger.debug('Summarizing result', { resultId, topK });
+
+    const { resultSet, source } = this.resultPresenter.getStored(resultId);
+    const profile = ResultProfiler.profile(resultSet, { topK });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Summary of result ${resultId}:
+${ResultProfiler.formatText(profile)}`,
         },
       ],
+      structuredContent: {
+        resultId,
+        source,
+        profile,
+      },
     };
   }
 }
-
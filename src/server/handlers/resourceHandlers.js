@@ -0,0 +1,185 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import {
+  RESOURCE_ITEM_MODELS,
+  RESOURCE_TEMPLATES,
+  RESOURCE_URI_SCHEME,
+} from '../config/resourceDefinitions.js';
+
+// metabase://{type}/{id}, plus metabase://database/{id}/metadata
+const RESOURCE_URI_PATTERN = new RegExp(`^${RESOURCE_URI_SCHEME}://(?:(card|dashboard|table|collection|database)/([^/?#]+)|(database)/([^/?#]+)/(metadata))$`);
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Handlers for MCP resources (metabase:// URIs)
+ * Reading a resource reuses the text output of the matching tool handler.
+ */
+export class ResourceHandlers {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} handlers - Tool handler instances to delegate to
+   * @param {Object} options - Resource options
+   * @param {number} [options.pageSize] - Number of collections per resources/list page
+   */
+  constructor(apiClient, { cardHandlers, dashboardHandlers, databaseHandlers, collectionHandlers }, options = {}) {
+    this.apiClient = apiClient;
+    this.cardHandlers = cardHandlers;
+    this.dashboardHandlers = dashboardHandlers;
+    this.databaseHandlers = databaseHandlers;
+    this.collectionHandlers = collectionHandlers;
+    this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    this.logger = logger.child('ResourceHandlers');
+  }
+
+  /**
+   * List resource templates
+   */
+  listResourceTemplates() {
+    return {
+      resourceTemplates: RESOURCE_TEMPLATES,
+    };
+  }
+
+  /**
+   * List resources, one page of collections at a time.
+   * Each page contains the collections themselves plus the cards, models and
+   * dashboards they hold.
+   * @param {string} [cursor] - Opaque cursor returned by the previous page
+   */
+  async listResources(cursor) {
+    const offset = this.decodeCursor(cursor);
+    this.logger.debug('Listing resources', { offset, pageSize: this.pageSize });
+
+    const collections = await this.fetchCollections();
+    const page = collections.slice(offset, offset + this.pageSize);
+    const resources = [];
+
+    for (const collection of page) {
+      resources.push({
+        uri: this.buildUri('collection', collection.id),
+        name: collection.name,
+        description: collection.description || `Collection ${collection.id}`,
+        mimeType: 'text/plain',
+      });
+
+      const items = await this.collectionHandlers.fetchCollectionItems(collection.id);
+      for (const item of items.data || []) {
+        const type = RESOURCE_ITEM_MODELS[item.model];
+        if (!type) {
+          continue;
+        }
+        resources.push({
+          uri: this.buildUri(type, item.id),
+          name: item.name,
+          description: item.description || `${item.model} in collection "${collection.name}"`,
+          mimeType: 'text/plain',
+        });
+      }
+    }
+
+    const nextOffset = offset + this.pageSize;
+    return {
+      resources,
+      ...(nextOffset < collections.length ? { nextCursor: this.encodeCursor(nextOffset) } : {}),
+    };
+  }
+
+  /**
+   * Read a resource by URI
+   * @param {string} uri - A metabase:// resource URI
+   * @throws {ValidationError} If the URI is not a supported resource
+   */
+  async readResource(uri) {
+    const { type, id, view } = this.parseUri(uri);
+    this.logger.debug('Reading resource', { uri, type, id, view });
+
+    let result;
+    switch (type) {
+      case 'card':
+        result = await this.cardHandlers.getCard(this.parseNumericId(id, uri));
+        break;
+      case 'dashboard':
+        result = await this.dashboardHandlers.getDashboard(this.parseNumericId(id, uri));
+        break;
+      case 'table':
+        result = await this.databaseHandlers.getTableMetadata(this.parseNumericId(id, uri));
+        break;
+      case 'database':
+        result = view === 'metadata'
+          ? await this.databaseHandlers.getDatabaseMetadata(this.parseNumericId(id, uri))
+          : await this.databaseHandlers.getDatabase(this.parseNumericId(id, uri));
+        break;
+      case 'collection':
+        result = await this.collectionHandlers.getCollectionItems(id === 'root' ? 'root' : this.parseNumericId(id, uri));
+        break;
+    }
+
+    return {
+      contents: result.content
+        .filter(block => block.type === 'text')
+        .map(block => ({
+          uri,
+          mimeType: 'text/plain',
+          text: block.text,
+        })),
+    };
+  }
+
+  /**
+   * Fetch all non-archived collections, with the root collection first
+   */
+  async fetchCollections() {
+    const response = await this.apiClient.makeRequest('/api/collection/');
+    const collections = (Array.isArray(response) ? response : response.data || [])
+      .filter(c => !c.archived);
+
+    if (!collections.some(c => c.id === 'root')) {
+      collections.unshift({ id: 'root', name: 'Our analytics', description: 'Root collection' });
+    }
+    return collections;
+  }
+
+  buildUri(type, id) {
+    return `${RESOURCE_URI_SCHEME}://${type}/${id}`;
+  }
+
+  parseUri(uri) {
+    const match = typeof uri === 'string' ? uri.match(RESOURCE_URI_PATTERN) : null;
+    if (!match) {
+      throw new ValidationError(
+        `Unsupported resource URI: ${uri}. Expected one of: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`,
+        'uri',
+        uri
+      );
+    }
+    return match[1]
+      ? { type: match[1], id: decodeURIComponent(match[2]), view: null }
+      : { type: match[3], id: decodeURIComponent(match[4]), view: match[5] };
+  }
+
+  parseNumericId(id, uri) {
+    if (!/^\d+$/.test(id)) {
+      throw new ValidationError(`Resource ID must be a positive integer: ${uri}`, 'uri', uri);
+    }
+    return parseInt(id, 10);
+  }
+
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    if (!cursor) {
+      return 0;
+    }
+    try {
+      const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      if (Number.isInteger(offset) && offset >= 0) {
+        return offset;
+      }
+    } catch {
+      // Fall through to the validation error below
+    }
+    throw new ValidationError('Invalid resources/list cursor', 'cursor', cursor);
+  }
+}
@@ -0,0 +1,144 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { Validators } from '../../shared/utils/validators.js';
+import { logger } from '../../shared/utils/logger.js';
+import { mapWithConcurrency } from '../../shared/utils/concurrency.js';
+import { Mappers } from '../utils/mappers.js';
+
+export const SEARCH_MODELS = ['card', 'dataset', 'dashboard', 'collection', 'table', 'metric', 'segment'];
+
+/**
+ * Handlers for Metabase's own search (/api/search)
+ */
+export class SearchHandlers {
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this.logger = logger.child('SearchHandlers');
+  }
+
+  /**
+   * Search cards, models, dashboards, collections, tables, metrics and segments
+   * @param {Object} request - Search request
+   * @param {string} [request.q] - Search text; omit to list by the other filters
+   * @param {string[]} [request.models] - Item types to include (see SEARCH_MODELS)
+   * @param {number} [request.collection] - Only items in this collection or its sub-collections
+   * @param {boolean} [request.archived] - Search archived items instead of live ones
+   * @param {number|number[]} [request.createdBy] - Only items created by these user IDs
+   * @param {number} [request.limit] - Hits per page (default: 20)
+   * @param {number} [request.offset] - Hits to skip
+   */
+  async search({ q, models = [], collection, archived = false, createdBy, limit = 20, offset = 0 } = {}) {
+    Validators.validateLimit(limit, 1, 100);
+    const unknown = models.filter(model => !SEARCH_MODELS.includes(model));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown search model(s): ${unknown.join(', ')}. Use ${SEARCH_MODELS.join(', ')}`, 'models', unknown);
+    }
+
+    const params = new URLSearchParams();
+    if (q) params.append('q', q);
+    models.forEach(model => params.append('models', model));
+    if (collection !== undefined && collection !== null) params.append('collection', String(collection));
+    if (archived) params.append('archived', 'true');
+    [createdBy].flat().filter(id => id !== undefined && id !== null).forEach(id => params.append('created_by', String(id)));
+    params.append('limit', String(limit));
+    params.append('offset', String(offset));
+
+    this.logger.debug('Searching', { q, models, collection, archived, createdBy, limit, offset });
+    const response = await this.apiClient.makeRequest(`/api/search?${params}`);
+    const data = Array.isArray(response) ? response : response.data || [];
+    const total = Array.isArray(response) ? data.length : response.total ?? data.length;
+
+    const ancestry = await this.resolveCollections(data);
+    let hits = data.map((hit, i) => Mappers.searchHit(hit, offset + i + 1, ancestry.get(this.collectionKey(hit))));
+    let count = total;
+    let note = '';
+
+    // Versions of Metabase that ignore the collection parameter return hits
+    // known to be elsewhere; only then are hits filtered here, and the count
+    // covers the hits kept on this page. Hits whose collection could not be
+    // resolved are kept.
+    if (collection !== undefined && collection !== null) {
+      const placements = data.map((hit, i) => this.inCollection(hits[i], hit, ancestry, String(collection)));
+      if (placements.includes(false)) {
+        const unresolved = placements.filter(placement => placement === null).length;
+        hits = hits.filter((hit, i) => placements[i] !== false);
+        count = hits.length;
+        note = `\n\nMetabase ignored the collection filter, so hits outside collection ${collection} were removed: ${hits.length} of ${data.length} on this page kept${unresolved > 0 ? `, including ${unresolved} whose collection could not be resolved` : ''}.`;
+      }
+    }
+
+    const nextOffset = offset + data.length;
+    const hasMore = nextOffset < total;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Search${q ? ` for "${q}"` : ''}: ${count} result(s)${hits.length > 0 ? `, showing ${offset + 1}-${offset + data.length}` : ''}
+${hits.map(hit => `${hit.rank}. [${hit.model}] ${hit.name} (ID: ${hit.id})${hit.collectionPath ? ` | ${hit.collectionPath}` : ''}${hit.archived ? ' | archived' : ''}${hit.description ? `\n   ${hit.description}` : ''}`).join('\n')}${note}${hasMore ? `\n\nMore results: call search again with offset ${nextOffset}.` : ''}`,
+        },
+      ],
+      structuredContent: {
+        query: q ?? null,
+        total: count,
+        offset,
+        limit,
+        hasMore,
+        nextOffset: hasMore ? nextOffset : null,
+        hits: hits.map(({ collectionAncestorIds, ...hit }) => hit),
+      },
+    };
+  }
+
+  /**
+   * Ancestors of each collection that holds a hit. Recent Metabase versions
+   * include them in the search response; older ones are looked up (cached).
+   * @returns {Promise<Map>} Collection key to `[{ id, name }]`, outermost first, the collection itself last
+   */
+  async resolveCollections(hits) {
+    const ancestry = new Map();
+    const missing = new Set();
+
+    for (const hit of hits) {
+      const key = this.collectionKey(hit);
+      if (key === 'root' || ancestry.has(key)) continue;
+      if (Array.isArray(hit.collection?.effective_ancestors)) {
+        ancestry.set(key, [...hit.collection.effective_ancestors, hit.collection]);
+      } else {
+        missing.add(key);
+      }
+    }
+
+    await mapWithConcurrency([...missing], 4, async (id) => {
+      try {
+        const collection = await this.apiClient.makeRequest(`/api/collection/${id}`);
+        ancestry.set(id, [...(collection.effective_ancestors || []), collection]);
+      } catch (error) {
+        this.logger.debug('Could not resolve collection path', { collectionId: id, error: error.message });
+      }
+    });
+
+    for (const [key, chain] of ancestry) {
+      ancestry.set(key, chain.filter(c => c.id !== 'root' && c.id !== null && c.id !== undefined).map(c => ({ id: c.id, name: c.name })));
+    }
+    return ancestry;
+  }
+
+  /**
+   * Whether a hit is in a collection or one of its sub-collections
+   * @returns {boolean|null} null when the hit's collection could not be resolved
+   */
+  inCollection(hit, rawHit, ancestry, collectionId) {
+    if (String(hit.collectionId) === collectionId || hit.collectionAncestorIds.map(String).includes(collectionId)) {
+      return true;
+    }
+    const key = this.collectionKey(rawHit);
+    return key === 'root' || ancestry.has(key) ? false : null;
+  }
+
+  /**
+   * Collection of a hit (for a collection hit, Metabase reports the collection itself)
+   */
+  collectionKey(hit) {
+    return hit.collection?.id ?? 'root';
+  }
+}
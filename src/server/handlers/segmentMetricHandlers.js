@@ -1,4 +1,5 @@
 import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
 
 /**
  * Handlers for segment and metric operations
@@ -26,6 +27,9 @@ ${segments.map(s =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        segments: segments.map(Mappers.segmentOrMetric),
+      },
     };
   }
 
@@ -48,11 +52,16 @@ ${metrics.map(m =>
 ).join('\n')}`,
           },
         ],
+        structuredContent: {
+          available: true,
+          metrics: metrics.map(Mappers.segmentOrMetric),
+        },
       };
     } catch (error) {
       if (error.message.includes('404')) {
         return {
           content: [{ type: 'text', text: 'Metrics endpoint not available in this Metabase version' }],
+          structuredContent: { available: false, metrics: [] },
         };
       }
       throw error;
@@ -1,5 +1,6 @@
 import { Validators } from '../../shared/utils/validators.js';
 import { logger } from '../../shared/utils/logger.js';
+import { Mappers } from '../utils/mappers.js';
 
 /**
  * Handlers for user and activity operations
@@ -31,11 +32,16 @@ ${activity.map(a =>
 ).join('\n')}`,
           },
         ],
+        structuredContent: {
+          available: true,
+          activity: activity.map(Mappers.activity),
+        },
       };
     } catch (error) {
       if (error.message.includes('404')) {
         return {
           content: [{ type: 'text', text: 'Activity endpoint not available in this Metabase version' }],
+          structuredContent: { available: false, activity: [] },
         };
       }
       throw error;
@@ -60,6 +66,9 @@ Email: ${user.email}
 Is Admin: ${user.is_superuser}`,
         },
       ],
+      structuredContent: {
+        user: Mappers.user(user),
+      },
     };
   }
 
@@ -80,6 +89,9 @@ ${users.map(u =>
 ).join('\n')}`,
         },
       ],
+      structuredContent: {
+        users: users.map(Mappers.user),
+      },
     };
   }
 }
@@ -1,28 +1,347 @@
 #!/usr/bin/env node
 
+import { readFileSync } from 'node:fs';
+
 import { MetabaseMCPServer } from './MetabaseMCPServer.js';
 import { ConfigurationError } from '../shared/errors/MetabaseError.js';
 import { logger } from '../shared/utils/logger.js';
+import { DEFAULT_CACHE_POLICIES } from './config/cachePolicies.js';
+import { AUTH_METHODS } from './utils/authProviders.js';
+import { RESULT_FORMATS } from './utils/resultFormatter.js';
+
+/**
+ * Read an integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} [defaultValue] - Value when the variable is unset or empty
+ * @param {Object} [range] - Accepted bounds (inclusive)
+ * @returns {number|undefined}
+ * @throws {ConfigurationError} If the value is not an integer within bounds
+ */
+function intEnv(name, defaultValue, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const raw = process.env[name]?.trim();
+  if (!raw) {
+    return defaultValue;
+  }
+
+  const value = /^-?\d+$/.test(raw) ? Number(raw) : NaN;
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `between ${min} and ${max}`;
+    throw new ConfigurationError(`${name} must be a whole number ${range} (got "${process.env[name]}")`, name);
+  }
+  return value;
+}
+
+/**
+ * Build cache policies: CACHE_TTL_OVERRIDES (JSON object of endpoint regex -> TTL in ms)
+ * take precedence over the built-in defaults
+ */
+function loadCachePolicies() {
+  if (!process.env.CACHE_TTL_OVERRIDES) {
+    return DEFAULT_CACHE_POLICIES;
+  }
+
+  try {
+    const overrides = Object.entries(JSON.parse(process.env.CACHE_TTL_OVERRIDES))
+      .map(([pattern, ttl]) => {
+        if (!Number.isSafeInteger(Number(ttl)) || Number(ttl) < 0) {
+          throw new Error(`TTL for "${pattern}" is not a whole number of ms`);
+        }
+        return { pattern: new RegExp(pattern), ttl: Number(ttl) };
+      });
+    return [...overrides, ...DEFAULT_CACHE_POLICIES];
+  } catch (error) {
+    throw new ConfigurationError(
+      `CACHE_TTL_OVERRIDES must be a JSON object of endpoint regex to TTL in ms: ${error.message}`,
+      'CACHE_TTL_OVERRIDES'
+    );
+  }
+}
+
+const ENV_AUTH_KEYS = {
+  method: 'METABASE_AUTH_METHOD',
+  apiKey: 'METABASE_API_KEY',
+  username: 'METABASE_USERNAME',
+  password: 'METABASE_PASSWORD',
+  sessionToken: 'METABASE_SESSION_TOKEN',
+};
+
+/**
+ * Select the authentication method. An explicit method wins; otherwise it
+ * is inferred from which credentials are set, the API key first.
+ * @param {Object} credentials - method, apiKey, username, password, sessionToken
+ * @param {Object} keys - Where each credential was configured, for error messages
+ */
+function loadAuthConfig(credentials, keys) {
+  const { apiKey, username, password, sessionToken } = credentials;
+
+  let method = credentials.method?.toLowerCase();
+  if (!method) {
+    if (apiKey) method = 'api_key';
+    else if (sessionToken) method = 'session_token';
+    else if (username || password) method = 'session';
+    else method = 'api_key';
+  }
+
+  if (!AUTH_METHODS.includes(method)) {
+    throw new ConfigurationError(
+      `${keys.method} must be one of ${AUTH_METHODS.join(', ')} (got "${credentials.method}")`,
+      keys.method
+    );
+  }
+
+  if (method === 'api_key' && !apiKey) {
+    throw new ConfigurationError(
+      `${keys.apiKey} is required. Please set it in your mcp.json configuration or environment, or configure ${keys.username}/${keys.password} or ${keys.sessionToken} instead.`,
+      keys.apiKey
+    );
+  }
+
+  if (method === 'session' && (!username || !password)) {
+    throw new ConfigurationError(
+      `${keys.username} and ${keys.password} are both required for session authentication.`,
+      username ? keys.password : keys.username
+    );
+  }
+
+  if (method === 'session_token' && !sessionToken) {
+    throw new ConfigurationError(
+      `${keys.sessionToken} is required for session_token authentication.`,
+      keys.sessionToken
+    );
+  }
+
+  return { method, apiKey, username, password, sessionToken };
+}
+
+/**
+ * Replace ${VAR} references with environment variables, so credentials can
+ * stay out of the instances file
+ */
+function interpolateEnv(value, key) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new ConfigurationError(`${key} references undefined environment variable ${name}`, key);
+    }
+    return process.env[name];
+  });
+}
+
+/**
+ * Load named instances from METABASE_INSTANCES (JSON) or METABASE_INSTANCES_FILE
+ * (path to a JSON file). Either form is an object keyed by instance name, or an
+ * array of objects with a `name`:
+ *   { "production": { "url": "...", "apiKey": "${PROD_KEY}", "timeout": 60000 }, ... }
+ * Without either variable, a single "default" instance is built from
+ * METABASE_URL and the METABASE_* credentials.
+ * @returns {{instances: Object[], defaultInstance: string}}
+ */
+function loadInstances(defaultTimeout) {
+  const configKey = process.env.METABASE_INSTANCES_FILE ? 'METABASE_INSTANCES_FILE' : 'METABASE_INSTANCES';
+  let raw = process.env.METABASE_INSTANCES;
+
+  if (process.env.METABASE_INSTANCES_FILE) {
+    try {
+      raw = readFileSync(process.env.METABASE_INSTANCES_FILE, 'utf-8');
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read METABASE_INSTANCES_FILE: ${error.message}`, configKey);
+    }
+  }
+
+  if (!raw) {
+    if (!process.env.METABASE_URL) {
+      throw new ConfigurationError(
+        'METABASE_URL is required. Please set it in your mcp.json configuration or environment, or configure METABASE_INSTANCES instead.',
+        'METABASE_URL'
+      );
+    }
+    return {
+      instances: [{
+        name: 'default',
+        metabaseUrl: process.env.METABASE_URL,
+        auth: loadAuthConfig(
+          Object.fromEntries(Object.entries(ENV_AUTH_KEYS).map(([field, env]) => [field, process.env[env]])),
+          ENV_AUTH_KEYS
+        ),
+        requestTimeout: defaultTimeout,
+      }],
+      defaultInstance: 'default',
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigurationError(`${configKey} must contain valid JSON: ${error.message}`, configKey);
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map(entry => [entry?.name, entry])
+    : Object.entries(parsed ?? {});
+  if (entries.length === 0) {
+    throw new ConfigurationError(`${configKey} must define at least one instance`, configKey);
+  }
+
+  const instances = entries.map(([name, entry]) => {
+    const prefix = `${configKey}.${name}`;
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new ConfigurationError(`Instance names must be letters, digits, "_" or "-" (got "${name}")`, configKey);
+    }
+    if (!entry || typeof entry !== 'object' || !entry.url) {
+      throw new ConfigurationError(`${prefix}.url is required`, configKey);
+    }
+
+    const field = (key) => interpolateEnv(entry[key], `${prefix}.${key}`);
+    const timeout = entry.timeout === undefined ? defaultTimeout : Number(entry.timeout);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw new ConfigurationError(`${prefix}.timeout must be a positive number of milliseconds`, configKey);
+    }
+
+    return {
+      name,
+      metabaseUrl: field('url').replace(/\/+$/, ''),
+      description: entry.description ?? null,
+      auth: loadAuthConfig(
+        {
+          method: field('authMethod'),
+          apiKey: field('apiKey'),
+          username: field('username'),
+          password: field('password'),
+          sessionToken: field('sessionToken'),
+        },
+        {
+          method: `${prefix}.authMethod`,
+          apiKey: `${prefix}.apiKey`,
+          username: `${prefix}.username`,
+          password: `${prefix}.password`,
+          sessionToken: `${prefix}.sessionToken`,
+        }
+      ),
+      requestTimeout: timeout,
+    };
+  });
+
+  const names = instances.map(instance => instance.name);
+  if (new Set(names).size !== names.length) {
+    throw new ConfigurationError(`${configKey} defines the same instance name twice`, configKey);
+  }
+
+  const defaultInstance = process.env.METABASE_DEFAULT_INSTANCE || names[0];
+  if (!names.includes(defaultInstance)) {
+    throw new ConfigurationError(
+      `METABASE_DEFAULT_INSTANCE "${defaultInstance}" is not one of the configured instances: ${names.join(', ')}`,
+      'METABASE_DEFAULT_INSTANCE'
+    );
+  }
+
+  return { instances, defaultInstance };
+}
 
 /**
  * Load and validate configuration
  */
 function loadConfig() {
-  const metabaseUrl = process.env.METABASE_URL || 'https://data-metabase.swile.co';
-  const apiKey = process.env.METABASE_API_KEY;
-  const requestTimeout = parseInt(process.env.REQUEST_TIMEOUT || '30000', 10);
+  const requestTimeout = intEnv('REQUEST_TIMEOUT', 30000);
+  const transport = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  const { instances, defaultInstance } = loadInstances(requestTimeout);
+
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new ConfigurationError(
+      `MCP_TRANSPORT must be "stdio" or "http" (got "${transport}")`,
+      'MCP_TRANSPORT'
+    );
+  }
+
+  const port = intEnv('MCP_HTTP_PORT', 3000, { min: 0, max: 65535 });
+
+  const queryLimits = {
+    rowLimit: intEnv('QUERY_ROW_LIMIT', 2000, { min: 0 }),
+    maxRowLimit: intEnv('QUERY_MAX_ROW_LIMIT', 10000),
+    timeout: intEnv('QUERY_TIMEOUT'),
+    maxTimeout: intEnv('QUERY_MAX_TIMEOUT', 5 * 60 * 1000),
+  };
+  if (queryLimits.rowLimit > queryLimits.maxRowLimit) {
+    throw new ConfigurationError(
+      `QUERY_ROW_LIMIT (${queryLimits.rowLimit}) cannot exceed QUERY_MAX_ROW_LIMIT (${queryLimits.maxRowLimit})`,
+      'QUERY_ROW_LIMIT'
+    );
+  }
 
-  if (!apiKey) {
+  const resultFormat = (process.env.RESULT_FORMAT || 'json').toLowerCase();
+  if (!RESULT_FORMATS.includes(resultFormat)) {
     throw new ConfigurationError(
-      'METABASE_API_KEY environment variable is required. Please set it in your mcp.json configuration or environment.',
-      'METABASE_API_KEY'
+      `RESULT_FORMAT must be one of ${RESULT_FORMATS.join(', ')} (got "${process.env.RESULT_FORMAT}")`,
+      'RESULT_FORMAT'
     );
   }
 
   return {
-    metabaseUrl,
-    apiKey,
+    instances,
+    defaultInstance,
     requestTimeout,
+    transport,
+    http: {
+      host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+      port,
+      path: process.env.MCP_HTTP_PATH || '/mcp',
+      authToken: process.env.MCP_HTTP_AUTH_TOKEN,
+      sessionIdleTimeout: intEnv('MCP_HTTP_SESSION_IDLE_TIMEOUT', 30 * 60 * 1000),
+      maxSessions: intEnv('MCP_HTTP_MAX_SESSIONS', 100),
+    },
+    shutdownTimeout: intEnv('MCP_SHUTDOWN_TIMEOUT', 10000),
+    pluginDir: process.env.MCP_PLUGIN_DIR,
+    cache: {
+      enabled: process.env.CACHE_ENABLED !== 'false',
+      policies: loadCachePolicies(),
+      defaultTtl: intEnv('CACHE_DEFAULT_TTL', 0, { min: 0 }),
+      maxEntries: intEnv('CACHE_MAX_ENTRIES', 500),
+      maxBytes: intEnv('CACHE_MAX_BYTES', 50 * 1024 * 1024),
+      directory: process.env.CACHE_DIR,
+    },
+    results: {
+      maxRows: intEnv('RESULT_MAX_ROWS', 100),
+      maxChars: intEnv('RESULT_MAX_CHARS', 20000),
+      ttl: intEnv('RESULT_TTL', 15 * 60 * 1000),
+      maxEntries: intEnv('RESULT_STORE_MAX_ENTRIES', 20),
+      maxBytes: intEnv('RESULT_STORE_MAX_BYTES', 64 * 1024 * 1024),
+      format: resultFormat,
+      maxColumnWidth: intEnv('RESULT_MAX_COLUMN_WIDTH', 40),
+    },
+    export: {
+      exportDir: process.env.EXPORT_DIR,
+      timeout: intEnv('EXPORT_TIMEOUT', 5 * 60 * 1000),
+    },
+    retry: {
+      retries: intEnv('RETRY_COUNT', 3, { min: 0 }),
+      baseDelay: intEnv('RETRY_BASE_DELAY', 300, { min: 0 }),
+      maxDelay: intEnv('RETRY_MAX_DELAY', 10000, { min: 0 }),
+      maxRetryAfter: intEnv('RETRY_MAX_RETRY_AFTER', 60000, { min: 0 }),
+      retryNonIdempotent: process.env.RETRY_NON_IDEMPOTENT === 'true',
+    },
+    circuitBreaker: {
+      threshold: intEnv('CIRCUIT_BREAKER_THRESHOLD', 5, { min: 0 }),
+      resetTimeout: intEnv('CIRCUIT_BREAKER_RESET_TIMEOUT', 30000),
+    },
+    queryLimits,
+    dashboards: {
+      concurrency: intEnv('DASHBOARD_CONCURRENCY', 4),
+    },
+    queryJobs: {
+      timeout: intEnv('QUERY_JOB_TIMEOUT', 30 * 60 * 1000),
+      ttl: intEnv('QUERY_JOB_TTL', 60 * 60 * 1000),
+      maxJobs: intEnv('QUERY_JOB_MAX', 20),
+    },
+    searchIndex: {
+      directory: process.env.SEARCH_INDEX_DIR,
+      maxAge: intEnv('SEARCH_INDEX_MAX_AGE', 10 * 60 * 1000, { min: 0 }),
+      concurrency: intEnv('SEARCH_INDEX_CONCURRENCY', 4),
+    },
+    sqlGuard: {
+      allowWrites: process.env.SQL_GUARD_ALLOW_WRITES === 'true',
+    },
   };
 }
 
@@ -35,9 +354,14 @@ async function main() {
     
     const config = loadConfig();
     logger.info('Configuration loaded', {
-      metabaseUrl: config.metabaseUrl,
+      instances: config.instances.map(instance => `${instance.name}=${instance.metabaseUrl} (${instance.auth.method})`),
+      defaultInstance: config.defaultInstance,
       requestTimeout: config.requestTimeout,
+      transport: config.transport,
     });
+    if (config.sqlGuard.allowWrites) {
+      logger.warn('SQL_GUARD_ALLOW_WRITES is set: native queries are not checked for write statements');
+    }
     
     const server = new MetabaseMCPServer(config);
     await server.run();
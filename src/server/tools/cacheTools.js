@@ -0,0 +1,24 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Cache tools
+ */
+export const CACHE_TOOLS = [
+  {
+    name: 'clear_cache',
+    risk: RISK_LEVELS.SAFE,
+    description: '🧹 [SAFE] Clear cached Metabase API responses (metadata, cards, collections). Use this when you know content changed in Metabase and need fresh data immediately instead of waiting for the cache to expire. Only the entries of the selected instance are cleared. Risk: None - only affects the local cache.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Only clear endpoints containing this text (e.g., "/api/card/123"), or matching it when written as /regex/. Clears everything when omitted.',
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.clear_cache,
+    handler: ({ cacheHandlers }, { pattern }) => cacheHandlers.clearCache(pattern),
+  },
+];
@@ -0,0 +1,124 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { RESULT_PAGE_PROPERTIES, SUMMARIZE_PROPERTY } from './queryTools.js';
+
+/**
+ * Card tools
+ */
+export const CARD_TOOLS = [
+  {
+    name: 'get_card',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔍 [SAFE] Get a Metabase card/question by ID, including its SQL query. Use this when you need to see the SQL behind a specific question or analyze how a card is built. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The ID of the card/question to retrieve',
+          minimum: 1,
+        },
+      },
+      required: ['cardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_card,
+    handler: ({ cardHandlers }, { cardId }) => cardHandlers.getCard(cardId),
+  },
+  {
+    name: 'list_cards',
+    risk: RISK_LEVELS.SAFE,
+    description: '📋 [SAFE] List Metabase cards/questions with optional filtering. Use this to discover available cards, find cards by type, or see all questions in the system. Can return large results (15k+ cards). Risk: None - read-only, but may be slow with many cards.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filter: {
+          type: 'string',
+          description: 'Filter type: all (all cards), mine (my cards), bookmarked, database, table, using_model, using_segment, archived',
+          enum: ['all', 'mine', 'bookmarked', 'database', 'table', 'using_model', 'using_segment', 'archived'],
+          default: 'all',
+        },
+        modelId: {
+          type: 'integer',
+          description: 'Model ID for filtering (only when filter=using_model)',
+          minimum: 1,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_cards,
+    handler: ({ cardHandlers }, { filter, modelId }) => cardHandlers.listCards(filter, modelId),
+  },
+  {
+    name: 'execute_card_query',
+    risk: RISK_LEVELS.MODERATE,
+    description: '▶️ [MODERATE RISK] Execute a saved card query and return results. Use this to get actual data from a card. May take time for complex queries. Risk: Moderate - executes queries that may be slow or resource-intensive. Does not modify data.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The ID of the card to execute',
+          minimum: 1,
+        },
+        parameters: {
+          type: 'object',
+          description: 'Values for the card\'s SQL template tags, keyed by tag name (e.g., {"start_date": "2024-01-01", "status": ["paid", "refunded"]}). Text, number, date and field-filter tags are supported; see get_card for the tag names.',
+          additionalProperties: true,
+        },
+        summarize: SUMMARIZE_PROPERTY,
+        ...RESULT_PAGE_PROPERTIES,
+      },
+      required: ['cardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.execute_card_query,
+    handler: ({ cardHandlers }, { cardId, parameters, summarize, maxRows, maxChars, format }) =>
+      cardHandlers.executeCardQuery(cardId, parameters, { maxRows, maxChars, summarize, format }),
+  },
+  {
+    name: 'execute_query_builder_card',
+    risk: RISK_LEVELS.MODERATE,
+    description: '⚙️ [MODERATE RISK] Execute a query-builder card with specific parameters. Use this to run query builder cards with custom filters and aggregations. Risk: Moderate - executes queries that may be slow or resource-intensive.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The card ID',
+          minimum: 1,
+        },
+        parameters: {
+          type: 'object',
+          description: 'Query parameters object with filters, aggregations, breakouts',
+          additionalProperties: true,
+        },
+        ...RESULT_PAGE_PROPERTIES,
+      },
+      required: ['cardId', 'parameters'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.execute_query_builder_card,
+    handler: ({ cardHandlers }, { cardId, parameters, maxRows, maxChars, format }) =>
+      cardHandlers.executeQueryBuilderCard(cardId, parameters, { maxRows, maxChars, format }),
+  },
+  {
+    name: 'get_generated_sql',
+    risk: RISK_LEVELS.MODERATE,
+    description: '📝 [MODERATE RISK] Get the generated SQL for a query-builder card with parameters. Use this to see the actual SQL that Metabase generates from query builder parameters. Risk: Moderate - executes queries to generate SQL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The card ID',
+          minimum: 1,
+        },
+        parameters: {
+          type: 'object',
+          description: 'Query parameters object',
+          additionalProperties: true,
+        },
+      },
+      required: ['cardId', 'parameters'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_generated_sql,
+    handler: ({ cardHandlers }, { cardId, parameters }) => cardHandlers.getGeneratedSQL(cardId, parameters),
+  },
+];
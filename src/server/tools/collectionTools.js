@@ -0,0 +1,49 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Collection tools
+ */
+export const COLLECTION_TOOLS = [
+  {
+    name: 'list_collections',
+    risk: RISK_LEVELS.SAFE,
+    description: '📁 [SAFE] List all collections (folders) in Metabase. Collections organize cards and dashboards. Use this to understand the organizational structure. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        namespace: {
+          type: 'string',
+          description: 'Optional namespace filter (e.g., "snippets")',
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_collections,
+    handler: ({ collectionHandlers }, { namespace }) => collectionHandlers.listCollections(namespace),
+  },
+  {
+    name: 'get_collection_items',
+    risk: RISK_LEVELS.SAFE,
+    description: '📁 [SAFE] Get all items (cards, dashboards, models) in a specific collection. Use this to see what content is organized in a folder. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collectionId: {
+          type: 'string',
+          description: 'The ID of the collection (use "root" for root collection)',
+        },
+        models: {
+          type: 'array',
+          description: 'Filter by item type (optional)',
+          items: {
+            type: 'string',
+            enum: ['card', 'dashboard', 'dataset'],
+          },
+        },
+      },
+      required: ['collectionId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_collection_items,
+    handler: ({ collectionHandlers }, { collectionId, models }) => collectionHandlers.getCollectionItems(collectionId, models),
+  },
+];
@@ -0,0 +1,92 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { RESULT_PAGE_PROPERTIES } from './queryTools.js';
+
+/**
+ * Dashboard tools
+ */
+export const DASHBOARD_TOOLS = [
+  {
+    name: 'get_dashboard',
+    risk: RISK_LEVELS.SAFE,
+    description: '📊 [SAFE] Get a dashboard by ID including all its cards, layout, and parameters. Use this to understand dashboard structure or see all questions in a dashboard at once. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dashboardId: {
+          type: 'integer',
+          description: 'The ID of the dashboard to retrieve',
+          minimum: 1,
+        },
+      },
+      required: ['dashboardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_dashboard,
+    handler: ({ dashboardHandlers }, { dashboardId }) => dashboardHandlers.getDashboard(dashboardId),
+  },
+  {
+    name: 'list_dashboards',
+    risk: RISK_LEVELS.SAFE,
+    description: '📊 [SAFE] List all dashboards in Metabase. Use this to discover available dashboards or find dashboards by name. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_dashboards,
+    handler: ({ dashboardHandlers }) => dashboardHandlers.listDashboards(),
+  },
+  {
+    name: 'execute_dashboard',
+    risk: RISK_LEVELS.MODERATE,
+    description: '▶️ [MODERATE RISK] Run every card of a dashboard with dashboard filters applied, e.g. to answer "what does dashboard 42 show for last month in France?". Filters are given by slug (see get_dashboard parameters); filters left out use their default. Returns a compact result per card; a failing card is reported without failing the others. Risk: Moderate - runs one query per card, which may be slow or resource-intensive.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dashboardId: {
+          type: 'integer',
+          description: 'The ID of the dashboard to run',
+          minimum: 1,
+        },
+        filters: {
+          type: 'object',
+          description: 'Filter values keyed by parameter slug, e.g. {"date": "past1months", "country": ["France"]}. Date filters take Metabase date strings ("2024-01-01", "2024-01-01~2024-01-31", "past30days"); other filters take a value or a list.',
+          additionalProperties: true,
+        },
+        maxRows: {
+          type: 'integer',
+          description: 'Maximum rows returned per card (default: 20). Remaining rows can be fetched with fetch_result_page.',
+          minimum: 1,
+          maximum: 1000,
+        },
+        maxChars: {
+          type: 'integer',
+          description: 'Maximum characters of row data returned per card (default: 4000)',
+          minimum: 100,
+          maximum: 100000,
+        },
+        format: RESULT_PAGE_PROPERTIES.format,
+      },
+      required: ['dashboardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.execute_dashboard,
+    handler: ({ dashboardHandlers }, { dashboardId, filters, maxRows, maxChars, format }) =>
+      dashboardHandlers.executeDashboard(dashboardId, filters, { maxRows, maxChars, format }),
+  },
+  {
+    name: 'get_card_with_parameters',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔗 [SAFE] Get a card with applied parameters from dashboard URL. Use this to extract card ID and parameters from Metabase dashboard URLs with filters. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The full Metabase dashboard URL with encoded parameters',
+        },
+      },
+      required: ['url'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_card_with_parameters,
+    handler: ({ dashboardHandlers }, { url }) => dashboardHandlers.getCardWithParameters(url),
+  },
+];
@@ -0,0 +1,91 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Database and table discovery tools
+ */
+export const DATABASE_TOOLS = [
+  {
+    name: 'get_database',
+    risk: RISK_LEVELS.SAFE,
+    description: '🗄️ [SAFE] Get database information by ID including engine type and connection details. Use this to understand which database a card connects to. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database to retrieve',
+          minimum: 1,
+        },
+      },
+      required: ['databaseId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_database,
+    handler: ({ databaseHandlers }, { databaseId }) => databaseHandlers.getDatabase(databaseId),
+  },
+  {
+    name: 'list_databases',
+    risk: RISK_LEVELS.SAFE,
+    description: '🗄️ [SAFE] List all available databases. Use this to see what data sources are connected to Metabase. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_databases,
+    handler: ({ databaseHandlers }) => databaseHandlers.listDatabases(),
+  },
+  {
+    name: 'get_database_metadata',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔍 [SAFE] Get complete metadata for a database including ALL tables, columns, and field types. This is comprehensive and may return large amounts of data. Use this when you need to understand the full database schema. Risk: None - read-only, but returns large payloads.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database',
+          minimum: 1,
+        },
+      },
+      required: ['databaseId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_database_metadata,
+    handler: ({ databaseHandlers }, { databaseId }) => databaseHandlers.getDatabaseMetadata(databaseId),
+  },
+  {
+    name: 'list_database_tables',
+    risk: RISK_LEVELS.SAFE,
+    description: '📑 [SAFE] List all tables in a specific database. Use this to see what tables are available before querying. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database',
+          minimum: 1,
+        },
+      },
+      required: ['databaseId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_database_tables,
+    handler: ({ databaseHandlers }, { databaseId }) => databaseHandlers.listDatabaseTables(databaseId),
+  },
+  {
+    name: 'get_table_metadata',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔍 [SAFE] Get detailed metadata for a specific table including all columns, data types, and foreign key relationships. Use this to understand table structure before writing queries. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tableId: {
+          type: 'integer',
+          description: 'The ID of the table',
+          minimum: 1,
+        },
+      },
+      required: ['tableId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_table_metadata,
+    handler: ({ databaseHandlers }, { tableId }) => databaseHandlers.getTableMetadata(tableId),
+  },
+];
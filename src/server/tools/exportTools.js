@@ -0,0 +1,74 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { EXPORT_FORMATS } from '../utils/exportFiles.js';
+
+const FORMAT_PROPERTY = {
+  type: 'string',
+  enum: EXPORT_FORMATS,
+  description: 'File format: csv, json or xlsx',
+  default: 'csv',
+};
+
+const FILE_NAME_PROPERTY = {
+  type: 'string',
+  description: 'Optional file name inside the export directory (an existing file with that name is replaced). A timestamped name is generated when omitted.',
+  maxLength: 200,
+};
+
+/**
+ * Export tools
+ */
+export const EXPORT_TOOLS = [
+  {
+    name: 'export_card_results',
+    risk: RISK_LEVELS.MODERATE,
+    description: '💾 [MODERATE RISK] Export the FULL results of a saved card to a local CSV, JSON or XLSX file and return its path, row count and size. Use this when the complete output is needed (e.g., for an analyst to open in a spreadsheet) rather than a preview. Risk: Moderate - runs the card query (may be slow) and writes a file to the server\'s export directory.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The ID of the card to export',
+          minimum: 1,
+        },
+        format: FORMAT_PROPERTY,
+        parameters: {
+          type: 'object',
+          description: 'Values for the card\'s SQL template tags, keyed by tag name, as for execute_card_query',
+          additionalProperties: true,
+        },
+        fileName: FILE_NAME_PROPERTY,
+      },
+      required: ['cardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.export_card_results,
+    handler: ({ exportHandlers }, { cardId, format, parameters, fileName }) =>
+      exportHandlers.exportCardResults(cardId, format, parameters, fileName),
+  },
+  {
+    name: 'export_query_results',
+    risk: RISK_LEVELS.MODERATE,
+    description: '💾 [MODERATE RISK] Run a native SQL query and export the FULL results to a local CSV, JSON or XLSX file, returning its path, row count and size. Use this for ad-hoc extracts too large to read through execute_native_query. The same read-only SQL check applies. Risk: Moderate - executes arbitrary SQL (may be slow) and writes a file to the server\'s export directory.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database to query',
+          minimum: 1,
+        },
+        query: {
+          type: 'string',
+          description: 'The SQL query to export (SELECT statements only recommended)',
+          minLength: 1,
+        },
+        format: FORMAT_PROPERTY,
+        fileName: FILE_NAME_PROPERTY,
+      },
+      required: ['databaseId', 'query'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.export_query_results,
+    handler: ({ exportHandlers }, { databaseId, query, format, fileName }) =>
+      exportHandlers.exportQueryResults(databaseId, query, format, fileName),
+  },
+];
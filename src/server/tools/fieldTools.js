@@ -0,0 +1,90 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { FIELD_ATTRIBUTES, FIELD_MATCH_MODES, MAX_MATCH_LENGTH, MAX_REGEX_LENGTH } from '../handlers/fieldHandlers.js';
+
+/**
+ * Field and column tools
+ */
+export const FIELD_TOOLS = [
+  {
+    name: 'get_field',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔍 [SAFE] Get detailed information about a specific field/column including its type, description, and metadata. Use this to understand what a column contains. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fieldId: {
+          type: 'integer',
+          description: 'The ID of the field',
+          minimum: 1,
+        },
+      },
+      required: ['fieldId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_field,
+    handler: ({ fieldHandlers }, { fieldId }) => fieldHandlers.getField(fieldId),
+  },
+  {
+    name: 'get_field_values',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔍 [SAFE] Get distinct values for a field (useful for understanding what values exist in a column). May return many values for high-cardinality fields. Risk: None - read-only, but may return large results.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fieldId: {
+          type: 'integer',
+          description: 'The ID of the field',
+          minimum: 1,
+        },
+      },
+      required: ['fieldId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_field_values,
+    handler: ({ fieldHandlers }, { fieldId }) => fieldHandlers.getFieldValues(fieldId),
+  },
+  {
+    name: 'find_fields',
+    risk: RISK_LEVELS.SAFE,
+    description: `🔍 [SAFE] Find columns across all databases (or the given ones) whose name, display name, description, base type or semantic type matches a pattern: a glob like "*customer_id*" (case-insensitive, anchored), a regular expression (at most ${MAX_REGEX_LENGTH} characters, tested against the first ${MAX_MATCH_LENGTH} characters of each value; a repeated group may not contain a quantifier or |, so (a+)+ and (a|b)* are rejected - use [ab]*), or fuzzy words that tolerate typos ("custmer id"). Returns database, schema, table and field IDs. Risk: None - read-only operation.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Glob (* and ?), regular expression, or words, depending on mode',
+          minLength: 1,
+        },
+        mode: {
+          type: 'string',
+          enum: FIELD_MATCH_MODES,
+          description: 'How to read the pattern (default: glob). Fuzzy results are sorted by closeness',
+        },
+        attributes: {
+          type: 'array',
+          items: { type: 'string', enum: Object.keys(FIELD_ATTRIBUTES) },
+          description: 'Field attributes to match (default: all)',
+        },
+        databaseIds: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1 },
+          description: 'Only search these databases (default: all)',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum fields to return (default: 50)',
+          minimum: 1,
+          maximum: 200,
+        },
+        offset: {
+          type: 'integer',
+          description: 'Fields to skip, for the next page (the nextOffset of the previous call)',
+          minimum: 0,
+          default: 0,
+        },
+      },
+      required: ['pattern'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.find_fields,
+    handler: ({ fieldHandlers }, args) => fieldHandlers.findFields(args),
+  },
+];
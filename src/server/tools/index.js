@@ -0,0 +1,37 @@
+/**
+ * Built-in tools, in the order they are listed to clients
+ */
+
+import { SEARCH_TOOLS } from './searchTools.js';
+import { CARD_TOOLS } from './cardTools.js';
+import { DASHBOARD_TOOLS } from './dashboardTools.js';
+import { DATABASE_TOOLS } from './databaseTools.js';
+import { COLLECTION_TOOLS } from './collectionTools.js';
+import { QUERY_TOOLS } from './queryTools.js';
+import { JOB_TOOLS } from './jobTools.js';
+import { EXPORT_TOOLS } from './exportTools.js';
+import { FIELD_TOOLS } from './fieldTools.js';
+import { LINEAGE_TOOLS } from './lineageTools.js';
+import { SEGMENT_METRIC_TOOLS } from './segmentMetricTools.js';
+import { USER_TOOLS } from './userTools.js';
+import { CACHE_TOOLS } from './cacheTools.js';
+import { INSTANCE_TOOLS } from './instanceTools.js';
+
+export { ToolRegistry, RISK_LEVELS } from './toolRegistry.js';
+
+export const BUILTIN_TOOLS = [
+  ...SEARCH_TOOLS,
+  ...CARD_TOOLS,
+  ...DASHBOARD_TOOLS,
+  ...DATABASE_TOOLS,
+  ...COLLECTION_TOOLS,
+  ...QUERY_TOOLS,
+  ...JOB_TOOLS,
+  ...EXPORT_TOOLS,
+  ...FIELD_TOOLS,
+  ...LINEAGE_TOOLS,
+  ...SEGMENT_METRIC_TOOLS,
+  ...USER_TOOLS,
+  ...CACHE_TOOLS,
+  ...INSTANCE_TOOLS,
+];
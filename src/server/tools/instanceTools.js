@@ -0,0 +1,19 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Instance tools
+ */
+export const INSTANCE_TOOLS = [
+  {
+    name: 'list_instances',
+    risk: RISK_LEVELS.SAFE,
+    description: '🌐 [SAFE] List the Metabase instances this server is connected to (e.g., production, staging, EU), with their URL and which one is the default. Use this to find the value of the "instance" argument accepted by every tool. Risk: None - read-only configuration.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_instances,
+    handler: ({ instanceHandlers }) => instanceHandlers.listInstances(),
+  },
+];
@@ -0,0 +1,97 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { RESULT_PAGE_PROPERTIES } from './queryTools.js';
+
+const JOB_ID_PROPERTY = {
+  type: 'string',
+  description: 'The jobId returned by start_query',
+  minLength: 1,
+};
+
+/**
+ * Background query tools
+ */
+export const JOB_TOOLS = [
+  {
+    name: 'start_query',
+    risk: RISK_LEVELS.MODERATE,
+    description: '⏳ [MODERATE RISK] Start a long-running card or native SQL query in the background and return a jobId immediately. Use this instead of execute_card_query or execute_native_query when a query may take longer than the request timeout. Pass either cardId (with optional parameters) or databaseId and query. Risk: Moderate - executes queries that may be slow or resource-intensive; native SQL goes through the same read-only check and row limit as execute_native_query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The ID of the card to run',
+          minimum: 1,
+        },
+        parameters: {
+          type: 'object',
+          description: 'Values for the card\'s SQL template tags, keyed by tag name, as for execute_card_query',
+          additionalProperties: true,
+        },
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database to run a native query against',
+          minimum: 1,
+        },
+        query: {
+          type: 'string',
+          description: 'The SQL query to run',
+          minLength: 1,
+        },
+        rowLimit: {
+          type: 'integer',
+          description: 'Maximum rows a native query may return (default: 2000, up to the server maximum)',
+          minimum: 1,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.start_query,
+    handler: ({ jobHandlers }, { cardId, parameters, databaseId, query, rowLimit }) =>
+      jobHandlers.startQuery({ cardId, parameters, databaseId, query, rowLimit }),
+  },
+  {
+    name: 'get_query_status',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔄 [SAFE] Get the status (running, completed, failed or cancelled) and elapsed time of a background query started with start_query. Risk: None - reads job state.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: JOB_ID_PROPERTY,
+      },
+      required: ['jobId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_query_status,
+    handler: ({ jobHandlers }, { jobId }) => jobHandlers.getQueryStatus(jobId),
+  },
+  {
+    name: 'get_query_result',
+    risk: RISK_LEVELS.SAFE,
+    description: '📥 [SAFE] Get the first page of results of a completed background query (later pages via fetch_result_page). Returns the job status without a result while the query is still running, and the query error if it failed. Risk: None - reads a result already held by the server.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: JOB_ID_PROPERTY,
+        ...RESULT_PAGE_PROPERTIES,
+      },
+      required: ['jobId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_query_result,
+    handler: ({ jobHandlers }, { jobId, maxRows, maxChars, format }) =>
+      jobHandlers.getQueryResult(jobId, { maxRows, maxChars, format }),
+  },
+  {
+    name: 'cancel_query',
+    risk: RISK_LEVELS.SAFE,
+    description: '⏹️ [SAFE] Cancel a background query started with start_query. The request to Metabase is aborted, which stops the query on the database. Risk: None - only stops work.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: JOB_ID_PROPERTY,
+      },
+      required: ['jobId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.cancel_query,
+    handler: ({ jobHandlers }, { jobId }) => jobHandlers.cancelQuery(jobId),
+  },
+];
@@ -0,0 +1,90 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Lineage tools
+ */
+export const LINEAGE_TOOLS = [
+  {
+    name: 'get_card_lineage',
+    risk: RISK_LEVELS.SAFE,
+    description: '🧬 [SAFE] Get the tables and columns a card reads, as Metabase table and field IDs. Native SQL is parsed (schemas, aliases, CTEs, {{#card}} references, field filters); query builder cards are walked (source table, joins, source cards, field refs). Tables and columns reached through source cards are marked with the card they come through. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: {
+          type: 'integer',
+          description: 'The ID of the card',
+          minimum: 1,
+        },
+      },
+      required: ['cardId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_card_lineage,
+    handler: ({ lineageHandlers }, { cardId }) => lineageHandlers.getCardLineage(cardId),
+  },
+  {
+    name: 'find_cards_using',
+    risk: RISK_LEVELS.SAFE,
+    description: '🧬 [SAFE] Find the cards that read a table or a column (directly, with SELECT *, or through a source card). Pass exactly one of tableId or fieldId. Scans every card on the table\'s database, so it can take a while on large instances. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tableId: {
+          type: 'integer',
+          description: 'Find cards reading this table',
+          minimum: 1,
+        },
+        fieldId: {
+          type: 'integer',
+          description: 'Find cards reading this column',
+          minimum: 1,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.find_cards_using,
+    handler: ({ lineageHandlers }, { tableId, fieldId }) => lineageHandlers.findCardsUsing({ tableId, fieldId }),
+  },
+  {
+    name: 'impact_analysis',
+    risk: RISK_LEVELS.SAFE,
+    description: '💥 [SAFE] Find what breaks if a schema, table or column is renamed or dropped: the cards and models reading it (directly or through source cards), the dashboards showing them and the dashboard filters wired to its columns or fed by an affected card, grouped by collection with owners and last-view info where Metabase reports them. Pass tableId, fieldId, or databaseId with schema/table/column names. Reads every card on the database and every dashboard, so it can take a while on large instances. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tableId: {
+          type: 'integer',
+          description: 'The table that changes',
+          minimum: 1,
+        },
+        fieldId: {
+          type: 'integer',
+          description: 'The column that changes',
+          minimum: 1,
+        },
+        databaseId: {
+          type: 'integer',
+          description: 'Database of the schema, table or column given by name',
+          minimum: 1,
+        },
+        schema: {
+          type: 'string',
+          description: 'Schema name (alone: every table of the schema)',
+          minLength: 1,
+        },
+        table: {
+          type: 'string',
+          description: 'Table name; an unqualified name found in several schemas needs schema',
+          minLength: 1,
+        },
+        column: {
+          type: 'string',
+          description: 'Column name within table',
+          minLength: 1,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.impact_analysis,
+    handler: ({ lineageHandlers }, args) => lineageHandlers.impactAnalysis(args),
+  },
+];
@@ -0,0 +1,209 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { RESULT_FORMATS } from '../utils/resultFormatter.js';
+
+/**
+ * Page budgets and text format accepted by every tool that runs a query
+ */
+export const RESULT_PAGE_PROPERTIES = {
+  maxRows: {
+    type: 'integer',
+    description: 'Maximum rows to return in this response (default: 100). Remaining rows can be fetched with fetch_result_page.',
+    minimum: 1,
+    maximum: 10000,
+  },
+  maxChars: {
+    type: 'integer',
+    description: 'Maximum characters of row data to return in this response (default: 20000). At least one row is always returned.',
+    minimum: 100,
+    maximum: 1000000,
+  },
+  format: {
+    type: 'string',
+    enum: RESULT_FORMATS,
+    description: 'How rows are written in the text response: "json" (one compact JSON array per row, default), "markdown" (a table for chat clients), "text" (aligned columns) or "csv". Markdown and text format numbers and dates from the column types and cut long cells.',
+  },
+};
+
+export const SUMMARIZE_PROPERTY = {
+  type: 'boolean',
+  description: 'Also return per-column statistics of the returned rows (null and distinct counts, min/max/mean/percentiles for numbers, min/max for dates, most frequent values for text). Combine with a small maxRows when only the shape of the data matters. When a row limit truncated the result, the profile says so and only covers the returned rows.',
+  default: false,
+};
+
+const COMPARE_SIDE_PROPERTY = {
+  type: 'object',
+  description: 'One side of the comparison: either cardId (with optional parameters) or databaseId and query',
+  properties: {
+    cardId: {
+      type: 'integer',
+      description: 'The ID of the card to run',
+      minimum: 1,
+    },
+    parameters: {
+      type: 'object',
+      description: 'Values for the card\'s SQL template tags, keyed by tag name, as for execute_card_query',
+      additionalProperties: true,
+    },
+    databaseId: {
+      type: 'integer',
+      description: 'The ID of the database to run a native query against',
+      minimum: 1,
+    },
+    query: {
+      type: 'string',
+      description: 'The SQL query to run',
+      minLength: 1,
+    },
+    rowLimit: {
+      type: 'integer',
+      description: 'Maximum rows a native query may return (default: 2000, up to the server maximum)',
+      minimum: 1,
+    },
+    instance: {
+      type: 'string',
+      description: 'Metabase instance to run this side on (default: the instance of the call). See list_instances.',
+    },
+  },
+};
+
+const TOLERANCE_PROPERTY = {
+  type: 'object',
+  description: 'Numbers count as equal when they differ by at most `absolute`, or by at most `relative` (a fraction, e.g. 0.01 for 1%) of the larger value. Default: exact.',
+  properties: {
+    absolute: { type: 'number', minimum: 0 },
+    relative: { type: 'number', minimum: 0 },
+  },
+};
+
+/**
+ * Query execution tools
+ */
+export const QUERY_TOOLS = [
+  {
+    name: 'execute_native_query',
+    risk: RISK_LEVELS.MODERATE,
+    description: '⚠️ [MODERATE RISK] Execute an ad-hoc native SQL query directly against a database. Use this when you need to run custom SQL that doesn\'t exist as a saved card. Only a single SELECT, WITH, SHOW, DESCRIBE or EXPLAIN statement is accepted; anything else is rejected with QUERY_REJECTED before reaching Metabase. Results are capped at a default row limit (raise it with rowLimit). Risk: Moderate - executes arbitrary SQL (can be slow or resource-intensive). Always validate SQL before executing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: {
+          type: 'integer',
+          description: 'The ID of the database to query',
+          minimum: 1,
+        },
+        query: {
+          type: 'string',
+          description: 'The SQL query to execute (SELECT statements only recommended)',
+          minLength: 1,
+        },
+        rowLimit: {
+          type: 'integer',
+          description: 'Maximum rows the query may return (default: 2000, set by the server administrator along with the maximum). The query is rewritten with LIMIT/TOP; the response says when results were truncated.',
+          minimum: 1,
+        },
+        timeoutMs: {
+          type: 'integer',
+          description: 'Abort the query after this many milliseconds (default: the server request timeout)',
+          minimum: 1000,
+        },
+        summarize: SUMMARIZE_PROPERTY,
+        ...RESULT_PAGE_PROPERTIES,
+      },
+      required: ['databaseId', 'query'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.execute_native_query,
+    handler: ({ queryHandlers }, { databaseId, query, rowLimit, timeoutMs, summarize, maxRows, maxChars, format }) =>
+      queryHandlers.executeNativeQuery(databaseId, query, { maxRows, maxChars, summarize, format }, { rowLimit, timeoutMs }),
+  },
+  {
+    name: 'fetch_result_page',
+    risk: RISK_LEVELS.SAFE,
+    description: '📄 [SAFE] Fetch more rows of a query result that did not fit in one response. Query tools return a resultId and nextOffset when rows remain; pass them here to page through the result. Results are kept for 15 minutes. Risk: None - reads a result already in memory, does not re-run the query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        resultId: {
+          type: 'string',
+          description: 'The resultId returned by the query tool',
+          minLength: 1,
+        },
+        offset: {
+          type: 'integer',
+          description: 'Index of the first row to return (the nextOffset of the previous page)',
+          minimum: 0,
+          default: 0,
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum rows to return (default: 100)',
+          minimum: 1,
+          maximum: 10000,
+        },
+        maxChars: RESULT_PAGE_PROPERTIES.maxChars,
+        format: RESULT_PAGE_PROPERTIES.format,
+      },
+      required: ['resultId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.fetch_result_page,
+    handler: ({ queryHandlers }, { resultId, offset, limit, maxChars, format }) =>
+      queryHandlers.fetchResultPage(resultId, offset, limit, maxChars, format),
+  },
+  {
+    name: 'summarize_result',
+    risk: RISK_LEVELS.SAFE,
+    description: '📊 [SAFE] Compute per-column statistics of a query result held by the server (any resultId from a query tool): null and distinct counts, min/max/mean/percentiles for numbers, min/max for dates and most frequent values for text, chosen from each column\'s Metabase base type. Use this to understand the shape of a large result without paging through every row. Risk: None - works on a result already in memory, does not re-run the query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        resultId: {
+          type: 'string',
+          description: 'The resultId returned by the query tool',
+          minLength: 1,
+        },
+        topK: {
+          type: 'integer',
+          description: 'Most frequent values to list for text and boolean columns (default: 5)',
+          minimum: 1,
+          maximum: 100,
+        },
+      },
+      required: ['resultId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.summarize_result,
+    handler: ({ queryHandlers }, { resultId, topK }) => queryHandlers.summarizeResult(resultId, { topK }),
+  },
+  {
+    name: 'compare_results',
+    risk: RISK_LEVELS.MODERATE,
+    description: '⚖️ [MODERATE RISK] Run two queries - saved cards or native SQL, on the same or different Metabase instances - and compare their results. Rows are aligned on the key columns you name and reported as added, removed or changed, with per-column numeric deltas (numbers within the tolerance count as equal) and differences in columns or column types. Use this to validate a refactored card against the original, or staging against production. The response holds a bounded summary; page through the full diff with fetch_result_page. Risk: Moderate - executes two queries; native SQL goes through the same read-only check and row limit as execute_native_query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        left: COMPARE_SIDE_PROPERTY,
+        right: COMPARE_SIDE_PROPERTY,
+        keys: {
+          type: 'array',
+          description: 'Columns that identify a row on both sides (matched case-insensitively); their values must not repeat on either side. Without keys, rows are compared by position.',
+          items: { type: 'string', minLength: 1 },
+        },
+        tolerance: TOLERANCE_PROPERTY,
+        columnTolerances: {
+          type: 'object',
+          description: 'Tolerances for specific columns, keyed by column name, e.g. {"revenue": {"relative": 0.01}}',
+          additionalProperties: TOLERANCE_PROPERTY,
+        },
+        maxRows: {
+          ...RESULT_PAGE_PROPERTIES.maxRows,
+          description: 'Maximum differences to include in this response (default: 20). The rest can be fetched with fetch_result_page.',
+        },
+        maxChars: RESULT_PAGE_PROPERTIES.maxChars,
+        format: RESULT_PAGE_PROPERTIES.format,
+      },
+      required: ['left', 'right'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.compare_results,
+    handler: ({ compareHandlers }, { left, right, keys, tolerance, columnTolerances, maxRows, maxChars, format }) =>
+      compareHandlers.compareResults({ left, right, keys, tolerance, columnTolerances }, { maxRows, maxChars, format }),
+  },
+];
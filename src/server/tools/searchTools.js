@@ -0,0 +1,121 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+import { SEARCH_MODELS } from '../handlers/searchHandlers.js';
+import { INDEX_MODELS } from '../utils/contentIndex.js';
+
+/**
+ * Search tools
+ */
+export const SEARCH_TOOLS = [
+  {
+    name: 'search',
+    risk: RISK_LEVELS.SAFE,
+    description: '🔎 [SAFE] Search Metabase content with Metabase\'s own search: cards (questions), models (datasets), dashboards, collections, tables, metrics and segments. Returns ranked hits with their type, ID and collection path. Use this first to find content by name or description instead of listing everything. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        q: {
+          type: 'string',
+          description: 'Search text, matched against names, descriptions and (depending on the Metabase version) native SQL. Omit to list content by the other filters.',
+        },
+        models: {
+          type: 'array',
+          description: 'Only return these types of content (default: all)',
+          items: { type: 'string', enum: SEARCH_MODELS },
+        },
+        collection: {
+          type: 'integer',
+          description: 'Only return items in this collection or its sub-collections (collection ID)',
+          minimum: 1,
+        },
+        archived: {
+          type: 'boolean',
+          description: 'Search archived (trashed) items instead of live ones',
+          default: false,
+        },
+        created_by: {
+          type: 'array',
+          description: 'Only return items created by these user IDs (see list_users)',
+          items: { type: 'integer', minimum: 1 },
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum hits to return (default: 20)',
+          minimum: 1,
+          maximum: 100,
+        },
+        offset: {
+          type: 'integer',
+          description: 'Hits to skip, for the next page (the nextOffset of the previous call)',
+          minimum: 0,
+          default: 0,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.search,
+    handler: ({ searchHandlers }, { q, models, collection, archived, created_by: createdBy, limit, offset }) =>
+      searchHandlers.search({ q, models, collection, archived, createdBy, limit, offset }),
+  },
+  {
+    name: 'search_index',
+    risk: RISK_LEVELS.SAFE,
+    description: '🗂️ [SAFE] Full-text search of a local index of cards (with their SQL, tables and result columns), models, metrics, dashboards, collections and tables (with their columns), ranked with BM25. Use it to find content by what it queries, e.g. "sql:orders column:customer_id". Supports field filters sql:, table:, column:, collection:, name:, description:, type: and db:, and matches typos and prefixes. The index is saved on disk and refreshed incrementally when it is older than a few minutes. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search text and filters, e.g. `churn sql:subscriptions collection:finance type:card db:2`. Quote filter values with spaces: collection:"Finance Team"',
+          minLength: 1,
+        },
+        models: {
+          type: 'array',
+          description: 'Only return these types of content (default: all)',
+          items: { type: 'string', enum: INDEX_MODELS },
+        },
+        fuzzy: {
+          type: 'boolean',
+          description: 'Also match terms that a query term prefixes or is a typo away from (default: true)',
+          default: true,
+        },
+        refresh: {
+          type: 'boolean',
+          description: 'Refresh the index from Metabase before searching (default: only when it is stale)',
+          default: false,
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum hits to return (default: 20)',
+          minimum: 1,
+          maximum: 100,
+        },
+        offset: {
+          type: 'integer',
+          description: 'Hits to skip, for the next page (the nextOffset of the previous call)',
+          minimum: 0,
+          default: 0,
+        },
+      },
+      required: ['query'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.search_index,
+    handler: ({ indexHandlers }, args) => indexHandlers.searchIndex(args),
+  },
+  {
+    name: 'reindex',
+    risk: RISK_LEVELS.MODERATE,
+    description: '🔄 [MODERATE] Refresh the local search index used by search_index. Lists all cards, dashboards, collections and tables, re-indexes those changed since the last refresh (by updated_at) and fetches columns for new or changed tables. Use full to rebuild everything. Risk: Moderate - many API requests on large instances.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        full: {
+          type: 'boolean',
+          description: 'Re-index every item and re-fetch every table\'s columns instead of changed items only',
+          default: false,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.reindex,
+    handler: ({ indexHandlers }, { full }) => indexHandlers.reindex({ full }),
+  },
+];
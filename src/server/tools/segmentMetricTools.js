@@ -0,0 +1,30 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * Segment and metric tools
+ */
+export const SEGMENT_METRIC_TOOLS = [
+  {
+    name: 'list_segments',
+    risk: RISK_LEVELS.SAFE,
+    description: '🎯 [SAFE] List all segments (saved filters) in Metabase. Segments are reusable filters like "Active Users" or "Premium Customers". Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_segments,
+    handler: ({ segmentMetricHandlers }) => segmentMetricHandlers.listSegments(),
+  },
+  {
+    name: 'list_metrics',
+    risk: RISK_LEVELS.SAFE,
+    description: '📊 [SAFE] List all metrics (saved aggregations) in Metabase. Metrics are reusable calculations like "Total Revenue" or "Average Order Value". Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_metrics,
+    handler: ({ segmentMetricHandlers }) => segmentMetricHandlers.listMetrics(),
+  },
+];
@@ -0,0 +1,274 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { ConfigurationError, ToolExecutionError, ValidationError } from '../../shared/errors/MetabaseError.js';
+import { SchemaValidator } from '../../shared/utils/schemaValidator.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Risk levels a tool can declare
+ */
+export const RISK_LEVELS = {
+  SAFE: 'safe',
+  MODERATE: 'moderate',
+  HIGH: 'high',
+};
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Registry of MCP tools
+ *
+ * Each tool is declared once, as a plain object:
+ *   {
+ *     name: 'get_card',
+ *     risk: RISK_LEVELS.SAFE,
+ *     description: '...',
+ *     inputSchema: { ... },
+ *     outputSchema: { ... },          // optional, shape of structuredContent
+ *     handler: ({ cardHandlers }, { cardId }) => cardHandlers.getCard(cardId),
+ *   }
+ *
+ * The handler receives the handler context (handler instances and the API
+ * client) and the tool arguments, and maps the arguments onto a handler call.
+ * Both `tools/list` and tool dispatch are derived from the registry.
+ *
+ * Common arguments (e.g. `instance`) are added to every tool's inputSchema.
+ * They are not passed to handlers; they select the handler context instead.
+ */
+export class ToolRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Object} [options.commonArguments] - JSON schema properties accepted by every tool
+   */
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.commonArguments = options.commonArguments || {};
+    this.logger = logger.child('ToolRegistry');
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool declaration
+   * @param {string} [source] - Where the tool comes from, for error messages
+   * @throws {ConfigurationError} If the tool is malformed or its name is taken
+   */
+  register(tool, source = 'built-in') {
+    ToolRegistry.assertValidTool(tool, source);
+
+    if (this.tools.has(tool.name)) {
+      throw new ConfigurationError(
+        `Tool "${tool.name}" from ${source} is already registered`,
+        'tools'
+      );
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Register several tools
+   * @param {Object[]} tools - Tool declarations
+   * @param {string} [source] - Where the tools come from, for error messages
+   */
+  registerAll(tools, source = 'built-in') {
+    tools.forEach(tool => this.register(tool, source));
+    return this;
+  }
+
+  /**
+   * Check whether a tool is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a registered tool declaration
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Tool definitions for `tools/list`
+   * @returns {Object[]} MCP tool definitions
+   */
+  list() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: this.withCommonArguments(tool.inputSchema),
+      ...(tool.outputSchema ? { outputSchema: tool.outputSchema } : {}),
+      annotations: {
+        readOnlyHint: tool.risk !== RISK_LEVELS.HIGH,
+        destructiveHint: tool.risk === RISK_LEVELS.HIGH,
+      },
+    }));
+  }
+
+  /**
+   * Execute a tool by name.
+   * Arguments are validated and coerced against the tool's inputSchema first,
+   * so handlers always receive well-typed values with defaults applied.
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments, including common arguments
+   * @param {Object|Function} context - Handler context passed to the tool handler,
+   *   or a function resolving it from the validated common arguments
+   * @returns {Promise<Object>} MCP tool result
+   * @throws {ToolExecutionError} If the tool is unknown
+   * @throws {ValidationError} If the arguments do not match the inputSchema
+   */
+  async execute(name, args, context) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new ToolExecutionError(
+        `Unknown tool: ${name}`,
+        name,
+        null
+      );
+    }
+
+    const validatedArgs = this.validateArguments(tool, args || {});
+    const common = {};
+    for (const key of Object.keys(this.commonArguments)) {
+      if (!(key in (tool.inputSchema.properties || {}))) {
+        common[key] = validatedArgs[key];
+        delete validatedArgs[key];
+      }
+    }
+
+    const handlerContext = typeof context === 'function' ? await context(common) : context;
+    return await tool.handler(handlerContext, validatedArgs);
+  }
+
+  /**
+   * Add the common arguments to a tool's inputSchema.
+   * A property the tool declares itself takes precedence.
+   */
+  withCommonArguments(inputSchema) {
+    if (Object.keys(this.commonArguments).length === 0) {
+      return inputSchema;
+    }
+
+    return {
+      ...inputSchema,
+      properties: { ...this.commonArguments, ...inputSchema.properties },
+    };
+  }
+
+  /**
+   * Validate tool arguments against the tool's inputSchema
+   * @returns {Object} Coerced arguments with defaults applied
+   * @throws {ValidationError} Listing every offending path
+   */
+  validateArguments(tool, args) {
+    const { value, errors } = SchemaValidator.validate(this.withCommonArguments(tool.inputSchema), args);
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid arguments for ${tool.name}:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}`,
+        errors[0].path,
+        args,
+        errors
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Load custom tools from a plugin directory.
+   * Every .js/.mjs file must export its tools as the default export or as
+   * `tools` (an array of declarations, or a single declaration). Broken
+   * plugins are logged and skipped so they cannot take the server down.
+   * @param {string} directory - Plugin directory
+   * @returns {Promise<string[]>} Names of the tools that were registered
+   */
+  async loadPlugins(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      throw new ConfigurationError(
+        `Cannot read plugin directory ${directory}: ${error.message}`,
+        'MCP_PLUGIN_DIR'
+      );
+    }
+
+    const files = entries
+      .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+      .map(entry => path.resolve(directory, entry.name))
+      .sort();
+
+    const registered = [];
+    for (const file of files) {
+      try {
+        const module = await import(pathToFileURL(file).href);
+        const exported = module.default ?? module.tools;
+        const tools = Array.isArray(exported) ? exported : [exported];
+
+        // Validate the whole file before registering anything from it
+        tools.forEach(tool => ToolRegistry.assertValidTool(tool, file));
+        const names = new Set();
+        tools.forEach(tool => {
+          if (this.tools.has(tool.name)) {
+            throw new ConfigurationError(`Tool "${tool.name}" from ${file} is already registered`, 'tools');
+          }
+          if (names.has(tool.name)) {
+            throw new ConfigurationError(`Tool "${tool.name}" is declared twice in ${file}`, 'tools');
+          }
+          names.add(tool.name);
+        });
+
+        this.registerAll(tools, file);
+        registered.push(...tools.map(tool => tool.name));
+        this.logger.info('Loaded tool plugin', { file, tools: tools.map(tool => tool.name) });
+      } catch (error) {
+        this.logger.error('Failed to load tool plugin', error, { file });
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * Validate a tool declaration
+   * @throws {ConfigurationError} If the declaration is malformed
+   */
+  static assertValidTool(tool, source) {
+    const problems = [];
+
+    if (!tool || typeof tool !== 'object') {
+      problems.push('must be an object');
+    } else {
+      if (typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+        problems.push('name must be 1-64 letters, digits, "_" or "-"');
+      }
+      if (typeof tool.description !== 'string' || tool.description.length === 0) {
+        problems.push('description is required');
+      }
+      if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+        problems.push('inputSchema must be a JSON schema of type "object"');
+      }
+      if (tool.outputSchema !== undefined && tool.outputSchema?.type !== 'object') {
+        problems.push('outputSchema must be a JSON schema of type "object"');
+      }
+      if (!Object.values(RISK_LEVELS).includes(tool.risk)) {
+        problems.push(`risk must be one of: ${Object.values(RISK_LEVELS).join(', ')}`);
+      }
+      if (typeof tool.handler !== 'function') {
+        problems.push('handler must be a function');
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new ConfigurationError(
+        `Invalid tool "${tool?.name ?? '<unnamed>'}" from ${source}: ${problems.join('; ')}`,
+        'tools'
+      );
+    }
+  }
+}
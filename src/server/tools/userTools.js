@@ -0,0 +1,49 @@
+import { RISK_LEVELS } from './toolRegistry.js';
+import { OUTPUT_SCHEMAS } from '../config/outputSchemas.js';
+
+/**
+ * User and activity tools
+ */
+export const USER_TOOLS = [
+  {
+    name: 'get_activity',
+    risk: RISK_LEVELS.SAFE,
+    description: '📜 [SAFE] Get recent activity feed showing views, edits, and other actions in Metabase. Use this to see what users are doing or what content is popular. Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of activity items to return (default: 20)',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+        },
+      },
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_activity,
+    handler: ({ userHandlers }, { limit }) => userHandlers.getActivity(limit),
+  },
+  {
+    name: 'get_current_user',
+    risk: RISK_LEVELS.SAFE,
+    description: '👤 [SAFE] Get information about the currently authenticated user (you). Risk: None - read-only operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_current_user,
+    handler: ({ userHandlers }) => userHandlers.getCurrentUser(),
+  },
+  {
+    name: 'list_users',
+    risk: RISK_LEVELS.SAFE,
+    description: '👥 [SAFE - REQUIRES ADMIN] List all Metabase users. Requires admin permissions. Use this to see who has access to Metabase. Risk: None - read-only, but may fail if not admin.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    outputSchema: OUTPUT_SCHEMAS.list_users,
+    handler: ({ userHandlers }) => userHandlers.listUsers(),
+  },
+];
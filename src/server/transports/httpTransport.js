@@ -0,0 +1,400 @@
+import http from 'node:http';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { logger } from '../../shared/utils/logger.js';
+
+const DEFAULT_MAX_BODY_SIZE = 4 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+
+const LOOPBACK_HOSTS = ['localhost', '::1'];
+
+const digest = (text) => createHash('sha256').update(text).digest();
+
+/**
+ * HTTP front-end for the MCP server
+ *
+ * Serves MCP Streamable HTTP on `path` (POST/GET/DELETE) and the legacy
+ * HTTP+SSE transport on `ssePath` + `messagesPath` for older clients.
+ * Every session gets its own MCP `Server` from `createServer`, so all sessions
+ * share the same tool definitions and dispatch. At most `maxSessions` sessions
+ * are open at once, and Streamable HTTP sessions unused for
+ * `sessionIdleTimeout` are closed (SSE sessions end with their stream).
+ */
+export class HttpTransportServer {
+  /**
+   * @param {Function} createServer - Factory returning a new, unconnected MCP Server
+   * @param {Object} options - HTTP options
+   * @param {string} options.host - Interface to bind to
+   * @param {number} options.port - Port to listen on
+   * @param {string} [options.path] - Streamable HTTP endpoint
+   * @param {string} [options.ssePath] - Legacy SSE stream endpoint
+   * @param {string} [options.messagesPath] - Legacy SSE message endpoint
+   * @param {string} [options.authToken] - Optional bearer token required on every request
+   * @param {number} [options.maxBodySize] - Maximum accepted request body in bytes
+   * @param {number} [options.sessionIdleTimeout] - Time (ms) after which an unused Streamable HTTP session is closed
+   * @param {number} [options.maxSessions] - Maximum number of open sessions
+   */
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 3000;
+    this.path = options.path || '/mcp';
+    this.ssePath = options.ssePath || '/sse';
+    this.messagesPath = options.messagesPath || '/messages';
+    this.authToken = options.authToken || null;
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    this.sessionIdleTimeout = options.sessionIdleTimeout || DEFAULT_SESSION_IDLE_TIMEOUT;
+    this.maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+
+    this.sessions = new Map();
+    this.idleTimer = null;
+    this.inFlight = 0;
+    this.closing = false;
+    this.httpServer = null;
+    this.logger = logger.child('HttpTransport');
+  }
+
+  /**
+   * Start listening for HTTP connections
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch((error) => {
+        this.logger.error('Unhandled error while serving HTTP request', error, {
+          method: req.method,
+          url: req.url,
+        });
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.idleTimer = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleTimeout, 60 * 1000));
+    this.idleTimer.unref();
+
+    this.logger.info('HTTP transport listening', {
+      host: this.host,
+      port: this.port,
+      path: this.path,
+      ssePath: this.ssePath,
+    });
+    if (!this.authToken && !this.isLoopback(this.host)) {
+      this.logger.warn('HTTP transport is reachable from the network without a bearer token; set MCP_HTTP_AUTH_TOKEN', {
+        host: this.host,
+      });
+    }
+  }
+
+  /**
+   * Close Streamable HTTP sessions that have not been used for sessionIdleTimeout
+   */
+  async closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleTimeout;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.transport instanceof StreamableHTTPServerTransport && session.lastUsed < cutoff) {
+        this.logger.info('Closing idle Streamable HTTP session', { sessionId });
+        this.sessions.delete(sessionId);
+        await session.server.close().catch((error) => {
+          this.logger.error('Failed to close session', error, { sessionId });
+        });
+      }
+    }
+  }
+
+  /**
+   * Reject a new session when maxSessions are already open
+   * @returns {boolean} True if an error response was sent
+   */
+  rejectNewSession(res) {
+    if (this.sessions.size < this.maxSessions) {
+      return false;
+    }
+    this.logger.warn('Session limit reached', { maxSessions: this.maxSessions });
+    this.sendJsonRpcError(res, 503, -32000, `Too many open sessions (limit ${this.maxSessions})`);
+    return true;
+  }
+
+  /**
+   * Route an incoming HTTP request
+   */
+  async handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname === '/health') {
+      this.sendJson(res, this.closing ? 503 : 200, {
+        status: this.closing ? 'shutting_down' : 'ok',
+        sessions: this.sessions.size,
+      });
+      return;
+    }
+
+    if (this.closing) {
+      res.setHeader('Connection', 'close');
+      this.sendJsonRpcError(res, 503, -32000, 'Server is shutting down');
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      this.sendJsonRpcError(res, 401, -32001, 'Unauthorized');
+      return;
+    }
+
+    if (req.method === 'POST') {
+      this.inFlight++;
+      res.once('close', () => {
+        this.inFlight--;
+      });
+    }
+
+    if (pathname === this.path) {
+      await this.handleStreamableRequest(req, res);
+    } else if (pathname === this.ssePath && req.method === 'GET') {
+      await this.handleSseConnection(res);
+    } else if (pathname === this.messagesPath && req.method === 'POST') {
+      await this.handleSseMessage(req, res);
+    } else {
+      this.sendJsonRpcError(res, 404, -32000, `Not found: ${req.method} ${pathname}`);
+    }
+  }
+
+  /**
+   * Handle a Streamable HTTP request (POST, GET or DELETE on the MCP endpoint)
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (session) {
+      session.lastUsed = Date.now();
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        this.sendJsonRpcError(res, 400, -32000, 'Invalid or missing session ID');
+        return;
+      }
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      this.sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+      return;
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+
+    if (session) {
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+        this.sendJsonRpcError(res, 400, -32000, 'Session uses a different transport protocol');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId || !isInitializeRequest(body)) {
+      this.sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+    if (this.rejectNewSession(res)) {
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        this.sessions.set(newSessionId, { transport, server, lastUsed: Date.now() });
+        this.logger.info('Streamable HTTP session initialized', { sessionId: newSessionId });
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.logger.info('Streamable HTTP session closed', { sessionId: transport.sessionId });
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream
+   *
+   * Messages are POSTed separately and answered with 202 before they run, so
+   * requests are counted as in flight from the moment they arrive until their
+   * response is sent on the stream.
+   */
+  async handleSseConnection(res) {
+    if (this.rejectNewSession(res)) {
+      return;
+    }
+    const transport = new SSEServerTransport(this.messagesPath, res);
+    const server = this.createServer();
+    const pending = new Set();
+
+    this.sessions.set(transport.sessionId, { transport, server, lastUsed: Date.now() });
+    res.once('close', () => {
+      this.sessions.delete(transport.sessionId);
+      this.inFlight -= pending.size;
+      pending.clear();
+      this.logger.info('SSE session closed', { sessionId: transport.sessionId });
+    });
+
+    await server.connect(transport);
+
+    const onmessage = transport.onmessage;
+    transport.onmessage = (message, extra) => {
+      if (message.method && message.id !== undefined && !pending.has(message.id)) {
+        pending.add(message.id);
+        this.inFlight++;
+      }
+      onmessage?.(message, extra);
+    };
+    const send = transport.send.bind(transport);
+    transport.send = async (message, options) => {
+      try {
+        await send(message, options);
+      } finally {
+        if (!message.method && pending.delete(message.id)) {
+          this.inFlight--;
+        }
+      }
+    };
+    this.logger.info('SSE session opened', { sessionId: transport.sessionId });
+  }
+
+  /**
+   * Deliver a client message to a legacy SSE session
+   */
+  async handleSseMessage(req, res) {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const session = this.sessions.get(searchParams.get('sessionId'));
+
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      this.sendJsonRpcError(res, 400, -32000, 'Invalid or missing session ID');
+      return;
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Check the bearer token when one is configured, in constant time
+   */
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+    return timingSafeEqual(digest(req.headers.authorization ?? ''), digest(`Bearer ${this.authToken}`));
+  }
+
+  isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @returns {Promise<*>} Parsed body, or undefined if an error response was sent
+   */
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        this.sendJsonRpcError(res, 413, -32000, `Request body exceeds ${this.maxBodySize} bytes`);
+        return undefined;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  sendJsonRpcError(res, statusCode, code, message) {
+    this.sendJson(res, statusCode, {
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null,
+    });
+  }
+
+  /**
+   * Stop accepting requests, let in-flight requests finish, then close all sessions
+   * @param {number} gracePeriodMs - Maximum time to wait for in-flight requests
+   * @returns {Promise<void>}
+   */
+  async close(gracePeriodMs = 10000) {
+    if (!this.httpServer || this.closing) {
+      return;
+    }
+    this.closing = true;
+    clearInterval(this.idleTimer);
+
+    const serverClosed = new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer.closeIdleConnections();
+
+    const deadline = Date.now() + gracePeriodMs;
+    while (this.inFlight > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    if (this.inFlight > 0) {
+      this.logger.warn('Grace period elapsed with requests still in flight', {
+        inFlight: this.inFlight,
+        gracePeriodMs,
+      });
+    }
+
+    for (const [sessionId, { server }] of this.sessions) {
+      try {
+        await server.close();
+      } catch (error) {
+        this.logger.error('Failed to close session', error, { sessionId });
+      }
+    }
+    this.sessions.clear();
+
+    this.httpServer.closeAllConnections();
+    await serverClosed;
+    this.logger.info('HTTP transport closed');
+  }
+}
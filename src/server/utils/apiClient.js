@@ -1,61 +1,156 @@
-import { ApiError, TimeoutError } from '../../shared/errors/MetabaseError.js';
+import { randomUUID } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { rename, rm, stat } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import { ApiError, CancelledError, MetabaseError, TimeoutError } from '../../shared/errors/MetabaseError.js';
 import { logger } from '../../shared/utils/logger.js';
+import { ApiKeyAuthProvider } from './authProviders.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  IDEMPOTENT_METHODS,
+  RETRYABLE_STATUSES,
+  UNAVAILABLE_STATUSES,
+} from '../config/retryPolicy.js';
+
+const readText = async (response) => ({ response, text: await response.text() });
+
+/**
+ * Whether fetch failed to reach Metabase (connection refused or reset, DNS
+ * failure...). undici reports these as a TypeError caused by a system or
+ * socket error; an invalid URL is a TypeError too, but with an ERR_* cause.
+ */
+const isNetworkError = (error) =>
+  error instanceof TypeError &&
+  typeof error.cause?.code === 'string' &&
+  !error.cause.code.startsWith('ERR_');
 
 /**
  * API client for making requests to Metabase
  */
 export class ApiClient {
-  constructor(metabaseUrl, apiKey, timeout = 30000) {
+  /**
+   * @param {string} metabaseUrl - Metabase base URL
+   * @param {string|Object} auth - Metabase API key, or an auth provider from authProviders.js
+   * @param {number} timeout - Request timeout in milliseconds
+   * @param {Object} options - Client options
+   * @param {ResponseCache} [options.cache] - Cache for GET responses (disabled when omitted)
+   * @param {Object} [options.retry] - Overrides for DEFAULT_RETRY_POLICY
+   * @param {CircuitBreaker} [options.circuitBreaker] - Fails fast while Metabase is down (disabled when omitted)
+   * @param {string} [options.cacheScope] - Keeps this client's cache entries apart from other clients on the same URL
+   *   (e.g. the instance name, as instances may log in as different users)
+   */
+  constructor(metabaseUrl, auth, timeout = 30000, options = {}) {
     this.metabaseUrl = metabaseUrl;
-    this.apiKey = apiKey;
+    this.auth = typeof auth === 'string' ? new ApiKeyAuthProvider(auth) : auth;
     this.timeout = timeout;
+    this.cache = options.cache || null;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.circuitBreaker = options.circuitBreaker || null;
+    this.cacheScope = options.cacheScope ?? null;
     this.logger = logger.child('ApiClient');
   }
 
   /**
-   * Make an authenticated API request to Metabase
+   * Key of an endpoint in the response cache, which is shared by every client
+   */
+  cacheKey(endpoint) {
+    return `${this.cacheScope !== null ? `[${this.cacheScope}]` : ''}${this.metabaseUrl}${endpoint}`;
+  }
+
+  /**
+   * Endpoint of a cache key written by this client, or null for another client's key
+   */
+  cacheEndpoint(key) {
+    const prefix = this.cacheKey('/');
+    return key.startsWith(prefix) ? key.slice(prefix.length - 1) : null;
+  }
+
+  /**
+   * Make an authenticated API request to Metabase.
+   * GET responses are served from the response cache when one is configured;
+   * other methods always hit Metabase. Failed idempotent requests are retried
+   * according to the retry policy, and a request rejected with 401 is sent once
+   * more if the auth provider could renew its credentials.
    * @param {string} endpoint - API endpoint (e.g., '/api/card/123')
-   * @param {Object} options - Fetch options
-   * @returns {Promise<Object>} JSON response
+   * @param {Object} options - Fetch options, plus:
+   * @param {boolean} [options.cache] - `false` to bypass the cache
+   * @param {boolean|Object} [options.retry] - `false` to disable retries, `true` to retry a non-idempotent request, or policy overrides
+   * @param {number} [options.timeout] - Timeout (ms) for this request, defaults to the client timeout
+   * @param {AbortSignal} [options.signal] - Aborting it cancels the request
+   * @returns {Promise<Object>} JSON response (cached responses are shared, do not mutate them)
    * @throws {ApiError} If the API request fails
    * @throws {TimeoutError} If the request times out
+   * @throws {CancelledError} If the request is cancelled through `signal`
+   * @throws {CircuitOpenError} If the circuit breaker is open
+   * @throws {AuthenticationError} If session login fails
    */
   async makeRequest(endpoint, options = {}) {
     const url = `${this.metabaseUrl}${endpoint}`;
+    const {
+      cache: useCache = true,
+      retry,
+      timeout = this.timeout,
+      signal,
+      ...fetchOptions
+    } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
     const defaultOptions = {
       headers: {
         'Content-Type': 'application/json',
-        'X-API-Key': this.apiKey,
       },
     };
 
-    const requestOptions = { ...defaultOptions, ...options };
+    const requestOptions = { ...defaultOptions, ...fetchOptions };
 
-    this.logger.debug('Making API request', { endpoint, method: requestOptions.method || 'GET' });
+    const cacheKey = this.cacheKey(endpoint);
+    const ttl = this.cache && useCache && method === 'GET' ? this.cache.getTtl(endpoint) : 0;
+    const cached = ttl > 0 ? await this.cache.get(cacheKey) : null;
+
+    if (cached?.fresh) {
+      this.logger.debug('Serving API response from cache', { endpoint });
+      return cached.data;
+    }
+    if (cached?.etag) {
+      requestOptions.headers = { ...requestOptions.headers, 'If-None-Match': cached.etag };
+    }
+
+    this.logger.debug('Making API request', { endpoint, method });
 
     try {
-      const response = await this.fetchWithTimeout(url, requestOptions, this.timeout);
+      const { response, text } = await this.fetchAuthenticated(url, requestOptions, {
+        endpoint,
+        method,
+        retry,
+        timeout,
+        signal,
+      });
+
+      if (response.status === 304 && cached) {
+        this.logger.debug('Cached API response revalidated', { endpoint });
+        this.cache.touch(cacheKey, ttl);
+        return cached.data;
+      }
       
       if (!response.ok) {
-        const errorText = await response.text();
         this.logger.error('API request failed', null, {
           endpoint,
           status: response.status,
           statusText: response.statusText,
-          errorText,
+          errorText: text,
         });
         
         throw new ApiError(
           `API request failed: ${response.status} ${response.statusText}`,
           response.status,
           endpoint,
-          errorText
+          text
         );
       }
 
       const contentType = response.headers.get('content-type');
       if (!contentType || !contentType.includes('application/json')) {
-        const text = await response.text();
         throw new ApiError(
           'Non-JSON response received',
           response.status,
@@ -64,12 +159,20 @@ export class ApiClient {
         );
       }
 
-      const data = await response.json();
+      const data = JSON.parse(text);
       this.logger.debug('API request successful', { endpoint });
+
+      if (ttl > 0) {
+        this.cache.set(cacheKey, data, {
+          ttl,
+          size: Buffer.byteLength(text),
+          etag: response.headers.get('etag'),
+        });
+      }
       
       return data;
     } catch (error) {
-      if (error instanceof ApiError || error instanceof TimeoutError) {
+      if (error instanceof MetabaseError) {
         throw error;
       }
       
@@ -84,28 +187,274 @@ export class ApiClient {
   }
 
   /**
-   * Fetch with timeout support
+   * Download a response body to a file, whatever its content type.
+   * Uses the same authentication, retry, timeout and cancellation handling as
+   * makeRequest, but is never cached. The body is streamed to a new file next to
+   * `destination`, readable by the owner only, and renamed once complete, so a
+   * failed download leaves no partial file and concurrent downloads never share one.
+   * @param {string} endpoint - API endpoint (e.g., '/api/card/123/query/csv')
+   * @param {string} destination - File to write
+   * @param {Object} options - Fetch options, plus `retry`, `timeout` and `signal` as in makeRequest
+   * @returns {Promise<{path: string, bytes: number, contentType: string|null}>} Written file
+   * @throws {ApiError} If the API request fails
+   * @throws {TimeoutError} If the download times out
+   * @throws {CancelledError} If the download is cancelled through `signal`
+   */
+  async download(endpoint, destination, options = {}) {
+    const url = `${this.metabaseUrl}${endpoint}`;
+    const { retry, timeout = this.timeout, signal, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const partial = `${destination}.${randomUUID()}.part`;
+
+    this.logger.debug('Downloading API response', { endpoint, method, destination });
+
+    try {
+      const { response, text, bytes } = await this.fetchAuthenticated(url, fetchOptions, {
+        endpoint,
+        method,
+        retry,
+        timeout,
+        signal,
+        read: async (response) => {
+          if (!response.ok || !response.body) {
+            return readText(response);
+          }
+          await pipeline(Readable.fromWeb(response.body), createWriteStream(partial, { flags: 'wx', mode: 0o600 }));
+          return { response, bytes: (await stat(partial)).size };
+        },
+      });
+
+      if (!response.ok) {
+        this.logger.error('API download failed', null, {
+          endpoint,
+          status: response.status,
+          statusText: response.statusText,
+          errorText: text,
+        });
+        throw new ApiError(
+          `API request failed: ${response.status} ${response.statusText}`,
+          response.status,
+          endpoint,
+          text
+        );
+      }
+
+      await rename(partial, destination);
+      this.logger.debug('API download complete', { endpoint, destination, bytes });
+
+      return {
+        path: destination,
+        bytes: bytes ?? 0,
+        contentType: response.headers.get('content-type'),
+      };
+    } catch (error) {
+      await rm(partial, { force: true });
+
+      if (error instanceof MetabaseError) {
+        throw error;
+      }
+
+      this.logger.error('Unexpected error during API download', error, { endpoint });
+      throw new ApiError(
+        `Unexpected error: ${error.message}`,
+        0,
+        endpoint,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Send a request with the auth provider's headers. On 401 the provider may
+   * renew its credentials, in which case the request is sent once more.
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {Object} request - Request context, passed on to fetchWithRetry
+   * @returns {Promise<{response: Response, text: string}>} Last response and what `read` returned
+   */
+  async fetchAuthenticated(url, options, request) {
+    for (let refreshed = false; ; refreshed = true) {
+      const authHeaders = await this.auth.getHeaders();
+      const result = await this.fetchWithRetry(url, {
+        ...options,
+        headers: { ...options.headers, ...authHeaders },
+      }, request);
+
+      if (result.response.status !== 401 || refreshed || !(await this.auth.refresh(authHeaders))) {
+        return result;
+      }
+      this.logger.info('Credentials renewed after 401, retrying request', {
+        endpoint: request.endpoint,
+        method: this.auth.method,
+      });
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures with jittered exponential backoff.
+   * A Retry-After header on 429/503 replaces the computed backoff. Network
+   * errors are retried and, like 502/503/504, count as circuit breaker failures.
+   * Timeouts are neither: the request may still be running on Metabase.
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {Object} request - Request context (endpoint, method, retry, timeout, signal)
+   * @param {Function} [request.read] - Consumes a response; reads the body as text by default
+   * @returns {Promise<{response: Response, text: string}>} Last response and what `read` returned
+   */
+  async fetchWithRetry(url, options, { endpoint, method, retry, timeout, signal, read = readText }) {
+    const policy = this.getRetryPolicy(method, retry);
+
+    for (let attempt = 0; ; attempt++) {
+      this.circuitBreaker?.assertClosed(endpoint);
+
+      let result = null;
+      let failure = null;
+      try {
+        result = await this.fetchWithTimeout(url, options, timeout, { signal, read });
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          this.circuitBreaker?.release();
+          throw error;
+        }
+        failure = error;
+      }
+
+      const status = result?.response.status;
+      if (failure || UNAVAILABLE_STATUSES.has(status)) {
+        this.circuitBreaker?.recordFailure();
+      } else {
+        this.circuitBreaker?.recordSuccess();
+      }
+
+      const retryable = failure ? true : RETRYABLE_STATUSES.has(status);
+      const delay = retryable && attempt < policy.retries
+        ? this.getRetryDelay(attempt, result?.response, policy)
+        : null;
+
+      if (delay === null) {
+        if (failure) {
+          throw failure;
+        }
+        return result;
+      }
+
+      this.logger.warn('Retrying API request', {
+        endpoint,
+        method,
+        attempt: attempt + 1,
+        retries: policy.retries,
+        delayMs: delay,
+        reason: failure ? failure.message : `HTTP ${status}`,
+      });
+      await this.sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Resolve the retry policy for a request
+   * @param {string} method - HTTP method
+   * @param {boolean|Object} [retry] - Per-request override passed to makeRequest
+   * @returns {Object} Retry policy, with `retries: 0` when the request must not be retried
+   */
+  getRetryPolicy(method, retry) {
+    if (retry === false) {
+      return { ...this.retryPolicy, retries: 0 };
+    }
+
+    const policy = { ...this.retryPolicy, ...(typeof retry === 'object' ? retry : {}) };
+    const allowed = IDEMPOTENT_METHODS.has(method) || policy.retryNonIdempotent || retry === true;
+    return allowed ? policy : { ...policy, retries: 0 };
+  }
+
+  /**
+   * Delay before the next attempt, or null when it is not worth retrying
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {Response} [response] - Failed response, if any
+   * @param {Object} policy - Retry policy
+   * @returns {number|null} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response, policy) {
+    const retryAfter = ApiClient.parseRetryAfter(response?.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+    }
+
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (delay in seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait between retries, waking up early if the request is cancelled
+   * @throws {CancelledError} If `signal` is aborted while waiting
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CancelledError('Request cancelled', 'retry'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new CancelledError('Request cancelled', 'retry'));
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Fetch with timeout and cancellation support.
+   * The timeout also covers reading the body: Metabase streams query results,
+   * so headers arrive long before the rows do.
    * @param {string} url - URL to fetch
    * @param {Object} options - Fetch options
    * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Response>} Fetch response
+   * @param {Object} [control] - Cancellation and body handling
+   * @param {AbortSignal} [control.signal] - Aborting it cancels the request
+   * @param {Function} [control.read] - Consumes the response before the timeout is cleared
+   * @returns {Promise<*>} Result of `read` (the Response itself by default)
    * @throws {TimeoutError} If the request times out
+   * @throws {CancelledError} If the request is cancelled through `signal`
    */
-  async fetchWithTimeout(url, options = {}, timeout = 30000) {
+  async fetchWithTimeout(url, options = {}, timeout = 30000, { signal, read = (response) => response } = {}) {
+    if (signal?.aborted) {
+      throw new CancelledError('Request cancelled', 'fetch');
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
     try {
       const response = await fetch(url, {
         ...options,
         signal: controller.signal,
       });
-      clearTimeout(timeoutId);
-      return response;
+      return await read(response);
     } catch (error) {
-      clearTimeout(timeoutId);
-      
       if (error.name === 'AbortError') {
+        if (signal?.aborted) {
+          throw new CancelledError('Request cancelled', 'fetch');
+        }
         throw new TimeoutError(
           `Request timeout after ${timeout}ms`,
           'fetch',
@@ -114,7 +463,9 @@ export class ApiClient {
       }
       
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 }
-
@@ -0,0 +1,169 @@
+import { AuthenticationError, ConfigurationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Authentication providers for the Metabase API
+ *
+ * A provider supplies the headers for each request. When Metabase answers
+ * 401, ApiClient calls `refresh()` with the headers it used; a provider that
+ * can obtain new credentials does so and returns true, and the request is
+ * sent once more. `identity` tells apart providers that act as different
+ * users; it may be a secret, so it is only ever used hashed.
+ */
+
+export const AUTH_METHODS = ['api_key', 'session', 'session_token'];
+
+/**
+ * Static API key sent as X-API-Key
+ */
+export class ApiKeyAuthProvider {
+  constructor(apiKey) {
+    this.method = 'api_key';
+    this.apiKey = apiKey;
+    this.identity = apiKey;
+  }
+
+  async getHeaders() {
+    return { 'X-API-Key': this.apiKey };
+  }
+
+  async refresh() {
+    return false;
+  }
+}
+
+/**
+ * Pre-supplied session token sent as X-Metabase-Session. It cannot be
+ * renewed: once it expires the user has to provide a new one.
+ */
+export class SessionTokenAuthProvider {
+  constructor(sessionToken) {
+    this.method = 'session_token';
+    this.sessionToken = sessionToken;
+    this.identity = sessionToken;
+  }
+
+  async getHeaders() {
+    return { 'X-Metabase-Session': this.sessionToken };
+  }
+
+  async refresh() {
+    return false;
+  }
+}
+
+/**
+ * Username/password login through /api/session. The session is created on
+ * the first request and re-created whenever Metabase rejects it.
+ */
+export class SessionAuthProvider {
+  /**
+   * @param {string} metabaseUrl - Metabase base URL
+   * @param {string} username - Metabase username (usually an email address)
+   * @param {string} password - Metabase password
+   * @param {Object} options - Provider options
+   * @param {number} [options.timeout] - Login request timeout in milliseconds
+   */
+  constructor(metabaseUrl, username, password, options = {}) {
+    this.method = 'session';
+    this.metabaseUrl = metabaseUrl;
+    this.username = username;
+    this.identity = username;
+    this.password = password;
+    this.timeout = options.timeout || 30000;
+
+    this.sessionToken = null;
+    this.pendingLogin = null;
+    this.logger = logger.child('SessionAuth');
+  }
+
+  async getHeaders() {
+    if (!this.sessionToken) {
+      await this.login();
+    }
+    return { 'X-Metabase-Session': this.sessionToken };
+  }
+
+  /**
+   * Log in again unless another request already replaced the rejected session
+   * @param {Object} rejectedHeaders - Headers of the request that got a 401
+   * @returns {Promise<boolean>} Always true: a fresh session is available
+   * @throws {AuthenticationError} If Metabase refuses the credentials
+   */
+  async refresh(rejectedHeaders = {}) {
+    if (rejectedHeaders['X-Metabase-Session'] === this.sessionToken) {
+      this.sessionToken = null;
+      await this.login();
+    }
+    return true;
+  }
+
+  /**
+   * Create a session. Concurrent callers share the same login request.
+   */
+  login() {
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.createSession().finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  async createSession() {
+    this.logger.info('Logging in to Metabase', { username: this.username });
+
+    let response;
+    try {
+      response = await fetch(`${this.metabaseUrl}/api/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: this.username, password: this.password }),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      throw new AuthenticationError(`Metabase login failed: ${error.message}`, this.method);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new AuthenticationError(
+        `Metabase login failed: ${response.status} ${response.statusText} ${errorText.substring(0, 200)}`.trim(),
+        this.method
+      );
+    }
+
+    const session = await response.json();
+    if (!session?.id) {
+      throw new AuthenticationError('Metabase login response did not contain a session id', this.method);
+    }
+
+    this.sessionToken = session.id;
+    this.logger.info('Metabase session created', { username: this.username });
+  }
+}
+
+/**
+ * Create the provider for an auth configuration
+ * @param {Object} auth - Auth configuration (method plus its credentials)
+ * @param {Object} options - Shared options
+ * @param {string} options.metabaseUrl - Metabase base URL
+ * @param {number} [options.timeout] - Login request timeout in milliseconds
+ * @returns {ApiKeyAuthProvider|SessionAuthProvider|SessionTokenAuthProvider}
+ * @throws {ConfigurationError} If the method is unknown
+ */
+export function createAuthProvider(auth, { metabaseUrl, timeout }) {
+  switch (auth.method) {
+    case 'api_key':
+      return new ApiKeyAuthProvider(auth.apiKey);
+    case 'session':
+      return new SessionAuthProvider(metabaseUrl, auth.username, auth.password, { timeout });
+    case 'session_token':
+      return new SessionTokenAuthProvider(auth.sessionToken);
+    default:
+      throw new ConfigurationError(
+        `Unknown authentication method "${auth.method}" (expected one of: ${AUTH_METHODS.join(', ')})`,
+        'METABASE_AUTH_METHOD'
+      );
+  }
+}
@@ -0,0 +1,91 @@
+import { CircuitOpenError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Circuit breaker for the Metabase API
+ *
+ * After `threshold` consecutive failures the circuit opens and requests fail
+ * fast with a CircuitOpenError. Once `resetTimeout` has elapsed a single trial
+ * request is let through (half-open): success closes the circuit, failure
+ * opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} [options.threshold] - Consecutive failures before opening
+   * @param {number} [options.resetTimeout] - Time (ms) the circuit stays open
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    this.logger = logger.child('CircuitBreaker');
+  }
+
+  /**
+   * Check that a request may be sent
+   * @param {string} endpoint - Endpoint about to be requested, for logging
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  assertClosed(endpoint) {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    const retryAt = this.openedAt + this.resetTimeout;
+    if (this.state === 'open' && Date.now() >= retryAt) {
+      this.state = 'half-open';
+      this.logger.info('Circuit half-open, sending trial request', { endpoint });
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    throw new CircuitOpenError(
+      `Metabase appears to be unavailable after ${this.failures} consecutive failures; not retrying before ${new Date(retryAt).toISOString()}`,
+      retryAt
+    );
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      this.logger.info('Circuit closed, Metabase is reachable again');
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        this.logger.warn('Circuit opened, failing fast', {
+          failures: this.failures,
+          resetTimeoutMs: this.resetTimeout,
+        });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a trial slot without recording an outcome (e.g. request cancelled)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  getState() {
+    return { state: this.state, failures: this.failures };
+  }
+}
@@ -0,0 +1,388 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+import { logger } from '../../shared/utils/logger.js';
+import { mapWithConcurrency } from '../../shared/utils/concurrency.js';
+import { SqlTokenizer } from '../../shared/utils/sqlTokenizer.js';
+import { SearchIndex } from './searchIndex.js';
+
+// Bumped when the document format changes; older files are rebuilt
+const INDEX_VERSION = 1;
+
+// Models the content index holds
+export const INDEX_MODELS = ['card', 'dataset', 'metric', 'dashboard', 'collection', 'table'];
+
+/**
+ * Local full-text index of one Metabase instance's content: cards (with their
+ * SQL, tables and result columns), dashboards, collections and tables (with
+ * their columns). The index is kept in memory and saved as one JSON file per
+ * instance and user, readable by the owner only, so it survives restarts.
+ *
+ * Refreshes are incremental: every refresh lists the content again, but only
+ * items whose `updated_at` changed are re-indexed, and table columns are only
+ * fetched for new or changed tables.
+ */
+export class ContentIndex {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} [options] - Index options
+   * @param {string} [options.instance] - Instance name, part of the index file name
+   * @param {string} [options.directory] - Directory of the index files (default: a folder in the OS temp directory)
+   * @param {number} [options.maxAge] - Age (ms) after which a search refreshes the index first (default: 10 minutes)
+   * @param {number} [options.concurrency] - Table metadata requests in flight at once (default: 4)
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.directory = path.resolve(options.directory || path.join(os.tmpdir(), 'metabase-mcp-index'));
+    // Instances on one URL may log in as different users, who see different content
+    const owner = JSON.stringify([apiClient.metabaseUrl, options.instance ?? null, apiClient.auth?.identity ?? null]);
+    this.file = path.join(this.directory, `${createHash('sha256').update(owner).digest('hex').slice(0, 16)}.json`);
+    this.maxAge = options.maxAge ?? 10 * 60 * 1000;
+    this.concurrency = options.concurrency || 4;
+
+    this.index = new SearchIndex();
+    this.refreshedAt = null;
+    this.loaded = null;
+    this.pending = null;
+    this.logger = logger.child('ContentIndex');
+  }
+
+  /**
+   * Search the index, refreshing it first when it is empty or older than maxAge
+   * @param {string} query - Query (see SearchIndex.search)
+   * @param {Object} [options] - `{ fuzzy, models, refresh }`; `refresh` forces an incremental refresh
+   * @returns {Promise<{hits: Object[], refresh: Object|null}>} Hits and the refresh that ran, if any
+   */
+  async search(query, { fuzzy, models, refresh = false } = {}) {
+    await this.load();
+    const stale = !this.refreshedAt || Date.now() - Date.parse(this.refreshedAt) > this.maxAge;
+    const refreshed = refresh || stale ? await this.refresh() : null;
+    return { hits: this.index.search(query, { fuzzy, models }), refresh: refreshed };
+  }
+
+  /**
+   * Bring the index up to date with Metabase and save it. Concurrent calls share one refresh.
+   * @param {Object} [options] - `{ full }`: re-index everything instead of changed items only
+   * @returns {Promise<Object>} Counts of added, updated, removed and unchanged documents
+   */
+  async refresh({ full = false } = {}) {
+    if (!this.pending) {
+      this.pending = this.runRefresh(full).finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async runRefresh(full) {
+    await this.load();
+    const started = Date.now();
+    const stats = { full, added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    // Listings are read fresh: a cached listing would hide the changes we are looking for
+    const get = (endpoint) => this.apiClient.makeRequest(endpoint, { cache: false });
+    const list = (response) => (Array.isArray(response) ? response : response?.data || []);
+    const [cards, dashboards, collections, tables, databases] = await Promise.all([
+      get('/api/card/?f=all').then(list),
+      get('/api/dashboard').then(list),
+      get('/api/collection/').then(list),
+      get('/api/table/').then(list),
+      get('/api/database/').then(list),
+    ]);
+
+    const paths = this.collectionPaths(collections);
+    const tableNames = new Map(tables.map(table => [table.id, this.qualifiedName(table)]));
+    const engines = new Map(databases.map(database => [database.id, database.engine]));
+    const seen = new Set();
+
+    const upsert = (document) => {
+      seen.add(document.key);
+      const existing = this.index.get(document.key);
+      if (!full && existing && this.sameDocument(existing, document)) {
+        stats.unchanged++;
+        return;
+      }
+      this.index.add(document);
+      stats[existing ? 'updated' : 'added']++;
+    };
+
+    cards.filter(card => !card.archived).forEach(card => upsert(this.cardDocument(card, paths, tableNames, engines)));
+    dashboards.filter(dashboard => !dashboard.archived).forEach(dashboard => upsert(this.dashboardDocument(dashboard, paths)));
+    collections
+      .filter(collection => typeof collection.id === 'number' && !collection.archived)
+      .forEach(collection => upsert(this.collectionDocument(collection, paths)));
+
+    // Table columns need one request per table, so only new and changed tables are fetched
+    const activeTables = tables.filter(table => table.active !== false && table.visibility_type !== 'hidden');
+    const changedTables = activeTables.filter(table => {
+      const existing = this.index.get(`table:${table.id}`);
+      return full || !existing || !existing.updatedAt || existing.updatedAt !== table.updated_at;
+    });
+    const fields = new Map();
+    await mapWithConcurrency(changedTables, this.concurrency, async (table) => {
+      try {
+        const metadata = await this.apiClient.makeRequest(`/api/table/${table.id}/query_metadata`, { cache: false });
+        fields.set(table.id, metadata.fields || []);
+      } catch (error) {
+        this.logger.debug('Could not fetch table columns', { tableId: table.id, error: error.message });
+      }
+    });
+    for (const table of activeTables) {
+      const existing = this.index.get(`table:${table.id}`);
+      const tableFields = fields.get(table.id);
+      upsert(this.tableDocument(table, tableFields ?? existing?.columns ?? [], {
+        // Without its columns, the table is fetched again on the next refresh
+        complete: fields.has(table.id) || !changedTables.includes(table),
+      }));
+    }
+
+    for (const key of this.index.keys()) {
+      if (!seen.has(key)) {
+        this.index.remove(key);
+        stats.removed++;
+      }
+    }
+
+    this.refreshedAt = new Date().toISOString();
+    await this.save();
+
+    const result = { ...stats, documents: this.index.size, durationMs: Date.now() - started, refreshedAt: this.refreshedAt };
+    this.logger.info('Search index refreshed', result);
+    return result;
+  }
+
+  /**
+   * Counts per model and freshness of the index
+   */
+  async status() {
+    await this.load();
+    const counts = Object.fromEntries(INDEX_MODELS.map(model => [model, 0]));
+    for (const key of this.index.keys()) {
+      counts[this.index.get(key).model]++;
+    }
+    return { documents: this.index.size, counts, refreshedAt: this.refreshedAt, file: this.file };
+  }
+
+  cardDocument(card, paths, tableNames, engines) {
+    const query = card.dataset_query || {};
+    const databaseId = card.database_id ?? query.database ?? null;
+    const sql = query.type === 'native' ? query.native?.query || '' : null;
+    const tables = sql !== null
+      ? ContentIndex.nativeTables(sql, SqlTokenizer.dialectForEngine(engines.get(databaseId)))
+      : ContentIndex.mbqlTableIds(query.query).map(id => tableNames.get(id)).filter(Boolean);
+    const columns = (card.result_metadata || []).map(column => column.name);
+    const collectionPath = paths.get(card.collection_id) ?? null;
+
+    return {
+      key: `card:${card.id}`,
+      model: card.type === 'model' || card.dataset ? 'dataset' : card.type === 'metric' ? 'metric' : 'card',
+      id: card.id,
+      name: card.name,
+      description: card.description || null,
+      collectionId: card.collection_id ?? null,
+      collectionPath,
+      databaseId,
+      updatedAt: card.updated_at ?? null,
+      sql,
+      tables,
+      columns,
+      text: {
+        name: card.name,
+        description: card.description,
+        sql,
+        table: tables,
+        column: [...columns, ...(card.result_metadata || []).map(column => column.display_name)],
+        collection: collectionPath,
+      },
+    };
+  }
+
+  dashboardDocument(dashboard, paths) {
+    const collectionPath = paths.get(dashboard.collection_id) ?? null;
+    return {
+      key: `dashboard:${dashboard.id}`,
+      model: 'dashboard',
+      id: dashboard.id,
+      name: dashboard.name,
+      description: dashboard.description || null,
+      collectionId: dashboard.collection_id ?? null,
+      collectionPath,
+      databaseId: null,
+      updatedAt: dashboard.updated_at ?? null,
+      text: { name: dashboard.name, description: dashboard.description, collection: collectionPath },
+    };
+  }
+
+  collectionDocument(collection, paths) {
+    // A collection's path is that of its parent
+    const collectionPath = paths.get(this.parentId(collection)) ?? null;
+    return {
+      key: `collection:${collection.id}`,
+      model: 'collection',
+      id: collection.id,
+      name: collection.name,
+      description: collection.description || null,
+      collectionId: this.parentId(collection),
+      collectionPath,
+      databaseId: null,
+      updatedAt: null,
+      text: { name: collection.name, description: collection.description, collection: collectionPath },
+    };
+  }
+
+  tableDocument(table, fields, { complete }) {
+    const columns = fields.map(field => (typeof field === 'string' ? field : field.name));
+    const fieldText = fields.flatMap(field => (typeof field === 'string' ? [field] : [field.name, field.display_name, field.description]));
+    return {
+      key: `table:${table.id}`,
+      model: 'table',
+      id: table.id,
+      name: table.display_name || table.name,
+      description: table.description || null,
+      collectionId: null,
+      collectionPath: null,
+      databaseId: table.db_id ?? null,
+      updatedAt: complete ? table.updated_at ?? null : null,
+      tables: [this.qualifiedName(table)],
+      columns,
+      text: {
+        name: [table.name, table.display_name],
+        description: table.description,
+        table: this.qualifiedName(table),
+        column: fieldText,
+      },
+    };
+  }
+
+  /**
+   * Unchanged documents keep their `updated_at`; documents without one are compared by content
+   */
+  sameDocument(existing, document) {
+    if (existing.collectionPath !== document.collectionPath) {
+      return false;
+    }
+    if (document.updatedAt) {
+      return existing.updatedAt === document.updatedAt;
+    }
+    return JSON.stringify(existing.text) === JSON.stringify(document.text);
+  }
+
+  /**
+   * Display path of every collection (`Finance / Revenue`), by collection ID
+   */
+  collectionPaths(collections) {
+    const names = new Map(collections.map(collection => [collection.id, collection.name]));
+    const paths = new Map();
+    for (const collection of collections) {
+      if (typeof collection.id !== 'number') continue;
+      const ancestors = (collection.location || '/').split('/').filter(Boolean).map(Number);
+      paths.set(collection.id, [...ancestors.map(id => names.get(id)).filter(Boolean), collection.name].join(' / '));
+    }
+    return paths;
+  }
+
+  parentId(collection) {
+    const ancestors = (collection.location || '/').split('/').filter(Boolean);
+    return ancestors.length > 0 ? Number(ancestors[ancestors.length - 1]) : null;
+  }
+
+  qualifiedName(table) {
+    return table.schema ? `${table.schema}.${table.name}` : table.name;
+  }
+
+  /**
+   * Table IDs an MBQL query reads (`source-table` of the query, joins and nested queries)
+   */
+  static mbqlTableIds(query) {
+    const ids = new Set();
+    const walk = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+      } else if (node && typeof node === 'object') {
+        if (typeof node['source-table'] === 'number') {
+          ids.add(node['source-table']);
+        }
+        Object.values(node).forEach(walk);
+      }
+    };
+    walk(query);
+    return [...ids];
+  }
+
+  /**
+   * Names following FROM and JOIN in native SQL (`schema.table` as written).
+   * This is a text search aid, not a parser: subqueries and CTE names are included.
+   */
+  static nativeTables(sql, dialect) {
+    let tokens;
+    try {
+      tokens = SqlTokenizer.tokenize(sql, { dialect });
+    } catch {
+      return [];
+    }
+
+    const names = new Set();
+    const isName = (token) => token && (token.type === 'word' || token.type === 'quoted');
+    tokens.forEach((token, i) => {
+      if (token.upper !== 'FROM' && token.upper !== 'JOIN') return;
+      let j = i + 1;
+      const parts = [];
+      while (isName(tokens[j])) {
+        parts.push(tokens[j].type === 'quoted' ? tokens[j].value.slice(1, -1) : tokens[j].value);
+        if (tokens[j + 1]?.value !== '.') break;
+        j += 2;
+      }
+      if (parts.length > 0) {
+        names.add(parts.join('.'));
+      }
+    });
+    return [...names];
+  }
+
+  /**
+   * Load the saved index once; a missing, unreadable or outdated file starts an empty index
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const saved = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+          if (saved.version !== INDEX_VERSION || saved.metabaseUrl !== this.apiClient.metabaseUrl) {
+            return;
+          }
+          saved.documents.forEach(document => this.index.add(document));
+          this.refreshedAt = saved.refreshedAt;
+          this.logger.debug('Search index loaded', { file: this.file, documents: this.index.size });
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            this.logger.warn('Ignoring unreadable search index', { file: this.file, error: error.message });
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the index to a temporary file and rename it, so readers never see a partial file
+   */
+  async save() {
+    const saved = {
+      version: INDEX_VERSION,
+      metabaseUrl: this.apiClient.metabaseUrl,
+      refreshedAt: this.refreshedAt,
+      documents: this.index.keys().map(key => this.index.get(key)),
+    };
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(temporary, JSON.stringify(saved), { mode: 0o600 });
+      await fs.rename(temporary, this.file);
+    } catch (error) {
+      this.logger.warn('Failed to save search index', { file: this.file, error: error.message });
+      await fs.rm(temporary, { force: true }).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,99 @@
+import { createReadStream } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Helpers for result files written by the export tools
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+/**
+ * Build a safe file name inside the export directory
+ * @param {string} baseName - Requested name, or a default such as "card-123"
+ * @param {string} format - Export format, used as the extension
+ * @param {boolean} [timestamped] - Append a timestamp so earlier exports are kept
+ * @returns {string} File name (no directory part)
+ */
+export function buildExportFileName(baseName, format, timestamped = false) {
+  const stem = path.basename(baseName)
+    .replace(new RegExp(`\\.${format}$`, 'i'), '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^\.+/, '') || 'export';
+  const suffix = timestamped ? `-${new Date().toISOString().replace(/[:.]/g, '-')}` : '';
+  return `${stem}${suffix}.${format}`;
+}
+
+/**
+ * Count the data rows in an exported file without loading it in memory
+ * @param {string} filePath - Exported file
+ * @param {string} format - Export format
+ * @returns {Promise<number|null>} Row count, or null for formats that cannot be counted (xlsx)
+ */
+export async function countExportedRows(filePath, format) {
+  if (format === 'csv') {
+    return countCsvRows(filePath);
+  }
+  if (format === 'json') {
+    return countJsonRows(filePath);
+  }
+  return null;
+}
+
+/**
+ * Count CSV records (newlines inside quoted values do not end a record),
+ * minus the header line
+ */
+async function countCsvRows(filePath) {
+  let records = 0;
+  let inQuotes = false;
+  let lineHasContent = false;
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf-8' })) {
+    for (const char of chunk) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === '\n' && !inQuotes) {
+        if (lineHasContent) records++;
+        lineHasContent = false;
+        continue;
+      }
+      if (char !== '\r') {
+        lineHasContent = true;
+      }
+    }
+  }
+  if (lineHasContent) records++;
+
+  return Math.max(0, records - 1);
+}
+
+/**
+ * Count the elements of a top-level JSON array
+ */
+async function countJsonRows(filePath) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let rows = 0;
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf-8' })) {
+    for (const char of chunk) {
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 1) rows++;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+  }
+
+  return rows;
+}
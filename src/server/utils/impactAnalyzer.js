@@ -0,0 +1,228 @@
+import { logger } from '../../shared/utils/logger.js';
+import { mapWithConcurrency } from '../../shared/utils/concurrency.js';
+
+const ROOT_COLLECTION = 'Our analytics';
+
+/**
+ * Works out which content breaks when a schema, table or column changes:
+ * the cards that read it (via LineageAnalyzer), the dashboards showing those
+ * cards and the dashboard filters wired to the changed columns or fed by an
+ * affected card. Results are grouped by collection.
+ *
+ * Every dashboard is fetched once per analysis, so large instances take a
+ * while; the number fetched at once is bounded by `concurrency`.
+ */
+export class ImpactAnalyzer {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   * @param {Object} options - Analyzer options
+   * @param {LineageAnalyzer} options.lineageAnalyzer - Finds the cards reading the target
+   * @param {number} [options.concurrency] - Dashboards fetched at once (default: 4)
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.lineageAnalyzer = options.lineageAnalyzer;
+    this.concurrency = options.concurrency || 4;
+    this.logger = logger.child('ImpactAnalyzer');
+  }
+
+  /**
+   * Content affected by a change
+   * @param {Object} request - `{ tableId }`, `{ fieldId }`, or `{ databaseId, schema, table, column }`
+   *   (names; `schema` or `table` required, `column` needs `table`)
+   * @returns {Promise<Object>} Result matching the impact_analysis output schema
+   */
+  async analyze({ tableId, fieldId, databaseId, schema, table, column } = {}) {
+    const cards = await this.lineageAnalyzer.listCards();
+    const context = this.lineageAnalyzer.createContext(cards);
+    const target = databaseId !== undefined
+      ? await this.lineageAnalyzer.resolveNames({ databaseId, schema, table, column }, context)
+      : await this.lineageAnalyzer.resolveTarget({ tableId, fieldId });
+
+    const { scanned, matches, incomplete } = await this.lineageAnalyzer.scanCards(target, cards, context);
+    const rawCards = new Map(cards.map(card => [card.id, card]));
+    const affected = new Map(matches.map(match => [match.id, match]));
+    const isTargetField = await this.targetFieldMatcher(target, context);
+
+    const dashboardList = await this.apiClient.makeRequest('/api/dashboard');
+    const summaries = (Array.isArray(dashboardList) ? dashboardList : dashboardList.data || []).filter(d => !d.archived);
+    const incompleteDashboards = [];
+    const dashboards = (await mapWithConcurrency(summaries, this.concurrency, async (summary) => {
+      try {
+        const dashboard = await this.apiClient.makeRequest(`/api/dashboard/${summary.id}`);
+        return this.dashboardImpact({ ...summary, ...dashboard }, affected, rawCards, isTargetField);
+      } catch (error) {
+        this.logger.debug('Could not analyze dashboard', { dashboardId: summary.id, error: error.message });
+        incompleteDashboards.push(summary.id);
+        return null;
+      }
+    })).filter(Boolean);
+
+    const affectedCards = matches.map(match => ({
+      id: match.id,
+      name: match.name,
+      type: match.type,
+      usage: match.usage,
+      direct: match.direct,
+      viaCardIds: match.viaCardIds,
+      columns: match.columns,
+      collectionId: match.collectionId,
+      ...this.activity(rawCards.get(match.id)),
+    }));
+
+    return {
+      target: { databaseId: target.databaseId, tableId: target.tableId, fieldId: target.fieldId, name: target.name },
+      scanned: { cards: scanned, dashboards: summaries.length },
+      summary: {
+        cards: affectedCards.length,
+        models: affectedCards.filter(card => card.type === 'model').length,
+        dashboards: dashboards.length,
+        filters: dashboards.reduce((sum, dashboard) => sum + dashboard.filters.length, 0),
+      },
+      collections: await this.groupByCollection(affectedCards, dashboards),
+      incomplete: { cards: incomplete, dashboards: incompleteDashboards.sort((a, b) => a - b) },
+    };
+  }
+
+  /**
+   * Predicate for field IDs belonging to the target (the column, or any column of its tables)
+   */
+  async targetFieldMatcher(target, context) {
+    if (target.fieldId !== null) {
+      return (id) => id === target.fieldId;
+    }
+
+    const tableIds = target.tableIds ?? [target.tableId];
+    let metadata = null;
+    try {
+      metadata = await this.lineageAnalyzer.metadata(target.databaseId, context);
+    } catch (error) {
+      this.logger.debug('Metadata unavailable; filters on the target tables are not detected', { error: error.message });
+    }
+    return (id) => tableIds.includes(metadata?.fields.get(id)?.tableId);
+  }
+
+  /**
+   * How a dashboard is affected, or null when it is not
+   */
+  dashboardImpact(dashboard, affected, rawCards, isTargetField) {
+    const dashcards = dashboard.dashcards || dashboard.ordered_cards || [];
+    const cardIds = [...new Set(dashcards
+      .flatMap(dashcard => [dashcard.card_id, ...(dashcard.series || []).map(card => card.id)])
+      .filter(id => affected.has(id)))];
+
+    const filters = [];
+    for (const parameter of dashboard.parameters || []) {
+      const reasons = new Set();
+      for (const dashcard of dashcards) {
+        for (const mapping of dashcard.parameter_mappings || []) {
+          if (mapping.parameter_id !== parameter.id) continue;
+          const cardId = mapping.card_id ?? dashcard.card_id;
+          if (this.mappingFieldIds(mapping.target, rawCards.get(cardId) ?? dashcard.card).some(isTargetField)) {
+            reasons.add(`filters the changed column on card ${cardId}`);
+          }
+        }
+      }
+      const sourceCardId = parameter.values_source_type === 'card' ? parameter.values_source_config?.card_id : undefined;
+      if (affected.has(sourceCardId)) {
+        reasons.add(`takes its values from card ${sourceCardId}`);
+      }
+      if (reasons.size > 0) {
+        filters.push({ id: parameter.id, name: parameter.name ?? parameter.slug ?? parameter.id, reasons: [...reasons] });
+      }
+    }
+
+    if (cardIds.length === 0 && filters.length === 0) {
+      return null;
+    }
+    return {
+      id: dashboard.id,
+      name: dashboard.name,
+      collectionId: dashboard.collection_id ?? null,
+      cardIds,
+      filters,
+      ...this.activity(dashboard),
+    };
+  }
+
+  /**
+   * Field IDs a parameter mapping target points at, following native template tags to their field
+   */
+  mappingFieldIds(target, card) {
+    const reference = Array.isArray(target) ? target[1] : null;
+    if (Array.isArray(reference) && reference[0] === 'template-tag') {
+      const tag = card?.dataset_query?.native?.['template-tags']?.[reference[1]];
+      return tag?.type === 'dimension' ? ImpactAnalyzer.fieldIds(tag.dimension) : [];
+    }
+    return ImpactAnalyzer.fieldIds(target);
+  }
+
+  /**
+   * Owner and usage of a card or dashboard, as far as this Metabase version reports them
+   */
+  activity(entity = {}) {
+    const creator = entity.creator;
+    let owner = null;
+    if (creator) {
+      owner = {
+        id: creator.id ?? entity.creator_id ?? null,
+        name: creator.common_name ?? ([creator.first_name, creator.last_name].filter(Boolean).join(' ') || null),
+        email: creator.email ?? null,
+      };
+    } else if (entity.creator_id) {
+      owner = { id: entity.creator_id, name: null, email: null };
+    }
+    return {
+      owner,
+      lastViewedAt: entity.last_viewed_at ?? entity.last_used_at ?? null,
+      viewCount: entity.view_count ?? null,
+    };
+  }
+
+  async groupByCollection(cards, dashboards) {
+    let collections = [];
+    try {
+      collections = await this.apiClient.makeRequest('/api/collection/');
+    } catch (error) {
+      this.logger.debug('Could not list collections; grouping by ID only', { error: error.message });
+    }
+    const names = new Map(collections.map(collection => [collection.id, collection.name]));
+    const paths = new Map(collections.filter(collection => typeof collection.id === 'number').map(collection => {
+      const ancestors = (collection.location || '/').split('/').filter(Boolean).map(Number);
+      return [collection.id, [...ancestors.map(id => names.get(id)).filter(Boolean), collection.name].join(' / ')];
+    }));
+
+    const groups = new Map();
+    const group = (collectionId) => {
+      if (!groups.has(collectionId)) {
+        groups.set(collectionId, {
+          id: collectionId,
+          path: collectionId === null ? ROOT_COLLECTION : paths.get(collectionId) ?? null,
+          cards: [],
+          dashboards: [],
+        });
+      }
+      return groups.get(collectionId);
+    };
+    cards.forEach(card => group(card.collectionId).cards.push(card));
+    dashboards.forEach(dashboard => group(dashboard.collectionId).dashboards.push(dashboard));
+
+    return [...groups.values()].sort((a, b) => (a.id === null ? -1 : b.id === null ? 1 : String(a.path).localeCompare(String(b.path))));
+  }
+
+  /**
+   * Field IDs in an MBQL clause: legacy ["field", id, opts] and pMBQL ["field", opts, id], with their `source-field`
+   */
+  static fieldIds(node) {
+    if (!Array.isArray(node)) {
+      return [];
+    }
+    const ids = [];
+    const [head, first, second] = node;
+    if (head === 'field' || head === 'field-id') {
+      const options = typeof first === 'object' && first !== null ? first : second;
+      [first, second, options?.['source-field']].forEach(id => typeof id === 'number' && ids.push(id));
+    }
+    return [...ids, ...node.flatMap(item => ImpactAnalyzer.fieldIds(item))];
+  }
+}
@@ -0,0 +1,496 @@
+import { MetabaseError, ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import { SqlReferences } from '../../shared/utils/sqlReferences.js';
+import { SqlTokenizer } from '../../shared/utils/sqlTokenizer.js';
+
+// Schemas an unqualified table name most likely refers to when several schemas have it
+const DEFAULT_SCHEMAS = ['public', 'dbo', 'main', 'default'];
+
+// Source-card chains deeper than this are not followed
+const MAX_CARD_DEPTH = 5;
+
+const lower = (name) => String(name ?? '').toLowerCase();
+
+/**
+ * Works out which tables and columns a card reads, as Metabase table and
+ * field IDs resolved through `/api/database/:id/metadata`.
+ *
+ * Native SQL is read with SqlReferences: table names are matched by schema
+ * and name, aliases and CTE names are followed, qualified columns resolve on
+ * their table and bare columns on any table of the query that has them.
+ * MBQL is walked for `source-table`, joins, `source-card` and field refs.
+ * Cards built on other cards (`source-card`, `{{#123}}`) inherit what their
+ * source cards read, marked with `viaCardId`.
+ */
+export class LineageAnalyzer {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client
+   */
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this.logger = logger.child('LineageAnalyzer');
+  }
+
+  /**
+   * Memo for one analysis: metadata per database, cards and lineages by card ID
+   * @param {Object[]} [cards] - Raw cards already fetched (e.g. from /api/card), used for source cards
+   */
+  createContext(cards = []) {
+    return { metadata: new Map(), cards: new Map(cards.map(card => [card.id, card])), lineage: new Map() };
+  }
+
+  /**
+   * Lineage of a card
+   * @param {Object} card - Raw Metabase card
+   * @param {Object} [context] - See createContext()
+   * @returns {Promise<Object>} Lineage, matching the get_card_lineage output schema
+   */
+  async cardLineage(card, context = this.createContext(), visiting = new Set()) {
+    if (context.lineage.has(card.id)) {
+      return context.lineage.get(card.id);
+    }
+
+    const query = card.dataset_query || {};
+    const databaseId = card.database_id ?? query.database ?? null;
+    const result = {
+      cardId: card.id,
+      cardName: card.name,
+      databaseId,
+      queryType: query.type ?? null,
+      tables: new Map(),
+      fields: new Map(),
+      sourceCards: [],
+      ctes: [],
+      unresolved: { tables: new Set(), columns: new Set() },
+      warnings: [],
+      sourceCardIds: new Set(),
+    };
+
+    let metadata = null;
+    if (databaseId !== null) {
+      try {
+        metadata = await this.metadata(databaseId, context);
+      } catch (error) {
+        result.warnings.push(`Metadata of database ${databaseId} is unavailable (${error.message}); names could not be resolved`);
+      }
+    }
+
+    if (query.type === 'native') {
+      this.addNativeReferences(result, query.native || {}, metadata);
+    } else if (query.query || query.stages) {
+      this.addMbqlReferences(result, query.query ?? query.stages, metadata);
+    }
+
+    await this.addSourceCards(result, context, new Set([...visiting, card.id]));
+
+    const lineage = {
+      cardId: result.cardId,
+      cardName: result.cardName,
+      databaseId: result.databaseId,
+      queryType: result.queryType,
+      tables: [...result.tables.values()],
+      fields: [...result.fields.values()],
+      sourceCards: result.sourceCards,
+      ctes: result.ctes,
+      unresolved: { tables: [...result.unresolved.tables], columns: [...result.unresolved.columns] },
+      warnings: result.warnings,
+    };
+    context.lineage.set(card.id, lineage);
+    return lineage;
+  }
+
+  /**
+   * Cards that read a table or a column, directly or through their source cards
+   * @param {Object} target - `{ tableId }` or `{ fieldId }`
+   * @returns {Promise<Object>} The target, the number of cards scanned, the matching cards and
+   *   the IDs of cards that could not be fully analyzed
+   * @throws {ValidationError} Unless exactly one of tableId and fieldId is given
+   */
+  async findCardsUsing({ tableId, fieldId } = {}) {
+    if ((tableId === undefined) === (fieldId === undefined)) {
+      throw new ValidationError('Pass either tableId or fieldId', 'tableId', { tableId, fieldId });
+    }
+
+    const target = await this.resolveTarget({ tableId, fieldId });
+    const cards = await this.listCards();
+    const { scanned, matches, incomplete } = await this.scanCards(target, cards, this.createContext(cards));
+    return { target, scanned, cards: matches, incomplete };
+  }
+
+  /**
+   * Cards that are not archived
+   */
+  async listCards() {
+    const response = await this.apiClient.makeRequest('/api/card/?f=all');
+    return (Array.isArray(response) ? response : response.data || []).filter(card => !card.archived);
+  }
+
+  /**
+   * Match the cards of the target's database against the target
+   * @param {Object} target - `{ databaseId, tableId, fieldId }`, or `tableIds` instead of `tableId` for several tables
+   * @param {Object[]} cards - Raw cards to scan
+   * @param {Object} context - See createContext()
+   */
+  async scanCards(target, cards, context) {
+    const candidates = cards.filter(card => (card.database_id ?? card.dataset_query?.database) === target.databaseId);
+
+    const matches = [];
+    const incomplete = [];
+    for (const card of candidates) {
+      const lineage = await this.cardLineage(card, context);
+      if (lineage.warnings.length > 0) {
+        incomplete.push(card.id);
+      }
+      const match = this.matchTarget(lineage, target);
+      if (match) {
+        matches.push({
+          id: card.id,
+          name: card.name,
+          type: card.type ?? (card.dataset ? 'model' : 'question'),
+          collectionId: card.collection_id ?? null,
+          databaseId: lineage.databaseId,
+          queryType: lineage.queryType,
+          ...match,
+        });
+      }
+    }
+
+    return { scanned: candidates.length, matches, incomplete };
+  }
+
+  /**
+   * How a lineage uses the target, or null
+   */
+  matchTarget(lineage, target) {
+    const tableIds = target.tableIds ?? [target.tableId];
+    const tables = lineage.tables.filter(table => tableIds.includes(table.id));
+    const fields = target.fieldId !== null ? lineage.fields.filter(field => field.id === target.fieldId) : [];
+    const allColumns = tables.filter(table => table.allColumns);
+
+    let usage;
+    let entries;
+    if (target.fieldId === null) {
+      usage = 'table';
+      entries = tables;
+    } else if (fields.length > 0) {
+      usage = 'column';
+      entries = fields;
+    } else if (allColumns.length > 0) {
+      usage = 'all columns';
+      entries = allColumns;
+    } else {
+      return null;
+    }
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return {
+      usage,
+      direct: entries.some(entry => entry.viaCardId === null),
+      viaCardIds: [...new Set(entries.map(entry => entry.viaCardId).filter(id => id !== null))],
+      columns: target.fieldId === null
+        ? [...new Set(lineage.fields
+          .filter(field => tableIds.includes(field.tableId))
+          .map(field => (tableIds.length > 1 ? `${field.table}.${field.name}` : field.name)))]
+        : fields.map(field => field.name),
+    };
+  }
+
+  async resolveTarget({ tableId, fieldId }) {
+    if (fieldId !== undefined) {
+      const field = await this.apiClient.makeRequest(`/api/field/${fieldId}`);
+      const table = field.table || await this.apiClient.makeRequest(`/api/table/${field.table_id}`);
+      return {
+        tableId: field.table_id,
+        fieldId,
+        databaseId: table.db_id,
+        name: `${this.qualifiedName(table)}.${field.name}`,
+      };
+    }
+    const table = await this.apiClient.makeRequest(`/api/table/${tableId}`);
+    return { tableId, fieldId: null, databaseId: table.db_id, name: this.qualifiedName(table) };
+  }
+
+  /**
+   * Target from names: a whole schema, a table or a column of a database.
+   * Names match case-insensitively; an unqualified table name found in
+   * several schemas resolves to the one in a default schema.
+   * @throws {ValidationError} When a name matches nothing or several tables
+   */
+  async resolveNames({ databaseId, schema, table, column }, context = this.createContext()) {
+    const metadata = await this.metadata(databaseId, context);
+    let tables = [...metadata.tables.values()];
+    if (schema !== undefined) {
+      tables = tables.filter(candidate => lower(candidate.schema) === lower(schema));
+      if (tables.length === 0) {
+        throw new ValidationError(`Database ${databaseId} has no schema "${schema}"`, 'schema', schema);
+      }
+    }
+    if (table !== undefined) {
+      const matching = tables.filter(candidate => lower(candidate.name) === lower(table));
+      if (matching.length === 0) {
+        throw new ValidationError(`Database ${databaseId} has no table "${table}"${schema !== undefined ? ` in schema "${schema}"` : ''}`, 'table', table);
+      }
+      const resolved = this.resolveTable(schema !== undefined ? [schema, table] : [table], metadata);
+      if (!resolved) {
+        throw new ValidationError(`Table "${table}" is in several schemas (${matching.map(candidate => candidate.schema).join(', ')}); pass schema`, 'table', table);
+      }
+      tables = [resolved];
+    }
+
+    if (column !== undefined) {
+      const field = tables[0].fields.get(lower(column));
+      if (!field) {
+        throw new ValidationError(`Table ${this.qualifiedName(tables[0])} has no column "${column}"`, 'column', column);
+      }
+      return { databaseId, tableId: tables[0].id, fieldId: field.id, name: `${this.qualifiedName(tables[0])}.${field.name}` };
+    }
+    if (table !== undefined) {
+      return { databaseId, tableId: tables[0].id, fieldId: null, name: this.qualifiedName(tables[0]) };
+    }
+    return { databaseId, tableId: null, tableIds: tables.map(candidate => candidate.id), fieldId: null, name: `schema ${tables[0].schema}` };
+  }
+
+  addNativeReferences(result, native, metadata) {
+    for (const tag of Object.values(native['template-tags'] || {})) {
+      if (tag.type === 'card' && tag['card-id']) {
+        result.sourceCardIds.add(tag['card-id']);
+      } else if (tag.type === 'dimension') {
+        // Field filters read their field even though the SQL only shows {{tag}}
+        this.walkMbql(tag.dimension, result, metadata);
+      }
+    }
+
+    let references;
+    try {
+      references = SqlReferences.extract(native.query || '', { dialect: SqlTokenizer.dialectForEngine(metadata?.engine) });
+    } catch (error) {
+      result.warnings.push(`Could not read the SQL: ${error.message}`);
+      return;
+    }
+
+    references.cardIds.forEach(id => result.sourceCardIds.add(id));
+    result.ctes = references.ctes;
+
+    // What each qualifier (alias, table name) stands for; null for CTEs and subqueries
+    const qualifiers = new Map([...references.ctes, ...references.derived].map(name => [lower(name), null]));
+    const inScope = new Map();
+    for (const reference of references.tables) {
+      const written = reference.parts.join('.');
+      if (reference.parts.length === 1 && references.ctes.some(name => lower(name) === lower(written))) {
+        if (reference.alias) qualifiers.set(lower(reference.alias), null);
+        continue;
+      }
+
+      const table = metadata ? this.resolveTable(reference.parts, metadata) : null;
+      if (!table) {
+        result.unresolved.tables.add(written);
+        if (reference.alias) qualifiers.set(lower(reference.alias), null);
+        continue;
+      }
+      this.addTable(result, table);
+      inScope.set(table.id, table);
+      const names = [reference.parts[reference.parts.length - 1], reference.parts.slice(-2).join('.'), written];
+      names.forEach(name => qualifiers.has(lower(name)) || qualifiers.set(lower(name), table));
+      if (reference.alias) qualifiers.set(lower(reference.alias), table);
+    }
+
+    for (const column of references.columns) {
+      if (column.qualifier === null) {
+        for (const table of inScope.values()) {
+          const field = table.fields.get(lower(column.name));
+          if (field) this.addField(result, field, table);
+        }
+        continue;
+      }
+
+      // Unknown qualifiers are usually struct or JSON access rather than tables
+      const table = qualifiers.get(lower(column.qualifier));
+      if (!table) continue;
+      const field = table.fields.get(lower(column.name));
+      if (field) {
+        this.addField(result, field, table);
+      } else {
+        result.unresolved.columns.add(`${column.qualifier}.${column.name}`);
+      }
+    }
+
+    for (const qualifier of references.stars) {
+      const tables = qualifier === null ? [...inScope.values()] : [qualifiers.get(lower(qualifier))].filter(Boolean);
+      tables.forEach(table => {
+        result.tables.get(table.id).allColumns = true;
+      });
+    }
+  }
+
+  addMbqlReferences(result, query, metadata) {
+    this.walkMbql(query, result, metadata);
+
+    // A raw table query (no fields, breakout or aggregation) returns every column
+    const stage = Array.isArray(query) ? (query.length === 1 ? query[0] : null) : query;
+    if (stage && typeof stage['source-table'] === 'number' && !stage.fields && !stage.breakout && !stage.aggregation) {
+      const table = result.tables.get(stage['source-table']);
+      if (table) table.allColumns = true;
+    }
+  }
+
+  /**
+   * Collect tables, fields and source cards from any part of an MBQL query
+   */
+  walkMbql(node, result, metadata) {
+    if (Array.isArray(node)) {
+      const [head, first, second] = node;
+      if (head === 'field' || head === 'field-id') {
+        // Legacy ["field", id, opts] and pMBQL ["field", opts, id]
+        const id = typeof first === 'number' ? first : typeof second === 'number' ? second : null;
+        const options = typeof first === 'object' && first !== null ? first : second;
+        if (id !== null) this.addFieldById(result, id, metadata);
+        if (typeof options?.['source-field'] === 'number') this.addFieldById(result, options['source-field'], metadata);
+      }
+      node.forEach(item => this.walkMbql(item, result, metadata));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    const sourceTable = node['source-table'];
+    if (typeof sourceTable === 'number') {
+      this.addTable(result, metadata?.tables.get(sourceTable) ?? { id: sourceTable, schema: null, name: null, displayName: null });
+    } else if (typeof sourceTable === 'string' && /^card__\d+$/.test(sourceTable)) {
+      result.sourceCardIds.add(Number(sourceTable.slice('card__'.length)));
+    }
+    if (typeof node['source-card'] === 'number') {
+      result.sourceCardIds.add(node['source-card']);
+    }
+    Object.values(node).forEach(value => this.walkMbql(value, result, metadata));
+  }
+
+  /**
+   * Merge the lineage of source cards, marking what comes through them
+   */
+  async addSourceCards(result, context, visiting) {
+    for (const id of result.sourceCardIds) {
+      if (visiting.has(id)) {
+        result.warnings.push(`Card ${id} is part of a source-card cycle; not followed`);
+        continue;
+      }
+      if (visiting.size > MAX_CARD_DEPTH) {
+        result.warnings.push(`Source card ${id} is more than ${MAX_CARD_DEPTH} cards deep; not followed`);
+        continue;
+      }
+
+      let source;
+      try {
+        source = context.cards.get(id) ?? await this.apiClient.makeRequest(`/api/card/${id}`);
+        context.cards.set(id, source);
+      } catch (error) {
+        result.warnings.push(`Source card ${id} could not be fetched: ${error.message}`);
+        continue;
+      }
+
+      const upstream = await this.cardLineage(source, context, visiting);
+      result.sourceCards.push({ id, name: source.name, viaCardId: null });
+      upstream.sourceCards.forEach(card => result.sourceCards.push({ ...card, viaCardId: id }));
+      upstream.tables.forEach(table => result.tables.has(table.id) || result.tables.set(table.id, { ...table, viaCardId: id }));
+      upstream.fields.forEach(field => result.fields.has(field.id) || result.fields.set(field.id, { ...field, viaCardId: id }));
+      upstream.warnings.forEach(warning => result.warnings.push(`Source card ${id}: ${warning}`));
+    }
+  }
+
+  addTable(result, table) {
+    if (!result.tables.has(table.id)) {
+      result.tables.set(table.id, {
+        id: table.id,
+        schema: table.schema ?? null,
+        name: table.name ?? null,
+        displayName: table.displayName ?? null,
+        allColumns: false,
+        viaCardId: null,
+      });
+    }
+  }
+
+  addField(result, field, table) {
+    this.addTable(result, table);
+    if (!result.fields.has(field.id)) {
+      result.fields.set(field.id, {
+        id: field.id,
+        name: field.name,
+        tableId: table.id,
+        table: table.name ? this.qualifiedName(table) : null,
+        viaCardId: null,
+      });
+    }
+  }
+
+  addFieldById(result, id, metadata) {
+    const field = metadata?.fields.get(id);
+    const table = field ? metadata.tables.get(field.tableId) : null;
+    if (field && table) {
+      this.addField(result, field, table);
+    } else if (!result.fields.has(id)) {
+      result.fields.set(id, { id, name: null, tableId: field?.tableId ?? null, table: null, viaCardId: null });
+    }
+  }
+
+  /**
+   * Table matching a dotted name (`table`, `schema.table` or `db.schema.table`), case-insensitively
+   */
+  resolveTable(parts, metadata) {
+    const name = lower(parts[parts.length - 1]);
+    const schema = parts.length > 1 ? lower(parts[parts.length - 2]) : null;
+    let candidates = metadata.byName.get(name) || [];
+    if (schema !== null) {
+      candidates = candidates.filter(table => lower(table.schema) === schema);
+    } else if (candidates.length > 1) {
+      const defaults = candidates.filter(table => DEFAULT_SCHEMAS.includes(lower(table.schema)));
+      if (defaults.length === 1) candidates = defaults;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Database metadata indexed for lookups, fetched once per context
+   */
+  async metadata(databaseId, context) {
+    if (!context.metadata.has(databaseId)) {
+      context.metadata.set(databaseId, this.apiClient
+        .makeRequest(`/api/database/${databaseId}/metadata?include_hidden=true`)
+        .then(metadata => LineageAnalyzer.indexMetadata(metadata)));
+    }
+    return context.metadata.get(databaseId);
+  }
+
+  static indexMetadata(metadata) {
+    if (!Array.isArray(metadata?.tables)) {
+      throw new MetabaseError('Database metadata has no tables', 'INVALID_METADATA');
+    }
+
+    const tables = new Map();
+    const byName = new Map();
+    const fields = new Map();
+    for (const raw of metadata.tables) {
+      const table = {
+        id: raw.id,
+        schema: raw.schema ?? null,
+        name: raw.name,
+        displayName: raw.display_name ?? null,
+        fields: new Map(),
+      };
+      for (const rawField of raw.fields || []) {
+        const field = { id: rawField.id, name: rawField.name, tableId: raw.id };
+        table.fields.set(lower(rawField.name), field);
+        fields.set(rawField.id, field);
+      }
+      tables.set(table.id, table);
+      byName.set(lower(table.name), [...(byName.get(lower(table.name)) || []), table]);
+    }
+    return { engine: metadata.engine, tables, byName, fields };
+  }
+
+  qualifiedName(table) {
+    return table.schema ? `${table.schema}.${table.name}` : table.name;
+  }
+}
@@ -0,0 +1,216 @@
+import { TemplateTags } from '../../shared/utils/templateTags.js';
+
+/**
+ * Map raw Metabase API objects onto the typed shapes declared in
+ * config/outputSchemas.js. Missing values are normalized to null so the
+ * structured output always matches its schema.
+ */
+export class Mappers {
+  static cardSummary(card) {
+    return {
+      id: card.id,
+      name: card.name ?? '',
+      description: card.description ?? null,
+      databaseId: card.dataset_query?.database ?? card.database_id ?? null,
+      queryType: card.dataset_query?.type ?? card.query_type ?? null,
+      createdAt: card.created_at ?? null,
+    };
+  }
+
+  static card(card) {
+    return {
+      ...Mappers.cardSummary(card),
+      sqlQuery: card.dataset_query?.native?.query ?? null,
+      queryBuilder: card.dataset_query?.query ?? null,
+      templateTags: TemplateTags.list(card).map(Mappers.templateTag),
+      updatedAt: card.updated_at ?? null,
+    };
+  }
+
+  static templateTag(tag) {
+    return {
+      name: tag.name,
+      displayName: tag['display-name'] ?? null,
+      type: tag.type ?? null,
+      widgetType: tag['widget-type'] ?? null,
+      required: tag.required === true,
+      default: tag.default ?? null,
+    };
+  }
+
+  static column(col) {
+    return {
+      name: col.name ?? '',
+      displayName: col.display_name ?? null,
+      baseType: col.base_type ?? null,
+      semanticType: col.semantic_type ?? null,
+    };
+  }
+
+  /**
+   * Map a /api/dataset or /api/card/:id/query response to a result set
+   */
+  static resultSet(results) {
+    const rows = results?.data?.rows || [];
+    return {
+      status: results?.status ?? null,
+      rowCount: results?.row_count ?? rows.length,
+      runningTimeMs: results?.running_time ?? null,
+      columns: (results?.data?.cols || []).map(Mappers.column),
+      rows,
+      // Row cap Metabase (or the native query row limit) cut the result at
+      rowsTruncated: Mappers.rowsTruncated(results?.data?.rows_truncated, rows.length),
+      error: typeof results?.error === 'string' ? results.error : results?.error ? JSON.stringify(results.error) : null,
+    };
+  }
+
+  static rowsTruncated(value, rows) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    return value ? rows : null;
+  }
+
+  static dashboardSummary(dashboard) {
+    return {
+      id: dashboard.id,
+      name: dashboard.name ?? '',
+      description: dashboard.description ?? null,
+      collectionId: dashboard.collection_id ?? null,
+    };
+  }
+
+  static dashboard(dashboard) {
+    return {
+      ...Mappers.dashboardSummary(dashboard),
+      createdAt: dashboard.created_at ?? null,
+      updatedAt: dashboard.updated_at ?? null,
+      parameters: (dashboard.parameters || []).map(p => ({
+        id: p.id,
+        name: p.name ?? null,
+        slug: p.slug ?? null,
+        type: p.type ?? null,
+        default: p.default ?? null,
+      })),
+      cards: (dashboard.dashcards || []).map(dc => ({
+        dashcardId: dc.id ?? null,
+        cardId: dc.card_id ?? null,
+        cardName: dc.card?.name ?? null,
+        row: dc.row ?? null,
+        col: dc.col ?? null,
+        sizeX: dc.size_x ?? null,
+        sizeY: dc.size_y ?? null,
+      })),
+    };
+  }
+
+  static database(database) {
+    return {
+      id: database.id,
+      name: database.name ?? '',
+      engine: database.engine ?? null,
+      description: database.description ?? null,
+      createdAt: database.created_at ?? null,
+      updatedAt: database.updated_at ?? null,
+    };
+  }
+
+  static tableSummary(table) {
+    return {
+      id: table.id,
+      name: table.name ?? '',
+      schema: table.schema ?? null,
+      fieldCount: table.fields?.length || 0,
+    };
+  }
+
+  static field(field) {
+    return {
+      id: field.id,
+      name: field.name ?? '',
+      displayName: field.display_name ?? null,
+      baseType: field.base_type ?? null,
+      semanticType: field.semantic_type ?? null,
+      description: field.description ?? null,
+      tableId: field.table_id ?? field.table?.id ?? null,
+      tableName: field.table?.name ?? null,
+    };
+  }
+
+  static table(table) {
+    return {
+      id: table.id,
+      name: table.name ?? '',
+      schema: table.schema ?? null,
+      databaseId: table.db_id ?? table.db?.id ?? null,
+      databaseName: table.db?.name ?? null,
+      fields: (table.fields || []).map(f => Mappers.field({ ...f, table_id: f.table_id ?? table.id, table: { name: table.name } })),
+    };
+  }
+
+  static collection(collection) {
+    return {
+      id: collection.id,
+      name: collection.name ?? '',
+      description: collection.description ?? null,
+    };
+  }
+
+  static collectionItem(item) {
+    return {
+      id: item.id,
+      model: item.model ?? 'unknown',
+      name: item.name ?? '',
+      description: item.description ?? null,
+    };
+  }
+
+  static segmentOrMetric(item) {
+    return {
+      id: item.id,
+      name: item.name ?? '',
+      description: item.description ?? null,
+      tableId: item.table_id ?? item.table?.id ?? null,
+      tableName: item.table?.name ?? null,
+    };
+  }
+
+  /**
+   * Map a /api/search hit; `ancestors` is the chain of collections holding it
+   */
+  static searchHit(hit, rank, ancestors = []) {
+    return {
+      rank,
+      model: hit.model ?? 'unknown',
+      id: hit.id,
+      name: hit.name ?? hit.display_name ?? '',
+      description: hit.description ?? null,
+      collectionId: hit.collection?.id ?? null,
+      collectionPath: ancestors.length > 0 ? ancestors.map(c => c.name).join(' / ') : hit.collection?.name ?? null,
+      collectionAncestorIds: ancestors.map(c => c.id),
+      databaseId: hit.database_id ?? null,
+      tableId: hit.table_id ?? null,
+      archived: Boolean(hit.archived),
+      createdBy: hit.creator_common_name ?? null,
+      updatedAt: hit.updated_at ?? null,
+    };
+  }
+
+  static user(user) {
+    return {
+      id: user.id,
+      name: user.common_name ?? null,
+      email: user.email ?? null,
+      isAdmin: Boolean(user.is_superuser),
+    };
+  }
+
+  static activity(activity) {
+    return {
+      timestamp: activity.timestamp ?? null,
+      user: activity.user?.common_name ?? null,
+      topic: activity.topic ?? null,
+      details: activity.details ?? null,
+    };
+  }
+}
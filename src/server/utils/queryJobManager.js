@@ -0,0 +1,173 @@
+import { randomUUID } from 'node:crypto';
+
+import { CancelledError, MetabaseError, ValidationError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * In-process manager for queries that run in the background
+ *
+ * A job wraps one query request with its own AbortController. The caller gets
+ * a job ID straight away and polls for the status and result; cancelling a job
+ * aborts the underlying fetch, which also makes Metabase stop the query.
+ * Finished jobs are kept for `ttl` milliseconds, and at most `maxJobs` jobs
+ * (running or finished) are held at once.
+ */
+export class QueryJobManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {number} [options.timeout] - Timeout (ms) for one job, longer than regular requests
+   * @param {number} [options.ttl] - How long (ms) a finished job stays available
+   * @param {number} [options.maxJobs] - Maximum number of jobs kept
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30 * 60 * 1000;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.maxJobs = options.maxJobs || 20;
+
+    this.jobs = new Map();
+    this.logger = logger.child('QueryJobManager');
+  }
+
+  /**
+   * Start a job
+   * @param {Function} run - `({ signal, timeout }) => Promise<Object>` performing the query
+   * @param {Object} source - What the job runs (type, cardId or databaseId), echoed in its status
+   * @returns {Object} Job status
+   * @throws {MetabaseError} TOO_MANY_JOBS when `maxJobs` jobs are still running
+   */
+  start(run, source) {
+    this.prune();
+    this.makeRoom();
+
+    const job = {
+      id: randomUUID(),
+      source,
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      controller: new AbortController(),
+      output: null,
+      // Set by get_query_result once the output is in the ResultStore
+      resultId: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+
+    job.promise = run({ signal: job.controller.signal, timeout: this.timeout })
+      .then(output => {
+        if (job.status === 'running') {
+          job.output = output;
+          this.finish(job, 'completed');
+        }
+      })
+      .catch(error => {
+        if (job.status === 'running') {
+          job.error = error;
+          this.finish(job, error instanceof CancelledError ? 'cancelled' : 'failed');
+        }
+      });
+
+    this.logger.info('Query job started', { jobId: job.id, source });
+    return this.describe(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object} Job, including `output` once completed
+   * @throws {ValidationError} If the job is unknown or has expired
+   */
+  get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new ValidationError(
+        `Query job ${id} is unknown or has expired. Start the query again with start_query.`,
+        'jobId',
+        id
+      );
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a running job; finished jobs are left as they are
+   * @param {string} id - Job ID
+   * @returns {Object} Job status
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (job.status === 'running') {
+      job.error = new CancelledError(`Query job ${id} was cancelled`, 'query job');
+      this.finish(job, 'cancelled');
+      job.controller.abort();
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * Cancel every running job (server shutdown)
+   */
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        this.cancel(job.id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a job, matching the QUERY_JOB output schema
+   */
+  describe(job) {
+    const end = job.finishedAt ?? Date.now();
+    return {
+      jobId: job.id,
+      status: job.status,
+      source: job.source,
+      startedAt: new Date(job.startedAt).toISOString(),
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      elapsedMs: end - job.startedAt,
+      error: job.error
+        ? { code: job.error.code ?? 'ERROR', message: job.error.message }
+        : null,
+    };
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    this.logger.info('Query job finished', { jobId: job.id, status, elapsedMs: job.finishedAt - job.startedAt });
+  }
+
+  /**
+   * Drop the oldest finished jobs until there is room for a new one
+   */
+  makeRoom() {
+    for (const job of this.jobs.values()) {
+      if (this.jobs.size < this.maxJobs) {
+        return;
+      }
+      if (job.status !== 'running') {
+        this.jobs.delete(job.id);
+      }
+    }
+
+    if (this.jobs.size >= this.maxJobs) {
+      throw new MetabaseError(
+        `${this.maxJobs} query jobs are already running. Wait for one to finish or cancel one with cancel_query.`,
+        'TOO_MANY_JOBS',
+        { maxJobs: this.maxJobs }
+      );
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt + this.ttl <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,250 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+
+import { logger } from '../../shared/utils/logger.js';
+import { DEFAULT_CACHE_POLICIES, DEFAULT_CACHE_TTL } from '../config/cachePolicies.js';
+
+/**
+ * In-memory LRU cache for GET responses, with optional on-disk persistence
+ *
+ * Entries expire after the TTL of the first matching endpoint policy. Expired
+ * entries that carry an ETag are kept so the client can revalidate them with
+ * If-None-Match instead of downloading the payload again. Memory is bounded
+ * by both an entry count and a total size in bytes. Persisted entries are
+ * readable by the owner only.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Array<{pattern: RegExp, ttl: number}>} [options.policies] - Per-endpoint TTLs (ms), first match wins
+   * @param {number} [options.defaultTtl] - TTL (ms) for endpoints without a policy (default: 0, not cached)
+   * @param {number} [options.maxEntries] - Maximum number of entries in memory
+   * @param {number} [options.maxBytes] - Maximum total size of entries in memory
+   * @param {string} [options.directory] - Directory for on-disk persistence (disabled when empty)
+   */
+  constructor(options = {}) {
+    this.policies = options.policies || DEFAULT_CACHE_POLICIES;
+    this.defaultTtl = options.defaultTtl ?? DEFAULT_CACHE_TTL;
+    this.maxEntries = options.maxEntries || 500;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.directory = options.directory || null;
+
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, revalidated: 0 };
+    this.logger = logger.child('ResponseCache');
+  }
+
+  /**
+   * TTL for an endpoint
+   * @param {string} endpoint - API endpoint, including query string
+   * @returns {number} TTL in milliseconds (0 = do not cache)
+   */
+  getTtl(endpoint) {
+    const policy = this.policies.find(p => p.pattern.test(endpoint));
+    return policy ? policy.ttl : this.defaultTtl;
+  }
+
+  /**
+   * Look up an entry, fresh or stale
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry with `data`, `etag`, `expiresAt` and `fresh`, or null
+   */
+  async get(key) {
+    let entry = this.entries.get(key);
+
+    if (!entry && this.directory) {
+      entry = await this.readFromDisk(key);
+      if (entry) {
+        this.storeInMemory(key, entry);
+      }
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const fresh = entry.expiresAt > Date.now();
+    if (!fresh && !entry.etag) {
+      this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Refresh LRU position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (fresh) {
+      this.stats.hits++;
+    }
+    return { ...entry, fresh };
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {*} data - Parsed response body
+   * @param {Object} meta - Entry metadata
+   * @param {number} meta.ttl - TTL in milliseconds
+   * @param {number} meta.size - Size of the raw response in bytes
+   * @param {string} [meta.etag] - ETag returned by the server
+   */
+  set(key, data, { ttl, size, etag = null }) {
+    if (ttl <= 0 || size > this.maxBytes) {
+      return;
+    }
+
+    const entry = {
+      key,
+      data,
+      etag,
+      size,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttl,
+    };
+
+    this.storeInMemory(key, entry);
+    if (this.directory) {
+      this.writeToDisk(key, entry);
+    }
+  }
+
+  /**
+   * Extend a stale entry after a successful revalidation (304 Not Modified)
+   */
+  touch(key, ttl) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+    entry.expiresAt = Date.now() + ttl;
+    this.stats.revalidated++;
+    if (this.directory) {
+      this.writeToDisk(key, entry);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+    }
+    if (this.directory) {
+      fs.rm(this.diskPath(key), { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove entries whose key matches a pattern, or everything
+   * @param {string|RegExp|Function} [pattern] - Substring or regular expression matched against the key, or a `key => boolean` predicate
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear(pattern = null) {
+    const matches = (key) => {
+      if (!pattern) return true;
+      if (typeof pattern === 'function') return pattern(key);
+      return pattern instanceof RegExp ? pattern.test(key) : key.includes(pattern);
+    };
+
+    const removed = new Set();
+    for (const key of [...this.entries.keys()]) {
+      if (matches(key)) {
+        this.delete(key);
+        removed.add(key);
+      }
+    }
+
+    if (this.directory) {
+      for (const file of await this.listDiskFiles()) {
+        try {
+          const { key } = JSON.parse(await fs.readFile(file, 'utf-8'));
+          if (matches(key)) {
+            await fs.rm(file, { force: true });
+            removed.add(key);
+          }
+        } catch {
+          await fs.rm(file, { force: true });
+        }
+      }
+    }
+
+    this.logger.info('Cache cleared', { pattern: pattern?.toString() ?? null, removed: removed.size });
+    return removed.size;
+  }
+
+  /**
+   * Current cache statistics
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      persistent: Boolean(this.directory),
+      ...this.stats,
+    };
+  }
+
+  storeInMemory(key, entry) {
+    if (this.entries.has(key)) {
+      this.totalBytes -= this.entries.get(key).size;
+      this.entries.delete(key);
+    }
+
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+
+    // Evict least recently used entries until both limits are met
+    for (const oldestKey of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      if (oldestKey !== key) {
+        this.delete(oldestKey);
+      }
+    }
+  }
+
+  diskPath(key) {
+    return path.join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async readFromDisk(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.diskPath(key), 'utf-8'));
+      return entry.key === key ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry to a new file and rename it over the old one, so files
+   * from an earlier version keep neither stale content nor looser permissions
+   */
+  writeToDisk(key, entry) {
+    const file = this.diskPath(key);
+    const temporary = `${file}.${randomUUID()}.tmp`;
+    fs.mkdir(this.directory, { recursive: true, mode: 0o700 })
+      .then(() => fs.writeFile(temporary, JSON.stringify(entry), { mode: 0o600, flag: 'wx' }))
+      .then(() => fs.rename(temporary, file))
+      .catch((error) => {
+        this.logger.warn('Failed to persist cache entry', { key, error: error.message });
+        fs.rm(temporary, { force: true }).catch(() => {});
+      });
+  }
+
+  async listDiskFiles() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(f => f.endsWith('.json')).map(f => path.join(this.directory, f));
+    } catch {
+      return [];
+    }
+  }
+}
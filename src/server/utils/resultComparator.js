@@ -0,0 +1,236 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { BaseTypes } from '../../shared/utils/baseTypes.js';
+
+/**
+ * Diff two mapped result sets (see Mappers.resultSet)
+ *
+ * Rows are aligned on key columns, which must be unique on each side, or on
+ * row position when no keys are given.
+ * Columns are matched by name, case-insensitively, so the same query on
+ * engines that fold identifiers differently still lines up. Numbers are
+ * equal when their difference is within the absolute or the relative
+ * tolerance; everything else must match exactly.
+ */
+export class ResultComparator {
+  /**
+   * @param {Object} [options] - Comparison options
+   * @param {string[]} [options.keys] - Columns that identify a row
+   * @param {Object} [options.tolerance] - Default `{ absolute, relative }` tolerance for numbers
+   * @param {Object} [options.columnTolerances] - Per-column tolerances, keyed by column name
+   */
+  constructor({ keys = [], tolerance = {}, columnTolerances = {} } = {}) {
+    this.keys = keys;
+    this.tolerance = tolerance;
+    this.columnTolerances = Object.fromEntries(
+      Object.entries(columnTolerances).map(([name, value]) => [name.toLowerCase(), value])
+    );
+  }
+
+  /**
+   * Compare two result sets
+   * @param {Object} left - Mapped result set
+   * @param {Object} right - Mapped result set
+   * @returns {Object} `schema`, `summary`, per-column `columns` stats and the full `diff` as a result set
+   * @throws {ValidationError} If a key column is missing from either side, or the keys repeat on a side
+   */
+  compare(left, right) {
+    const leftColumns = this.indexColumns(left.columns);
+    const rightColumns = this.indexColumns(right.columns);
+    const schema = this.compareSchema(leftColumns, rightColumns);
+
+    const keys = this.keys.map(key => {
+      const name = key.toLowerCase();
+      for (const [side, columns] of [['left', leftColumns], ['right', rightColumns]]) {
+        if (!columns.has(name)) {
+          throw new ValidationError(
+            `Key column "${key}" is not in the ${side} result. Columns: ${[...columns.values()].map(c => c.column.name).join(', ')}`,
+            'keys',
+            key
+          );
+        }
+      }
+      return name;
+    });
+
+    // Columns present on both sides, other than the keys, are compared cell by cell
+    const compared = [...leftColumns.keys()].filter(name => rightColumns.has(name) && !keys.includes(name));
+    const stats = new Map(compared.map(name => [name, {
+      column: leftColumns.get(name).column.name,
+      changedRows: 0,
+      withinTolerance: 0,
+      maxAbsDelta: null,
+      sumDelta: null,
+    }]));
+
+    const leftRows = this.indexRows(left.rows, keys, leftColumns);
+    const rightRows = this.indexRows(right.rows, keys, rightColumns);
+    const repeated = [['left', leftRows], ['right', rightRows]].filter(([, indexed]) => indexed.duplicates.length > 0);
+    if (repeated.length > 0) {
+      throw new ValidationError(
+        `Key columns ${this.keys.join(', ')} do not identify rows uniquely: ${repeated
+          .map(([side, indexed]) => `${indexed.duplicates.length} ${side} row(s) repeat a key (e.g. ${indexed.duplicates.slice(0, 3).join(', ')})`)
+          .join('; ')}. Add key columns until each row has its own key.`,
+        'keys',
+        this.keys
+      );
+    }
+    const diffRows = [];
+    const summary = {
+      leftRows: left.rows.length,
+      rightRows: right.rows.length,
+      matched: 0,
+      unchanged: 0,
+      changed: 0,
+      added: 0,
+      removed: 0,
+    };
+
+    const keyValues = (entry, columns) => keys.length > 0
+      ? keys.map(name => entry.values[columns.get(name).index])
+      : [entry.position];
+
+    for (const [key, leftRow] of leftRows.rows) {
+      const rightRow = rightRows.rows.get(key);
+      if (!rightRow) {
+        summary.removed++;
+        diffRows.push(['removed', ...keyValues(leftRow, leftColumns), null, this.rowObject(leftRow.values, left.columns), null, null]);
+        continue;
+      }
+
+      summary.matched++;
+      let rowChanged = false;
+      for (const name of compared) {
+        const leftColumn = leftColumns.get(name);
+        const rightColumn = rightColumns.get(name);
+        const a = leftRow.values[leftColumn.index];
+        const b = rightRow.values[rightColumn.index];
+        const columnStats = stats.get(name);
+        const x = BaseTypes.toNumber(a, leftColumn.column.baseType);
+        const y = BaseTypes.toNumber(b, rightColumn.column.baseType);
+
+        if (x !== null && y !== null) {
+          // Rounded so float noise (100.4 - 100 = 0.40000000000000568) stays out of the report
+          const delta = Number((y - x).toPrecision(12));
+          if (delta === 0) {
+            continue;
+          }
+          columnStats.maxAbsDelta = Math.max(columnStats.maxAbsDelta ?? 0, Math.abs(delta));
+          columnStats.sumDelta = Number(((columnStats.sumDelta ?? 0) + delta).toPrecision(12));
+          if (this.withinTolerance(name, x, y)) {
+            columnStats.withinTolerance++;
+            continue;
+          }
+          columnStats.changedRows++;
+          rowChanged = true;
+          diffRows.push(['changed', ...keyValues(leftRow, leftColumns), columnStats.column, a, b, delta]);
+        } else if (!this.equal(a, b)) {
+          columnStats.changedRows++;
+          rowChanged = true;
+          diffRows.push(['changed', ...keyValues(leftRow, leftColumns), columnStats.column, a ?? null, b ?? null, null]);
+        }
+      }
+      summary[rowChanged ? 'changed' : 'unchanged']++;
+    }
+
+    for (const [key, rightRow] of rightRows.rows) {
+      if (!leftRows.rows.has(key)) {
+        summary.added++;
+        diffRows.push(['added', ...keyValues(rightRow, rightColumns), null, null, this.rowObject(rightRow.values, right.columns), null]);
+      }
+    }
+
+    const keyColumns = keys.length > 0
+      ? keys.map(name => leftColumns.get(name).column)
+      : [{ name: 'row', displayName: 'Row', baseType: 'type/Integer', semanticType: null }];
+
+    return {
+      schema,
+      summary,
+      columns: [...stats.values()],
+      diff: {
+        status: 'completed',
+        rowCount: diffRows.length,
+        runningTimeMs: null,
+        columns: [
+          { name: 'change', displayName: 'Change', baseType: 'type/Text', semanticType: null },
+          ...keyColumns,
+          { name: 'column', displayName: 'Column', baseType: 'type/Text', semanticType: null },
+          { name: 'left', displayName: 'Left', baseType: null, semanticType: null },
+          { name: 'right', displayName: 'Right', baseType: null, semanticType: null },
+          { name: 'delta', displayName: 'Delta', baseType: 'type/Float', semanticType: null },
+        ],
+        rows: diffRows,
+        error: null,
+      },
+    };
+  }
+
+  /**
+   * Columns by lower-cased name, with their position
+   */
+  indexColumns(columns) {
+    return new Map(columns.map((column, index) => [column.name.toLowerCase(), { column, index }]));
+  }
+
+  compareSchema(leftColumns, rightColumns) {
+    const names = (columns, other) => [...columns.entries()]
+      .filter(([name]) => !other.has(name))
+      .map(([, { column }]) => column.name);
+
+    return {
+      leftOnly: names(leftColumns, rightColumns),
+      rightOnly: names(rightColumns, leftColumns),
+      typeChanges: [...leftColumns.entries()]
+        .filter(([name, { column }]) => rightColumns.has(name) && column.baseType !== rightColumns.get(name).column.baseType)
+        .map(([name, { column }]) => ({
+          column: column.name,
+          left: column.baseType,
+          right: rightColumns.get(name).column.baseType,
+        })),
+    };
+  }
+
+  /**
+   * Rows by key
+   * @returns {{rows: Map, duplicates: string[]}} Rows (`{ values, position }`) and the key of every row that repeats one
+   */
+  indexRows(rows, keys, columns) {
+    const indexed = new Map();
+    const duplicates = [];
+
+    rows.forEach((values, i) => {
+      // Key values are compared as strings so 1 and "1" from different engines match
+      const key = keys.length > 0
+        ? JSON.stringify(keys.map(name => {
+          const value = values[columns.get(name).index];
+          return value === null || value === undefined ? null : String(value);
+        }))
+        : String(i);
+
+      if (indexed.has(key)) {
+        duplicates.push(key);
+      } else {
+        indexed.set(key, { values, position: i + 1 });
+      }
+    });
+
+    return { rows: indexed, duplicates };
+  }
+
+  withinTolerance(name, a, b) {
+    const { absolute = 0, relative = 0 } = { ...this.tolerance, ...this.columnTolerances[name] };
+    const delta = Math.abs(b - a);
+    return delta <= absolute || delta <= relative * Math.max(Math.abs(a), Math.abs(b));
+  }
+
+  equal(a, b) {
+    if (a === b || ((a === null || a === undefined) && (b === null || b === undefined))) {
+      return true;
+    }
+    return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  rowObject(values, columns) {
+    return Object.fromEntries(columns.map((column, i) => [column.name, values[i] ?? null]));
+  }
+}
@@ -0,0 +1,200 @@
+import { BaseTypes } from '../../shared/utils/baseTypes.js';
+
+export const RESULT_FORMATS = ['json', 'markdown', 'text', 'csv'];
+
+// Identifiers read better without thousands separators
+const IDENTIFIER_TYPES = ['type/PK', 'type/FK'];
+
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_TIME = /^(\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Renders a result page (see ResultPresenter) as text for a tool response:
+ *
+ * - `json`: one JSON array per row (compact, the default)
+ * - `markdown`: a GitHub markdown table
+ * - `text`: a plain table with aligned columns
+ * - `csv`: RFC 4180 CSV
+ *
+ * Markdown and text cells are formatted from the column's `base_type` and
+ * `semantic_type` (grouped integers, rounded decimals, percentages, dates
+ * without milliseconds) and cut at `maxColumnWidth` characters. CSV keeps
+ * the values as Metabase returned them. Every format ends with a footer
+ * when the page does not hold the whole result.
+ */
+export class ResultFormatter {
+  /**
+   * @param {Object} [options] - Defaults for format()
+   * @param {string} [options.format] - One of RESULT_FORMATS (default: json)
+   * @param {number} [options.maxColumnWidth] - Widest markdown or text cell, in characters (default: 40)
+   */
+  constructor(options = {}) {
+    this.format = options.format || 'json';
+    this.maxColumnWidth = options.maxColumnWidth || 40;
+  }
+
+  /**
+   * Render a page
+   * @param {Object} page - Page returned by ResultPresenter.present() or fetchPage()
+   * @param {Object} [options] - `format` and `maxColumnWidth` overriding the defaults
+   * @returns {string} Text for the tool response
+   */
+  render(page, { format, maxColumnWidth } = {}) {
+    if (page.error) {
+      return `Query failed: ${page.error}`;
+    }
+
+    const width = maxColumnWidth || this.maxColumnWidth;
+    const range = page.returnedRows > 0
+      ? `Rows ${page.offset + 1}-${page.offset + page.returnedRows} of ${page.rowCount}`
+      : `No rows (${page.rowCount} total)`;
+    const timing = page.runningTimeMs !== null && page.runningTimeMs !== undefined ? ` | ${page.runningTimeMs} ms` : '';
+
+    let body;
+    switch (format || this.format) {
+      case 'markdown':
+        body = `\n${this.markdown(page, width)}`;
+        break;
+      case 'text':
+        body = `\n\`\`\`\n${this.text(page, width)}\n\`\`\``;
+        break;
+      case 'csv':
+        body = `\n\`\`\`csv\n${this.csv(page)}\n\`\`\``;
+        break;
+      default:
+        return `Columns: ${page.columns.map(c => `${c.name}${c.baseType ? ` (${c.baseType})` : ''}`).join(', ')}
+${range}${timing}
+${page.rows.map(row => JSON.stringify(row)).join('\n')}${this.footer(page)}`;
+    }
+
+    return `${range}${timing}
+${body}${this.footer(page)}`;
+  }
+
+  footer(page) {
+    if (!page.hasMore) {
+      return page.resultId ? `\n\nResult ID "${page.resultId}" (for summarize_result).` : '';
+    }
+    const reason = page.truncatedBy ? ` (page limited by ${page.truncatedBy})` : '';
+    if (!page.resultId) {
+      return `\n\n${page.rowCount - page.nextOffset} more row(s)${reason} not shown: the result is not kept for paging (too large, or evicted by later results). Narrow the query or export it instead.`;
+    }
+    return `\n\n${page.rowCount - page.nextOffset} more row(s)${reason}. Call fetch_result_page with resultId "${page.resultId}" and offset ${page.nextOffset} for the next page.`;
+  }
+
+  markdown(page, width) {
+    const escape = (text) => text.replace(/\|/g, '\\|');
+    const header = page.columns.map(c => escape(this.fit(c.displayName || c.name, width)));
+    const align = page.columns.map(c => (this.isNumeric(c) ? '---:' : '---'));
+    const rows = page.rows.map(row =>
+      page.columns.map((c, i) => escape(this.fit(ResultFormatter.formatValue(row[i], c), width))));
+
+    return [header, align, ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+  }
+
+  text(page, width) {
+    const header = page.columns.map(c => this.fit(c.displayName || c.name, width));
+    const rows = page.rows.map(row =>
+      page.columns.map((c, i) => this.fit(ResultFormatter.formatValue(row[i], c), width)));
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+    const line = (cells) => cells
+      .map((cell, i) => (this.isNumeric(page.columns[i]) ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+      .join('  ')
+      .trimEnd();
+
+    return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+  }
+
+  csv(page) {
+    const quote = (value) => {
+      const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [page.columns.map(c => quote(c.name)), ...page.rows.map(row => page.columns.map((c, i) => quote(row[i])))]
+      .map(cells => cells.join(','))
+      .join('\n');
+  }
+
+  /**
+   * Cut a cell to the width limit; line breaks become spaces
+   */
+  fit(text, width) {
+    const single = text.replace(/\s*[\r\n]+\s*/g, ' ');
+    return single.length > width ? `${single.slice(0, width - 1)}…` : single;
+  }
+
+  isNumeric(column) {
+    return BaseTypes.kind(column.baseType) === 'number';
+  }
+
+  /**
+   * Display text of one cell, from the column's base and semantic type
+   * @param {*} value - Cell value
+   * @param {Object} column - Mapped column (baseType, semanticType)
+   * @returns {string} Formatted value; null is an empty string
+   */
+  static formatValue(value, column) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+
+    switch (BaseTypes.kind(column.baseType)) {
+      case 'number':
+        return ResultFormatter.formatNumber(value, column);
+      case 'temporal':
+        return ResultFormatter.formatTemporal(String(value), column);
+      default:
+        return String(value);
+    }
+  }
+
+  static formatNumber(value, column) {
+    const number = BaseTypes.toNumber(value, column.baseType);
+    if (number === null || IDENTIFIER_TYPES.includes(column.semanticType)) {
+      return String(value);
+    }
+
+    switch (column.semanticType) {
+      case 'type/Percentage':
+        return `${(number * 100).toLocaleString('en-US', { maximumFractionDigits: 2 })}%`;
+      case 'type/Currency':
+        return number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      case 'type/Latitude':
+      case 'type/Longitude':
+        return number.toLocaleString('en-US', { maximumFractionDigits: 6, useGrouping: false });
+      default:
+        break;
+    }
+
+    // Large integers arrive as strings; group their digits without going through a float
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+      return value.trim().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+    if (Number.isInteger(number)) {
+      return number.toLocaleString('en-US');
+    }
+    return Math.abs(number) >= 1
+      ? number.toLocaleString('en-US', { maximumFractionDigits: 2 })
+      : number.toLocaleString('en-US', { maximumSignificantDigits: 3 });
+  }
+
+  static formatTemporal(value, column) {
+    const time = value.match(ISO_TIME);
+    if (time) {
+      return `${time[1]}${time[2] ?? ''}`;
+    }
+
+    const match = value.match(ISO_DATE_TIME);
+    if (!match) {
+      return value;
+    }
+    const [, date, clock, zone] = match;
+    if (column.baseType === 'type/Date' || !clock) {
+      return date;
+    }
+    return `${date} ${clock}${zone ?? ''}`;
+  }
+}
@@ -0,0 +1,157 @@
+import { ValidationError } from '../../shared/errors/MetabaseError.js';
+import { Mappers } from './mappers.js';
+import { ResultFormatter } from './resultFormatter.js';
+
+/**
+ * Turns query responses into compact, size-bounded pages
+ *
+ * A page holds at most `maxRows` rows and `maxChars` characters of row data,
+ * whichever is reached first (at least one row is always returned so paging
+ * makes progress). The full result set is kept in the ResultStore and the
+ * page carries its `resultId`, for fetch_result_page when rows remain and
+ * for summarize_result and compare_results at any size.
+ */
+export class ResultPresenter {
+  /**
+   * @param {ResultStore} resultStore - Where presented results are kept
+   * @param {Object} options - Default budgets
+   * @param {number} [options.maxRows] - Rows per page
+   * @param {number} [options.maxChars] - Characters of row data per page
+   * @param {string} [options.format] - Default text format of a page (see ResultFormatter)
+   * @param {number} [options.maxColumnWidth] - Widest cell in markdown and text tables
+   */
+  constructor(resultStore, options = {}) {
+    this.resultStore = resultStore;
+    this.maxRows = options.maxRows || 100;
+    this.maxChars = options.maxChars || 20000;
+    this.formatter = new ResultFormatter(options);
+  }
+
+  /**
+   * First page of a /api/dataset or /api/card/:id/query response
+   * @param {Object} results - Raw Metabase response
+   * @param {Object} [options] - Page budgets and source description
+   * @param {number} [options.maxRows] - Rows per page
+   * @param {number} [options.maxChars] - Characters of row data per page
+   * @param {Object} [options.source] - What produced the result (stored with it)
+   * @param {boolean} [options.keepComplete] - See presentResultSet
+   * @param {string} [options.resultId] - Earlier ID of the same results, reused while it is still stored
+   * @returns {Object} Page, matching the RESULT_SET output schema
+   */
+  present(results, options = {}) {
+    const stored = options.resultId && this.resultStore.get(options.resultId);
+    if (stored) {
+      const page = this.slice(stored.resultSet, 0, options.maxRows ?? this.maxRows, options.maxChars ?? this.maxChars);
+      page.resultId = options.resultId;
+      return page;
+    }
+    return this.presentResultSet(Mappers.resultSet(results), options);
+  }
+
+  /**
+   * First page of a result set that is already mapped (e.g. one built by the server)
+   * @param {Object} resultSet - Mapped result set (status, rowCount, columns, rows...)
+   * @param {Object} [options] - Page budgets and source description, as for present()
+   * @param {boolean} [options.keepComplete] - Also store a result that fits in the page
+   *   (for summarize_result and compare_results); false stores only results with more pages
+   * @returns {Object} Page, matching the RESULT_SET output schema
+   */
+  presentResultSet(resultSet, { maxRows, maxChars, source, keepComplete = true } = {}) {
+    const page = this.slice(resultSet, 0, maxRows ?? this.maxRows, maxChars ?? this.maxChars);
+    if (page.hasMore || keepComplete) {
+      page.resultId = this.resultStore.save(resultSet, source);
+    }
+    return page;
+  }
+
+  /**
+   * Later page of a stored result
+   * @param {string} resultId - ID returned with the first page
+   * @param {number} offset - Index of the first row
+   * @param {number} [limit] - Rows per page
+   * @param {number} [maxChars] - Characters of row data per page
+   * @returns {{page: Object, source: Object}} Page and the source of the result
+   * @throws {ValidationError} If the result expired or the offset is out of range
+   */
+  fetchPage(resultId, offset = 0, limit, maxChars) {
+    const entry = this.getStored(resultId);
+    const { resultSet } = entry;
+    if (offset > resultSet.rows.length) {
+      throw new ValidationError(
+        `Offset ${offset} is past the end of the result (${resultSet.rows.length} rows)`,
+        'offset',
+        offset
+      );
+    }
+
+    const page = this.slice(resultSet, offset, limit ?? this.maxRows, maxChars ?? this.maxChars);
+    page.resultId = resultId;
+    return { page, source: entry.source };
+  }
+
+  /**
+   * Full stored result
+   * @param {string} resultId - ID returned with the first page
+   * @returns {{resultSet: Object, source: Object}} The whole result set and its source
+   * @throws {ValidationError} If the result expired
+   */
+  getStored(resultId) {
+    const entry = this.resultStore.get(resultId);
+    if (!entry) {
+      throw new ValidationError(
+        `Result ${resultId} is unknown or has expired. Run the query again to get a new resultId.`,
+        'resultId',
+        resultId
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Cut one page out of a result set
+   */
+  slice(resultSet, offset, maxRows, maxChars) {
+    const rows = [];
+    let chars = 0;
+    let truncatedBy = null;
+
+    for (let i = offset; i < resultSet.rows.length; i++) {
+      if (rows.length >= maxRows) {
+        truncatedBy = 'maxRows';
+        break;
+      }
+      const size = JSON.stringify(resultSet.rows[i]).length + 1;
+      if (rows.length > 0 && chars + size > maxChars) {
+        truncatedBy = 'maxChars';
+        break;
+      }
+      rows.push(resultSet.rows[i]);
+      chars += size;
+    }
+
+    const nextOffset = offset + rows.length;
+    const hasMore = nextOffset < resultSet.rows.length;
+
+    return {
+      ...resultSet,
+      rowCount: resultSet.rows.length,
+      rows,
+      resultId: null,
+      offset,
+      returnedRows: rows.length,
+      hasMore,
+      nextOffset: hasMore ? nextOffset : null,
+      truncatedBy: hasMore ? truncatedBy : null,
+    };
+  }
+
+  /**
+   * Text rendering of a page, in the requested format (see ResultFormatter)
+   * @param {Object} page - Page returned by present() or fetchPage()
+   * @param {Object} [options] - `format` (json, markdown, text or csv) and `maxColumnWidth`
+   * @returns {string} Text for the tool response
+   */
+  formatText(page, options = {}) {
+    return this.formatter.render(page, options);
+  }
+}
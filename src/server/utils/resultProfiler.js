@@ -0,0 +1,142 @@
+import { BaseTypes } from '../../shared/utils/baseTypes.js';
+
+const PERCENTILES = [25, 50, 75, 95];
+
+// Rounds away float noise such as 0.30000000000000004
+const round = (value) => Number(value.toPrecision(12));
+
+/**
+ * Per-column statistics of a mapped result set (see Mappers.resultSet),
+ * computed locally from its rows. Which statistics a column gets depends on
+ * the kind of its `base_type`: numbers get min/max/mean/percentiles,
+ * temporal columns min/max, text and booleans their most frequent values.
+ * Every column gets null and distinct counts.
+ */
+export class ResultProfiler {
+  /**
+   * Profile a result set
+   * @param {Object} resultSet - Mapped result set
+   * @param {Object} [options] - Profile options
+   * @param {number} [options.topK] - Most frequent values to list for text and boolean columns (default: 5)
+   * @returns {{rowCount: number, rowsTruncated: number|null, columns: Object[]}} Profile, matching the
+   *   RESULT_PROFILE output schema. `rowsTruncated` is set when a row cap cut the result, so the
+   *   statistics only describe the rows that were returned
+   */
+  static profile(resultSet, { topK = 5 } = {}) {
+    return {
+      rowCount: resultSet.rows.length,
+      rowsTruncated: resultSet.rowsTruncated ?? null,
+      columns: resultSet.columns.map((column, index) =>
+        ResultProfiler.profileColumn(column, resultSet.rows.map(row => row[index]), topK)),
+    };
+  }
+
+  static profileColumn(column, values, topK) {
+    const kind = BaseTypes.kind(column.baseType);
+    const present = values.filter(value => value !== null && value !== undefined);
+    const counts = new Map();
+    for (const value of present) {
+      const key = typeof value === 'object' ? JSON.stringify(value) : value;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const profile = {
+      name: column.name,
+      baseType: column.baseType,
+      semanticType: column.semanticType,
+      kind,
+      count: present.length,
+      nulls: values.length - present.length,
+      distinct: counts.size,
+      min: null,
+      max: null,
+      mean: null,
+      percentiles: null,
+      top: null,
+    };
+
+    if (kind === 'number') {
+      Object.assign(profile, ResultProfiler.numberStats(present.map(v => BaseTypes.toNumber(v, column.baseType)).filter(v => v !== null)));
+    } else if (kind === 'temporal') {
+      Object.assign(profile, ResultProfiler.temporalStats(present));
+    } else if (kind === 'text' || kind === 'boolean') {
+      profile.top = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, topK)
+        .map(([value, count]) => ({ value, count }));
+    }
+    return profile;
+  }
+
+  static numberStats(numbers) {
+    if (numbers.length === 0) {
+      return {};
+    }
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const percentile = (p) => {
+      // Linear interpolation between the closest ranks
+      const position = (sorted.length - 1) * (p / 100);
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+    };
+
+    return {
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: round(sorted.reduce((sum, n) => sum + n, 0) / sorted.length),
+      percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(p)])),
+    };
+  }
+
+  /**
+   * Earliest and latest values, kept as returned by Metabase. Values are
+   * compared as instants when they all parse, otherwise as strings (times of day).
+   */
+  static temporalStats(values) {
+    if (values.length === 0) {
+      return {};
+    }
+    const parsed = values.map(value => Date.parse(value));
+    const byInstant = parsed.every(Number.isFinite);
+    let min = 0;
+    let max = 0;
+    values.forEach((value, i) => {
+      const before = (j) => (byInstant ? parsed[i] < parsed[j] : String(value) < String(values[j]));
+      const after = (j) => (byInstant ? parsed[i] > parsed[j] : String(value) > String(values[j]));
+      if (before(min)) min = i;
+      if (after(max)) max = i;
+    });
+    return { min: values[min], max: values[max] };
+  }
+
+  /**
+   * One line per column
+   * @param {Object} profile - Result of profile()
+   * @returns {string} Text for the tool response
+   */
+  static formatText(profile) {
+    const value = (v) => {
+      const text = typeof v === 'string' ? v : JSON.stringify(v);
+      return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    };
+
+    const truncated = profile.rowsTruncated !== null
+      ? ` (the result was truncated at ${profile.rowsTruncated} rows; these statistics cover only the returned rows, not the whole result)`
+      : '';
+    return `Rows: ${profile.rowCount}${truncated}
+${profile.columns.map(c => {
+    const parts = [`${c.count} values, ${c.nulls} nulls, ${c.distinct} distinct`];
+    if (c.min !== null) {
+      parts.push(`min ${value(c.min)}, max ${value(c.max)}${c.mean !== null ? `, mean ${c.mean}` : ''}`);
+    }
+    if (c.percentiles) {
+      parts.push(Object.entries(c.percentiles).map(([p, v]) => `${p} ${v}`).join(', '));
+    }
+    if (c.top?.length > 0) {
+      parts.push(`top: ${c.top.map(t => `${value(t.value)} (${t.count})`).join(', ')}`);
+    }
+    return `- ${c.name} (${c.baseType || 'unknown type'}): ${parts.join(' | ')}`;
+  }).join('\n')}`;
+  }
+}
@@ -0,0 +1,91 @@
+import { randomUUID } from 'node:crypto';
+
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Short-lived in-memory store for query results. Each result is kept for
+ * `ttl` milliseconds so later pages and summaries can be fetched by
+ * `resultId`; the oldest results are dropped beyond `maxEntries` or
+ * `maxBytes` (measured as serialized JSON). A result larger than `maxBytes`
+ * on its own is not kept at all.
+ */
+export class ResultStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} [options.ttl] - How long (ms) a result stays available
+   * @param {number} [options.maxEntries] - Maximum number of results kept
+   * @param {number} [options.maxBytes] - Maximum total size of the results kept
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 15 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 20;
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+
+    this.entries = new Map();
+    this.bytes = 0;
+    this.logger = logger.child('ResultStore');
+  }
+
+  /**
+   * Keep a result set
+   * @param {Object} resultSet - Mapped result set (columns and all rows)
+   * @param {Object} [source] - What produced the result, echoed back with each page
+   * @returns {string|null} Result ID, or null when the result is too large to keep
+   */
+  save(resultSet, source = {}) {
+    this.prune();
+
+    const bytes = Buffer.byteLength(JSON.stringify(resultSet));
+    if (bytes > this.maxBytes) {
+      this.logger.warn('Result too large to store', { rows: resultSet.rows.length, bytes, maxBytes: this.maxBytes });
+      return null;
+    }
+
+    const id = randomUUID();
+    this.entries.set(id, {
+      id,
+      resultSet,
+      source,
+      bytes,
+      expiresAt: Date.now() + this.ttl,
+    });
+    this.bytes += bytes;
+
+    for (const oldestId of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(oldestId);
+    }
+
+    this.logger.debug('Result stored', { resultId: id, rows: resultSet.rows.length, bytes });
+    return id;
+  }
+
+  /**
+   * Get a stored result
+   * @param {string} id - Result ID
+   * @returns {Object|null} Entry with `resultSet`, `source` and `expiresAt`, or null once expired
+   */
+  get(id) {
+    this.prune();
+    return this.entries.get(id) || null;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(id);
+      }
+    }
+  }
+
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      this.entries.delete(id);
+      this.bytes -= entry.bytes;
+    }
+  }
+}
@@ -0,0 +1,333 @@
+// Relative weight of each indexed field in the score
+const FIELD_WEIGHTS = { name: 3, description: 1.5, column: 1.5, table: 1.5, collection: 1, sql: 1 };
+
+export const INDEX_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// `field:value` filters accepted in queries, by name and alias
+const FILTER_FIELDS = {
+  name: 'name',
+  description: 'description',
+  desc: 'description',
+  sql: 'sql',
+  table: 'table',
+  tables: 'table',
+  column: 'column',
+  columns: 'column',
+  field: 'column',
+  collection: 'collection',
+  type: 'type',
+  model: 'type',
+  db: 'db',
+  database: 'db',
+};
+
+const TYPE_ALIASES = { question: 'card', model: 'dataset' };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * In-memory full-text index with BM25 ranking over the fields in
+ * INDEX_FIELDS. Documents are plain objects with a unique `key`, a `model`,
+ * optional `databaseId` and a `text` object holding the text of each field;
+ * any other property is kept and returned with the hits.
+ *
+ * Queries are free text plus `field:value` filters (`sql:`, `table:`,
+ * `column:`, `collection:`, `name:`, `description:`, `type:`, `db:`).
+ * Free-text terms are ranked across every field; a filter only keeps
+ * documents whose field contains all of its terms. With fuzzy matching,
+ * terms also match indexed terms they prefix or are a typo away from,
+ * at a lower weight.
+ */
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.fieldLengths = Object.fromEntries(INDEX_FIELDS.map(field => [field, 0]));
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  get(key) {
+    return this.documents.get(key);
+  }
+
+  keys() {
+    return [...this.documents.keys()];
+  }
+
+  /**
+   * Add a document, replacing any document with the same key
+   * @param {Object} document - Document with `key`, `model` and `text` (field name to text)
+   */
+  add(document) {
+    this.remove(document.key);
+
+    const terms = {};
+    const lengths = {};
+    for (const field of INDEX_FIELDS) {
+      const tokens = SearchIndex.tokenize(document.text?.[field], { parts: true });
+      lengths[field] = tokens.length;
+      this.fieldLengths[field] += tokens.length;
+      if (tokens.length === 0) continue;
+
+      terms[field] = {};
+      for (const token of tokens) {
+        terms[field][token] = (terms[field][token] || 0) + 1;
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Set());
+        }
+        this.postings.get(token).add(document.key);
+      }
+    }
+
+    // Term frequencies are derived data; they stay out of the stored document
+    Object.defineProperty(document, 'index', { value: { terms, lengths }, enumerable: false, configurable: true });
+    this.documents.set(document.key, document);
+  }
+
+  remove(key) {
+    const document = this.documents.get(key);
+    if (!document) {
+      return false;
+    }
+    for (const [field, terms] of Object.entries(document.index.terms)) {
+      for (const term of Object.keys(terms)) {
+        const keys = this.postings.get(term);
+        keys?.delete(key);
+        if (keys?.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+      this.fieldLengths[field] -= document.index.lengths[field];
+    }
+    this.documents.delete(key);
+    return true;
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query - Free text and `field:value` filters
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.fuzzy] - Also match prefixes and near-misses (default: true)
+   * @param {string[]} [options.models] - Only documents of these models
+   * @returns {Array<{document: Object, score: number, matchedFields: string[], matchedTerms: string[]}>} Hits, best first
+   */
+  search(query, { fuzzy = true, models = [] } = {}) {
+    const { terms, filters, types, databaseIds } = SearchIndex.parseQuery(query);
+    const wantedModels = [...models, ...types];
+
+    const expanded = terms.map(term => this.expand(term, fuzzy));
+    const expandedFilters = filters.map(filter => ({
+      field: filter.field,
+      terms: filter.terms.map(term => this.expand(term, fuzzy)),
+    }));
+
+    // Candidates: documents holding any free-text term, or else any term of the first filter
+    const candidates = new Set();
+    const seeds = expanded.length > 0 ? expanded : expandedFilters.slice(0, 1).flatMap(filter => filter.terms);
+    for (const expansions of seeds) {
+      for (const { term } of expansions) {
+        this.postings.get(term)?.forEach(key => candidates.add(key));
+      }
+    }
+    if (seeds.length === 0 && (wantedModels.length > 0 || databaseIds.length > 0)) {
+      this.documents.forEach((document, key) => candidates.add(key));
+    }
+
+    const hits = [];
+    for (const key of candidates) {
+      const document = this.documents.get(key);
+      if (wantedModels.length > 0 && !wantedModels.includes(document.model)) continue;
+      if (databaseIds.length > 0 && !databaseIds.includes(document.databaseId)) continue;
+
+      const matchedFields = new Set();
+      const matchedTerms = new Set();
+      let score = 0;
+      let rejected = false;
+
+      for (const filter of expandedFilters) {
+        for (const expansions of filter.terms) {
+          const match = this.scoreTerm(document, expansions, [filter.field]);
+          if (match.score === 0) {
+            rejected = true;
+            break;
+          }
+          score += match.score;
+          match.fields.forEach(field => matchedFields.add(field));
+          match.terms.forEach(term => matchedTerms.add(term));
+        }
+        if (rejected) break;
+      }
+      if (rejected) continue;
+
+      for (const expansions of expanded) {
+        const match = this.scoreTerm(document, expansions, INDEX_FIELDS);
+        score += match.score;
+        match.fields.forEach(field => matchedFields.add(field));
+        match.terms.forEach(term => matchedTerms.add(term));
+      }
+      if (score === 0 && (expanded.length > 0 || expandedFilters.length > 0)) continue;
+
+      hits.push({
+        document,
+        score: Math.round(score * 1000) / 1000,
+        matchedFields: [...matchedFields],
+        matchedTerms: [...matchedTerms],
+      });
+    }
+
+    return hits.sort((a, b) => b.score - a.score || String(a.document.name).localeCompare(String(b.document.name)));
+  }
+
+  /**
+   * BM25 score of one query term (with its expansions) in the given fields.
+   * An expanded term counts once per document: the best expansion wins.
+   */
+  scoreTerm(document, expansions, fields) {
+    let best = { score: 0, fields: [], terms: [] };
+    for (const { term, weight } of expansions) {
+      const df = this.postings.get(term)?.size || 0;
+      if (df === 0) continue;
+      const idf = Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+
+      let score = 0;
+      const matched = [];
+      for (const field of fields) {
+        const tf = document.index.terms[field]?.[term];
+        if (!tf) continue;
+        const average = this.fieldLengths[field] / this.size || 1;
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * (document.index.lengths[field] / average)));
+        score += idf * norm * FIELD_WEIGHTS[field] * weight;
+        matched.push(field);
+      }
+      if (score > best.score) {
+        best = { score, fields: matched, terms: [term] };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Indexed terms a query term matches, with their weight: the term itself,
+   * and with fuzzy matching the terms it prefixes and those within one edit
+   * (two for long terms)
+   */
+  expand(term, fuzzy) {
+    const expansions = this.postings.has(term) ? [{ term, weight: 1 }] : [];
+    if (!fuzzy || term.length < 4) {
+      return expansions;
+    }
+
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const candidates = [];
+    for (const candidate of this.postings.keys()) {
+      if (candidate === term) continue;
+      if (candidate.startsWith(term)) {
+        candidates.push({ term: candidate, weight: 0.6 });
+        continue;
+      }
+      const distance = SearchIndex.editDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        candidates.push({ term: candidate, weight: distance === 1 ? 0.7 : 0.5 });
+      }
+    }
+
+    // Keep the closest, most common expansions
+    candidates.sort((a, b) => b.weight - a.weight || this.postings.get(b.term).size - this.postings.get(a.term).size);
+    return [...expansions, ...candidates.slice(0, 20)];
+  }
+
+  /**
+   * Split a query into free-text terms and filters
+   * @param {string} query - e.g. `revenue sql:orders collection:"Finance Team" type:card`
+   * @returns {{terms: string[], filters: Array<{field: string, terms: string[]}>, types: string[], databaseIds: number[]}}
+   */
+  static parseQuery(query) {
+    const parsed = { terms: [], filters: [], types: [], databaseIds: [] };
+    const pattern = /([A-Za-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+    for (const match of String(query || '').matchAll(pattern)) {
+      const [whole, name, quotedValue, value, phrase, word] = match;
+      const field = name ? FILTER_FIELDS[name.toLowerCase()] : null;
+      const filterValue = quotedValue ?? value;
+
+      if (field === 'type') {
+        const type = filterValue.toLowerCase();
+        parsed.types.push(TYPE_ALIASES[type] || type);
+      } else if (field === 'db') {
+        parsed.databaseIds.push(Number(filterValue));
+      } else if (field) {
+        const terms = SearchIndex.tokenize(filterValue);
+        if (terms.length > 0) {
+          parsed.filters.push({ field, terms });
+        }
+      } else {
+        parsed.terms.push(...SearchIndex.tokenize(phrase ?? word ?? whole));
+      }
+    }
+
+    parsed.terms = [...new Set(parsed.terms)];
+    return parsed;
+  }
+
+  /**
+   * Lower-case terms of a text. With `parts`, identifiers are also split
+   * into their words (`customer_id` and `customerId` add `customer` and `id`),
+   * which is how documents are indexed.
+   * @param {string|string[]} text - Text, or several texts
+   * @param {Object} [options] - `{ parts }`
+   * @returns {string[]} Terms, in order, with repetitions
+   */
+  static tokenize(text, { parts = false } = {}) {
+    if (Array.isArray(text)) {
+      return text.flatMap(item => SearchIndex.tokenize(item, { parts }));
+    }
+    if (text === null || text === undefined) {
+      return [];
+    }
+
+    const terms = [];
+    const keep = (term) => term.length > 1 || /\d/.test(term);
+    for (const raw of String(text).split(/[^\p{L}\p{N}_]+/u)) {
+      const token = raw.replace(/^_+|_+$/g, '');
+      if (!token || !keep(token)) continue;
+      terms.push(token.toLowerCase());
+
+      if (parts) {
+        const words = token.split(/_+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u);
+        if (words.length > 1) {
+          terms.push(...words.filter(keep).map(part => part.toLowerCase()));
+        }
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Levenshtein distance, giving up once it exceeds `max`
+   * @returns {number} The distance, or `max + 1` if it is larger than `max`
+   */
+  static editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
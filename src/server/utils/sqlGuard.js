@@ -0,0 +1,61 @@
+import { QueryRejectedError } from '../../shared/errors/MetabaseError.js';
+import { logger } from '../../shared/utils/logger.js';
+import { SqlClassifier } from '../../shared/utils/sqlClassifier.js';
+import { SqlTokenizer } from '../../shared/utils/sqlTokenizer.js';
+
+/**
+ * Read-only guard for native SQL sent through the MCP server
+ *
+ * Each query is classified with the dialect of the target database's engine
+ * before it is sent to Metabase; anything other than a single SELECT, WITH,
+ * SHOW, DESCRIBE or EXPLAIN statement is rejected. The check can only be
+ * turned off by the server administrator (SQL_GUARD_ALLOW_WRITES).
+ */
+export class SqlGuard {
+  /**
+   * @param {ApiClient} apiClient - Metabase API client, used to look up database engines
+   * @param {Object} options - Guard options
+   * @param {boolean} [options.allowWrites] - Skip the check entirely
+   */
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.allowWrites = options.allowWrites === true;
+    this.engines = new Map();
+    this.logger = logger.child('SqlGuard');
+  }
+
+  /**
+   * Engine of a database (e.g. "postgres"), looked up once per database
+   * @param {number} databaseId - Database ID
+   */
+  async getEngine(databaseId) {
+    if (!this.engines.has(databaseId)) {
+      const database = await this.apiClient.makeRequest(`/api/database/${databaseId}`);
+      this.engines.set(databaseId, database.engine ?? null);
+    }
+    return this.engines.get(databaseId);
+  }
+
+  /**
+   * Check that a query only reads data
+   * @param {number} databaseId - Database the query runs against
+   * @param {string} query - SQL query
+   * @returns {Promise<{readOnly: boolean, statementType: string|null, dialect: string|null}>}
+   * @throws {QueryRejectedError} If the query is not read-only
+   */
+  async assertReadOnly(databaseId, query) {
+    if (this.allowWrites) {
+      return { readOnly: false, statementType: null, dialect: null };
+    }
+
+    const dialect = SqlTokenizer.dialectForEngine(await this.getEngine(databaseId));
+    const { readOnly, statementType, reason } = SqlClassifier.classify(query, { dialect });
+
+    if (!readOnly) {
+      this.logger.warn('Rejected non read-only query', { databaseId, statementType, reason });
+      throw new QueryRejectedError(`Query rejected by the read-only SQL guard: ${reason}`, reason, statementType);
+    }
+
+    return { readOnly, statementType, dialect };
+  }
+}
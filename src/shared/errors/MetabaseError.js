@@ -39,13 +39,15 @@ export class ApiError extends MetabaseError {
 
 /**
  * Validation errors (invalid input parameters)
+ * `errors` lists every offending path when several inputs are invalid at once
  */
 export class ValidationError extends MetabaseError {
-  constructor(message, field, value) {
-    super(message, 'VALIDATION_ERROR', { field, value });
+  constructor(message, field, value, errors = []) {
+    super(message, 'VALIDATION_ERROR', { field, value, ...(errors.length > 0 ? { errors } : {}) });
     this.name = 'ValidationError';
     this.field = field;
     this.value = value;
+    this.errors = errors;
   }
 }
 
@@ -87,3 +89,47 @@ export class TimeoutError extends MetabaseError {
   }
 }
 
+/**
+ * Request cancelled by the caller (as opposed to timing out)
+ */
+export class CancelledError extends MetabaseError {
+  constructor(message, operation) {
+    super(message, 'CANCELLED', { operation });
+    this.name = 'CancelledError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Circuit breaker is open: Metabase has been failing and requests fail fast
+ */
+export class CircuitOpenError extends MetabaseError {
+  constructor(message, retryAt) {
+    super(message, 'CIRCUIT_OPEN', { retryAt: new Date(retryAt).toISOString() });
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Authentication errors (login rejected, session expired and not renewable)
+ */
+export class AuthenticationError extends MetabaseError {
+  constructor(message, method) {
+    super(message, 'AUTHENTICATION_ERROR', { method });
+    this.name = 'AuthenticationError';
+    this.method = method;
+  }
+}
+
+/**
+ * Query refused by the read-only SQL guard before reaching Metabase
+ */
+export class QueryRejectedError extends MetabaseError {
+  constructor(message, reason, statementType) {
+    super(message, 'QUERY_REJECTED', { reason, statementType });
+    this.name = 'QueryRejectedError';
+    this.reason = reason;
+    this.statementType = statementType;
+  }
+}
@@ -0,0 +1,47 @@
+// Metabase base types (column `base_type`) grouped by how their values behave
+const KINDS = {
+  number: ['type/Number', 'type/Integer', 'type/BigInteger', 'type/Float', 'type/Decimal'],
+  temporal: [
+    'type/Temporal', 'type/Date', 'type/DateTime', 'type/DateTimeWithTZ', 'type/DateTimeWithLocalTZ',
+    'type/DateTimeWithZoneOffset', 'type/DateTimeWithZoneID', 'type/Instant',
+    'type/Time', 'type/TimeWithTZ', 'type/TimeWithLocalTZ', 'type/TimeWithZoneOffset',
+  ],
+  text: ['type/Text', 'type/TextLike', 'type/UUID', 'type/PostgresEnum', 'type/IPAddress'],
+  boolean: ['type/Boolean'],
+};
+
+const KIND_BY_TYPE = new Map(
+  Object.entries(KINDS).flatMap(([kind, types]) => types.map(type => [type, kind]))
+);
+
+/**
+ * Utilities for Metabase column base types
+ */
+export class BaseTypes {
+  /**
+   * Broad kind of a base type
+   * @param {string|null} baseType - e.g. "type/BigInteger"
+   * @returns {string} "number", "temporal", "text", "boolean" or "other"
+   */
+  static kind(baseType) {
+    return KIND_BY_TYPE.get(baseType) || 'other';
+  }
+
+  /**
+   * Numeric value of a cell, or null. Numeric strings count for numeric
+   * columns, since drivers return large integers and decimals as strings.
+   * @param {*} value - Cell value
+   * @param {string|null} baseType - Base type of the column
+   * @returns {number|null} The number, or null if the value is not numeric
+   */
+  static toNumber(value, baseType) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && BaseTypes.kind(baseType) === 'number') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    return null;
+  }
+}
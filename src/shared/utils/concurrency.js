@@ -0,0 +1,25 @@
+/**
+ * Map over items with at most `limit` calls in flight at once
+ *
+ * Results keep the order of `items`. A rejected call rejects the whole map,
+ * so callers that want per-item error isolation catch inside `fn`.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - `(item, index) => Promise<result>`
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,302 @@
+/**
+ * Minimal JSON Schema validator for tool arguments
+ *
+ * Supports the keywords used by tool input schemas: type, enum, const,
+ * minimum/maximum (and exclusive variants), minLength/maxLength, pattern,
+ * properties, required, additionalProperties, items, minItems/maxItems,
+ * uniqueItems, anyOf/oneOf and default.
+ *
+ * Values are coerced where the intent is unambiguous, so that common model
+ * mistakes do not fail the call: "123" -> 123 for integers, "true" -> true
+ * for booleans, 42 -> "42" for strings, a lone value -> [value] for arrays,
+ * and a JSON string -> object for objects. Optional properties sent as null
+ * are treated as omitted, as many clients send null for unset arguments, and
+ * `__proto__`, `constructor` and `prototype` keys are dropped.
+ */
+// Keys that could change an object's prototype when copied onto it
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export class SchemaValidator {
+  /**
+   * Validate (and coerce) a value against a schema
+   * @param {Object} schema - JSON schema
+   * @param {*} value - Value to validate
+   * @returns {{ value: *, errors: Array<{path: string, message: string, value: *}> }}
+   *   The coerced value and the list of validation errors (empty when valid)
+   */
+  static validate(schema, value) {
+    const errors = [];
+    const coerced = SchemaValidator.validateNode(schema, value, '', errors);
+    return { value: coerced, errors };
+  }
+
+  static validateNode(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') {
+      return value;
+    }
+
+    if (schema.anyOf || schema.oneOf) {
+      return SchemaValidator.validateAlternatives(schema, value, path, errors);
+    }
+
+    let current = value;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const match = types.find(type => SchemaValidator.matchesType(type, current));
+
+      if (match === undefined) {
+        const coercedValue = SchemaValidator.coerce(types, current);
+        if (coercedValue === undefined) {
+          SchemaValidator.addError(errors, path, `must be ${SchemaValidator.describeTypes(types)}`, value);
+          return value;
+        }
+        current = coercedValue;
+      }
+    }
+
+    if (schema.const !== undefined && current !== schema.const) {
+      SchemaValidator.addError(errors, path, `must be ${JSON.stringify(schema.const)}`, current);
+    }
+
+    if (schema.enum && !schema.enum.includes(current)) {
+      SchemaValidator.addError(
+        errors,
+        path,
+        `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`,
+        current
+      );
+    }
+
+    if (typeof current === 'number') {
+      SchemaValidator.validateNumber(schema, current, path, errors);
+    } else if (typeof current === 'string') {
+      SchemaValidator.validateString(schema, current, path, errors);
+    } else if (Array.isArray(current)) {
+      current = SchemaValidator.validateArray(schema, current, path, errors);
+    } else if (current && typeof current === 'object') {
+      current = SchemaValidator.validateObject(schema, current, path, errors);
+    }
+
+    return current;
+  }
+
+  static validateAlternatives(schema, value, path, errors) {
+    const branches = schema.anyOf || schema.oneOf;
+    const { anyOf, oneOf, ...base } = schema;
+    const results = branches.map(branch => {
+      const branchErrors = [];
+      const coerced = SchemaValidator.validateNode({ ...base, ...branch }, value, path, branchErrors);
+      return { coerced, branchErrors };
+    });
+    const valid = results.filter(result => result.branchErrors.length === 0);
+
+    if (schema.oneOf && valid.length > 1) {
+      SchemaValidator.addError(errors, path, 'must match exactly one of the allowed shapes, but matches several', value);
+      return value;
+    }
+    if (valid.length > 0) {
+      return valid[0].coerced;
+    }
+
+    // Report the branch that got furthest, which is usually the one the caller meant
+    const closest = results.reduce((best, result) =>
+      result.branchErrors.length < best.branchErrors.length ? result : best
+    );
+    errors.push(...closest.branchErrors);
+    return value;
+  }
+
+  static validateNumber(schema, value, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      SchemaValidator.addError(errors, path, `must be >= ${schema.minimum}`, value);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      SchemaValidator.addError(errors, path, `must be <= ${schema.maximum}`, value);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      SchemaValidator.addError(errors, path, `must be > ${schema.exclusiveMinimum}`, value);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      SchemaValidator.addError(errors, path, `must be < ${schema.exclusiveMaximum}`, value);
+    }
+  }
+
+  static validateString(schema, value, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      SchemaValidator.addError(errors, path, `must be at least ${schema.minLength} character(s) long`, value);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      SchemaValidator.addError(errors, path, `must be at most ${schema.maxLength} character(s) long`, value);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      SchemaValidator.addError(errors, path, `must match pattern ${schema.pattern}`, value);
+    }
+  }
+
+  static validateArray(schema, value, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      SchemaValidator.addError(errors, path, `must contain at least ${schema.minItems} item(s)`, value);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      SchemaValidator.addError(errors, path, `must contain at most ${schema.maxItems} item(s)`, value);
+    }
+
+    const items = schema.items
+      ? value.map((item, index) => SchemaValidator.validateNode(schema.items, item, `${path}[${index}]`, errors))
+      : value;
+
+    if (schema.uniqueItems) {
+      const seen = new Set(items.map(item => JSON.stringify(item)));
+      if (seen.size !== items.length) {
+        SchemaValidator.addError(errors, path, 'must not contain duplicate items', value);
+      }
+    }
+
+    return items;
+  }
+
+  static validateObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const optionalNull = propertyValue === null && Object.hasOwn(properties, key) && !required.includes(key)
+        && !SchemaValidator.allowsNull(properties[key]);
+      if (!UNSAFE_KEYS.has(key) && !optionalNull) {
+        result[key] = propertyValue;
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (result[key] === undefined && propertySchema.default !== undefined) {
+        result[key] = structuredClone(propertySchema.default);
+      }
+    }
+
+    for (const key of required) {
+      if (result[key] === undefined || result[key] === null) {
+        SchemaValidator.addError(errors, SchemaValidator.joinPath(path, key), 'is required', undefined);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(result)) {
+      const propertyPath = SchemaValidator.joinPath(path, key);
+
+      if (Object.hasOwn(properties, key)) {
+        if (propertyValue !== undefined) {
+          result[key] = SchemaValidator.validateNode(properties[key], propertyValue, propertyPath, errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        const allowed = Object.keys(properties);
+        SchemaValidator.addError(
+          errors,
+          propertyPath,
+          `is not allowed${allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''}`,
+          propertyValue
+        );
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        result[key] = SchemaValidator.validateNode(schema.additionalProperties, propertyValue, propertyPath, errors);
+      }
+    }
+
+    return result;
+  }
+
+  static allowsNull(schema) {
+    const types = [schema?.type ?? []].flat();
+    return types.includes('null') || schema?.enum?.includes(null) || schema?.const === null
+      || [...(schema?.anyOf || []), ...(schema?.oneOf || [])].some(branch => SchemaValidator.allowsNull(branch));
+  }
+
+  static matchesType(type, value) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'string':
+        return typeof value === 'string';
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Try to coerce a value into one of the allowed types
+   * @returns {*} The coerced value, or undefined if no coercion applies
+   */
+  static coerce(types, value) {
+    for (const type of types) {
+      const coerced = SchemaValidator.coerceTo(type, value);
+      if (coerced !== undefined) {
+        return coerced;
+      }
+    }
+    return undefined;
+  }
+
+  static coerceTo(type, value) {
+    switch (type) {
+      case 'integer':
+        if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+          return parseInt(value, 10);
+        }
+        return undefined;
+      case 'number':
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+          return Number(value);
+        }
+        return undefined;
+      case 'boolean':
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return undefined;
+      case 'string':
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          return String(value);
+        }
+        return undefined;
+      case 'array':
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+          return [value];
+        }
+        return undefined;
+      case 'object':
+        if (typeof value === 'string') {
+          try {
+            const parsed = JSON.parse(value);
+            if (SchemaValidator.matchesType('object', parsed)) {
+              return parsed;
+            }
+          } catch {
+            // Not JSON, no coercion
+          }
+        }
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  static describeTypes(types) {
+    const names = types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`));
+    return names.join(' or ');
+  }
+
+  static joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  static addError(errors, path, message, value) {
+    errors.push({ path: path || '(root)', message, value });
+  }
+}
@@ -0,0 +1,132 @@
+import { SqlTokenizer, SqlSyntaxError } from './sqlTokenizer.js';
+
+/**
+ * Statements a read-only query may start with
+ */
+export const READ_ONLY_STATEMENTS = ['SELECT', 'WITH', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN'];
+
+/**
+ * Keywords that modify data, schema or permissions. Any of them appearing as
+ * a keyword inside an otherwise read-only statement (a data-modifying CTE,
+ * SELECT ... INTO, EXPLAIN ANALYZE DELETE, SELECT ... FOR UPDATE) makes the
+ * statement unsafe. SHOW statements cannot modify anything, so they are not
+ * checked (`SHOW CREATE TABLE`, `SHOW GRANTS`).
+ */
+const WRITE_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'REPLACE',
+  'DROP', 'CREATE', 'ALTER', 'TRUNCATE', 'RENAME',
+  'GRANT', 'REVOKE', 'INTO', 'COPY', 'CALL', 'EXEC', 'EXECUTE',
+  'LOCK', 'VACUUM',
+]);
+
+/**
+ * Classifies SQL statements as read-only or not
+ *
+ * Works on tokens rather than regular expressions, so keywords inside
+ * comments, string literals and quoted identifiers are ignored. A keyword is
+ * only treated as such when it is not a qualified name (`t.update`), a
+ * function call (`replace(...)`) or an alias (`AS delete`).
+ */
+export class SqlClassifier {
+  /**
+   * Classify a SQL query
+   * @param {string} sql - SQL text (may contain Metabase {{tags}} and [[optional]] clauses)
+   * @param {Object} [options] - Classifier options
+   * @param {string} [options.dialect] - Tokenizer dialect, see SqlTokenizer.dialectForEngine
+   * @returns {{readOnly: boolean, statementType: string|null, reason: string|null}}
+   *   `reason` explains why a query is not read-only
+   */
+  static classify(sql, { dialect = 'ansi' } = {}) {
+    let tokens;
+    try {
+      tokens = SqlTokenizer.tokenize(sql, { dialect });
+    } catch (error) {
+      if (error instanceof SqlSyntaxError) {
+        return SqlClassifier.reject(null, `Could not parse query: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const ambiguous = tokens.find(token => token.ambiguous);
+    if (ambiguous) {
+      return SqlClassifier.reject(
+        null,
+        `String literals containing a backslash are not allowed for this database (at position ${ambiguous.position}): whether a backslash escapes a quote depends on server settings. Use a function such as CHR(92) instead`
+      );
+    }
+
+    const statements = SqlClassifier.splitStatements(tokens);
+    if (statements.length === 0) {
+      return SqlClassifier.reject(null, 'Query is empty');
+    }
+
+    const statementType = SqlClassifier.leadingKeyword(statements[0]);
+    if (statements.length > 1) {
+      return SqlClassifier.reject(statementType, `Query contains ${statements.length} statements; only one is allowed`);
+    }
+
+    if (!statementType || !READ_ONLY_STATEMENTS.includes(statementType)) {
+      return SqlClassifier.reject(
+        statementType,
+        `${statementType || 'This'} statements are not allowed; queries must start with ${READ_ONLY_STATEMENTS.join(', ')}`
+      );
+    }
+
+    const keyword = statementType === 'SHOW' ? null : SqlClassifier.findWriteKeyword(statements[0]);
+    if (keyword) {
+      return SqlClassifier.reject(statementType, `${statementType} statement contains ${keyword}, which can modify data`);
+    }
+
+    return { readOnly: true, statementType, reason: null };
+  }
+
+  static reject(statementType, reason) {
+    return { readOnly: false, statementType, reason };
+  }
+
+  /**
+   * Split tokens on semicolons, dropping empty statements (e.g. a trailing ";")
+   */
+  static splitStatements(tokens) {
+    const statements = [[]];
+    for (const token of tokens) {
+      if (token.type === 'semicolon') {
+        statements.push([]);
+      } else {
+        statements[statements.length - 1].push(token);
+      }
+    }
+    return statements.filter(statement => statement.length > 0);
+  }
+
+  /**
+   * First keyword of a statement, skipping opening parentheses
+   * as in `(SELECT ...) UNION (SELECT ...)`
+   */
+  static leadingKeyword(statement) {
+    const first = statement.find(token => !(token.type === 'paren' && token.value === '('));
+    return first?.type === 'word' ? first.upper : null;
+  }
+
+  /**
+   * First write keyword used as a keyword anywhere in the statement
+   */
+  static findWriteKeyword(statement) {
+    for (let i = 0; i < statement.length; i++) {
+      const token = statement[i];
+      if (token.type !== 'word' || !WRITE_KEYWORDS.has(token.upper)) {
+        continue;
+      }
+
+      const previous = statement[i - 1];
+      const next = statement[i + 1];
+      const qualified = previous?.value === '.' || next?.value === '.';
+      const functionCall = next?.value === '(' && !['INTO', 'EXEC', 'EXECUTE', 'CALL'].includes(token.upper);
+      const alias = previous?.upper === 'AS' && !(next?.value === '(');
+      if (!qualified && !functionCall && !alias) {
+        return token.upper;
+      }
+    }
+    return null;
+  }
+}
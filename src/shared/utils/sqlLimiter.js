@@ -0,0 +1,232 @@
+import { SqlTokenizer, SqlSyntaxError } from './sqlTokenizer.js';
+
+/**
+ * How each engine limits rows. Engines that are not listed are not rewritten;
+ * Metabase's own result constraints still cap what is returned.
+ */
+const ENGINE_LIMIT_STYLES = {
+  postgres: 'limit',
+  redshift: 'limit',
+  mysql: 'limit',
+  mariadb: 'limit',
+  'bigquery-cloud-sdk': 'limit',
+  bigquery: 'limit',
+  snowflake: 'limit',
+  sparksql: 'limit',
+  databricks: 'limit',
+  hive: 'limit',
+  clickhouse: 'limit',
+  h2: 'limit',
+  sqlite: 'limit',
+  presto: 'limit',
+  'presto-jdbc': 'limit',
+  starburst: 'limit',
+  athena: 'limit',
+  vertica: 'limit',
+  sqlserver: 'top',
+};
+
+// Top-level clauses after which a plain LIMIT cannot simply be appended
+const LIMIT_BLOCKERS = new Set(['LIMIT', 'OFFSET', 'FETCH', 'FOR', 'INTO']);
+const SET_OPERATORS = new Set(['UNION', 'INTERSECT', 'EXCEPT', 'MINUS']);
+// Keywords that end the select list of a SELECT
+const SELECT_LIST_END = new Set([
+  'FROM', 'INTO', 'WHERE', 'GROUP', 'HAVING', 'WINDOW', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'FOR', ...SET_OPERATORS,
+]);
+
+/**
+ * Caps the number of rows a SELECT query returns
+ *
+ * The limit is appended when the outermost statement has no LIMIT of its own,
+ * so that ORDER BY is kept, and a trailing `LIMIT n` above the cap is lowered
+ * in place. Other queries that already page (OFFSET, FETCH...) are wrapped in
+ * a subquery, but only when that cannot change the result: a subquery loses
+ * its ORDER BY and fails on duplicate column names, so queries with a
+ * top-level ORDER BY, `*` or output names that are not plain and unique are
+ * left alone and Metabase's result constraints cap them instead. SQL Server
+ * gets `TOP (n)` on the main SELECT. SHOW, DESCRIBE and EXPLAIN are never
+ * rewritten.
+ */
+export class SqlLimiter {
+  /**
+   * Limit style for a Metabase database engine
+   * @param {string} [engine] - `engine` of a Metabase database
+   * @returns {string|null} "limit", "top" or null when the engine is not rewritten
+   */
+  static styleForEngine(engine) {
+    return ENGINE_LIMIT_STYLES[engine] || null;
+  }
+
+  /**
+   * Cap a query at `limit` rows
+   * @param {string} sql - SQL query
+   * @param {number} limit - Maximum rows the rewritten query may return
+   * @param {Object} options - Rewrite options
+   * @param {string} options.style - "limit" or "top", see styleForEngine
+   * @param {string} [options.dialect] - Tokenizer dialect
+   * @returns {{sql: string, strategy: string|null}} Rewritten query and how it was limited:
+   *   "inject", "lower" (its LIMIT was lowered), "wrap", "top", "existing" (already
+   *   limited to at most `limit` rows) or null when the query was left unchanged
+   */
+  static applyRowLimit(sql, limit, { style, dialect = 'ansi' } = {}) {
+    const unchanged = { sql, strategy: null };
+    if (!style) {
+      return unchanged;
+    }
+
+    let tokens;
+    try {
+      tokens = SqlTokenizer.tokenize(sql, { dialect });
+    } catch (error) {
+      if (error instanceof SqlSyntaxError) {
+        return unchanged;
+      }
+      throw error;
+    }
+
+    // Trailing semicolons would end the statement before the added clause
+    let body = sql;
+    while (tokens.at(-1)?.type === 'semicolon') {
+      const { position } = tokens.pop();
+      body = `${body.slice(0, position)} ${body.slice(position + 1)}`;
+    }
+    if (tokens.some(token => token.type === 'semicolon')) {
+      return unchanged;
+    }
+
+    const leading = tokens.find(token => !(token.type === 'paren' && token.value === '('));
+    if (!leading || !['SELECT', 'WITH'].includes(leading.upper)) {
+      return unchanged;
+    }
+
+    const topLevel = SqlLimiter.topLevelWords(tokens);
+    return style === 'top'
+      ? SqlLimiter.applyTop(body, tokens, topLevel, limit)
+      : SqlLimiter.applyLimit(body, tokens, topLevel, limit);
+  }
+
+  /**
+   * Indexes of the word tokens outside any parentheses
+   */
+  static topLevelWords(tokens) {
+    const indexes = [];
+    let depth = 0;
+    tokens.forEach((token, index) => {
+      if (token.type === 'paren') {
+        depth += token.value === '(' ? 1 : -1;
+      } else if (depth === 0 && token.type === 'word') {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  static applyLimit(body, tokens, topLevel, limit) {
+    const blockers = topLevel.filter(index => LIMIT_BLOCKERS.has(tokens[index].upper));
+    const startsWithParen = tokens[0].type === 'paren';
+
+    if (blockers.length === 0 && !startsWithParen) {
+      // A newline keeps the clause out of a trailing -- comment
+      return { sql: `${body.trimEnd()}\nLIMIT ${limit}`, strategy: 'inject' };
+    }
+
+    // A lone trailing LIMIT n is kept within the cap, or lowered to it
+    if (blockers.length === 1 && tokens[blockers[0]].upper === 'LIMIT') {
+      const value = tokens[blockers[0] + 1];
+      const after = tokens[blockers[0] + 2];
+      if (value?.type === 'number' && !after) {
+        if (Number(value.value) <= limit) {
+          return { sql: body, strategy: 'existing' };
+        }
+        const end = value.position + value.value.length;
+        return { sql: `${body.slice(0, value.position)}${limit}${body.slice(end)}`, strategy: 'lower' };
+      }
+    }
+
+    const ordered = topLevel.some(index => tokens[index].upper === 'ORDER' && tokens[index + 1]?.upper === 'BY');
+    if (ordered || !SqlLimiter.hasUniqueColumnNames(tokens, topLevel)) {
+      return { sql: body, strategy: null };
+    }
+
+    return {
+      sql: `SELECT * FROM (\n${body.trimEnd()}\n) AS mcp_limited\nLIMIT ${limit}`,
+      strategy: 'wrap',
+    };
+  }
+
+  /**
+   * Whether the main SELECT names each output column plainly (`col`, `t.col`,
+   * `expr AS name`) and no name repeats, so `SELECT *` over it is valid.
+   * `*`, `t.*`, unnamed expressions and DISTINCT ON count as unknown names.
+   */
+  static hasUniqueColumnNames(tokens, topLevel) {
+    // The first SELECT names the columns, also for set operations
+    const start = topLevel.find(index => tokens[index].upper === 'SELECT')
+      ?? tokens.findIndex(token => token.upper === 'SELECT');
+    if (start === -1) {
+      return false;
+    }
+
+    const items = [[]];
+    let depth = 0;
+    for (let i = start + 1; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'paren') {
+        depth += token.value === '(' ? 1 : -1;
+        if (depth < 0) break;
+      } else if (depth === 0 && token.type === 'word' && SELECT_LIST_END.has(token.upper)) {
+        break;
+      } else if (depth === 0 && token.value === ',') {
+        items.push([]);
+        continue;
+      }
+      items[items.length - 1].push(token);
+    }
+
+    const names = [];
+    for (const [index, item] of items.entries()) {
+      let rest = item;
+      if (index === 0) {
+        while (['DISTINCT', 'ALL'].includes(rest[0]?.upper)) rest = rest.slice(1);
+        if (rest[0]?.upper === 'ON') return false;
+      }
+      const last = rest.at(-1);
+      const previous = rest.at(-2);
+      const plain = rest.length === 1 || previous?.upper === 'AS' || previous?.value === '.';
+      if (!last || !plain || !['word', 'quoted'].includes(last.type)) {
+        return false;
+      }
+      // Case-insensitive, so engines that fold or keep case both count a repeat
+      names.push((last.type === 'quoted' ? last.value.slice(1, -1) : last.value).toUpperCase());
+    }
+    return new Set(names).size === names.length;
+  }
+
+  static applyTop(body, tokens, topLevel, limit) {
+    const words = topLevel.map(index => tokens[index].upper);
+    if (tokens[0].type === 'paren' || words.some(word => SET_OPERATORS.has(word) || word === 'OFFSET' || word === 'INTO')) {
+      return { sql: body, strategy: null };
+    }
+
+    // Main SELECT: the statement itself, or the first one after the CTEs
+    const selectIndex = topLevel.find(index => tokens[index].upper === 'SELECT');
+    if (selectIndex === undefined) {
+      return { sql: body, strategy: null };
+    }
+
+    let insertAfter = tokens[selectIndex];
+    const modifier = tokens[selectIndex + 1];
+    if (modifier?.upper === 'TOP') {
+      return { sql: body, strategy: null };
+    }
+    if (modifier?.upper === 'DISTINCT' || modifier?.upper === 'ALL') {
+      insertAfter = modifier;
+    }
+
+    const position = insertAfter.position + insertAfter.value.length;
+    return {
+      sql: `${body.slice(0, position)} TOP (${limit})${body.slice(position)}`,
+      strategy: 'top',
+    };
+  }
+}
@@ -0,0 +1,291 @@
+import { SqlTokenizer } from './sqlTokenizer.js';
+
+/**
+ * Reserved words that are never table, alias or column names. Date parts and
+ * type names (DATE, MONTH...) are left out on purpose: they are common column
+ * names, and a word that matches no column is dropped during resolution.
+ */
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'EXISTS', 'BETWEEN', 'LIKE', 'ILIKE',
+  'RLIKE', 'REGEXP', 'SIMILAR', 'ESCAPE', 'AS', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER',
+  'CROSS', 'NATURAL', 'LATERAL', 'APPLY', 'SEMI', 'ANTI', 'STRAIGHT_JOIN', 'GROUP', 'BY', 'ORDER', 'HAVING',
+  'LIMIT', 'OFFSET', 'FETCH', 'FIRST', 'NEXT', 'ROWS', 'ROW', 'ONLY', 'UNION', 'ALL', 'DISTINCT', 'INTERSECT',
+  'EXCEPT', 'MINUS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'ASC', 'DESC', 'NULLS', 'LAST', 'WITH', 'RECURSIVE',
+  'OVER', 'PARTITION', 'WINDOW', 'RANGE', 'GROUPS', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING', 'CURRENT', 'TRUE',
+  'FALSE', 'INTERVAL', 'QUALIFY', 'TOP', 'FILTER', 'WITHIN', 'ANY', 'SOME', 'COLLATE', 'AT', 'ZONE', 'VALUES',
+  'MATERIALIZED', 'TABLESAMPLE', 'PIVOT', 'UNPIVOT', 'ROLLUP', 'CUBE', 'GROUPING', 'SETS', 'IGNORE', 'RESPECT',
+  'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIME', 'LOCALTIMESTAMP', 'LEADING', 'TRAILING',
+  'BOTH', 'FOR', 'INTO', 'FINAL', 'PREWHERE', 'SAMPLE', 'TIES', 'PERCENT', 'EXPLAIN', 'SHOW', 'DESCRIBE',
+]);
+
+// Functions whose arguments use FROM without naming a table: EXTRACT(YEAR FROM x)
+const FROM_FUNCTIONS = new Set(['EXTRACT', 'SUBSTRING', 'TRIM', 'POSITION', 'OVERLAY']);
+
+// Keywords that end a FROM clause
+const FROM_END = new Set(['WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'QUALIFY', 'WINDOW', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS', 'SELECT']);
+
+// `{{#123}}` or `{{#123-card-name}}`: a saved question used as a table
+const CARD_REFERENCE = /^\{\{\s*#(\d+)/;
+
+/**
+ * Extracts what a native SQL query reads, without resolving anything:
+ * table references (with their aliases), column references, `*` selections,
+ * CTE names and saved-question references. Works on tokens, so comments,
+ * strings and Metabase `[[optional]]` markers do not get in the way.
+ *
+ * This is a best-effort reader rather than a parser. Names are reported as
+ * written; callers decide which ones match real tables and columns. Scopes
+ * are not tracked: an alias is known to the whole statement.
+ */
+export class SqlReferences {
+  /**
+   * Extract references from SQL
+   * @param {string} sql - SQL text
+   * @param {Object} [options] - Extraction options
+   * @param {string} [options.dialect] - Tokenizer dialect, see SqlTokenizer.dialectForEngine
+   * @returns {{tables: Array<{parts: string[], alias: string|null}>, columns: Array<{qualifier: string|null, name: string}>,
+   *   stars: Array<string|null>, ctes: string[], derived: string[], cardIds: number[]}}
+   *   `parts` of a table are its dotted name (`['public', 'orders']`); a star's qualifier is null for a bare `*`;
+   *   `derived` lists the aliases of subqueries in FROM
+   * @throws {SqlSyntaxError} If the SQL cannot be tokenized
+   */
+  static extract(sql, { dialect = 'ansi' } = {}) {
+    const tokens = SqlTokenizer.tokenize(sql, { dialect });
+    const references = { tables: [], columns: [], stars: [], ctes: SqlReferences.cteNames(tokens), derived: [], cardIds: [] };
+    const parens = [];
+    // Names that are not columns when they appear bare: table and subquery aliases, CTE names
+    const aliases = new Set(references.ctes.map(name => name.toLowerCase()));
+    // Positions of `(` that open a subquery in FROM or JOIN
+    const subqueries = new Set();
+    // Paren depths currently inside a FROM clause, where a comma starts another table
+    const fromClauses = new Set();
+    const context = { references, aliases, subqueries };
+
+    let i = 0;
+    while (i < tokens.length) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+
+      if (token.type === 'variable') {
+        const match = token.value.match(CARD_REFERENCE);
+        if (match) references.cardIds.push(Number(match[1]));
+        i++;
+        continue;
+      }
+
+      if (token.type === 'paren') {
+        if (token.value === '(') {
+          parens.push({ fn: previous?.type === 'word' ? previous.upper : null, derived: subqueries.has(i) });
+          i++;
+          continue;
+        }
+        fromClauses.delete(parens.length);
+        const closed = parens.pop();
+        i++;
+        // A subquery in FROM may be followed by its alias
+        if (closed?.derived) {
+          const alias = SqlReferences.readAlias(tokens, i);
+          if (alias) {
+            references.derived.push(alias.name);
+            aliases.add(alias.name.toLowerCase());
+            i = alias.next;
+          }
+        }
+        continue;
+      }
+
+      if (token.type === 'word' && (token.upper === 'JOIN' || (token.upper === 'FROM' && !FROM_FUNCTIONS.has(parens[parens.length - 1]?.fn)))) {
+        if (token.upper === 'FROM' && previous?.upper === 'DISTINCT') {
+          i++;
+          continue;
+        }
+        fromClauses.add(parens.length);
+        i = SqlReferences.readTable(tokens, i + 1, context);
+        continue;
+      }
+      if (token.value === ',' && fromClauses.has(parens.length)) {
+        i = SqlReferences.readTable(tokens, i + 1, context);
+        continue;
+      }
+      if (token.type === 'word' && FROM_END.has(token.upper)) {
+        fromClauses.delete(parens.length);
+      }
+
+      // Output aliases and cast types
+      if (token.type === 'word' && token.upper === 'AS') {
+        i += SqlReferences.isName(tokens[i + 1]) ? 2 : 1;
+        continue;
+      }
+      if (token.value === ':' && tokens[i + 1]?.value === ':') {
+        i += SqlReferences.isName(tokens[i + 2]) ? 3 : 2;
+        continue;
+      }
+
+      if (token.value === '*' && (!previous || ['SELECT', 'DISTINCT', 'ALL'].includes(previous.upper) || previous.value === ',')) {
+        references.stars.push(null);
+        i++;
+        continue;
+      }
+
+      if (SqlReferences.isName(token)) {
+        const { parts, star, next } = SqlReferences.readDotted(tokens, i);
+        i = next;
+        if (tokens[i]?.value === '(') continue; // function call
+        if (star) {
+          references.stars.push(parts.join('.'));
+        } else if (parts.length > 1) {
+          references.columns.push({ qualifier: parts.slice(0, -1).join('.'), name: parts[parts.length - 1] });
+        } else if (!(token.type === 'word' && KEYWORDS.has(token.upper)) && !aliases.has(parts[0].toLowerCase())) {
+          references.columns.push({ qualifier: null, name: parts[0] });
+        }
+        continue;
+      }
+
+      i++;
+    }
+
+    // Bare names that turned out to be table aliases are not columns
+    references.columns = SqlReferences.unique(
+      references.columns.filter(column => column.qualifier !== null || !aliases.has(column.name.toLowerCase())),
+      column => `${column.qualifier}.${column.name}`
+    );
+    references.stars = [...new Set(references.stars)];
+    references.cardIds = [...new Set(references.cardIds)];
+    return references;
+  }
+
+  /**
+   * Read the table after FROM, JOIN or a comma in a FROM clause: `schema.table [AS] alias`
+   * @returns {number} Index of the first token after it
+   */
+  static readTable(tokens, start, { references, aliases, subqueries }) {
+    let i = start;
+    while (tokens[i]?.type === 'word' && ['LATERAL', 'ONLY'].includes(tokens[i].upper)) i++;
+    const token = tokens[i];
+
+    if (token?.value === '(') {
+      // A subquery: the main loop reads it, then its alias
+      subqueries.add(i);
+      return i;
+    }
+
+    if (token?.type === 'variable') {
+      // A saved question used as a table; the main loop records the card
+      const alias = SqlReferences.readAlias(tokens, i + 1);
+      if (alias) {
+        references.derived.push(alias.name);
+        aliases.add(alias.name.toLowerCase());
+      }
+      const match = token.value.match(CARD_REFERENCE);
+      if (match) references.cardIds.push(Number(match[1]));
+      return alias ? alias.next : i + 1;
+    }
+
+    if (!SqlReferences.isName(token) || (token.type === 'word' && KEYWORDS.has(token.upper))) {
+      return i;
+    }
+
+    const { parts, next } = SqlReferences.readDotted(tokens, i);
+    if (tokens[next]?.value === '(') {
+      // Table function (generate_series, unnest...): the main loop reads its arguments, then its alias
+      subqueries.add(next);
+      return i;
+    }
+    const alias = SqlReferences.readAlias(tokens, next);
+    references.tables.push({ parts, alias: alias?.name ?? null });
+    if (alias) {
+      aliases.add(alias.name.toLowerCase());
+      return alias.next;
+    }
+    return next;
+  }
+
+  /**
+   * `[AS] alias` at a position
+   * @returns {{name: string, next: number}|null}
+   */
+  static readAlias(tokens, i) {
+    const hasAs = tokens[i]?.type === 'word' && tokens[i].upper === 'AS';
+    const candidate = tokens[hasAs ? i + 1 : i];
+    if (!SqlReferences.isName(candidate) || (candidate.type === 'word' && KEYWORDS.has(candidate.upper))) {
+      return null;
+    }
+    // Join keywords and clause starters (WHERE, ON...) are in KEYWORDS; function calls are not aliases
+    if (tokens[(hasAs ? i + 1 : i) + 1]?.value === '(') {
+      return null;
+    }
+    return { name: SqlReferences.identifier(candidate), next: (hasAs ? i + 1 : i) + 1 };
+  }
+
+  /**
+   * A dotted name starting at `i`: `a`, `a.b`, `a.b.c`, or `a.*`. Quoted names
+   * holding dots (BigQuery `project.dataset.table`) are split.
+   */
+  static readDotted(tokens, i) {
+    const parts = [];
+    let j = i;
+    let star = false;
+    while (SqlReferences.isName(tokens[j])) {
+      parts.push(...SqlReferences.identifierParts(tokens[j]));
+      if (tokens[j + 1]?.value !== '.') {
+        j++;
+        break;
+      }
+      if (tokens[j + 2]?.value === '*') {
+        star = true;
+        j += 3;
+        break;
+      }
+      j += 2;
+    }
+    return { parts, star, next: j };
+  }
+
+  /**
+   * Names declared by `WITH name [(columns)] AS (...)`, including later CTEs of the same list
+   */
+  static cteNames(tokens) {
+    const names = [];
+    tokens.forEach((token, i) => {
+      const previous = tokens[i - 1];
+      if (!SqlReferences.isName(token) || !previous) return;
+      if (!(previous.upper === 'WITH' || previous.upper === 'RECURSIVE' || previous.value === ',')) return;
+
+      let j = i + 1;
+      if (tokens[j]?.value === '(') {
+        let depth = 0;
+        do {
+          if (tokens[j].value === '(') depth++;
+          if (tokens[j].value === ')') depth--;
+          j++;
+        } while (j < tokens.length && depth > 0);
+      }
+      if (tokens[j]?.upper !== 'AS') return;
+      j++;
+      while (tokens[j]?.upper === 'NOT' || tokens[j]?.upper === 'MATERIALIZED') j++;
+      if (tokens[j]?.value === '(') {
+        names.push(SqlReferences.identifier(token));
+      }
+    });
+    return [...new Set(names)];
+  }
+
+  static isName(token) {
+    return Boolean(token) && (token.type === 'word' || token.type === 'quoted');
+  }
+
+  static identifier(token) {
+    return token.type === 'quoted' ? token.value.slice(1, -1).replace(/""/g, '"') : token.value;
+  }
+
+  static identifierParts(token) {
+    const name = SqlReferences.identifier(token);
+    return token.type === 'quoted' && token.value[0] === '`' ? name.split('.') : [name];
+  }
+
+  static unique(items, key) {
+    const seen = new Map();
+    items.forEach(item => seen.set(key(item), seen.get(key(item)) ?? item));
+    return [...seen.values()];
+  }
+}
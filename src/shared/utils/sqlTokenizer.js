@@ -0,0 +1,278 @@
+/**
+ * SQL dialect features that change how a query is split into tokens.
+ * Getting these wrong can hide a statement inside what looks like a comment
+ * or a string, so unknown engines fall back to plain ANSI rules.
+ * `settingEscapes` marks engines where a server setting decides whether a
+ * backslash escapes a quote (PostgreSQL standard_conforming_strings, MySQL
+ * NO_BACKSLASH_ESCAPES, Spark escapedStringLiterals): there, string literals
+ * containing a backslash are flagged `ambiguous`, since either reading may be
+ * the one the server uses.
+ */
+export const SQL_DIALECTS = {
+  ansi: {},
+  postgres: { dollarQuotes: true, nestedComments: true, escapeStrings: true, settingEscapes: true },
+  redshift: { dollarQuotes: true, backslashEscapes: true },
+  mysql: { backticks: true, hashComments: true, backslashEscapes: true, executableComments: true, settingEscapes: true },
+  bigquery: { backticks: true, hashComments: true, backslashEscapes: true, tripleQuotes: true },
+  sqlserver: { brackets: true },
+  snowflake: { dollarQuotes: true, slashComments: true, backslashEscapes: true },
+  sparksql: { backticks: true, backslashEscapes: true, settingEscapes: true },
+  clickhouse: { backticks: true, backslashEscapes: true },
+};
+
+// Metabase database engine -> dialect
+const ENGINE_DIALECTS = {
+  postgres: 'postgres',
+  redshift: 'redshift',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  'bigquery-cloud-sdk': 'bigquery',
+  bigquery: 'bigquery',
+  sqlserver: 'sqlserver',
+  snowflake: 'snowflake',
+  sparksql: 'sparksql',
+  databricks: 'sparksql',
+  hive: 'sparksql',
+  clickhouse: 'clickhouse',
+};
+
+const WORD_START = /[A-Za-z_\u0080-￿@]/;
+const WORD_PART = /[A-Za-z0-9_$\u0080-￿@#]/;
+const DIGIT = /[0-9]/;
+
+/**
+ * Error raised for input that cannot be tokenized (unterminated string, comment...)
+ */
+export class SqlSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'SqlSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Minimal SQL tokenizer
+ *
+ * Produces the tokens a statement classifier needs and nothing more: words
+ * (keywords and identifiers, with `upper` set), quoted identifiers, strings,
+ * numbers, parentheses, semicolons and other punctuation (strings and quoted
+ * identifiers whose end depends on server settings carry `ambiguous: true`,
+ * see SQL_DIALECTS). Whitespace and
+ * comments are dropped. Metabase template syntax is understood: `{{tag}}`
+ * becomes a `variable` token and the `[[ ... ]]` optional-clause markers are
+ * skipped so their content is tokenized like the rest of the query. MySQL and
+ * MariaDB run the body of `/*! ... *\/` and `/*M! ... *\/` comments, so in
+ * that dialect their body is tokenized too.
+ */
+export class SqlTokenizer {
+  /**
+   * Dialect for a Metabase database engine
+   * @param {string} [engine] - `engine` of a Metabase database (e.g. "postgres")
+   * @returns {string} Dialect name (a key of SQL_DIALECTS)
+   */
+  static dialectForEngine(engine) {
+    return ENGINE_DIALECTS[engine] || 'ansi';
+  }
+
+  /**
+   * Split SQL into tokens
+   * @param {string} sql - SQL text
+   * @param {Object} [options] - Tokenizer options
+   * @param {string} [options.dialect] - Dialect name, defaults to ANSI
+   * @returns {Array<{type: string, value: string, upper?: string, position: number}>} Tokens
+   * @throws {SqlSyntaxError} If a string, quoted identifier or comment is not terminated
+   */
+  static tokenize(sql, { dialect = 'ansi' } = {}) {
+    const features = SQL_DIALECTS[dialect] || SQL_DIALECTS.ansi;
+    const tokens = [];
+    let i = 0;
+    let executableComment = null;
+
+    const push = (type, start, end, extra = {}) => {
+      tokens.push({ type, value: sql.slice(start, end), position: start, ...extra });
+    };
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      // Whitespace
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // Comments
+      if ((char === '-' && next === '-') || (features.hashComments && char === '#')
+        || (features.slashComments && char === '/' && next === '/')) {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end + 1;
+        continue;
+      }
+      if (char === '/' && next === '*') {
+        const executable = features.executableComments && executableComment === null && sql.slice(i + 2).match(/^M?!\d*/);
+        if (executable) {
+          executableComment = i;
+          i += 2 + executable[0].length;
+        } else {
+          i = SqlTokenizer.skipBlockComment(sql, i, features.nestedComments);
+        }
+        continue;
+      }
+      if (executableComment !== null && char === '*' && next === '/') {
+        executableComment = null;
+        i += 2;
+        continue;
+      }
+
+      // Metabase template syntax
+      if (char === '{' && next === '{') {
+        const end = sql.indexOf('}}', i + 2);
+        if (end === -1) {
+          throw new SqlSyntaxError('Unterminated template tag', i);
+        }
+        push('variable', i, end + 2);
+        i = end + 2;
+        continue;
+      }
+      if ((char === '[' && next === '[') || (char === ']' && next === ']')) {
+        i += 2;
+        continue;
+      }
+
+      // Strings
+      if (features.tripleQuotes && (sql.startsWith("'''", i) || sql.startsWith('"""', i))) {
+        const quote = sql.slice(i, i + 3);
+        const end = SqlTokenizer.findClosing(sql, i + 3, quote, { backslashEscapes: true });
+        push('string', i, end);
+        i = end;
+        continue;
+      }
+      if (char === "'" || ((char === 'E' || char === 'e') && next === "'" && features.escapeStrings)
+        || ((char === 'N' || char === 'n') && next === "'")) {
+        const start = i;
+        const escaped = features.backslashEscapes || char !== "'";
+        if (char !== "'") i++;
+        const end = SqlTokenizer.findClosing(sql, i + 1, "'", { backslashEscapes: escaped, doubledQuotes: true });
+        // E'...' always takes escapes; a plain literal depends on the server
+        const ambiguous = features.settingEscapes && !(features.escapeStrings && char !== "'")
+          && sql.slice(start, end).includes('\\');
+        push('string', start, end, ambiguous ? { ambiguous } : {});
+        i = end;
+        continue;
+      }
+      if (features.dollarQuotes && char === '$') {
+        const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+        if (tag) {
+          const end = sql.indexOf(tag[0], i + tag[0].length);
+          if (end === -1) {
+            throw new SqlSyntaxError('Unterminated dollar-quoted string', i);
+          }
+          push('string', i, end + tag[0].length);
+          i = end + tag[0].length;
+          continue;
+        }
+      }
+
+      // Quoted identifiers
+      if (char === '"') {
+        const end = SqlTokenizer.findClosing(sql, i + 1, '"', {
+          doubledQuotes: true,
+          backslashEscapes: features.backslashEscapes,
+        });
+        // MySQL reads "..." as a string unless ANSI_QUOTES is set
+        const ambiguous = features.settingEscapes && features.backslashEscapes && sql.slice(i, end).includes('\\');
+        push('quoted', i, end, ambiguous ? { ambiguous } : {});
+        i = end;
+        continue;
+      }
+      if (features.backticks && char === '`') {
+        const end = SqlTokenizer.findClosing(sql, i + 1, '`', { doubledQuotes: true });
+        push('quoted', i, end);
+        i = end;
+        continue;
+      }
+      if (features.brackets && char === '[') {
+        const end = SqlTokenizer.findClosing(sql, i + 1, ']', { doubledQuotes: true });
+        push('quoted', i, end);
+        i = end;
+        continue;
+      }
+
+      // Numbers
+      if (DIGIT.test(char) || (char === '.' && DIGIT.test(next ?? ''))) {
+        const match = sql.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        push('number', i, i + match[0].length);
+        i += match[0].length;
+        continue;
+      }
+
+      // Words (keywords and identifiers)
+      if (WORD_START.test(char)) {
+        const start = i;
+        i++;
+        while (i < sql.length && WORD_PART.test(sql[i])) i++;
+        push('word', start, i, { upper: sql.slice(start, i).toUpperCase() });
+        continue;
+      }
+
+      // Punctuation and operators, one character at a time
+      const type = char === '(' || char === ')' ? 'paren' : char === ';' ? 'semicolon' : 'punct';
+      push(type, i, i + 1);
+      i++;
+    }
+
+    if (executableComment !== null) {
+      throw new SqlSyntaxError('Unterminated block comment', executableComment);
+    }
+    return tokens;
+  }
+
+  /**
+   * Index just past the closing quote
+   * @throws {SqlSyntaxError} If the quote is never closed
+   */
+  static findClosing(sql, from, quote, { backslashEscapes = false, doubledQuotes = false } = {}) {
+    let i = from;
+    while (i < sql.length) {
+      if (backslashEscapes && sql[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (sql.startsWith(quote, i)) {
+        if (doubledQuotes && quote.length === 1 && sql[i + 1] === quote) {
+          i += 2;
+          continue;
+        }
+        return i + quote.length;
+      }
+      i++;
+    }
+    throw new SqlSyntaxError(`Unterminated ${quote} quote`, from - quote.length);
+  }
+
+  /**
+   * Index just past a block comment (nested comments in PostgreSQL)
+   * @throws {SqlSyntaxError} If the comment is never closed
+   */
+  static skipBlockComment(sql, start, nested) {
+    let depth = 0;
+    let i = start;
+    while (i < sql.length) {
+      if (sql[i] === '/' && sql[i + 1] === '*') {
+        depth = nested ? depth + 1 : 1;
+        i += 2;
+      } else if (sql[i] === '*' && sql[i + 1] === '/') {
+        depth--;
+        i += 2;
+        if (depth === 0) {
+          return i;
+        }
+      } else {
+        i++;
+      }
+    }
+    throw new SqlSyntaxError('Unterminated block comment', start);
+  }
+}
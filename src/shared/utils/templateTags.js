@@ -0,0 +1,165 @@
+import { ValidationError } from '../errors/MetabaseError.js';
+
+// Template tags that are substituted into the SQL rather than filled with a value
+const NON_PARAMETER_TAGS = ['card', 'snippet'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Maps friendly `{ name: value }` input to the `parameters` array Metabase
+ * expects when running a native card:
+ *   { type, target: ["variable" | "dimension", ["template-tag", name]], value, id }
+ *
+ * Variables (`text`, `number`, `date`) target ["variable", ...]; field filters
+ * (`dimension`) and time groupings (`temporal-unit`) target ["dimension", ...]
+ * and take the type of their filter widget.
+ */
+export class TemplateTags {
+  /**
+   * Template tags of a card that accept a value
+   * @param {Object} card - Raw Metabase card
+   * @returns {Object[]} Tags, as found in `dataset_query.native['template-tags']`
+   */
+  static list(card) {
+    const tags = card?.dataset_query?.native?.['template-tags'] || {};
+    return Object.values(tags).filter(tag => !NON_PARAMETER_TAGS.includes(tag.type));
+  }
+
+  /**
+   * Build Metabase parameters for a native card
+   * @param {Object} card - Raw Metabase card
+   * @param {Object} [values] - Tag name (or display name) to value
+   * @returns {Object[]} Parameters for POST /api/card/:id/query
+   * @throws {ValidationError} For unknown tags, missing required tags or badly typed values
+   */
+  static toParameters(card, values = {}) {
+    const tags = TemplateTags.list(card);
+    const entries = Object.entries(values || {}).filter(([, value]) => value !== undefined && value !== null);
+
+    if (card?.dataset_query?.type !== 'native') {
+      if (entries.length > 0) {
+        throw new ValidationError(
+          `Card ${card?.id} is not a native SQL card and has no template tags. Use execute_query_builder_card to filter query-builder cards.`,
+          'parameters',
+          values
+        );
+      }
+      return [];
+    }
+
+    const errors = [];
+    const parameters = [];
+    const provided = new Set();
+
+    for (const [key, value] of entries) {
+      const tag = TemplateTags.find(tags, key);
+      if (!tag) {
+        errors.push({
+          path: `parameters.${key}`,
+          message: `Unknown template tag "${key}". Available: ${tags.map(t => t.name).join(', ') || 'none'}`,
+          value,
+        });
+        continue;
+      }
+
+      provided.add(tag.name);
+      try {
+        parameters.push(TemplateTags.toParameter(tag, value));
+      } catch (error) {
+        errors.push({ path: `parameters.${key}`, message: error.message, value });
+      }
+    }
+
+    for (const tag of tags) {
+      if (tag.required && !provided.has(tag.name) && TemplateTags.isEmpty(tag.default)) {
+        errors.push({
+          path: `parameters.${tag.name}`,
+          message: `Required template tag "${tag.name}" (${tag.type}) has no value and no default`,
+          value: undefined,
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid parameters for card ${card.id}: ${errors.map(e => e.message).join('; ')}`,
+        errors[0].path,
+        errors[0].value,
+        errors
+      );
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Find a tag by name, or case-insensitively by name or display name
+   */
+  static find(tags, key) {
+    const lower = key.toLowerCase();
+    return tags.find(tag => tag.name === key)
+      || tags.find(tag => tag.name?.toLowerCase() === lower || tag['display-name']?.toLowerCase() === lower);
+  }
+
+  /**
+   * Parameter object for one tag
+   * @throws {Error} If the value does not fit the tag type
+   */
+  static toParameter(tag, value) {
+    const variable = ['variable', ['template-tag', tag.name]];
+    const dimension = ['dimension', ['template-tag', tag.name]];
+    const base = tag.id ? { id: tag.id } : {};
+
+    switch (tag.type) {
+      case 'text':
+        return { ...base, type: 'category', target: variable, value: TemplateTags.scalar(value, tag, String) };
+      case 'number':
+        return { ...base, type: 'number/=', target: variable, value: TemplateTags.asArray(value).map(v => TemplateTags.number(v, tag)) };
+      case 'date':
+        return { ...base, type: 'date/single', target: variable, value: TemplateTags.date(TemplateTags.scalar(value, tag), tag) };
+      case 'dimension': {
+        const type = tag['widget-type'] || 'category';
+        // Date filter widgets take a single string such as "2024-01-01~2024-03-31" or "past30days"
+        const filterValue = type.startsWith('date/') ? TemplateTags.scalar(value, tag, String) : TemplateTags.asArray(value);
+        return { ...base, type, target: dimension, value: filterValue };
+      }
+      case 'temporal-unit':
+        return { ...base, type: 'temporal-unit', target: dimension, value: TemplateTags.scalar(value, tag, String) };
+      default:
+        return { ...base, type: 'category', target: variable, value };
+    }
+  }
+
+  static scalar(value, tag, cast = (v) => v) {
+    if (Array.isArray(value)) {
+      if (value.length !== 1) {
+        throw new Error(`Template tag "${tag.name}" (${tag.type}) takes a single value`);
+      }
+      return cast(value[0]);
+    }
+    return cast(value);
+  }
+
+  static asArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  static number(value, tag) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) {
+      throw new Error(`Template tag "${tag.name}" expects a number (got "${value}")`);
+    }
+    return number;
+  }
+
+  static date(value, tag) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new Error(`Template tag "${tag.name}" expects a date as YYYY-MM-DD (got "${value}")`);
+    }
+    return value;
+  }
+
+  static isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+}
@@ -85,9 +85,9 @@ export class Validators {
    * @throws {ValidationError} If validation fails
    */
   static validateCollectionId(collectionId) {
-    if (!collectionId) {
+    if (collectionId !== 'root' && !/^[1-9]\d*$/.test(String(collectionId ?? ''))) {
       throw new ValidationError(
-        'Collection ID is required',
+        'Collection ID must be a positive integer or "root"',
         'collectionId',
         collectionId
       );
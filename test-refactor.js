@@ -4,16 +4,52 @@
  * Quick test to verify the refactored code works correctly
  */
 
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
 import { MetabaseMCPServer } from './src/server/MetabaseMCPServer.js';
 import { MetabaseClient } from './src/client/MetabaseClient.js';
+import { HttpTransportServer } from './src/server/transports/httpTransport.js';
+import { ApiClient } from './src/server/utils/apiClient.js';
+import { ResponseCache } from './src/server/utils/responseCache.js';
+import { CircuitBreaker } from './src/server/utils/circuitBreaker.js';
+import { createAuthProvider } from './src/server/utils/authProviders.js';
+import { CacheHandlers } from './src/server/handlers/cacheHandlers.js';
 import { logger } from './src/shared/utils/logger.js';
 import { Validators } from './src/shared/utils/validators.js';
+import { SchemaValidator } from './src/shared/utils/schemaValidator.js';
+import { SqlClassifier } from './src/shared/utils/sqlClassifier.js';
+import { SqlLimiter } from './src/shared/utils/sqlLimiter.js';
+import { SqlReferences } from './src/shared/utils/sqlReferences.js';
+import { SqlTokenizer } from './src/shared/utils/sqlTokenizer.js';
+import { TemplateTags } from './src/shared/utils/templateTags.js';
 import { DashboardUrlDecoder } from './src/shared/utils/urlDecoder.js';
+import { ResultFormatter } from './src/server/utils/resultFormatter.js';
+import { SearchIndex } from './src/server/utils/searchIndex.js';
+import { LineageAnalyzer } from './src/server/utils/lineageAnalyzer.js';
+import { ResultStore } from './src/server/utils/resultStore.js';
+import { ResultPresenter } from './src/server/utils/resultPresenter.js';
+import { QueryJobManager } from './src/server/utils/queryJobManager.js';
+import { JobHandlers } from './src/server/handlers/jobHandlers.js';
+import { ExportHandlers } from './src/server/handlers/exportHandlers.js';
+import { CardHandlers } from './src/server/handlers/cardHandlers.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import {
   MetabaseError,
   ApiError,
   ValidationError,
   ConfigurationError,
+  TimeoutError,
+  CircuitOpenError,
+  AuthenticationError,
+  CancelledError,
 } from './src/shared/errors/MetabaseError.js';
 
 async function main() {
@@ -35,6 +71,32 @@ async function main() {
     }
   }
 
+  /**
+   * Local stand-in for a Metabase server. `respond(request)` returns
+   * `[status, body, headers]`; every request is recorded in `requests`.
+   */
+  async function startFakeMetabase(respond) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      const [status, payload, headers = {}] = await respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(payload === undefined ? '' : typeof payload === 'string' ? payload : JSON.stringify(payload));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+    };
+  }
+
   // Test 1: Error classes
   await runTest('Error classes are properly exported', () => {
   const error = new ValidationError('Test error', 'testField', 'testValue');
@@ -56,6 +118,728 @@ async function main() {
   Validators.validateCardId(123); // Should not throw
 });
 
+  await runTest('Collection IDs are a positive integer or "root"', () => {
+  Validators.validateCollectionId('root');
+  Validators.validateCollectionId(12);
+  Validators.validateCollectionId('12');
+  for (const id of ['../database', '12/../../database', 0, '', undefined]) {
+    try {
+      Validators.validateCollectionId(id);
+    } catch (error) {
+      if (error instanceof ValidationError) continue;
+    }
+    throw new Error(`Accepted collection ID ${JSON.stringify(id)}`);
+  }
+});
+
+  await runTest('SchemaValidator coerces arguments and lists every offending path', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      cardId: { type: 'integer', minimum: 1 },
+      filter: { type: 'string', enum: ['all', 'mine'], default: 'all' },
+    },
+    required: ['cardId'],
+  };
+  const { value, errors } = SchemaValidator.validate(schema, { cardId: '123' });
+  if (errors.length !== 0) throw new Error('Valid arguments were rejected');
+  if (value.cardId !== 123) throw new Error('String was not coerced to integer');
+  if (value.filter !== 'all') throw new Error('Default was not applied');
+  
+  const invalid = SchemaValidator.validate(schema, { cardId: 0, filter: 'other' });
+  const paths = invalid.errors.map(e => e.path).sort().join(',');
+  if (paths !== 'cardId,filter') throw new Error(`Unexpected error paths: ${paths}`);
+
+  const nulls = SchemaValidator.validate(schema, { cardId: 5, filter: null });
+  if (nulls.errors.length !== 0 || nulls.value.filter !== 'all') throw new Error('Optional null was not treated as omitted');
+  if (SchemaValidator.validate(schema, { cardId: null }).errors[0]?.path !== 'cardId') throw new Error('Required null was accepted');
+  const polluted = SchemaValidator.validate(schema, JSON.parse('{"cardId": 5, "__proto__": {"isAdmin": true}, "constructor": {"prototype": {}}}'));
+  if (polluted.value.isAdmin !== undefined || Object.hasOwn(polluted.value, 'constructor') || Object.getPrototypeOf(polluted.value) !== Object.prototype) {
+    throw new Error('Prototype keys were copied');
+  }
+});
+
+  await runTest('SqlClassifier only accepts single read-only statements', () => {
+  const readOnly = (sql, dialect) => SqlClassifier.classify(sql, { dialect }).readOnly;
+  if (!readOnly("-- drop\nSELECT 'DELETE; x' FROM t")) throw new Error('Comment or string keyword was rejected');
+  if (!readOnly('SELECT $$; DROP TABLE t$$', 'postgres')) throw new Error('Dollar-quoted string was rejected');
+  if (readOnly('SELECT 1; DROP TABLE t')) throw new Error('Second statement was accepted');
+  if (readOnly('WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d', 'postgres')) throw new Error('Writable CTE was accepted');
+  if (readOnly('SELECT * INTO copy FROM t')) throw new Error('SELECT INTO was accepted');
+  if (readOnly("SELECT * FROM t /*!50000 INTO OUTFILE '/tmp/x' */", 'mysql')) throw new Error('MySQL executable comment was accepted');
+  if (readOnly('SELECT 1 /*! ; DROP TABLE t */', 'mysql')) throw new Error('Statement in MySQL executable comment was accepted');
+  if (readOnly('SELECT 1 /*M!100100 ; DROP TABLE t */', 'mysql')) throw new Error('Statement in MariaDB executable comment was accepted');
+  if (!readOnly('SHOW CREATE TABLE t', 'mysql')) throw new Error('SHOW CREATE was rejected');
+  if (readOnly('SHOW TABLES; CREATE TABLE t (id int)', 'mysql')) throw new Error('Statement after SHOW was accepted');
+  if (!readOnly('SELECT /*!40001 SQL_NO_CACHE */ * FROM t /* INTO */', 'mysql')) throw new Error('Harmless MySQL comments were rejected');
+  const smuggled = "SELECT 'a\\' , ' ; DROP TABLE t; --'";
+  if (readOnly(smuggled, SqlTokenizer.dialectForEngine('redshift'))) throw new Error('Redshift backslash escape was not honoured');
+  for (const engine of ['postgres', 'mysql', 'mariadb', 'databricks']) {
+    if (readOnly(smuggled, SqlTokenizer.dialectForEngine(engine))) throw new Error(`Backslash in a ${engine} literal was accepted`);
+  }
+  if (readOnly('SELECT "a\\" , " ; DROP TABLE t; --"', 'mysql')) throw new Error('Backslash in a MySQL double-quoted string was accepted');
+  if (!readOnly("SELECT E'it\\'s', '\\d' FROM t", 'redshift') || !readOnly("SELECT E'it\\'s' FROM t", 'postgres')) throw new Error('Unambiguous escapes were rejected');
+});
+
+  await runTest('SqlLimiter caps SELECT queries without changing their meaning', () => {
+  const limit = (sql, style = 'limit') => SqlLimiter.applyRowLimit(sql, 100, { style });
+  let result = limit('SELECT * FROM t ORDER BY a;');
+  if (result.strategy !== 'inject' || !/ORDER BY a\s+LIMIT 100$/.test(result.sql)) throw new Error(`LIMIT was not appended: ${result.sql}`);
+  if (limit('SELECT * FROM t LIMIT 10').strategy !== 'existing') throw new Error('Smaller LIMIT was rewritten');
+  result = limit('SELECT * FROM t ORDER BY a LIMIT 5000');
+  if (result.strategy !== 'lower' || result.sql !== 'SELECT * FROM t ORDER BY a LIMIT 100') throw new Error(`Larger LIMIT was not lowered: ${result.sql}`);
+  result = limit('SELECT a, t.b, count(*) AS n FROM t GROUP BY a, t.b OFFSET 5');
+  if (result.strategy !== 'wrap' || !/^SELECT \* FROM \(\s*SELECT a, t\.b, count\(\*\) AS n FROM t GROUP BY a, t\.b OFFSET 5\s*\) AS \w+\s+LIMIT 100$/.test(result.sql)) throw new Error(`OFFSET query was not wrapped: ${result.sql}`);
+  for (const sql of ['SELECT a FROM t ORDER BY a OFFSET 5', 'SELECT * FROM t OFFSET 5', 'SELECT t.a, u.a FROM t JOIN u ON t.id = u.id OFFSET 5', 'SELECT a, "A" FROM t OFFSET 5', 'SELECT count(*) FROM t OFFSET 5']) {
+    if (limit(sql).strategy !== null) throw new Error(`Query was wrapped although its order or columns could change: ${sql}`);
+  }
+  if (limit('SELECT DISTINCT a FROM t', 'top').sql !== 'SELECT DISTINCT TOP (100) a FROM t') throw new Error('TOP was not placed after DISTINCT');
+  if (limit('WITH c AS (SELECT 1 AS a) SELECT a FROM c', 'top').sql !== 'WITH c AS (SELECT 1 AS a) SELECT TOP (100) a FROM c') throw new Error('TOP was not placed on the main SELECT');
+  for (const sql of ['SHOW TABLES', 'SELECT 1; SELECT 2', "SELECT 'unterminated"]) {
+    if (limit(sql).strategy !== null || limit(sql).sql !== sql) throw new Error(`Query was rewritten: ${sql}`);
+  }
+  if (SqlLimiter.applyRowLimit('SELECT 1', 100, { style: SqlLimiter.styleForEngine('mongo') }).strategy !== null) throw new Error('Unsupported engine was rewritten');
+});
+
+  await runTest('ResultFormatter formats numbers and dates from column types', () => {
+  const number = (value, baseType, semanticType) => ResultFormatter.formatNumber(value, { baseType, semanticType });
+  const expectations = [
+    [number(1234567, 'type/Integer'), '1,234,567'],
+    [number('12345678901234567890', 'type/BigInteger'), '12,345,678,901,234,567,890'],
+    [number(1234567, 'type/Integer', 'type/PK'), '1234567'],
+    [number(0.1234, 'type/Float', 'type/Percentage'), '12.34%'],
+    [number(5, 'type/Decimal', 'type/Currency'), '5.00'],
+    [number(1234.5678, 'type/Float'), '1,234.57'],
+    [number(0.000123456, 'type/Float'), '0.000123'],
+    [number('n/a', 'type/Float'), 'n/a'],
+  ];
+  const temporal = (value, baseType) => ResultFormatter.formatTemporal(value, { baseType });
+  expectations.push(
+    [temporal('2024-01-05T10:20:30.123Z', 'type/DateTime'), '2024-01-05 10:20:30Z'],
+    [temporal('2024-01-05T00:00:00Z', 'type/Date'), '2024-01-05'],
+    [temporal('10:20:30.5+01:00', 'type/Time'), '10:20:30+01:00'],
+    [temporal('yesterday', 'type/Date'), 'yesterday'],
+  );
+  for (const [actual, expected] of expectations) {
+    if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`);
+  }
+});
+
+  await runTest('SearchIndex parses queries and ranks documents with BM25', () => {
+  const parsed = SearchIndex.parseQuery('revenue sql:orders collection:"Finance Team" type:card db:2');
+  const expected = { terms: ['revenue'], filters: [{ field: 'sql', terms: ['orders'] }, { field: 'collection', terms: ['finance', 'team'] }], types: ['card'], databaseIds: [2] };
+  if (JSON.stringify(parsed) !== JSON.stringify(expected)) throw new Error(`Unexpected parse: ${JSON.stringify(parsed)}`);
+
+  const distances = [SearchIndex.editDistance('revenue', 'revenu', 2), SearchIndex.editDistance('kitten', 'sitting', 3), SearchIndex.editDistance('abc', 'xyz', 1)];
+  if (distances.join(',') !== '1,3,2') throw new Error(`Unexpected edit distances: ${distances}`);
+
+  const index = new SearchIndex();
+  index.add({ key: 'card:1', model: 'card', databaseId: 1, text: { name: 'Revenue by month', sql: 'select * from orders' } });
+  index.add({ key: 'card:2', model: 'card', databaseId: 2, text: { name: 'Customers', description: 'revenue revenue per customer', sql: 'select * from customers' } });
+  index.add({ key: 'dashboard:3', model: 'dashboard', text: { name: 'Sales overview', description: 'orders' } });
+  const keys = (query, options) => index.search(query, options).map(hit => hit.document.key).join(',');
+  if (keys('revenue') !== 'card:1,card:2') throw new Error('A name match did not outrank a description match');
+  const [exact] = index.search('revenue');
+  const [typo] = index.search('revenu');
+  if (typo?.document.key !== 'card:1' || !(typo.score < exact.score)) throw new Error('Fuzzy match was missing or not ranked below the exact match');
+  if (keys('revenu', { fuzzy: false }) !== '') throw new Error('Fuzzy match without fuzzy matching');
+  if (keys('sql:orders') !== 'card:1' || keys('revenue db:2') !== 'card:2' || keys('orders type:dashboard') !== 'dashboard:3') throw new Error('Filters were not applied');
+  index.remove('card:1');
+  if (keys('revenue') !== 'card:2') throw new Error('Removed document was still found');
+});
+
+  await runTest('SqlReferences extracts tables, columns, CTEs and card references', () => {
+  const refs = SqlReferences.extract(`with recent as (select o.id, o.customer_id from public.orders o)
+    select r.*, c.email from recent r join customers c on c.id = r.customer_id, (select id from sales.refunds) sub
+    where 'from fake' <> c.segment [[and c.region = {{region}}]]`);
+  const tables = refs.tables.map(t => `${t.parts.join('.')}${t.alias ? ` ${t.alias}` : ''}`).join(',');
+  if (tables !== 'public.orders o,recent r,customers c,sales.refunds') throw new Error(`Unexpected tables: ${tables}`);
+  const columns = refs.columns.map(c => `${c.qualifier ? `${c.qualifier}.` : ''}${c.name}`);
+  for (const column of ['o.customer_id', 'c.email', 'c.segment', 'c.region', 'id']) {
+    if (!columns.includes(column)) throw new Error(`Missing column ${column}: ${columns}`);
+  }
+  if (refs.ctes.join(',') !== 'recent' || refs.derived.join(',') !== 'sub' || refs.stars.join(',') !== 'r') throw new Error('CTEs, derived tables or stars were not reported');
+  const bigquery = SqlReferences.extract('select * from {{#12-foo}} f join `proj.ds.events` e using (user_id)', { dialect: 'bigquery' });
+  if (bigquery.cardIds.join(',') !== '12' || bigquery.tables[0]?.parts.join('.') !== 'proj.ds.events') throw new Error('Card reference or quoted table was missed');
+});
+
+  await runTest('LineageAnalyzer resolves card lineage and finds cards using a column', async () => {
+  const metadata = { engine: 'postgres', tables: [
+    { id: 10, schema: 'public', name: 'customers', fields: [{ id: 100, name: 'id' }, { id: 101, name: 'email' }] },
+    { id: 11, schema: 'public', name: 'orders', fields: [{ id: 110, name: 'id' }, { id: 111, name: 'customer_id' }, { id: 112, name: 'total' }] },
+    { id: 12, schema: 'staging', name: 'orders', fields: [{ id: 120, name: 'id' }] },
+  ] };
+  const native = (id, query) => ({ id, name: `Card ${id}`, database_id: 1, dataset_query: { type: 'native', database: 1, native: { query } } });
+  const cards = [
+    native(1, 'with big as (select customer_id, sum(total) t from orders group by 1) select c.email, b.t from big b join public.customers c on c.id = b.customer_id'),
+    { id: 2, name: 'Card 2', database_id: 1, dataset_query: { type: 'query', database: 1, query: { 'source-table': 'card__1', breakout: [['field', 101, null]] } } },
+    native(3, 'select id from staging.orders'),
+  ];
+  const apiClient = {
+    makeRequest: async (endpoint) => {
+      if (endpoint.startsWith('/api/database/1/metadata')) return metadata;
+      if (endpoint.startsWith('/api/card')) return cards;
+      const fieldId = Number(endpoint.match(/^\/api\/field\/(\d+)$/)?.[1]);
+      const table = metadata.tables.find(t => t.fields.some(f => f.id === fieldId));
+      if (table) return { ...table.fields.find(f => f.id === fieldId), table_id: table.id };
+      const tableId = Number(endpoint.match(/^\/api\/table\/(\d+)$/)?.[1]);
+      if (metadata.tables.some(t => t.id === tableId)) return { ...metadata.tables.find(t => t.id === tableId), db_id: 1 };
+      throw new Error(`Unexpected request ${endpoint}`);
+    },
+  };
+  const analyzer = new LineageAnalyzer(apiClient);
+  const context = analyzer.createContext(cards);
+
+  const lineage = await analyzer.cardLineage(cards[0], context);
+  if (lineage.tables.map(t => t.id).sort().join(',') !== '10,11') throw new Error('Bare table name did not resolve to the default schema');
+  if (lineage.fields.map(f => f.id).sort().join(',') !== '100,101,111,112') throw new Error(`Unexpected fields: ${lineage.fields.map(f => f.id)}`);
+  if (lineage.ctes.join(',') !== 'big' || lineage.unresolved.tables.length > 0) throw new Error('CTE was taken for a table');
+  const derived = await analyzer.cardLineage(cards[1], context);
+  if (derived.sourceCards[0]?.id !== 1 || derived.fields.find(f => f.id === 112)?.viaCardId !== 1) throw new Error('Source card lineage was not inherited');
+
+  const { cards: using } = await analyzer.findCardsUsing({ fieldId: 112 });
+  if (using.map(c => `${c.id}:${c.direct}`).join(',') !== '1:true,2:false') throw new Error(`Unexpected cards using the column: ${JSON.stringify(using)}`);
+});
+
+  await runTest('HTTP transport checks the token, bounds sessions and waits for SSE tool calls', async () => {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const createServer = () => {
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(CallToolRequestSchema, async () => {
+      await released;
+      return { content: [{ type: 'text', text: 'done' }] };
+    });
+    return server;
+  };
+  const transport = new HttpTransportServer(createServer, { port: 0, authToken: 'secret', maxSessions: 1, sessionIdleTimeout: 50 });
+  await transport.start();
+  const base = `http://127.0.0.1:${transport.httpServer.address().port}`;
+  const requestInit = { headers: { Authorization: 'Bearer secret' } };
+  try {
+    for (const authorization of [undefined, 'Bearer wrong', 'Bearer secretx']) {
+      const response = await fetch(`${base}/mcp`, { method: 'POST', headers: authorization ? { authorization } : {}, body: '{}' });
+      if (response.status !== 401) throw new Error(`Token ${authorization} was not rejected`);
+    }
+
+    const streamable = new Client({ name: 'test', version: '1.0.0' });
+    await streamable.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`), { requestInit }));
+    const refused = await fetch(`${base}/sse`, requestInit);
+    if (refused.status !== 503) throw new Error(`Session beyond maxSessions got ${refused.status}`);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (transport.sessions.size !== 0) throw new Error('Idle Streamable HTTP session was not closed');
+
+    const sse = new Client({ name: 'test', version: '1.0.0' });
+    await sse.connect(new SSEClientTransport(new URL(`${base}/sse`), { requestInit }));
+    const call = sse.callTool({ name: 'slow', arguments: {} });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    if (transport.inFlight !== 1) throw new Error(`SSE tool call counted as ${transport.inFlight} in flight`);
+    let closed = false;
+    const closing = transport.close(5000).then(() => { closed = true; });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (closed) throw new Error('Shutdown did not wait for the SSE tool call');
+    release();
+    const result = await call;
+    await closing;
+    if (result.content[0].text !== 'done') throw new Error('SSE tool call did not complete');
+  } finally {
+    release();
+    await transport.close(0);
+  }
+});
+
+  await runTest('Response cache serves listed endpoints per instance and persists privately', async () => {
+  const metabase = await startFakeMetabase(request => [200, { url: request.url, key: request.headers['x-api-key'] }]);
+  const directory = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'metabase-mcp-cache-')), 'cache');
+  try {
+    const cache = new ResponseCache({ directory });
+    const first = new ApiClient(metabase.url, 'k1', 5000, { cache, cacheScope: 'first' });
+    const second = new ApiClient(metabase.url, 'k2', 5000, { cache, cacheScope: 'second' });
+    const count = (url) => metabase.requests.filter(r => r.url === url).length;
+
+    await first.makeRequest('/api/card/1');
+    await first.makeRequest('/api/card/1');
+    if (count('/api/card/1') !== 1) throw new Error('Listed endpoint was not cached');
+    if ((await second.makeRequest('/api/card/1')).key !== 'k2') throw new Error('Instances shared a cached response');
+    await first.makeRequest('/api/search?q=x');
+    await first.makeRequest('/api/search?q=x');
+    if (count('/api/search?q=x') !== 2) throw new Error('Endpoint without a policy was cached');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const files = await fs.readdir(directory);
+    if (files.length !== 2 || files.some(file => file.endsWith('.tmp'))) throw new Error(`Unexpected cache files: ${files}`);
+    if (((await fs.stat(directory)).mode & 0o777) !== 0o700) throw new Error('Cache directory is not private');
+    if (((await fs.stat(path.join(directory, files[0]))).mode & 0o777) !== 0o600) throw new Error('Cache file is not private');
+
+    const { structuredContent } = await new CacheHandlers(first).clearCache();
+    if (structuredContent.cleared !== 1) throw new Error(`clear_cache removed ${structuredContent.cleared} entries`);
+    await second.makeRequest('/api/card/1');
+    if (count('/api/card/1') !== 2) throw new Error('clear_cache removed another instance\'s entry');
+  } finally {
+    await metabase.close();
+    await fs.rm(path.dirname(directory), { recursive: true, force: true });
+  }
+});
+
+  await runTest('Retries transient failures and opens the breaker only when Metabase is unreachable', async () => {
+  let flaky = 0;
+  const metabase = await startFakeMetabase(async request => {
+    if (request.url === '/api/flaky') return ++flaky < 3 ? [503, 'unavailable'] : [200, { ok: true }];
+    if (request.url === '/api/broken') return [500, 'boom'];
+    await new Promise(resolve => setTimeout(resolve, 300));
+    return [200, { ok: true }];
+  });
+  const unreachable = await startFakeMetabase(() => [200, {}]);
+  await unreachable.close();
+  const retry = { baseDelay: 1, maxDelay: 1 };
+  const expectError = async (promise, type) => {
+    try {
+      await promise;
+    } catch (error) {
+      if (!(error instanceof type)) throw new Error(`Expected ${type.name}, got ${error.name}: ${error.message}`);
+      return;
+    }
+    throw new Error(`Expected ${type.name}`);
+  };
+  try {
+    const breaker = new CircuitBreaker({ threshold: 3 });
+    const client = new ApiClient(metabase.url, 'key', 100, { retry, circuitBreaker: breaker });
+    const count = (url) => metabase.requests.filter(r => r.url === url).length;
+
+    if (!(await client.makeRequest('/api/flaky')).ok || count('/api/flaky') !== 3) throw new Error('503 was not retried');
+    await expectError(client.makeRequest('/api/slow'), TimeoutError);
+    await expectError(client.makeRequest('/api/broken'), ApiError);
+    await expectError(client.makeRequest('/api/slow'), TimeoutError);
+    if (count('/api/slow') !== 2 || count('/api/broken') !== 1) throw new Error('Timeout or 500 was retried');
+    if (breaker.getState().state !== 'closed') throw new Error('Timeouts or 500s opened the breaker');
+
+    const down = new ApiClient(unreachable.url, 'key', 1000, { retry: { ...retry, retries: 2 }, circuitBreaker: breaker });
+    await expectError(down.makeRequest('/api/card/1'), ApiError);
+    if (breaker.getState().state !== 'open') throw new Error('Network errors did not open the breaker');
+    await expectError(down.makeRequest('/api/card/1'), CircuitOpenError);
+  } finally {
+    await metabase.close();
+  }
+});
+
+  await runTest('Session auth logs in once, logs in again on 401 and never retries other methods', async () => {
+  const sessions = new Set();
+  let logins = 0;
+  const metabase = await startFakeMetabase(request => {
+    if (request.url === '/api/session') {
+      const { password } = JSON.parse(request.body);
+      if (password !== 'secret') return [401, 'Invalid password'];
+      const id = `session-${++logins}`;
+      sessions.add(id);
+      return [200, { id }];
+    }
+    const authorized = sessions.has(request.headers['x-metabase-session']) || request.headers['x-api-key'] === 'key';
+    return authorized ? [200, { ok: true }] : [401, 'Unauthenticated'];
+  });
+  const client = (auth) => new ApiClient(metabase.url, createAuthProvider(auth, { metabaseUrl: metabase.url }), 5000);
+  try {
+    const session = client({ method: 'session', username: 'ana@example.com', password: 'secret' });
+    await Promise.all([session.makeRequest('/api/user/current'), session.makeRequest('/api/card/1')]);
+    if (logins !== 1) throw new Error(`Concurrent requests logged in ${logins} times`);
+    sessions.clear();
+    if (!(await session.makeRequest('/api/card/1')).ok || logins !== 2) throw new Error('Expired session was not renewed');
+
+    try {
+      await client({ method: 'session', username: 'ana@example.com', password: 'wrong' }).makeRequest('/api/card/1');
+      throw new Error('Wrong password was accepted');
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) throw error;
+    }
+
+    const before = metabase.requests.length;
+    for (const auth of [{ method: 'session_token', sessionToken: 'stale' }, { method: 'api_key', apiKey: 'wrong' }]) {
+      try {
+        await client(auth).makeRequest('/api/card/1');
+        throw new Error(`${auth.method} request succeeded with bad credentials`);
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.statusCode !== 401) throw error;
+      }
+    }
+    if (metabase.requests.length - before !== 2) throw new Error('Rejected static credentials were retried');
+    if (!(await client({ method: 'api_key', apiKey: 'key' }).makeRequest('/api/card/1')).ok) throw new Error('API key was not sent');
+  } finally {
+    await metabase.close();
+  }
+});
+
+  await runTest('Server refuses to start without METABASE_URL or with malformed numbers', async () => {
+  const start = (env) => new Promise(resolve => {
+    const { METABASE_URL, METABASE_INSTANCES, METABASE_INSTANCES_FILE, ...base } = process.env;
+    execFile(process.execPath, ['src/server/index.js'], { env: { ...base, METABASE_API_KEY: 'key', ...env }, timeout: 10000 },
+      (error, stdout, stderr) => resolve({ code: error?.code, stderr }));
+  });
+  const cases = [
+    [{}, 'METABASE_URL is required'],
+    [{ METABASE_URL: 'http://127.0.0.1:1', RETRY_COUNT: 'three' }, 'RETRY_COUNT must be a whole number'],
+    [{ METABASE_URL: 'http://127.0.0.1:1', RESULT_STORE_MAX_ENTRIES: '0' }, 'RESULT_STORE_MAX_ENTRIES must be a whole number'],
+    [{ METABASE_URL: 'http://127.0.0.1:1', MCP_HTTP_PORT: '3000abc' }, 'MCP_HTTP_PORT must be a whole number between 0 and 65535'],
+  ];
+  for (const [env, message] of cases) {
+    const { code, stderr } = await start(env);
+    if (code !== 1 || !stderr.includes(message)) throw new Error(`Expected "${message}", got exit ${code}: ${stderr.slice(-300)}`);
+  }
+});
+
+  await runTest('ResultStore is bounded in bytes and a job result is stored once', async () => {
+  const resultSet = (rows) => ({ columns: [{ name: 'n' }], rows: Array.from({ length: rows }, (_, i) => [i]) });
+  const store = new ResultStore({ maxEntries: 10, maxBytes: 1200 });
+  const ids = [1, 2, 3].map(() => store.save(resultSet(100)));
+  if (store.get(ids[0]) || !store.get(ids[1]) || !store.get(ids[2])) throw new Error('Oldest result was not evicted by size');
+  if (store.bytes > 1200) throw new Error(`Store holds ${store.bytes} bytes`);
+  if (store.save(resultSet(1000)) !== null || !store.get(ids[2])) throw new Error('Oversized result was stored');
+
+  const presenter = new ResultPresenter(new ResultStore(), { maxRows: 10 });
+  const page = presenter.presentResultSet({ ...resultSet(1000), rowCount: 1000 }, { maxRows: 10 });
+  page.resultId = null;
+  if (!presenter.formatText(page).includes('not kept for paging')) throw new Error('Unstored result still points to fetch_result_page');
+
+  const jobs = new JobHandlers(null, {
+    jobManager: new QueryJobManager(),
+    resultPresenter: presenter,
+    queryHandlers: { formatRowLimit: () => '' },
+  });
+  const { jobId: id } = jobs.jobManager.start(
+    async () => ({ results: { data: { cols: [{ name: 'n' }], rows: [[1], [2]] } } }),
+    { type: 'native', databaseId: 1 }
+  );
+  await jobs.jobManager.get(id).promise;
+  const stored = presenter.resultStore.entries.size;
+  const first = await jobs.getQueryResult(id);
+  const second = await jobs.getQueryResult(id, { maxRows: 1 });
+  if (first.structuredContent.result.resultId !== second.structuredContent.result.resultId) throw new Error('get_query_result stored the result again');
+  if (second.structuredContent.result.returnedRows !== 1) throw new Error('Page budgets ignored for a stored job result');
+  if (presenter.resultStore.entries.size !== stored + 1) throw new Error(`${presenter.resultStore.entries.size - stored} copies stored`);
+});
+
+  await runTest('Exports stream to private files and never leave partial ones', async () => {
+  const metabase = await startFakeMetabase(request => {
+    if (request.url === '/api/database/1') return [200, { id: 1, engine: 'postgres' }];
+    if (request.url === '/api/card/7') return [200, { id: 7, dataset_query: { type: 'native', native: { 'template-tags': {} } } }];
+    if (request.url === '/api/card/7/query/csv') return [200, { error: 'Card failed' }];
+    if (request.body.includes('broken')) return [500, 'boom'];
+    return [200, 'id,note\n1,"multi\nline"\n2,b\n', { 'Content-Type': 'text/csv' }];
+  });
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'metabase-mcp-export-'));
+  const exportDir = path.join(root, 'exports');
+  const expectError = async (promise, type) => {
+    try {
+      await promise;
+    } catch (error) {
+      if (!(error instanceof type)) throw error;
+      return;
+    }
+    throw new Error(`Expected ${type.name}`);
+  };
+  try {
+    const exporter = new ExportHandlers(new ApiClient(metabase.url, 'key', 5000), { exportDir });
+    const results = await Promise.all([1, 2].map(() => exporter.exportQueryResults(1, 'SELECT 1', 'csv', 'same.csv')));
+    const { path: file, rowCount } = results[0].structuredContent;
+    if (rowCount !== 2) throw new Error(`Counted ${rowCount} rows`);
+    if (((await fs.stat(exportDir)).mode & 0o777) !== 0o700) throw new Error('Export directory is not private');
+    if (((await fs.stat(file)).mode & 0o777) !== 0o600) throw new Error('Export file is not private');
+
+    await expectError(exporter.exportQueryResults(1, 'SELECT broken', 'csv', 'broken.csv'), ApiError);
+    await expectError(exporter.exportCardResults(7, 'csv', {}, 'card.csv'), ApiError);
+    const files = await fs.readdir(exportDir);
+    if (files.join() !== 'same.csv') throw new Error(`Unexpected export files: ${files}`);
+
+    const elsewhere = path.join(root, 'elsewhere');
+    await fs.mkdir(elsewhere);
+    await fs.symlink(elsewhere, path.join(root, 'link'));
+    const linked = new ExportHandlers(new ApiClient(metabase.url, 'key', 5000), { exportDir: path.join(root, 'link') });
+    await expectError(linked.exportQueryResults(1, 'SELECT 1', 'csv'), ConfigurationError);
+    if ((await fs.readdir(elsewhere)).length !== 0) throw new Error('Export followed a symlinked directory');
+  } finally {
+    await metabase.close();
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+  await runTest('Background jobs run, report, fail and cancel queries', async () => {
+  const metabase = await startFakeMetabase(async request => {
+    if (request.url === '/api/database/1') return [200, { id: 1, engine: 'postgres' }];
+    if (request.body.includes('slow')) await new Promise(resolve => setTimeout(resolve, 1000));
+    if (request.body.includes('broken')) return [400, { error: 'relation "broken" does not exist' }];
+    return [200, { status: 'completed', row_count: 2, data: { cols: [{ name: 'n', base_type: 'type/Integer' }], rows: [[1], [2]] } }];
+  });
+  const server = new MetabaseMCPServer({ metabaseUrl: metabase.url, apiKey: 'key', requestTimeout: 5000, cache: { enabled: false } });
+  const { jobHandlers } = server.handlers;
+  const start = async (query) => (await jobHandlers.startQuery({ databaseId: 1, query })).structuredContent.job.jobId;
+  const settle = (jobId) => jobHandlers.jobManager.get(jobId).promise;
+  const expectError = async (promise, type) => {
+    try {
+      await promise;
+    } catch (error) {
+      if (!(error instanceof type)) throw error;
+      return;
+    }
+    throw new Error(`Expected ${type.name}`);
+  };
+  try {
+    await expectError(jobHandlers.startQuery({ databaseId: 1, query: 'DELETE FROM t' }), MetabaseError);
+
+    const slow = await start('SELECT slow FROM t');
+    if ((await jobHandlers.getQueryStatus(slow)).structuredContent.job.status !== 'running') throw new Error('Slow job was not running');
+    if ((await jobHandlers.getQueryResult(slow)).structuredContent.result !== null) throw new Error('Running job returned a result');
+    if (!(await jobHandlers.cancelQuery(slow)).structuredContent.cancelled) throw new Error('Running job was not cancelled');
+    await settle(slow);
+    if ((await jobHandlers.getQueryStatus(slow)).structuredContent.job.status !== 'cancelled') throw new Error('Cancelled job has another status');
+    await expectError(jobHandlers.getQueryResult(slow), CancelledError);
+
+    const done = await start('SELECT n FROM t');
+    await settle(done);
+    const { structuredContent } = await jobHandlers.getQueryResult(done);
+    if (structuredContent.job.status !== 'completed' || structuredContent.result.rowCount !== 2) throw new Error('Completed job result is wrong');
+    if (!/LIMIT \d+$/.test(JSON.parse(metabase.requests.at(-1).body).native.query)) throw new Error('Job query was not row-limited');
+    if ((await jobHandlers.cancelQuery(done)).structuredContent.cancelled) throw new Error('Finished job was cancelled');
+
+    const broken = await start('SELECT * FROM broken');
+    await settle(broken);
+    if ((await jobHandlers.getQueryStatus(broken)).structuredContent.job.status !== 'failed') throw new Error('Failed job has another status');
+    await expectError(jobHandlers.getQueryResult(broken), ApiError);
+    await expectError(jobHandlers.getQueryStatus('no-such-job'), ValidationError);
+  } finally {
+    server.queryJobs.cancelAll();
+    await metabase.close();
+  }
+});
+
+  await runTest('TemplateTags maps named values to card parameters and lists every mistake', async () => {
+  const card = {
+    id: 5,
+    dataset_query: {
+      type: 'native',
+      native: {
+        'template-tags': {
+          region: { id: 'r1', name: 'region', 'display-name': 'Region', type: 'text', required: true },
+          ids: { name: 'ids', type: 'number' },
+          since: { name: 'since', type: 'date' },
+          country: { name: 'country', type: 'dimension', 'widget-type': 'string/=' },
+          period: { name: 'period', type: 'dimension', 'widget-type': 'date/range' },
+          base: { name: 'base', type: 'card', 'card-id': 3 },
+        },
+      },
+    },
+  };
+  const parameters = TemplateTags.toParameters(card, { Region: 'EU', ids: ['1', 2], since: '2024-01-31', country: 'FR', period: '2024-01-01~2024-03-31' });
+  const expected = [
+    { id: 'r1', type: 'category', target: ['variable', ['template-tag', 'region']], value: 'EU' },
+    { type: 'number/=', target: ['variable', ['template-tag', 'ids']], value: [1, 2] },
+    { type: 'date/single', target: ['variable', ['template-tag', 'since']], value: '2024-01-31' },
+    { type: 'string/=', target: ['dimension', ['template-tag', 'country']], value: ['FR'] },
+    { type: 'date/range', target: ['dimension', ['template-tag', 'period']], value: '2024-01-01~2024-03-31' },
+  ];
+  if (JSON.stringify(parameters) !== JSON.stringify(expected)) throw new Error(`Unexpected parameters: ${JSON.stringify(parameters)}`);
+
+  try {
+    TemplateTags.toParameters(card, { ids: 'many', since: '31/01/2024', base: 1 });
+    throw new Error('Invalid parameters were accepted');
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    const paths = error.details.errors.map(e => e.path).sort().join();
+    if (paths !== 'parameters.base,parameters.ids,parameters.region,parameters.since') throw new Error(`Unexpected errors: ${paths}`);
+  }
+  try {
+    TemplateTags.toParameters({ id: 6, dataset_query: { type: 'query' } }, { region: 'EU' });
+    throw new Error('Parameters were accepted for a query-builder card');
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+  }
+  if (TemplateTags.toParameters({ id: 6, dataset_query: { type: 'query' } }, { region: null }).length !== 0) throw new Error('Null value was sent');
+
+  const metabase = await startFakeMetabase(request => request.method === 'GET'
+    ? [200, card]
+    : [200, { status: 'completed', row_count: 0, data: { cols: [], rows: [] } }]);
+  try {
+    const cards = new CardHandlers(new ApiClient(metabase.url, 'key', 5000));
+    await cards.executeCardQuery(5, { region: 'EU' });
+    const sent = JSON.parse(metabase.requests.at(-1).body).parameters;
+    if (metabase.requests.at(-1).url !== '/api/card/5/query' || JSON.stringify(sent) !== JSON.stringify([expected[0]])) throw new Error(`Card ran with ${JSON.stringify(sent)}`);
+  } finally {
+    await metabase.close();
+  }
+});
+
+  await runTest('execute_dashboard runs each dashcard with its filters and keeps only paged results', async () => {
+  const rows = (count) => ({ status: 'completed', row_count: count, data: { cols: [{ name: 'n' }], rows: Array.from({ length: count }, (_, i) => [i]) } });
+  const dashboard = {
+    id: 9,
+    name: 'Sales',
+    parameters: [
+      { id: 'p1', slug: 'country', name: 'Country', type: 'string/=' },
+      { id: 'p2', slug: 'date', name: 'Date', type: 'date/all-options', default: 'past30days' },
+    ],
+    dashcards: [
+      { id: 1, card_id: 11, card: { name: 'Small' }, parameter_mappings: [{ parameter_id: 'p1', card_id: 11, target: ['dimension', ['field', 1, null]] }], series: [{ id: 21, name: 'Last year' }] },
+      { id: 2, card_id: 12, card: { name: 'Large' }, parameter_mappings: [{ parameter_id: 'p2', card_id: 12, target: ['dimension', ['field', 2, null]] }] },
+      { id: 3, card_id: 13, card: { name: 'Larger' } },
+      { id: 4, card_id: 14, card: { name: 'Broken' } },
+      { id: 5, card_id: null, visualization_settings: { text: 'A heading' } },
+    ],
+  };
+  const metabase = await startFakeMetabase(request => {
+    if (request.url === '/api/dashboard/9') return [200, dashboard];
+    const cardId = Number(request.url.split('/card/')[1]?.split('/')[0]);
+    return { 11: [200, rows(2)], 12: [200, rows(50)], 13: [200, rows(60)], 14: [500, 'boom'] }[cardId] ?? [404, 'missing'];
+  });
+  const server = new MetabaseMCPServer({
+    metabaseUrl: metabase.url,
+    apiKey: 'key',
+    requestTimeout: 5000,
+    cache: { enabled: false },
+    retry: { retries: 0 },
+    results: { maxEntries: 1 },
+    dashboards: { concurrency: 1 },
+  });
+  try {
+    const { content, structuredContent } = await server.handlers.dashboardHandlers.executeDashboard(9, { Country: 'France' }, { maxRows: 10 });
+    const [small, large, larger, broken] = structuredContent.cards;
+    if (structuredContent.cards.length !== 4 || structuredContent.succeeded !== 3 || structuredContent.failed !== 1) throw new Error('Wrong card outcome counts');
+    const sent = (id) => JSON.parse(metabase.requests.find(r => r.url.includes(`/dashcard/${id}/`)).body).parameters;
+    if (JSON.stringify(sent(1)) !== JSON.stringify([{ id: 'p1', type: 'string/=', value: ['France'], target: ['dimension', ['field', 1, null]] }])) throw new Error(`Card 11 got ${JSON.stringify(sent(1))}`);
+    if (sent(2)[0]?.value !== 'past30days' || sent(3).length !== 0) throw new Error('Default filter or unmapped card parameters are wrong');
+    if (small.result.resultId !== null) throw new Error('Complete dashcard result was stored');
+    if (large.result.resultId !== null || !larger.result.resultId) throw new Error('Evicted dashcard result still has a resultId');
+    if (!content[0].text.includes('not kept for paging')) throw new Error('Evicted result text still points to fetch_result_page');
+    if (small.series[0]?.cardId !== 21 || !content[0].text.includes('card 21 (Last year)')) throw new Error('Series card was not reported');
+    if (broken.error?.code !== 'API_ERROR') throw new Error('Failing card did not report its error');
+  } finally {
+    await metabase.close();
+  }
+});
+
+  await runTest('compare_results aligns rows across instances and rejects repeated keys', async () => {
+  const result = (cols, rows) => ({ status: 'completed', row_count: rows.length, data: { cols: cols.map(([name, base_type]) => ({ name, base_type })), rows } });
+  const production = await startFakeMetabase(request => {
+    if (request.url === '/api/card/1') return [200, { id: 1, dataset_query: { type: 'native', native: { 'template-tags': {} } } }];
+    return [200, result([['ID', 'type/Integer'], ['Revenue', 'type/Float'], ['Country', 'type/Text']], [[1, 100, 'FR'], [2, 200, 'DE'], [3, 300, 'ES']])];
+  });
+  const staging = await startFakeMetabase(request => {
+    if (request.url === '/api/database/2') return [200, { id: 2, engine: 'postgres' }];
+    const query = JSON.parse(request.body).native.query;
+    if (query.includes('dup')) return [200, result([['id', 'type/Integer']], [[1], [1], [2]])];
+    return [200, result([['id', 'type/Integer'], ['revenue', 'type/Float'], ['country', 'type/Text']], [[1, 100.4, 'FR'], [2, 260, 'DE'], [4, 400, 'IT']])];
+  });
+  const server = new MetabaseMCPServer({
+    instances: [
+      { name: 'production', metabaseUrl: production.url, auth: { method: 'api_key', apiKey: 'p' }, requestTimeout: 5000 },
+      { name: 'staging', metabaseUrl: staging.url, auth: { method: 'api_key', apiKey: 's' }, requestTimeout: 5000 },
+    ],
+    cache: { enabled: false },
+  });
+  const { compareHandlers } = server.getInstance('production').handlers;
+  try {
+    const { structuredContent, content } = await compareHandlers.compareResults({
+      left: { cardId: 1 },
+      right: { instance: 'staging', databaseId: 2, query: 'SELECT * FROM sales' },
+      keys: ['id'],
+      tolerance: { absolute: 0.5 },
+    });
+    const { summary, differences } = structuredContent;
+    if (summary.matched !== 2 || summary.unchanged !== 1 || summary.changed !== 1 || summary.added !== 1 || summary.removed !== 1) throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    if (structuredContent.identical || structuredContent.columns.find(c => c.column === 'Revenue').withinTolerance !== 1) throw new Error('Tolerance was not applied');
+    const changed = differences.rows.find(row => row[0] === 'changed');
+    if (JSON.stringify(changed) !== JSON.stringify(['changed', 2, 'Revenue', 200, 260, 60])) throw new Error(`Unexpected change row: ${JSON.stringify(changed)}`);
+    if (!content[0].text.includes('added 1, removed 1')) throw new Error('Text summary is missing the counts');
+
+    try {
+      await compareHandlers.compareResults({
+        left: { instance: 'staging', databaseId: 2, query: 'SELECT id FROM dup' },
+        right: { instance: 'staging', databaseId: 2, query: 'SELECT id FROM t' },
+        keys: ['id'],
+      });
+      throw new Error('Repeated keys were accepted');
+    } catch (error) {
+      if (!(error instanceof ValidationError) || !error.message.includes('1 left row(s) repeat a key')) throw error;
+    }
+  } finally {
+    await production.close();
+    await staging.close();
+  }
+});
+
+  await runTest('Result profiles say when a row cap cut the result', async () => {
+  const cols = [{ name: 'n', base_type: 'type/Integer' }];
+  const metabase = await startFakeMetabase(request => {
+    if (request.url === '/api/database/1') return [200, { id: 1, engine: 'postgres' }];
+    if (request.url === '/api/card/3') return [200, { id: 3, dataset_query: { type: 'query' } }];
+    if (request.url === '/api/card/3/query') return [200, { status: 'completed', row_count: 3, data: { cols, rows: [[1], [2], [3]], rows_truncated: 3 } }];
+    return [200, { status: 'completed', row_count: 4, data: { cols, rows: [[1], [2], [3], [4]] } }];
+  });
+  const server = new MetabaseMCPServer({ metabaseUrl: metabase.url, apiKey: 'key', requestTimeout: 5000, cache: { enabled: false } });
+  const { cardHandlers, queryHandlers } = server.handlers;
+  try {
+    const card = await cardHandlers.executeCardQuery(3, {}, { summarize: true });
+    if (card.structuredContent.profile.rowsTruncated !== 3 || !card.content[0].text.includes('truncated at 3 rows')) throw new Error('Card profile hid the truncation');
+    const native = await queryHandlers.executeNativeQuery(1, 'SELECT n FROM t', { summarize: true }, { rowLimit: 3 });
+    if (native.structuredContent.profile.rowsTruncated !== 3 || native.structuredContent.profile.rowCount !== 3) throw new Error('Native profile hid the truncation');
+    const stored = await queryHandlers.summarizeResult(native.structuredContent.result.resultId);
+    if (!stored.content[0].text.includes('not the whole result')) throw new Error('summarize_result hid the truncation');
+    const complete = await queryHandlers.executeNativeQuery(1, 'SELECT n FROM t', { summarize: true }, { rowLimit: 10 });
+    if (complete.structuredContent.profile.rowsTruncated !== null || complete.content[0].text.includes('truncated')) throw new Error('Complete result was reported as truncated');
+  } finally {
+    await metabase.close();
+  }
+});
+
+  await runTest('find_fields matches columns across databases and refuses runaway patterns', async () => {
+  const metabase = await startFakeMetabase(request => {
+    if (request.url === '/api/database/') return [200, { data: [{ id: 1, name: 'Shop' }, { id: 2, name: 'CRM' }, { id: 3, name: 'Broken' }] }];
+    if (request.url === '/api/database/1/metadata') return [200, { name: 'Shop', tables: [{ id: 10, schema: 'public', name: 'orders', fields: [
+      { id: 100, name: 'customer_id', display_name: 'Customer ID', base_type: 'type/Integer', semantic_type: 'type/FK' },
+      { id: 101, name: 'total', display_name: 'Total', base_type: 'type/Float', description: 'a'.repeat(5000) },
+    ] }] }];
+    if (request.url === '/api/database/2/metadata') return [200, { name: 'CRM', tables: [{ id: 20, schema: null, name: 'people', fields: [
+      { id: 200, name: 'CUSTOMER_ID', display_name: 'Customer', base_type: 'type/BigInteger' },
+      { id: 201, name: 'email', display_name: 'Email', base_type: 'type/Text', semantic_type: 'type/Email' },
+    ] }] }];
+    return [500, { message: 'metadata unavailable' }];
+  });
+  const server = new MetabaseMCPServer({ metabaseUrl: metabase.url, apiKey: 'key', requestTimeout: 5000, cache: { enabled: false } });
+  const { fieldHandlers } = server.handlers;
+  const ids = result => result.structuredContent.fields.map(f => f.fieldId).join(',');
+  try {
+    const glob = await fieldHandlers.findFields({ pattern: '*customer_id*', attributes: ['name'] });
+    if (ids(glob) !== '100,200') throw new Error(`Glob matched ${ids(glob)}`);
+    if (JSON.stringify(glob.structuredContent.databases) !== JSON.stringify({ searched: 2, failed: [{ id: 3, error: glob.structuredContent.databases.failed[0]?.error }] })) throw new Error('The broken database was not reported');
+    const hit = glob.structuredContent.fields[0];
+    if (hit.databaseName !== 'Shop' || hit.schema !== 'public' || hit.tableId !== 10 || hit.tableName !== 'orders') throw new Error(`Unexpected location: ${JSON.stringify(hit)}`);
+
+    const regex = await fieldHandlers.findFields({ pattern: '^type/(email|text)$', mode: 'regex', databaseIds: [2] });
+    if (ids(regex) !== '201' || regex.structuredContent.fields[0].matchedOn.join(',') !== 'baseType,semanticType') throw new Error(`Regex matched ${JSON.stringify(regex.structuredContent.fields)}`);
+
+    const fuzzy = await fieldHandlers.findFields({ pattern: 'custmer', mode: 'fuzzy', attributes: ['displayName'], databaseIds: [1, 2] });
+    if (ids(fuzzy) !== '100,200') throw new Error(`Fuzzy matched ${ids(fuzzy)}`);
+
+    for (const pattern of ['(a+)+', '(a|a)*$', '(a|aa)+$', '(.|.)*x', '(a?){26}a{26}', 'x'.repeat(201), '([a-z]']) {
+      try {
+        await fieldHandlers.findFields({ pattern, mode: 'regex' });
+        throw new Error(`${pattern} was accepted`);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+      }
+    }
+
+    const started = Date.now();
+    try {
+      await fieldHandlers.findFields({ pattern: 'a*a*a*a*a*b', mode: 'regex', databaseIds: [1] });
+      throw new Error('A runaway regular expression ran to completion');
+    } catch (error) {
+      if (!(error instanceof ValidationError) || !error.message.includes('took over')) throw error;
+    }
+    if (Date.now() - started > 2000) throw new Error('A runaway regular expression was not stopped in time');
+    const slowGlob = await fieldHandlers.findFields({ pattern: '*a*a*a*a*a*a*a*b', attributes: ['description'], databaseIds: [1] });
+    if (slowGlob.structuredContent.total !== 0) throw new Error('Glob matched a description without a b');
+  } finally {
+    await metabase.close();
+  }
+});
+
   // Test 3: Logger
   await runTest('Logger is properly initialized', () => {
   const testLogger = logger.child('Test');
@@ -90,20 +874,44 @@ async function main() {
   if (!server.apiClient) throw new Error('Server not properly initialized');
 });
 
-  // Test 7: Tool definitions are properly exported
+  // Test 7: Built-in tools are declared in the tool registry
   await runTest('Tool definitions are available', async () => {
-  const { TOOL_DEFINITIONS } = await import('./src/server/config/toolDefinitions.js');
-  if (!Array.isArray(TOOL_DEFINITIONS)) throw new Error('TOOL_DEFINITIONS is not an array');
-  if (TOOL_DEFINITIONS.length === 0) throw new Error('TOOL_DEFINITIONS is empty');
+  const { BUILTIN_TOOLS, ToolRegistry } = await import('./src/server/tools/index.js');
+  if (!Array.isArray(BUILTIN_TOOLS)) throw new Error('BUILTIN_TOOLS is not an array');
+  if (BUILTIN_TOOLS.length === 0) throw new Error('BUILTIN_TOOLS is empty');
   
   // Check that all tools have required properties
-  TOOL_DEFINITIONS.forEach(tool => {
+  BUILTIN_TOOLS.forEach(tool => {
     if (!tool.name) throw new Error(`Tool missing name: ${JSON.stringify(tool)}`);
     if (!tool.description) throw new Error(`Tool ${tool.name} missing description`);
     if (!tool.inputSchema) throw new Error(`Tool ${tool.name} missing inputSchema`);
+    if (typeof tool.handler !== 'function') throw new Error(`Tool ${tool.name} missing handler`);
   });
   
-  console.log(`   Found ${TOOL_DEFINITIONS.length} tool definitions`);
+  const registry = new ToolRegistry().registerAll(BUILTIN_TOOLS);
+  if (registry.list().length !== BUILTIN_TOOLS.length) throw new Error('Registry did not list every tool');
+  
+  console.log(`   Found ${BUILTIN_TOOLS.length} tool definitions`);
+});
+
+  await runTest('Tool plugins are registered whole or not at all', async () => {
+  const { BUILTIN_TOOLS, ToolRegistry } = await import('./src/server/tools/index.js');
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'metabase-mcp-plugins-'));
+  const tool = (name) => `{ name: '${name}', risk: 'safe', description: 'Test', inputSchema: { type: 'object' }, handler: async () => ({ content: [] }) }`;
+  await fs.writeFile(path.join(directory, 'a-valid.mjs'), `export default [${tool('plugin_one')}, ${tool('plugin_two')}];`);
+  await fs.writeFile(path.join(directory, 'b-twice.mjs'), `export default [${tool('plugin_three')}, ${tool('plugin_three')}];`);
+  await fs.writeFile(path.join(directory, 'c-builtin.mjs'), `export default [${tool('plugin_four')}, ${tool('get_card')}];`);
+  await fs.writeFile(path.join(directory, 'd-invalid.mjs'), `export default [${tool('plugin_five')}, { name: 'broken' }];`);
+  try {
+    const registry = new ToolRegistry().registerAll(BUILTIN_TOOLS);
+    const registered = await registry.loadPlugins(directory);
+    if (registered.join(',') !== 'plugin_one,plugin_two') throw new Error(`Unexpected plugin tools: ${registered}`);
+    for (const name of ['plugin_three', 'plugin_four', 'plugin_five']) {
+      if (registry.has(name)) throw new Error(`${name} was registered from a rejected file`);
+    }
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
 });
 
   // Test 8: All handlers are properly exported